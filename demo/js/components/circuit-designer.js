@@ -14,18 +14,39 @@ class CircuitDesigner {
         this.draggedGate = null;
         this.qubitLines = [];
         this.gatePositions = new Map();
+        this.transpilerSession = null; // { original, result } while optimization steps are previewed
+        this.device = null; // DeviceProfile whose coupling map is overlaid on the qubit lines
+        this.stateVisualizer = null;
+        this.debugSession = null; // CircuitDebugger while the circuit is stepped through
+        this.debugError = null;
         
         this.gates = {
             'H': { name: 'Hadamard', color: '#4ecdc4', symbol: 'H', description: 'Creates superposition' },
             'X': { name: 'Pauli-X', color: '#ff6b6b', symbol: 'X', description: 'Bit flip gate' },
             'Y': { name: 'Pauli-Y', color: '#ffd93d', symbol: 'Y', description: 'Y rotation gate' },
             'Z': { name: 'Pauli-Z', color: '#9b59b6', symbol: 'Z', description: 'Phase flip gate' },
-            'CNOT': { name: 'Controlled-NOT', color: '#98d8d8', symbol: '⊕', description: 'Creates entanglement' },
-            'CZ': { name: 'Controlled-Z', color: '#95a5a6', symbol: 'CZ', description: 'Controlled phase gate' },
+            'S': { name: 'S Gate', color: '#6c5ce7', symbol: 'S', description: 'Quarter-turn phase gate (√Z)' },
+            'SDG': { name: 'S-Dagger', color: '#a29bfe', symbol: 'S†', description: 'Inverse of the S gate' },
+            'T': { name: 'T Gate', color: '#00b894', symbol: 'T', description: 'Eighth-turn phase gate (√S)' },
+            'TDG': { name: 'T-Dagger', color: '#55efc4', symbol: 'T†', description: 'Inverse of the T gate' },
+            'SX': { name: 'Sqrt-X', color: '#fd79a8', symbol: '√X', description: 'Half of a bit flip' },
+            'CNOT': { name: 'Controlled-NOT', color: '#98d8d8', symbol: '⊕', description: 'Creates entanglement', twoQubit: true },
+            'CZ': { name: 'Controlled-Z', color: '#95a5a6', symbol: 'CZ', description: 'Controlled phase gate', twoQubit: true },
+            'SWAP': { name: 'SWAP', color: '#0984e3', symbol: '×', description: 'Exchanges two qubit states', twoQubit: true, swapLike: true },
+            'ISWAP': { name: 'iSWAP', color: '#74b9ff', symbol: 'iSW', description: 'Swap with an i phase on |01⟩ and |10⟩', twoQubit: true, swapLike: true },
+            'CRX': { name: 'Controlled X Rotation', color: '#e17055', symbol: 'RX', description: 'X rotation conditioned on a control qubit', twoQubit: true, hasParam: true },
+            'CRY': { name: 'Controlled Y Rotation', color: '#fdcb6e', symbol: 'RY', description: 'Y rotation conditioned on a control qubit', twoQubit: true, hasParam: true },
+            'CRZ': { name: 'Controlled Z Rotation', color: '#b388eb', symbol: 'RZ', description: 'Z rotation conditioned on a control qubit', twoQubit: true, hasParam: true },
+            'CP': { name: 'Controlled Phase', color: '#81ecec', symbol: 'P', description: 'Phase shift on |11⟩, used in QFT and QAOA', twoQubit: true, hasParam: true },
+            'CCX': { name: 'Toffoli', color: '#00cec9', symbol: '⊕', description: 'NOT conditioned on two control qubits', multiControl: true },
+            'MCX': { name: 'Multi-Controlled X', color: '#00a8a8', symbol: '⊕', description: 'NOT conditioned on every control qubit (Grover oracles)', multiControl: true },
             'RX': { name: 'X Rotation', color: '#e74c3c', symbol: 'RX', description: 'Parameterized X rotation', hasParam: true },
             'RY': { name: 'Y Rotation', color: '#f39c12', symbol: 'RY', description: 'Parameterized Y rotation', hasParam: true },
             'RZ': { name: 'Z Rotation', color: '#8e44ad', symbol: 'RZ', description: 'Parameterized Z rotation', hasParam: true },
-            'M': { name: 'Measurement', color: '#34495e', symbol: '📊', description: 'Quantum measurement' }
+            'P': { name: 'Phase', color: '#c0392b', symbol: 'P', description: 'Parameterized phase shift on |1⟩', hasParam: true },
+            'U3': { name: 'Universal Rotation', color: '#d35400', symbol: 'U3', description: 'General single-qubit gate U3(θ, φ, λ)', hasParam: true, paramCount: 3 },
+            'M': { name: 'Measurement', color: '#34495e', symbol: '📊', description: 'Quantum measurement into a classical bit (double-click to choose the bit)' },
+            'RESET': { name: 'Reset', color: '#636e72', symbol: '|0⟩', description: 'Returns a qubit to |0⟩ mid-circuit so it can be reused' }
         };
         
         this.initializeDesigner();
@@ -33,6 +54,14 @@ class CircuitDesigner {
 
     initializeDesigner() {
         this.createCircuitInterface();
+        
+        const visualizerPanel = this.container.querySelector('.state-visualizer-panel');
+        if (visualizerPanel && typeof StateVisualizer !== 'undefined') {
+            this.stateVisualizer = new StateVisualizer(visualizerPanel, {
+                onStep: time => this.highlightTimeStep(time)
+            });
+        }
+        
         this.attachEventListeners();
         this.renderCircuit();
     }
@@ -46,25 +75,31 @@ class CircuitDesigner {
                         <div class="gate-category">
                             <h5>Single Qubit</h5>
                             <div class="gate-buttons">
-                                ${['H', 'X', 'Y', 'Z'].map(gate => this.createGateButton(gate)).join('')}
+                                ${['H', 'X', 'Y', 'Z', 'S', 'SDG', 'T', 'TDG', 'SX'].map(gate => this.createGateButton(gate)).join('')}
                             </div>
                         </div>
                         <div class="gate-category">
                             <h5>Rotations</h5>
                             <div class="gate-buttons">
-                                ${['RX', 'RY', 'RZ'].map(gate => this.createGateButton(gate)).join('')}
+                                ${['RX', 'RY', 'RZ', 'P', 'U3'].map(gate => this.createGateButton(gate)).join('')}
                             </div>
                         </div>
                         <div class="gate-category">
                             <h5>Two Qubit</h5>
                             <div class="gate-buttons">
-                                ${['CNOT', 'CZ'].map(gate => this.createGateButton(gate)).join('')}
+                                ${['CNOT', 'CZ', 'SWAP', 'ISWAP', 'CRX', 'CRY', 'CRZ', 'CP'].map(gate => this.createGateButton(gate)).join('')}
+                            </div>
+                        </div>
+                        <div class="gate-category">
+                            <h5>Multi Qubit</h5>
+                            <div class="gate-buttons">
+                                ${['CCX', 'MCX'].map(gate => this.createGateButton(gate)).join('')}
                             </div>
                         </div>
                         <div class="gate-category">
                             <h5>Measurement</h5>
                             <div class="gate-buttons">
-                                ${this.createGateButton('M')}
+                                ${['M', 'RESET'].map(gate => this.createGateButton(gate)).join('')}
                             </div>
                         </div>
                     </div>
@@ -74,6 +109,21 @@ class CircuitDesigner {
                     <div class="circuit-controls">
                         <button class="btn-clear" onclick="circuitDesigner.clearCircuit()">Clear Circuit</button>
                         <button class="btn-undo" onclick="circuitDesigner.undoLastGate()">Undo</button>
+                        <button class="btn-optimize" onclick="circuitDesigner.optimizeCircuit()">Optimize</button>
+                        <span class="device-select">Device: 
+                            <select onchange="circuitDesigner.setDevice(this.value)">
+                                <option value="">None</option>
+                                ${typeof DeviceProfile !== 'undefined' ? DeviceProfile.list().map(device => `<option value="${device.id}">${device.name}</option>`).join('') : ''}
+                            </select>
+                        </span>
+                        <button class="btn-route" onclick="circuitDesigner.routeForDevice()">Route</button>
+                        <button class="btn-debug" onclick="circuitDesigner.startDebugger()">Debug</button>
+                        <button class="btn-export" onclick="circuitDesigner.exportCircuit()">Save Circuit</button>
+                        <button class="btn-export-qasm" onclick="circuitDesigner.exportQasm(2)">Export QASM 2</button>
+                        <button class="btn-export-qasm" onclick="circuitDesigner.exportQasm(3)">Export QASM 3</button>
+                        <label class="btn-import">Open Circuit
+                            <input type="file" accept=".json,.qasm,application/json" hidden onchange="circuitDesigner.importCircuit(this.files[0])">
+                        </label>
                         <span class="qubit-count">Qubits: 
                             <select onchange="circuitDesigner.setQubitCount(this.value)">
                                 ${[2,3,4,5,6].map(n => `<option value="${n}" ${n === 4 ? 'selected' : ''}>${n}</option>`).join('')}
@@ -95,6 +145,12 @@ class CircuitDesigner {
                             <span>Entangling Gates: <span id="entangling-count">0</span></span>
                         </div>
                     </div>
+                    
+                    <div class="transpiler-panel" hidden></div>
+                    
+                    <div class="debugger-panel" hidden></div>
+                    
+                    <div class="state-visualizer-panel"></div>
                 </div>
             </div>
         `;
@@ -205,15 +261,22 @@ class CircuitDesigner {
         };
 
         // Handle two-qubit gates
-        if (gateType === 'CNOT' || gateType === 'CZ') {
+        if (this.gates[gateType].twoQubit) {
             gate.target = this.selectTargetQubit(position.qubit);
             if (gate.target === null) return; // User cancelled
         }
 
+        // Handle multi-controlled gates: the clicked qubit is the target
+        if (this.gates[gateType].multiControl) {
+            gate.controls = this.promptForControls(gateType, position.qubit);
+            if (gate.controls === null) return; // User cancelled
+            gate.target = position.qubit;
+            gate.qubit = gate.controls[0];
+        }
+
         // Handle parameterized gates
-        if (this.gates[gateType].hasParam) {
-            gate.angle = this.promptForAngle(gateType);
-            if (gate.angle === null) return; // User cancelled
+        if (this.gates[gateType].hasParam && !this.applyGateParameters(gate)) {
+            return; // User cancelled
         }
 
         this.circuit.operations.push(gate);
@@ -257,9 +320,49 @@ class CircuitDesigner {
         return targetQubit;
     }
 
-    promptForAngle(gateType) {
-        const defaultValues = { 'RX': 'π/2', 'RY': 'π/2', 'RZ': 'π/4' };
-        const input = prompt(`Enter angle for ${gateType} gate (examples: π/2, π/4, 1.57):`, defaultValues[gateType]);
+    promptForControls(gateType, targetQubit) {
+        const defaultControls = [];
+        for (let i = 0; i < this.circuit.qubits && defaultControls.length < 2; i++) {
+            if (i !== targetQubit) defaultControls.push(i);
+        }
+        
+        const input = prompt(`Enter control qubits for ${gateType} on target ${targetQubit} (comma-separated):`, defaultControls.join(', '));
+        if (input === null) return null;
+        
+        const controls = input.split(',').map(q => parseInt(q.trim()));
+        const valid = controls.length >= 2 &&
+            controls.every(q => !isNaN(q) && q >= 0 && q < this.circuit.qubits && q !== targetQubit) &&
+            new Set(controls).size === controls.length;
+        if (!valid || (gateType === 'CCX' && controls.length !== 2)) {
+            alert('Invalid control qubits');
+            return null;
+        }
+        
+        return controls;
+    }
+
+    /**
+     * Prompt for a gate's angle, or θ, φ, λ for U3; returns false if cancelled
+     */
+    applyGateParameters(gate) {
+        if (this.gates[gate.type].paramCount === 3) {
+            const params = [];
+            for (const name of ['θ', 'φ', 'λ']) {
+                const angle = this.promptForAngle(gate.type, name);
+                if (angle === null) return false;
+                params.push(angle);
+            }
+            gate.params = params;
+            return true;
+        }
+        
+        gate.angle = this.promptForAngle(gate.type);
+        return gate.angle !== null;
+    }
+
+    promptForAngle(gateType, paramName = 'angle') {
+        const defaultValues = { 'RX': 'π/2', 'RY': 'π/2', 'RZ': 'π/4', 'P': 'π/4', 'CRX': 'π/2', 'CRY': 'π/2', 'CRZ': 'π/4', 'CP': 'π/2', 'U3': 'π/2' };
+        const input = prompt(`Enter ${paramName} for ${gateType} gate (examples: π/2, π/4, 1.57):`, defaultValues[gateType]);
         
         if (input === null) return null;
         
@@ -335,8 +438,13 @@ class CircuitDesigner {
         return { qubit: Math.max(0, qubit), time: Math.max(0, time) };
     }
 
+    /**
+     * String id for a gate placed here, named by its position like the
+     * operations of every other representation
+     */
     generateGateId() {
-        return 'gate_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+        const taken = new Set(this.circuit.operations.map(op => String(op.id)));
+        return CircuitIR.positionalId(this.circuit.operations.length, taken);
     }
 
     sortOperationsByTime() {
@@ -359,6 +467,29 @@ class CircuitDesigner {
         this.circuit.operations.forEach(operation => {
             this.renderGateElement(workspace, operation);
         });
+        
+        if (this.device) {
+            this.renderCouplingOverlay(workspace);
+        }
+        
+        // Re-simulates and re-applies the time-step highlight
+        if (this.stateVisualizer) {
+            this.stateVisualizer.setCircuit(this.circuit);
+        }
+        
+        if (this.debugSession) {
+            this.restartDebugger();
+        }
+    }
+
+    /**
+     * Dim the gates the state visualizer has not applied yet
+     */
+    highlightTimeStep(time) {
+        const times = new Map(this.circuit.operations.map(op => [String(op.id), op.time]));
+        this.container.querySelectorAll('.circuit-gate').forEach(element => {
+            element.classList.toggle('circuit-gate-pending', times.get(element.dataset.gateId) >= time);
+        });
     }
 
     setupCanvas(workspace) {
@@ -398,6 +529,15 @@ class CircuitDesigner {
             label.style.fontSize = '14px';
             label.style.fontFamily = 'monospace';
             
+            if (this.device) {
+                if (i < this.device.qubits) {
+                    label.title = `Coupled to ${this.device.neighbors(i).map(qubit => `q${qubit}`).join(', ') || 'no qubit'} on ${this.device.name}`;
+                } else {
+                    line.classList.add('qubit-line-unavailable');
+                    label.title = `${this.device.name} has no qubit ${i}`;
+                }
+            }
+            
             workspace.appendChild(line);
             workspace.appendChild(label);
         }
@@ -460,15 +600,23 @@ class CircuitDesigner {
 
         const gate = this.gates[gateType];
         
+        // Collect angle parameters up front
+        const parameters = { type: gateType };
+        if (gate.hasParam && !this.applyGateParameters(parameters)) {
+            return; // User cancelled
+        }
+        
         // Handle multi-qubit gates
-        if (gate.name === 'Controlled-NOT' || gate.name === 'Controlled-Z') {
-            this.handleTwoQubitGate(gateType, column, qubit);
+        if (gate.twoQubit) {
+            this.handleTwoQubitGate(gateType, column, qubit, parameters);
+        } else if (gate.multiControl) {
+            this.handleMultiControlledGate(gateType, column, qubit);
         } else {
-            this.addGateToCircuit(gateType, column, qubit);
+            this.addGateToCircuit(gateType, column, qubit, parameters.angle, parameters.params);
         }
     }
 
-    handleTwoQubitGate(gateType, column, qubit) {
+    handleTwoQubitGate(gateType, column, qubit, parameters = {}) {
         // For simplicity, place control on current qubit and target on next
         const control = qubit;
         const target = qubit + 1;
@@ -478,37 +626,73 @@ class CircuitDesigner {
             return;
         }
         
-        this.addTwoQubitGate(gateType, column, control, target);
+        this.addTwoQubitGate(gateType, column, control, target, parameters.angle);
     }
     
-    addTwoQubitGate(gateType, column, control, target) {
+    addTwoQubitGate(gateType, column, control, target, angle = null) {
         const gate = {
-            id: Date.now() + Math.random(),
+            id: this.generateGateId(),
             type: gateType,
             qubit: control,
             target: target,
             time: column
         };
         
+        if (this.gates[gateType].hasParam && angle !== null && angle !== undefined) {
+            gate.angle = angle;
+        }
+        
         this.circuit.operations.push(gate);
         this.renderCircuit();
         this.updateCircuitStats();
         this.syncWithOtherPanels();
     }
 
-    addGateToCircuit(gateType, column, qubit, angle = null) {
+    handleMultiControlledGate(gateType, column, qubit) {
+        // CCX uses the dropped qubit and the one below as controls; MCX controls
+        // every qubit from the dropped one down, targeting the last qubit
+        const target = gateType === 'CCX' ? qubit + 2 : this.circuit.qubits - 1;
+        
+        if (target >= this.circuit.qubits || target - qubit < 2) {
+            this.showError('Cannot place multi-controlled gate: insufficient qubits');
+            return;
+        }
+        
+        const controls = [];
+        for (let i = qubit; i < target; i++) {
+            controls.push(i);
+        }
+        
         const gate = {
-            id: Date.now() + Math.random(),
+            id: this.generateGateId(),
+            type: gateType,
+            qubit: controls[0],
+            controls: controls,
+            target: target,
+            time: column
+        };
+        
+        this.circuit.operations.push(gate);
+        this.renderCircuit();
+        this.updateCircuitStats();
+        this.syncWithOtherPanels();
+    }
+
+    addGateToCircuit(gateType, column, qubit, angle = null, params = null) {
+        const gate = {
+            id: this.generateGateId(),
             type: gateType,
             qubit: qubit,
             time: column
         };
         
-        // Only add angle parameter for rotation gates
-        const rotationGates = ['RX', 'RY', 'RZ'];
-        if (rotationGates.includes(gateType) && angle !== null) {
+        // Only add angle parameters for parameterized gates
+        if (this.gates[gateType].hasParam && angle !== null && angle !== undefined) {
             gate.angle = angle;
         }
+        if (this.gates[gateType].paramCount === 3 && params) {
+            gate.params = params;
+        }
         
         this.circuit.operations.push(gate);
         this.renderCircuit();
@@ -523,7 +707,10 @@ class CircuitDesigner {
         const qubitOffset = 60;
         
         const x = 100 + operation.time * gridSize;
-        const y = qubitOffset + operation.qubit * qubitHeight;
+        
+        // Controlled gates draw their box on the target; swaps on both qubits
+        const boxQubit = operation.target !== undefined && !gate.swapLike ? operation.target : operation.qubit;
+        const y = qubitOffset + boxQubit * qubitHeight;
 
         const gateElement = document.createElement('div');
         gateElement.className = 'circuit-gate';
@@ -547,9 +734,12 @@ class CircuitDesigner {
         
         // Gate symbol
         let symbol = gate.symbol;
-        if (operation.angle !== undefined && operation.type.startsWith('R')) {
-            symbol = `${operation.type}(${this.formatAngle(operation.angle)})`;
+        if (operation.angle !== undefined) {
+            symbol = `${gate.symbol}(${this.formatAngle(operation.angle)})`;
             gateElement.style.fontSize = '8px';
+        } else if (operation.params) {
+            symbol = `${gate.symbol}(${operation.params.map(angle => this.formatAngle(angle)).join(',')})`;
+            gateElement.style.fontSize = '7px';
         }
         gateElement.textContent = symbol;
         
@@ -559,14 +749,215 @@ class CircuitDesigner {
             this.removeGate(operation.id);
         });
         
-        // Double-click to edit parameters
-        if (gate.hasParam) {
-            gateElement.addEventListener('dblclick', () => {
+        // Double-click to edit parameters or the measured bit; shift+double-click edits the condition
+        gateElement.addEventListener('dblclick', (e) => {
+            if (e.shiftKey) {
+                this.editGateCondition(operation);
+            } else if (operation.type === 'M') {
+                this.editMeasurementBit(operation);
+            } else if (gate.hasParam) {
                 this.editGateParameter(operation);
-            });
-        }
+            }
+        });
+        
+        // Alt+click sets a breakpoint on the gate while debugging
+        gateElement.addEventListener('click', (e) => {
+            if (!e.altKey || !this.debugSession) return;
+            e.stopPropagation();
+            this.toggleDebugBreakpoint({ gate: String(operation.id) });
+        });
         
         workspace.appendChild(gateElement);
+        
+        // Classical wiring: the bit a measurement writes, or the bits a gate waits on
+        const label = operation.type === 'M' ?
+            `→ ${this.formatClassicalBit(operation.cbit !== undefined ? operation.cbit : operation.qubit)}` :
+            (operation.condition ? `if ${this.formatCondition(operation.condition)}` : null);
+        if (label) {
+            const labelElement = document.createElement('div');
+            labelElement.className = 'circuit-gate-classical';
+            labelElement.textContent = label;
+            labelElement.style.position = 'absolute';
+            labelElement.style.left = `${x}px`;
+            labelElement.style.top = `${y + 17}px`;
+            labelElement.style.width = '50px';
+            labelElement.style.textAlign = 'center';
+            labelElement.style.fontSize = '9px';
+            labelElement.style.color = operation.condition ? '#fdcb6e' : '#b2bec3';
+            labelElement.style.zIndex = '10';
+            workspace.appendChild(labelElement);
+        }
+        
+        if (operation.target !== undefined) {
+            this.renderGateConnector(workspace, operation, gate, x);
+        }
+    }
+
+    /**
+     * Re-prompt the angle(s) of a parameterized gate
+     */
+    editGateParameter(operation) {
+        const edited = { type: operation.type };
+        if (!this.applyGateParameters(edited)) return;
+        
+        if (edited.params) {
+            operation.params = edited.params;
+        } else {
+            operation.angle = edited.angle;
+        }
+        this.renderCircuit();
+        this.syncWithOtherPanels();
+    }
+
+    /**
+     * Choose the classical bit a measurement writes
+     */
+    editMeasurementBit(operation) {
+        const current = operation.cbit !== undefined ? operation.cbit : operation.qubit;
+        const input = prompt(`Classical bit for measuring qubit ${operation.qubit} (0-${this.classicalBitCount() - 1}):`, current);
+        if (input === null) return;
+        
+        const cbit = parseInt(input.replace(/^\s*c\[?|\]?\s*$/g, ''));
+        if (!Number.isInteger(cbit) || cbit < 0 || (this.circuit.cregs && cbit >= this.classicalBitCount())) {
+            alert(`Enter a classical bit number from 0 to ${this.classicalBitCount() - 1}, such as 0 or c1`);
+            return;
+        }
+        operation.cbit = cbit;
+        this.circuit.clbits = Math.max(this.classicalBitCount(), cbit + 1);
+        this.renderCircuit();
+        this.syncWithOtherPanels();
+    }
+
+    /**
+     * Condition a gate on earlier measurement results, like Qiskit c_if:
+     * "c1=1" or "c[1]=1" for one bit, "c=3" for the whole register (named
+     * registers work the same way); blank removes the condition
+     */
+    editGateCondition(operation) {
+        const current = operation.condition ? this.formatCondition(operation.condition) : '';
+        const input = prompt('Run this gate only when classical bits match (e.g. c1=1 or c=3; blank for always):', current);
+        if (input === null) return;
+        
+        if (input.trim() === '') {
+            delete operation.condition;
+        } else {
+            const condition = this.parseCondition(input);
+            const errors = condition ? CircuitIR.validateCondition(condition, this.getCircuit()) : ['Write the condition like c1=1 or c=3'];
+            if (errors.length > 0) {
+                alert(errors[0]);
+                return;
+            }
+            operation.condition = condition;
+        }
+        this.renderCircuit();
+        this.syncWithOtherPanels();
+    }
+
+    parseCondition(text) {
+        const match = text.trim().match(/^([A-Za-z_]\w*)(?:\[(\d+)\])?\s*==?\s*(\d+)$/);
+        if (!match) return null;
+        
+        const registers = CircuitIR.classicalRegisters(this.getCircuit());
+        let register = registers.find(r => r.name === match[1]);
+        let index = match[2];
+        
+        // c1 is shorthand for c[1] unless a register is named c1
+        const shorthand = match[1].match(/^(.*?)(\d+)$/);
+        if (!register && index === undefined && shorthand) {
+            register = registers.find(r => r.name === shorthand[1]);
+            index = shorthand[2];
+        }
+        if (!register || (index !== undefined && parseInt(index) >= register.size)) return null;
+        
+        const cbits = index !== undefined ? [register.offset + parseInt(index)] :
+            Array.from({ length: register.size }, (_, i) => register.offset + i);
+        return { cbits, value: parseInt(match[3]) };
+    }
+
+    formatCondition(condition) {
+        const registers = CircuitIR.classicalRegisters(this.getCircuit());
+        const whole = CircuitIR.conditionRegister(this.getCircuit(), condition);
+        if (whole && condition.cbits.length > 1) {
+            return `${whole.name}=${condition.value}`;
+        }
+        return `${this.formatClassicalBit(condition.cbits[0], registers)}=${condition.value}`;
+    }
+
+    formatClassicalBit(cbit, registers = CircuitIR.classicalRegisters(this.getCircuit())) {
+        const register = registers.find(r => cbit >= r.offset && cbit < r.offset + r.size);
+        return register && this.circuit.cregs ? `${register.name}[${cbit - register.offset}]` : `c${cbit}`;
+    }
+
+    classicalBitCount() {
+        return this.circuit.clbits || this.circuit.qubits;
+    }
+
+    /**
+     * Vertical wire for multi-qubit gates plus control dots (or the second swap marker)
+     */
+    renderGateConnector(workspace, operation, gate, x) {
+        const qubitHeight = 40;
+        const qubitOffset = 60;
+        const qubits = this.getOperationQubits(operation);
+        const top = Math.min(...qubits);
+        const bottom = Math.max(...qubits);
+        
+        const wire = document.createElement('div');
+        wire.className = 'circuit-gate-wire';
+        wire.style.position = 'absolute';
+        wire.style.left = `${x + 24}px`;
+        wire.style.top = `${qubitOffset + top * qubitHeight}px`;
+        wire.style.width = '2px';
+        wire.style.height = `${(bottom - top) * qubitHeight}px`;
+        wire.style.background = gate.color;
+        wire.style.zIndex = '5';
+        workspace.appendChild(wire);
+        
+        const markerQubits = gate.swapLike ? [operation.target] : this.getControlQubits(operation);
+        markerQubits.forEach(qubit => {
+            const marker = document.createElement('div');
+            marker.className = gate.swapLike ? 'circuit-gate-swap' : 'circuit-gate-control';
+            marker.style.position = 'absolute';
+            marker.style.zIndex = '10';
+            marker.style.color = gate.color;
+            
+            if (gate.swapLike) {
+                marker.textContent = gate.symbol;
+                marker.style.left = `${x}px`;
+                marker.style.top = `${qubitOffset + qubit * qubitHeight - 15}px`;
+                marker.style.width = '50px';
+                marker.style.lineHeight = '30px';
+                marker.style.textAlign = 'center';
+                marker.style.fontWeight = 'bold';
+            } else {
+                marker.style.left = `${x + 19}px`;
+                marker.style.top = `${qubitOffset + qubit * qubitHeight - 6}px`;
+                marker.style.width = '12px';
+                marker.style.height = '12px';
+                marker.style.borderRadius = '50%';
+                marker.style.background = gate.color;
+            }
+            
+            workspace.appendChild(marker);
+        });
+    }
+
+    /**
+     * Control qubits of an operation (empty for single-qubit gates and swaps)
+     */
+    getControlQubits(operation) {
+        if (operation.controls) return operation.controls;
+        const gate = this.gates[operation.type];
+        return gate && gate.twoQubit && !gate.swapLike ? [operation.qubit] : [];
+    }
+
+    /**
+     * Every qubit an operation touches
+     */
+    getOperationQubits(operation) {
+        const qubits = operation.controls ? [...operation.controls] : [operation.qubit];
+        if (operation.target !== undefined) qubits.push(operation.target);
+        return qubits;
     }
 
     getContrastColor(hexColor) {
@@ -602,7 +993,7 @@ class CircuitDesigner {
             this.removeGate(operation.id);
         });
 
-        if (operation.type === 'CNOT' || operation.type === 'CZ') {
+        if (operation.target !== undefined) {
             this.renderTwoQubitGate(g, operation, x, y, qubitSpacing, gate);
         } else if (operation.type === 'M') {
             this.renderMeasurementGate(g, x, y, gate);
@@ -652,26 +1043,32 @@ class CircuitDesigner {
     }
 
     renderTwoQubitGate(g, operation, x, y, qubitSpacing, gate) {
-        const targetY = y + (operation.target - operation.qubit) * qubitSpacing;
+        const qubitY = qubit => y + (qubit - operation.qubit) * qubitSpacing;
+        const targetY = qubitY(operation.target);
+        const spanY = this.getOperationQubits(operation).map(qubitY);
 
         // Connection line
         const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
         line.setAttribute('x1', x);
-        line.setAttribute('y1', y);
+        line.setAttribute('y1', Math.min(...spanY));
         line.setAttribute('x2', x);
-        line.setAttribute('y2', targetY);
+        line.setAttribute('y2', Math.max(...spanY));
         line.setAttribute('stroke', gate.color);
         line.setAttribute('stroke-width', '3');
+        g.appendChild(line);
 
-        // Control dot
-        const controlDot = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-        controlDot.setAttribute('cx', x);
-        controlDot.setAttribute('cy', y);
-        controlDot.setAttribute('r', '6');
-        controlDot.setAttribute('fill', gate.color);
+        // Control dots
+        this.getControlQubits(operation).forEach(control => {
+            const controlDot = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            controlDot.setAttribute('cx', x);
+            controlDot.setAttribute('cy', qubitY(control));
+            controlDot.setAttribute('r', '6');
+            controlDot.setAttribute('fill', gate.color);
+            g.appendChild(controlDot);
+        });
 
         // Target gate
-        if (operation.type === 'CNOT') {
+        if (['CNOT', 'CCX', 'MCX'].includes(operation.type)) {
             // X target (circle with cross)
             const targetCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
             targetCircle.setAttribute('cx', x);
@@ -708,10 +1105,23 @@ class CircuitDesigner {
             targetDot.setAttribute('r', '6');
             targetDot.setAttribute('fill', gate.color);
             g.appendChild(targetDot);
+        } else if (gate.swapLike) {
+            // Swap markers on both qubits
+            [y, targetY].forEach(markerY => {
+                const marker = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+                marker.setAttribute('x', x);
+                marker.setAttribute('y', markerY + 6);
+                marker.setAttribute('text-anchor', 'middle');
+                marker.setAttribute('fill', gate.color);
+                marker.setAttribute('font-size', '18');
+                marker.setAttribute('font-weight', 'bold');
+                marker.textContent = gate.symbol;
+                g.appendChild(marker);
+            });
+        } else {
+            // Controlled rotation / phase: gate box on the target
+            this.renderSingleQubitGate(g, operation, x, targetY, gate);
         }
-
-        g.appendChild(line);
-        g.appendChild(controlDot);
     }
 
     renderMeasurementGate(g, x, y, gate) {
@@ -760,7 +1170,7 @@ class CircuitDesigner {
     }
 
     removeGate(gateId) {
-        this.circuit.operations = this.circuit.operations.filter(op => op.id !== gateId);
+        this.circuit.operations = this.circuit.operations.filter(op => String(op.id) !== String(gateId));
         this.renderCircuit();
         this.updateCircuitStats();
         this.syncWithOtherPanels();
@@ -774,6 +1184,12 @@ class CircuitDesigner {
     }
 
     undoLastGate() {
+        // With a workspace history Undo steps back through every panel's changes, not just gates
+        if (this.syncEngine && this.syncEngine.history) {
+            this.syncEngine.undo();
+            return;
+        }
+        
         if (this.circuit.operations.length > 0) {
             this.circuit.operations.pop();
             this.renderCircuit();
@@ -784,8 +1200,12 @@ class CircuitDesigner {
 
     setQubitCount(count) {
         this.circuit.qubits = parseInt(count);
+        if (!this.circuit.cregs) {
+            // Named registers fix the classical bits; the default register grows with the qubits
+            this.circuit.clbits = Math.max(this.circuit.clbits || 0, this.circuit.qubits);
+        }
         this.circuit.operations = this.circuit.operations.filter(op => 
-            op.qubit < this.circuit.qubits && (op.target === undefined || op.target < this.circuit.qubits)
+            this.getOperationQubits(op).every(qubit => qubit < this.circuit.qubits)
         );
         this.renderCircuit();
         this.updateCircuitStats();
@@ -799,7 +1219,7 @@ class CircuitDesigner {
         document.getElementById('circuit-depth').textContent = depth;
         
         const entanglingGates = this.circuit.operations.filter(op => 
-            op.type === 'CNOT' || op.type === 'CZ').length;
+            op.type !== 'M' && this.getOperationQubits(op).length > 1).length;
         document.getElementById('entangling-count').textContent = entanglingGates;
     }
 
@@ -808,6 +1228,419 @@ class CircuitDesigner {
         return Math.max(...this.circuit.operations.map(op => op.time)) + 1;
     }
 
+    /**
+     * Overlay a device's coupling map, or remove it with a falsy id
+     */
+    setDevice(deviceId) {
+        if (deviceId && typeof DeviceProfile === 'undefined') {
+            throw new Error('DeviceProfile not loaded. Include js/core/device-profile.js');
+        }
+        this.device = deviceId ? DeviceProfile.get(deviceId) : null;
+        this.renderCircuit();
+    }
+
+    /**
+     * Draw each coupling between visible qubit lines as a bracket past the
+     * line ends (longer couplings nest outside shorter ones) and flag gates
+     * on qubits the device cannot couple
+     */
+    renderCouplingOverlay(workspace) {
+        const qubitHeight = 40;
+        const qubitOffset = 60;
+        
+        this.device.edges
+            .filter(([a, b]) => b < this.circuit.qubits)
+            .forEach(([a, b]) => {
+                const width = Math.min(6 + 8 * (b - a - 1), 54);
+                const edge = document.createElement('div');
+                edge.className = 'coupling-edge';
+                edge.title = `q${a} – q${b}`;
+                edge.style.position = 'absolute';
+                edge.style.right = `${60 - width}px`;
+                edge.style.top = `${qubitOffset + a * qubitHeight}px`;
+                edge.style.width = `${width}px`;
+                edge.style.height = `${(b - a) * qubitHeight}px`;
+                edge.style.zIndex = '1';
+                workspace.appendChild(edge);
+            });
+        
+        const uncoupled = new Set(this.circuit.operations
+            .filter(op => {
+                const qubits = this.getOperationQubits(op);
+                return op.type !== 'M' && qubits.length > 1 &&
+                    (qubits.length > 2 || !this.device.isCoupled(qubits[0], qubits[1]));
+            })
+            .map(op => String(op.id)));
+        
+        workspace.querySelectorAll('.circuit-gate').forEach(element => {
+            if (uncoupled.has(element.dataset.gateId)) {
+                element.classList.add('coupling-violation');
+                element.title = `Not coupled on ${this.device.name}; route the circuit to run it`;
+            }
+        });
+    }
+
+    /**
+     * Transpile for the selected device (unroll, route, decompose to native
+     * gates, optimize) and list the steps in the transpiler panel
+     */
+    routeForDevice() {
+        if (typeof Transpiler === 'undefined') {
+            throw new Error('Transpiler not loaded. Include js/core/transpiler.js');
+        }
+        if (!this.device) {
+            this.showError('Choose a device to route for');
+            return;
+        }
+        
+        const original = this.transpilerSession ? this.transpilerSession.original : this.getCircuit();
+        let result;
+        try {
+            result = Transpiler.transpileForDevice(original, this.device);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+        
+        this.transpilerSession = { original, result };
+        this.renderTranspilerPanel();
+        if (result.steps.length > 0) {
+            this.previewTranspilerStep(result.steps.length - 1, 'after');
+        }
+    }
+
+    /**
+     * Run the transpiler passes and list each rewrite under the canvas; steps
+     * can be previewed before and after, then applied or discarded
+     */
+    optimizeCircuit(passes = null) {
+        if (typeof Transpiler === 'undefined') {
+            throw new Error('Transpiler not loaded. Include js/core/transpiler.js');
+        }
+        
+        const original = this.transpilerSession ? this.transpilerSession.original : this.getCircuit();
+        this.transpilerSession = {
+            original,
+            result: Transpiler.optimize(original, passes ? { passes } : {})
+        };
+        this.renderTranspilerPanel();
+        
+        const steps = this.transpilerSession.result.steps;
+        if (steps.length > 0) {
+            this.previewTranspilerStep(steps.length - 1, 'after');
+        }
+    }
+
+    renderTranspilerPanel() {
+        const panel = this.container.querySelector('.transpiler-panel');
+        if (!panel) return;
+        
+        const session = this.transpilerSession;
+        if (!session) {
+            panel.hidden = true;
+            panel.innerHTML = '';
+            return;
+        }
+        
+        const { steps, stats, device } = session.result;
+        panel.hidden = false;
+        panel.innerHTML = steps.length === 0 ? `
+            <div class="transpiler-summary">${device ? `This circuit already runs on ${device.name} as it is.` : 'No pass can simplify this circuit further.'}</div>
+            <div class="transpiler-actions">
+                <button onclick="circuitDesigner.discardOptimization()">Close</button>
+            </div>` : `
+            <div class="transpiler-summary">
+                ${device ? `${device.name}: ` : ''}Gates ${stats.before.gates} → ${stats.after.gates} · Depth ${stats.before.depth} → ${stats.after.depth}
+            </div>
+            ${device ? this.renderDeviceMetrics(session.result) : ''}
+            <ol class="transpiler-steps">
+                ${steps.map((step, index) => `
+                    <li data-step="${index}">
+                        <strong>${step.name}</strong>
+                        <span>${this.describeTranspilerDiff(step)}</span>
+                        <button onclick="circuitDesigner.previewTranspilerStep(${index}, 'before')">Before</button>
+                        <button onclick="circuitDesigner.previewTranspilerStep(${index}, 'after')">After</button>
+                    </li>`).join('')}
+            </ol>
+            <div class="transpiler-actions">
+                <button class="btn-apply" onclick="circuitDesigner.applyOptimization()">Apply</button>
+                <button onclick="circuitDesigner.discardOptimization()">Discard</button>
+            </div>`;
+    }
+
+    /**
+     * Hardware cost before and after transpiling for a device
+     */
+    renderDeviceMetrics(result) {
+        const { before, after } = result.metrics;
+        const percent = fidelity => `${(fidelity * 100).toFixed(1)}%`;
+        const layout = result.layout.final
+            .map((physical, logical) => physical === result.layout.initial[logical] ? null : `q${logical} → Q${physical}`)
+            .filter(Boolean);
+        
+        return `
+            <table class="transpiler-metrics">
+                <tr><th></th><th>Before</th><th>After</th></tr>
+                <tr><td>Depth</td><td>${before.depth}</td><td>${after.depth}</td></tr>
+                <tr><td>Two-qubit gates</td><td>${before.twoQubitGates}</td><td>${after.twoQubitGates}</td></tr>
+                <tr><td>Uncoupled gates</td><td>${before.uncoupledGates}</td><td>${after.uncoupledGates}</td></tr>
+                <tr><td>Estimated fidelity</td><td>${percent(before.fidelity)}</td><td>${percent(after.fidelity)}</td></tr>
+            </table>
+            <div class="transpiler-layout">
+                ${result.swaps} SWAP${result.swaps === 1 ? '' : 's'} inserted.
+                ${layout.length > 0 ? `Read results from the final layout: ${layout.join(', ')}` : 'Every qubit ends where it started.'}
+            </div>`;
+    }
+
+    describeTranspilerDiff(step) {
+        const { diff, stats } = step;
+        const parts = [];
+        if (diff.removed.length > 0) parts.push(`${diff.removed.length} removed`);
+        if (diff.added.length > 0) parts.push(`${diff.added.length} added`);
+        if (diff.changed.length > 0) parts.push(`${diff.changed.length} ${step.pass === 'route' ? 'remapped' : 'merged'}`);
+        if (diff.moved.length > 0) parts.push(`${diff.moved.length} moved`);
+        parts.push(`depth ${stats.before.depth} → ${stats.after.depth}`);
+        return parts.join(', ');
+    }
+
+    /**
+     * Show one side of a transpiler step on the canvas: 'before' marks the gates
+     * the pass removes or rewrites, 'after' the gates it rewrote or moved
+     */
+    previewTranspilerStep(index, side = 'after') {
+        const step = this.transpilerSession && this.transpilerSession.result.steps[index];
+        if (!step) return;
+        
+        this.loadCircuit(side === 'before' ? step.before : step.after);
+        
+        const marks = new Map();
+        if (side === 'before') {
+            step.diff.removed.forEach(id => marks.set(String(id), 'transpiler-removed'));
+            step.diff.changed.forEach(({ id }) => marks.set(String(id), 'transpiler-changed'));
+        } else {
+            step.diff.moved.forEach(({ id }) => marks.set(String(id), 'transpiler-moved'));
+            step.diff.changed.forEach(({ id }) => marks.set(String(id), 'transpiler-changed'));
+        }
+        
+        this.container.querySelectorAll('.circuit-gate').forEach(element => {
+            // Multi-qubit measurements are drawn as one box per qubit, id_qubit
+            const id = element.dataset.gateId;
+            const mark = marks.get(id) || marks.get(id.replace(/_\d+$/, ''));
+            if (mark) element.classList.add(mark);
+        });
+        this.container.querySelectorAll('.transpiler-steps li').forEach(item => {
+            item.classList.toggle('active', item.dataset.step === String(index));
+        });
+    }
+
+    applyOptimization() {
+        if (!this.transpilerSession) return;
+        
+        this.loadCircuit(this.transpilerSession.result.after);
+        this.transpilerSession = null;
+        this.renderTranspilerPanel();
+        this.syncWithOtherPanels();
+    }
+
+    discardOptimization() {
+        if (!this.transpilerSession) return;
+        
+        this.loadCircuit(this.transpilerSession.original);
+        this.transpilerSession = null;
+        this.renderTranspilerPanel();
+    }
+
+    /**
+     * Step through the circuit one time column at a time. Breakpoints and
+     * watches carry over from the previous session unless given
+     *
+     * @param {Object} options - { breakpoints: [{column: time} | {gate: id}], watches: ['P(|11⟩)'] }
+     */
+    startDebugger(options = {}) {
+        if (typeof CircuitDebugger === 'undefined') {
+            throw new Error('CircuitDebugger not loaded. Include js/core/circuit-debugger.js');
+        }
+        
+        const previous = this.debugSession;
+        this.debugError = null;
+        this.debugSession = this.createDebugSession(
+            options.breakpoints || (previous ? previous.getBreakpoints() : []),
+            options.watches || (previous ? previous.watches.map(watch => watch.expression) : []));
+        this.renderDebugger();
+        return this.debugSession;
+    }
+
+    createDebugSession(breakpoints, watches) {
+        const session = new CircuitDebugger(this.getCircuit(), { breakpoints });
+        watches.forEach(expression => {
+            try {
+                session.addWatch(expression);
+            } catch (error) {
+                this.debugError = error.message;
+            }
+        });
+        return session;
+    }
+
+    /**
+     * Rebuild the session after the circuit changed, at the same column
+     */
+    restartDebugger() {
+        const previous = this.debugSession;
+        this.debugSession = this.createDebugSession(
+            previous.getBreakpoints(),
+            previous.watches.map(watch => watch.expression));
+        this.debugSession.runTo(previous.position);
+        this.renderDebugger();
+    }
+
+    stopDebugger() {
+        this.debugSession = null;
+        this.debugError = null;
+        this.renderDebugger();
+        
+        this.container.querySelectorAll('.circuit-gate').forEach(element => {
+            element.classList.remove('debugger-current', 'debugger-breakpoint');
+        });
+        if (this.stateVisualizer) {
+            this.stateVisualizer.setStep(Infinity);
+        } else {
+            this.highlightTimeStep(Infinity);
+        }
+    }
+
+    debugStep() {
+        this.runDebugger(session => session.step());
+    }
+
+    debugStepBack() {
+        this.runDebugger(session => session.stepBack());
+    }
+
+    debugContinue() {
+        this.runDebugger(session => session.continue());
+    }
+
+    debugReset() {
+        this.runDebugger(session => session.reset());
+    }
+
+    runDebugger(action) {
+        if (!this.debugSession) return;
+        
+        this.debugError = null;
+        try {
+            action(this.debugSession);
+        } catch (error) {
+            this.debugError = error.message;
+        }
+        this.renderDebugger();
+    }
+
+    toggleDebugBreakpoint(breakpoint) {
+        this.runDebugger(session => session.toggleBreakpoint(breakpoint));
+    }
+
+    addDebugWatch(expression) {
+        if (!expression || !expression.trim()) return;
+        this.runDebugger(session => session.addWatch(expression));
+    }
+
+    removeDebugWatch(index) {
+        this.runDebugger(session => session.removeWatch(session.watches[index].expression));
+    }
+
+    /**
+     * Debugger panel for the current column, plus the canvas marks: applied
+     * gates solid, the next column outlined, breakpoint gates flagged
+     */
+    renderDebugger() {
+        const panel = this.container.querySelector('.debugger-panel');
+        if (!panel) return;
+        
+        const session = this.debugSession;
+        if (!session) {
+            panel.hidden = true;
+            panel.innerHTML = '';
+            return;
+        }
+        
+        const state = session.snapshot();
+        const format = value => CircuitDebugger.formatValue(value);
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+        const amplitudes = [...state.amplitudes]
+            .sort((a, b) => b.probability - a.probability)
+            .slice(0, CircuitDesigner.DEBUGGER_STATES);
+        const status = state.done
+            ? `Finished all ${state.columns} columns`
+            : `Before column ${state.position + 1} of ${state.columns}${state.paused ? ' · breakpoint' : ''}`;
+        
+        panel.hidden = false;
+        panel.innerHTML = `
+            <div class="debugger-toolbar">
+                <button onclick="circuitDesigner.debugReset()" ${state.position === 0 ? 'disabled' : ''}>Reset</button>
+                <button onclick="circuitDesigner.debugStepBack()" ${state.position === 0 ? 'disabled' : ''}>Step back</button>
+                <button onclick="circuitDesigner.debugStep()" ${state.done ? 'disabled' : ''}>Step</button>
+                <button onclick="circuitDesigner.debugContinue()" ${state.done ? 'disabled' : ''}>Continue</button>
+                <button onclick="circuitDesigner.stopDebugger()">Close</button>
+                <span class="debugger-status">${status}</span>
+            </div>
+            <div class="debugger-columns" title="Toggle a breakpoint before a column; alt+click a gate to break on it">
+                Breakpoints:
+                ${session.columns.map((column, index) => {
+                    const classes = ['debugger-column'];
+                    if (session.breakpoints.has(CircuitDebugger.breakpointKey({ column: column.time }))) classes.push('breakpoint');
+                    if (index === state.position) classes.push('current');
+                    return `<button class="${classes.join(' ')}" onclick="circuitDesigner.toggleDebugBreakpoint({ column: ${column.time} })">${index + 1}</button>`;
+                }).join('')}
+            </div>
+            ${this.debugError ? `<div class="debugger-error">${escape(this.debugError)}</div>` : ''}
+            <div class="debugger-sections">
+                <table class="debugger-state">
+                    <tr><th>State</th><th>Amplitude</th><th>Probability</th></tr>
+                    ${amplitudes.map(entry => `
+                        <tr><td>|${entry.bitstring}⟩</td><td>${format(entry.amplitude)}</td><td>${(entry.probability * 100).toFixed(1)}%</td></tr>`).join('')}
+                    ${state.amplitudes.length > amplitudes.length ? `<tr><td colspan="3">${state.amplitudes.length - amplitudes.length} more basis states</td></tr>` : ''}
+                </table>
+                <div class="debugger-entanglement">
+                    <strong>Entanglement entropy</strong>
+                    ${state.entanglement.map((entropy, qubit) => `
+                        <span class="${entropy > 1e-6 ? 'entangled' : ''}">q${qubit}: ${entropy.toFixed(3)}</span>`).join('')}
+                    ${session.circuit.operations.some(op => op.type === 'MEASURE') ? `<div>Classical bits: ${state.classicalBits.join('')}</div>` : ''}
+                </div>
+                <div class="debugger-watches">
+                    <strong>Watches</strong>
+                    <table>
+                        ${state.watches.map((watch, index) => {
+                            const changed = watch.previous !== null && format(watch.previous) !== format(watch.value);
+                            const history = session.watchHistory(watch.expression).map(format).join(', ');
+                            return `
+                        <tr class="${changed ? 'changed' : ''}" title="${escape(history)}">
+                            <td>${escape(watch.expression)}</td>
+                            <td>${changed ? `${format(watch.previous)} → ` : ''}${format(watch.value)}</td>
+                            <td><button onclick="circuitDesigner.removeDebugWatch(${index})">×</button></td>
+                        </tr>`;
+                        }).join('')}
+                    </table>
+                    <input class="debugger-watch-input" placeholder="${escape(`P(|${'1'.repeat(session.circuit.qubits)}⟩), <Z0 Z1>, entropy(q0)`)}"
+                        onkeydown="if (event.key === 'Enter') circuitDesigner.addDebugWatch(this.value)">
+                    <button onclick="circuitDesigner.addDebugWatch(this.previousElementSibling.value)">Watch</button>
+                </div>
+            </div>`;
+        
+        if (this.stateVisualizer) {
+            this.stateVisualizer.setStep(state.position);
+        } else {
+            this.highlightTimeStep(state.done ? Infinity : state.time);
+        }
+        const next = new Set(state.next.map(op => String(op.id)));
+        this.container.querySelectorAll('.circuit-gate').forEach(element => {
+            const id = element.dataset.gateId;
+            element.classList.toggle('debugger-current', next.has(id));
+            element.classList.toggle('debugger-breakpoint', session.breakpoints.has(CircuitDebugger.breakpointKey({ gate: id })));
+        });
+    }
+
     syncWithOtherPanels(preventLoop = false) {
         if (this.syncEngine && !this.syncEngine.isUpdating) {
             // Generate code representation
@@ -824,8 +1657,8 @@ class CircuitDesigner {
                 code: code,
                 notation: notation,
                 plainspeak: plainspeak,
-                circuit: this.circuit
-            });
+                circuit: this.getCircuit()
+            }, { source: 'circuit' });
             
             console.log('Circuit synced with other panels');
         } else if (this.syncEngine && this.syncEngine.isUpdating) {
@@ -835,13 +1668,22 @@ class CircuitDesigner {
 
     generateQiskitCode() {
         if (this.circuit.operations.length === 0) {
-            return `# Empty quantum circuit\nfrom qiskit import QuantumCircuit\ncircuit = QuantumCircuit(${this.circuit.qubits}, ${this.circuit.qubits})`;
+            return `# Empty quantum circuit\nfrom qiskit import QuantumCircuit\ncircuit = QuantumCircuit(${this.circuit.qubits}, ${this.circuit.clbits || this.circuit.qubits})`;
         }
 
-        let code = `# Generated quantum circuit\nfrom qiskit import QuantumCircuit\nimport numpy as np\n\n`;
-        code += `circuit = QuantumCircuit(${this.circuit.qubits}, ${this.circuit.qubits})\n\n`;
+        let code;
+        if (this.circuit.cregs) {
+            code = `# Generated quantum circuit\nfrom qiskit import QuantumCircuit, QuantumRegister, ClassicalRegister\nimport numpy as np\n\n`;
+            code += `qr = QuantumRegister(${this.circuit.qubits}, 'q')\n`;
+            this.circuit.cregs.forEach(creg => { code += `${creg.name} = ClassicalRegister(${creg.size}, '${creg.name}')\n`; });
+            code += `circuit = QuantumCircuit(qr, ${this.circuit.cregs.map(creg => creg.name).join(', ')})\n\n`;
+        } else {
+            code = `# Generated quantum circuit\nfrom qiskit import QuantumCircuit\nimport numpy as np\n\n`;
+            code += `circuit = QuantumCircuit(${this.circuit.qubits}, ${this.circuit.clbits || this.circuit.qubits})\n\n`;
+        }
 
         this.circuit.operations.forEach(op => {
+            const start = code.length;
             switch (op.type) {
                 case 'H':
                     code += `circuit.h(${op.qubit})\n`;
@@ -870,15 +1712,63 @@ class CircuitDesigner {
                 case 'RZ':
                     code += `circuit.rz(${this.formatAngleForCode(op.angle)}, ${op.qubit})\n`;
                     break;
+                case 'S':
+                case 'SDG':
+                case 'T':
+                case 'TDG':
+                case 'SX':
+                    code += `circuit.${op.type.toLowerCase()}(${op.qubit})\n`;
+                    break;
+                case 'P':
+                    code += `circuit.p(${this.formatAngleForCode(op.angle)}, ${op.qubit})\n`;
+                    break;
+                case 'U3':
+                    code += `circuit.u(${op.params.map(angle => this.formatAngleForCode(angle)).join(', ')}, ${op.qubit})\n`;
+                    break;
+                case 'SWAP':
+                case 'ISWAP':
+                    code += `circuit.${op.type.toLowerCase()}(${op.qubit}, ${op.target})\n`;
+                    break;
+                case 'CRX':
+                case 'CRY':
+                case 'CRZ':
+                case 'CP':
+                    code += `circuit.${op.type.toLowerCase()}(${this.formatAngleForCode(op.angle)}, ${op.qubit}, ${op.target})\n`;
+                    break;
+                case 'CCX':
+                    code += `circuit.ccx(${op.controls.join(', ')}, ${op.target})\n`;
+                    break;
+                case 'MCX':
+                    code += `circuit.mcx([${op.controls.join(', ')}], ${op.target})\n`;
+                    break;
                 case 'M':
-                    code += `circuit.measure(${op.qubit}, ${op.qubit})\n`;
+                    code += `circuit.measure(${op.qubit}, ${op.cbit !== undefined ? op.cbit : op.qubit})\n`;
+                    break;
+                case 'RESET':
+                    code += `circuit.reset(${op.qubit})\n`;
                     break;
             }
+            if (op.condition && code.length > start) {
+                code = `${code.slice(0, -1)}${this.formatConditionForCode(op.condition)}\n`;
+            }
         });
 
         return code;
     }
 
+    /**
+     * Qiskit .c_if(...) target: a named register or bit, else the default register c
+     */
+    formatConditionForCode(condition) {
+        const circuit = this.getCircuit();
+        const whole = CircuitIR.conditionRegister(circuit, condition);
+        if (whole && (condition.cbits.length > 1 || whole.size === 1)) {
+            return `.c_if(${this.circuit.cregs ? whole.name : 'circuit.cregs[0]'}, ${condition.value})`;
+        }
+        const target = this.circuit.cregs ? this.formatClassicalBit(condition.cbits[0]) : `circuit.clbits[${condition.cbits[0]}]`;
+        return `.c_if(${target}, ${condition.value})`;
+    }
+
     formatAngleForCode(angle) {
         // Add null safety check
         if (angle === null || angle === undefined) {
@@ -962,6 +1852,15 @@ class CircuitDesigner {
     }
 
     getOperatorNotation(operation) {
+        const operator = this.getGateNotation(operation);
+        if (!operation.condition) return operator;
+        
+        // Classically conditioned: [c_{k}=v] prefixes the operator it controls
+        const { cbits, value } = operation.condition;
+        return `[c_${cbits.length === 1 ? cbits[0] : `{${cbits.join(',')}}`}=${value}]\\,${operator}`;
+    }
+
+    getGateNotation(operation) {
         switch(operation.type) {
             case 'H':
                 return `H_{${operation.qubit}}`;
@@ -981,8 +1880,40 @@ class CircuitDesigner {
                 return `\\text{CNOT}_{${operation.qubit},${operation.target}}`;
             case 'CZ':
                 return `\\text{CZ}_{${operation.qubit},${operation.target}}`;
+            case 'S':
+                return `S_{${operation.qubit}}`;
+            case 'SDG':
+                return `S^\\dagger_{${operation.qubit}}`;
+            case 'T':
+                return `T_{${operation.qubit}}`;
+            case 'TDG':
+                return `T^\\dagger_{${operation.qubit}}`;
+            case 'SX':
+                return `\\sqrt{X}_{${operation.qubit}}`;
+            case 'P':
+                return `P^{(${operation.qubit})}(${this.formatAngleForNotation(operation.angle)})`;
+            case 'U3':
+                return `U_3^{(${operation.qubit})}(${operation.params.map(angle => this.formatAngleForNotation(angle)).join(', ')})`;
+            case 'SWAP':
+                return `\\text{SWAP}_{${operation.qubit},${operation.target}}`;
+            case 'ISWAP':
+                return `i\\text{SWAP}_{${operation.qubit},${operation.target}}`;
+            case 'CRX':
+                return `CR_x^{(${operation.qubit},${operation.target})}(${this.formatAngleForNotation(operation.angle)})`;
+            case 'CRY':
+                return `CR_y^{(${operation.qubit},${operation.target})}(${this.formatAngleForNotation(operation.angle)})`;
+            case 'CRZ':
+                return `CR_z^{(${operation.qubit},${operation.target})}(${this.formatAngleForNotation(operation.angle)})`;
+            case 'CP':
+                return `CP^{(${operation.qubit},${operation.target})}(${this.formatAngleForNotation(operation.angle)})`;
+            case 'CCX':
+                return `\\text{CCX}_{${operation.controls.join(',')},${operation.target}}`;
+            case 'MCX':
+                return `C^{${operation.controls.length}}X_{${operation.controls.join(',')},${operation.target}}`;
             case 'M':
                 return `M_{${operation.qubit}}`;
+            case 'RESET':
+                return `\\text{Reset}_{${operation.qubit}}`;
             default:
                 return operation.type;
         }
@@ -1008,11 +1939,9 @@ class CircuitDesigner {
                     `$\\quad = \\frac{1}{\\sqrt{2}}(|0\\rangle + |1\\rangle)_{${op.qubit}} \\otimes |\\psi\\rangle_{\\text{rest}}$`
                 );
             } else if (op.type === 'CNOT' && this.isFirstCNOT(op)) {
-                // Show entanglement creation for first CNOT
-                expansions.push(
-                    `$\\quad \\text{Creates entanglement between qubits } ${op.qubit} \\text{ and } ${op.target}$`
-                );
-            } else if (op.type.startsWith('R') && op.angle !== null) {
+                // Quantify the entanglement the first CNOT creates
+                expansions.push(this.describeEntanglement(op));
+            } else if (/^R[XYZ]$/.test(op.type) && op.angle !== null) {
                 // Show rotation effect
                 const axis = op.type[1].toLowerCase();
                 expansions.push(
@@ -1024,6 +1953,32 @@ class CircuitDesigner {
         return expansions;
     }
 
+    /**
+     * Concurrence and entanglement entropy right after a CNOT, so the notation
+     * shows whether it actually produced a Bell pair
+     */
+    describeEntanglement(op) {
+        const pair = `${op.qubit} \\text{ and } ${op.target}`;
+        if (typeof QuantumSimulator === 'undefined') {
+            return `$\\quad \\text{Creates entanglement between qubits } ${pair}$`;
+        }
+
+        const circuit = this.getCircuit();
+        const simulator = new QuantumSimulator().initialize(circuit.qubits);
+        circuit.operations
+            .filter(operation => operation.time <= op.time && operation.type !== 'MEASURE')
+            .sort((a, b) => a.time - b.time)
+            .forEach(operation => simulator.applyOperation(operation));
+
+        const concurrence = simulator.getConcurrence(op.qubit, op.target);
+        const entropy = simulator.getVonNeumannEntropy([op.qubit]);
+        const metrics = `C_{${op.qubit},${op.target}} = ${concurrence.toFixed(3)},\\; S(\\rho_{${op.qubit}}) = ${entropy.toFixed(3)}`;
+
+        const verdict = concurrence > 0.999 ? 'form a Bell pair' :
+            concurrence > 1e-6 ? 'are partially entangled' : 'remain unentangled';
+        return `$\\quad ${metrics} \\;\\Rightarrow\\; \\text{qubits } ${pair} \\text{ ${verdict}}$`;
+    }
+
     isFirstCNOT(operation) {
         // Check if this is the first CNOT in the circuit
         const cnotOps = this.circuit.operations.filter(op => op.type === 'CNOT');
@@ -1084,6 +2039,14 @@ class CircuitDesigner {
         if (gateTypes.has('M')) {
             descriptions.push('performs quantum measurements to extract classical information');
         }
+        
+        if (gateTypes.has('RESET')) {
+            descriptions.push('resets qubits mid-circuit so they can be reused');
+        }
+        
+        if (this.circuit.operations.some(op => op.condition)) {
+            descriptions.push('feeds measurement results forward into classically conditioned gates');
+        }
 
         if (descriptions.length > 0) {
             description += descriptions.join(', ') + '. ';
@@ -1095,18 +2058,32 @@ class CircuitDesigner {
     }
 
     // Public API for external control
+    
+    /**
+     * Load a circuit in CircuitIR (or any legacy) form into the designer view model
+     */
     loadCircuit(circuitData) {
         if (!circuitData) {
             console.warn('No circuit data provided to loadCircuit');
             return;
         }
         
-        this.circuit = circuitData;
+        this.circuit = CircuitIR.toDesigner(CircuitIR.normalize(circuitData));
         this.renderCircuit();
         this.updateCircuitStats();
         console.log('Circuit loaded with', this.circuit.operations.length, 'operations');
     }
     
+    /**
+     * Load a parameterized algorithm template, e.g. loadTemplate('grover', { marked: ['110'] })
+     */
+    loadTemplate(templateId, params = {}) {
+        if (typeof AlgorithmTemplates === 'undefined') {
+            throw new Error('AlgorithmTemplates not loaded. Include js/core/algorithm-templates.js');
+        }
+        this.loadCircuit(AlgorithmTemplates.build(templateId, params));
+    }
+    
     loadCircuitFromCode(code) {
         // Parse Qiskit code and load into circuit designer
         console.log('Loading circuit from code...');
@@ -1164,8 +2141,7 @@ class CircuitDesigner {
                     operations.push({
                         type: 'H',
                         qubit: parseInt(match[1]),
-                        time: timeCounter++,
-                        id: this.generateGateId()
+                        time: timeCounter++
                     });
                 }
             }
@@ -1177,8 +2153,7 @@ class CircuitDesigner {
                         type: 'CNOT',
                         qubit: parseInt(match[1]),
                         target: parseInt(match[2]),
-                        time: timeCounter++,
-                        id: this.generateGateId()
+                        time: timeCounter++
                     });
                 }
             }
@@ -1191,8 +2166,7 @@ class CircuitDesigner {
                         type: 'RY',
                         angle: angle,
                         qubit: parseInt(match[2]),
-                        time: timeCounter++,
-                        id: this.generateGateId()
+                        time: timeCounter++
                     });
                 }
             }
@@ -1202,8 +2176,7 @@ class CircuitDesigner {
                     operations.push({
                         type: 'M',
                         qubit: i,
-                        time: timeCounter,
-                        id: this.generateGateId()
+                        time: timeCounter
                     });
                 }
                 timeCounter++;
@@ -1225,8 +2198,61 @@ class CircuitDesigner {
         return isNaN(numeric) ? Math.PI / 2 : numeric;
     }
 
+    /**
+     * Current circuit as CircuitIR
+     */
     getCircuit() {
-        return this.circuit;
+        return CircuitIR.normalize(this.circuit);
+    }
+
+    /**
+     * Download the circuit as a versioned CircuitIR JSON file
+     */
+    exportCircuit(filename = 'circuit.json') {
+        try {
+            this.downloadFile(CircuitIR.toJSON(this.getCircuit()), filename, 'application/json');
+        } catch (error) {
+            this.showError(`Could not export circuit: ${error.message}`);
+        }
+    }
+
+    /**
+     * Download the circuit as an OpenQASM program (version 2 or 3)
+     */
+    exportQasm(version = 2, filename = 'circuit.qasm') {
+        try {
+            this.downloadFile(OpenQASM.serialize(this.getCircuit(), { version }), filename, 'text/plain');
+        } catch (error) {
+            this.showError(`Could not export OpenQASM: ${error.message}`);
+        }
+    }
+
+    downloadFile(content, filename, type) {
+        const blob = new Blob([content], { type });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    }
+
+    /**
+     * Load a CircuitIR JSON or OpenQASM file chosen by the user
+     */
+    importCircuit(file) {
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const isQasm = typeof OpenQASM !== 'undefined' && OpenQASM.isQasm(reader.result);
+                this.loadCircuit(isQasm ? OpenQASM.parse(reader.result) : CircuitIR.fromJSON(reader.result));
+                this.syncWithOtherPanels();
+            } catch (error) {
+                this.showError(`Could not import circuit: ${error.message}`);
+            }
+        };
+        reader.readAsText(file);
     }
 
     handleParameterChange(event) {
@@ -1235,7 +2261,7 @@ class CircuitDesigner {
             const gateId = event.target.getAttribute('data-gate-id');
             const newAngle = parseFloat(event.target.value);
             
-            const operation = this.circuit.operations.find(op => op.id === gateId);
+            const operation = this.circuit.operations.find(op => String(op.id) === gateId);
             if (operation) {
                 operation.angle = newAngle;
                 this.renderCircuit();
@@ -1245,10 +2271,13 @@ class CircuitDesigner {
     }
 }
 
+// Basis states listed in the debugger panel, most probable first
+CircuitDesigner.DEBUGGER_STATES = 16;
+
 // Export for different module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = CircuitDesigner;
 }
 
 // Global access
-window.CircuitDesigner = CircuitDesigner;
\ No newline at end of file
+globalThis.CircuitDesigner = CircuitDesigner;
\ No newline at end of file
@@ -57,75 +57,267 @@ class CodeExecutor {
     }
 
     async installMockQiskit() {
+        if (typeof QuantumSimulator === 'undefined' || typeof StabilizerSimulator === 'undefined') {
+            throw new Error('QuantumSimulator not loaded. Include js/core/stabilizer-sim.js and js/core/quantum-sim.js');
+        }
+
         // Create a simplified Qiskit-like interface for browser execution
         const mockQiskitCode = `
 import numpy as np
 import json
+import qubitquest
 from typing import List, Dict, Any
 
+class Bit:
+    """One element of a register; converts to its flat index in the circuit"""
+    def __init__(self, register, index):
+        self.register = register
+        self.index = index
+        
+    def __index__(self):
+        if self.register.offset is None:
+            raise ValueError(f"Register '{self.register.name}' has not been added to a circuit")
+        return self.register.offset + self.index
+        
+    __int__ = __index__
+
+class Register:
+    """Named block of qubits or classical bits, laid out flat by its circuit"""
+    prefix = 'r'
+    instances = 0
+    
+    def __init__(self, size, name=None):
+        self.size = size
+        self.name = name or f"{self.prefix}{Register.instances}"
+        self.offset = None
+        Register.instances += 1
+        
+    def __len__(self):
+        return self.size
+        
+    def __getitem__(self, index):
+        if isinstance(index, slice):
+            return [self[i] for i in range(self.size)[index]]
+        if not -self.size <= index < self.size:
+            raise IndexError(f"Index {index} out of range for register '{self.name}' of size {self.size}")
+        return Bit(self, index % self.size)
+        
+    def __iter__(self):
+        return (self[i] for i in range(self.size))
+        
+    def indices(self):
+        return [int(bit) for bit in self]
+
+class QuantumRegister(Register):
+    prefix = 'q'
+
+class ClassicalRegister(Register):
+    prefix = 'c'
+
 class QuantumCircuit:
-    def __init__(self, qubits, classical_bits=None):
-        self.qubits = qubits
-        self.classical_bits = classical_bits or qubits
+    """Operations are stored in the shared circuit IR shape:
+    {'type', 'qubits': [controls..., target], 'params': [...], 'condition'?}
+    Built from sizes, QuantumCircuit(n[, m]), or from registers, QuantumCircuit(qr, cr, ...)"""
+    def __init__(self, *registers):
+        self.qregs = []
+        self.cregs = []
+        self.named_registers = any(isinstance(arg, Register) for arg in registers)
+        
+        if self.named_registers:
+            for register in registers:
+                if not isinstance(register, Register):
+                    raise TypeError("QuantumCircuit takes either sizes or registers, not both")
+                self.add_register(register)
+        else:
+            qubits = registers[0] if registers else 0
+            classical_bits = registers[1] if len(registers) > 1 else None
+            self.add_register(QuantumRegister(qubits, 'q'))
+            self.add_register(ClassicalRegister(classical_bits or qubits, 'c'))
         self.operations = []
-        self.measurements = []
+        
+    def add_register(self, register):
+        owned = self.qregs if isinstance(register, QuantumRegister) else self.cregs
+        register.offset = sum(r.size for r in owned)
+        owned.append(register)
+        
+    @property
+    def qubits(self):
+        return sum(r.size for r in self.qregs)
+        
+    @property
+    def classical_bits(self):
+        return sum(r.size for r in self.cregs)
+        
+    @property
+    def clbits(self):
+        return [bit for register in self.cregs for bit in register]
+        
+    def append_operation(self, gate_type, qubits, params=(), **extra):
+        op = {'type': gate_type, 'qubits': [int(q) for q in qubits], 'params': [float(p) for p in params],
+              'time': len(self.operations)}
+        op.update(extra)
+        self.operations.append(op)
+        return self
+        
+    def expand(self, arg):
+        """Flat indices for an index, a bit, a list of them or a whole register"""
+        if isinstance(arg, (Register, list, tuple, range)):
+            return [int(item) for item in arg]
+        return [int(arg)]
         
     def h(self, qubit):
         """Hadamard gate"""
-        self.operations.append({'type': 'H', 'qubit': qubit})
-        return self
+        return self.append_operation('H', [qubit])
         
     def x(self, qubit):
         """Pauli-X gate"""
-        self.operations.append({'type': 'X', 'qubit': qubit})
-        return self
+        return self.append_operation('X', [qubit])
         
     def y(self, qubit):
         """Pauli-Y gate"""
-        self.operations.append({'type': 'Y', 'qubit': qubit})
-        return self
+        return self.append_operation('Y', [qubit])
         
     def z(self, qubit):
         """Pauli-Z gate"""
-        self.operations.append({'type': 'Z', 'qubit': qubit})
-        return self
+        return self.append_operation('Z', [qubit])
+        
+    def s(self, qubit):
+        """S gate"""
+        return self.append_operation('S', [qubit])
+        
+    def sdg(self, qubit):
+        """S-dagger gate"""
+        return self.append_operation('SDG', [qubit])
+        
+    def t(self, qubit):
+        """T gate"""
+        return self.append_operation('T', [qubit])
+        
+    def tdg(self, qubit):
+        """T-dagger gate"""
+        return self.append_operation('TDG', [qubit])
+        
+    def sx(self, qubit):
+        """Sqrt-X gate"""
+        return self.append_operation('SX', [qubit])
+        
+    def p(self, theta, qubit):
+        """Phase gate"""
+        return self.append_operation('P', [qubit], [theta])
+        
+    def u(self, theta, phi, lam, qubit):
+        """General single-qubit gate U3(theta, phi, lambda)"""
+        return self.append_operation('U3', [qubit], [theta, phi, lam])
+        
+    u3 = u
         
     def cnot(self, control, target):
         """CNOT gate"""
-        self.operations.append({'type': 'CNOT', 'control': control, 'target': target})
-        return self
+        return self.append_operation('CNOT', [control, target])
+        
+    cx = cnot
         
     def cz(self, control, target):
         """Controlled-Z gate"""
-        self.operations.append({'type': 'CZ', 'control': control, 'target': target})
-        return self
+        return self.append_operation('CZ', [control, target])
+        
+    def swap(self, qubit1, qubit2):
+        """SWAP gate"""
+        return self.append_operation('SWAP', [qubit1, qubit2])
+        
+    def iswap(self, qubit1, qubit2):
+        """iSWAP gate"""
+        return self.append_operation('ISWAP', [qubit1, qubit2])
+        
+    def crx(self, theta, control, target):
+        """Controlled X rotation"""
+        return self.append_operation('CRX', [control, target], [theta])
+        
+    def cry(self, theta, control, target):
+        """Controlled Y rotation"""
+        return self.append_operation('CRY', [control, target], [theta])
+        
+    def crz(self, theta, control, target):
+        """Controlled Z rotation"""
+        return self.append_operation('CRZ', [control, target], [theta])
+        
+    def cp(self, theta, control, target):
+        """Controlled phase gate"""
+        return self.append_operation('CP', [control, target], [theta])
+        
+    def ccx(self, control1, control2, target):
+        """Toffoli gate"""
+        return self.append_operation('CCX', [control1, control2, target])
+        
+    def mcx(self, controls, target):
+        """Multi-controlled X gate"""
+        return self.append_operation('MCX', list(controls) + [target])
         
     def rx(self, theta, qubit):
         """X rotation gate"""
-        self.operations.append({'type': 'RX', 'angle': theta, 'qubit': qubit})
-        return self
+        return self.append_operation('RX', [qubit], [theta])
         
     def ry(self, theta, qubit):
         """Y rotation gate"""
-        self.operations.append({'type': 'RY', 'angle': theta, 'qubit': qubit})
-        return self
+        return self.append_operation('RY', [qubit], [theta])
         
     def rz(self, theta, qubit):
         """Z rotation gate"""
-        self.operations.append({'type': 'RZ', 'angle': theta, 'qubit': qubit})
-        return self
+        return self.append_operation('RZ', [qubit], [theta])
         
     def measure(self, qubit, classical_bit):
-        """Measure specific qubit"""
-        self.measurements.append({'qubit': qubit, 'classical_bit': classical_bit})
+        """Measure specific qubit (registers and lists measure element by element)"""
+        qubits, cbits = self.expand(qubit), self.expand(classical_bit)
+        if len(qubits) != len(cbits):
+            raise ValueError(f"Cannot measure {len(qubits)} qubits into {len(cbits)} classical bits")
+        for q, c in zip(qubits, cbits):
+            self.append_operation('MEASURE', [q], cbits=[c])
+        return self
+        
+    def reset(self, qubit):
+        """Return qubits to |0>"""
+        for q in self.expand(qubit):
+            self.append_operation('RESET', [q])
+        return self
+        
+    def c_if(self, classical, value):
+        """Run the most recent operation only when a classical register or bit equals value"""
+        if not self.operations:
+            raise ValueError("c_if needs a preceding operation")
+        cbits = classical.indices() if isinstance(classical, Register) else [int(classical)]
+        if not 0 <= int(value) < 2 ** len(cbits):
+            raise ValueError(f"Condition value {value} does not fit in {len(cbits)} classical bits")
+        self.operations[-1]['condition'] = {'cbits': cbits, 'value': int(value)}
         return self
         
+    def is_dynamic(self):
+        """True when measurements are followed by gates, or resets or conditions appear"""
+        measured = False
+        for op in self.operations:
+            if op['type'] == 'RESET' or 'condition' in op or (measured and op['type'] != 'MEASURE'):
+                return True
+            measured = measured or op['type'] == 'MEASURE'
+        return False
+        
+    def format_counts_key(self, bits):
+        """Qiskit bitstring: classical bit 0 rightmost, registers separated by spaces"""
+        if not self.named_registers or len(self.cregs) < 2:
+            return ''.join(str(bit) for bit in reversed(bits))
+        return ' '.join(''.join(str(bits[i]) for i in reversed(register.indices()))
+                        for register in reversed(self.cregs))
+        
     def measure_all(self):
         """Measure all qubits"""
         for i in range(self.qubits):
-            self.measurements.append({'qubit': i, 'classical_bit': i})
+            self.measure(i, i)
         return self
         
+    @property
+    def measurements(self):
+        """(qubit, classical bit) pairs in program order"""
+        return [(q, c) for op in self.operations if op['type'] == 'MEASURE'
+                for q, c in zip(op['qubits'], op['cbits'])]
+        
     def barrier(self, *qubits):
         """Barrier (no-op for simulation)"""
         return self
@@ -134,67 +326,238 @@ class QuantumCircuit:
         """Draw circuit (simplified)"""
         circuit_str = f"Circuit with {self.qubits} qubits:\\n"
         for op in self.operations:
-            if op['type'] in ['H', 'X', 'Y', 'Z']:
-                circuit_str += f"{op['type']}(q{op['qubit']}) "
-            elif op['type'] in ['CNOT', 'CZ']:
-                circuit_str += f"{op['type']}(q{op['control']}, q{op['target']}) "
-            elif 'angle' in op:
-                circuit_str += f"{op['type']}({op['angle']:.3f}, q{op['qubit']}) "
+            params = [f"{angle:.3f}" for angle in op['params']]
+            qubits = [f"q{q}" for q in op['qubits']]
+            circuit_str += f"{op['type']}({', '.join(params + qubits)}) "
         return circuit_str
         
     def to_dict(self):
-        """Export circuit as dictionary"""
-        return {
+        """Export circuit in the shared circuit IR format"""
+        num_clbits = max([self.classical_bits] + [c + 1 for _, c in self.measurements])
+        circuit = {
+            'format': 'qubitquest-circuit',
+            'version': 1,
             'qubits': self.qubits,
-            'operations': self.operations,
-            'measurements': self.measurements
+            'clbits': num_clbits,
+            'operations': self.operations
         }
+        if self.named_registers and self.cregs:
+            circuit['cregs'] = [{'name': r.name, 'size': r.size} for r in self.cregs]
+        return circuit
+
+class StatevectorEngine:
+    """Dense statevector; qubit q is bit q of the basis index (Qiskit ordering)"""
+    SQRT_HALF = 1 / np.sqrt(2)
+    
+    def __init__(self, num_qubits):
+        self.num_qubits = num_qubits
+        self.indices = np.arange(2 ** num_qubits)
+        self.state = np.zeros(2 ** num_qubits, dtype=complex)
+        self.state[0] = 1
+        
+    def gate_matrix(self, op):
+        gate = op['type']
+        if gate in ('CRX', 'CRY', 'CRZ', 'CP'):
+            gate = gate[1:]  # Controlled variants reuse the single-qubit matrix
+        if gate == 'H':
+            return np.array([[1, 1], [1, -1]], dtype=complex) * self.SQRT_HALF
+        if gate in ('X', 'CNOT', 'CCX', 'MCX'):
+            return np.array([[0, 1], [1, 0]], dtype=complex)
+        if gate == 'Y':
+            return np.array([[0, -1j], [1j, 0]], dtype=complex)
+        if gate in ('Z', 'CZ'):
+            return np.array([[1, 0], [0, -1]], dtype=complex)
+        if gate in ('S', 'SDG', 'T', 'TDG'):
+            phase = {'S': 1j, 'SDG': -1j, 'T': np.exp(1j * np.pi / 4), 'TDG': np.exp(-1j * np.pi / 4)}[gate]
+            return np.array([[1, 0], [0, phase]], dtype=complex)
+        if gate == 'SX':
+            return np.array([[1 + 1j, 1 - 1j], [1 - 1j, 1 + 1j]], dtype=complex) / 2
+        if gate == 'P':
+            return np.array([[1, 0], [0, np.exp(1j * op['params'][0])]], dtype=complex)
+        if gate == 'U3':
+            theta, phi, lam = op['params']
+            return np.array([
+                [np.cos(theta / 2), -np.exp(1j * lam) * np.sin(theta / 2)],
+                [np.exp(1j * phi) * np.sin(theta / 2), np.exp(1j * (phi + lam)) * np.cos(theta / 2)]
+            ], dtype=complex)
+        
+        half = op['params'][0] / 2
+        if gate == 'RX':
+            return np.array([[np.cos(half), -1j * np.sin(half)], [-1j * np.sin(half), np.cos(half)]], dtype=complex)
+        if gate == 'RY':
+            return np.array([[np.cos(half), -np.sin(half)], [np.sin(half), np.cos(half)]], dtype=complex)
+        if gate == 'RZ':
+            return np.array([[np.exp(-1j * half), 0], [0, np.exp(1j * half)]], dtype=complex)
+        raise ValueError(f"Unsupported gate: {gate}")
+        
+    def apply(self, op):
+        qubits = op['qubits']
+        if op['type'] in ('MEASURE', 'RESET'):
+            return  # Sampled by QuantumSimulator.run; see measure and reset
+        if op['type'] in ('SWAP', 'ISWAP'):
+            self.apply_swap(qubits[0], qubits[1], op['type'] == 'ISWAP')
+        else:
+            self.apply_matrix(self.gate_matrix(op), qubits[-1], qubits[:-1])
+            
+    def apply_swap(self, qubit1, qubit2, with_phase=False):
+        x = self.gate_matrix({'type': 'X'})
+        if with_phase:
+            # iSWAP = SWAP . CZ . (S x S)
+            s = self.gate_matrix({'type': 'S'})
+            self.apply_matrix(s, qubit1)
+            self.apply_matrix(s, qubit2)
+            self.apply_matrix(self.gate_matrix({'type': 'Z'}), qubit2, [qubit1])
+        self.apply_matrix(x, qubit2, [qubit1])
+        self.apply_matrix(x, qubit1, [qubit2])
+        self.apply_matrix(x, qubit2, [qubit1])
+        
+    def apply_matrix(self, matrix, target, controls=()):
+        target_bit = 1 << target
+        selected = (self.indices & target_bit) == 0
+        for control in controls:
+            selected &= (self.indices & (1 << control)) != 0
+        
+        zero = self.indices[selected]
+        one = zero | target_bit
+        amp0 = self.state[zero]
+        amp1 = self.state[one]
+        self.state[zero] = matrix[0, 0] * amp0 + matrix[0, 1] * amp1
+        self.state[one] = matrix[1, 0] * amp0 + matrix[1, 1] * amp1
+        
+    def probabilities(self):
+        probs = np.abs(self.state) ** 2
+        return probs / probs.sum()
+        
+    def measure(self, qubit, rng):
+        """Collapse one qubit and return its outcome"""
+        is_one = (self.indices & (1 << qubit)) != 0
+        outcome = int(rng.random() < self.probabilities()[is_one].sum())
+        self.state[is_one != bool(outcome)] = 0
+        self.state /= np.linalg.norm(self.state)
+        return outcome
+        
+    def reset(self, qubit, rng):
+        if self.measure(qubit, rng):
+            self.apply_matrix(self.gate_matrix({'type': 'X'}), qubit)
+            
+    def sample(self, rng, shots):
+        """Basis-state index of every shot"""
+        return [int(outcome) for outcome in rng.choice(len(self.state), size=shots, p=self.probabilities())]
 
 class QuantumSimulator:
     def __init__(self):
         self.max_qubits = 8
+        self.max_stabilizer_qubits = qubitquest.max_stabilizer_qubits  # Clifford-only circuits run in JavaScript
         
-    def run(self, circuit, shots=1024):
+    def run(self, circuit, shots=1024, seed=None, memory=False):
         """Simulate quantum circuit execution"""
-        if circuit.qubits > self.max_qubits:
-            raise ValueError(f"Maximum {self.max_qubits} qubits supported")
+        ir = json.dumps(circuit.to_dict())
+        clifford = qubitquest.is_clifford(ir)
+        if circuit.qubits > (self.max_stabilizer_qubits if clifford else self.max_qubits):
+            if clifford:
+                raise ValueError(f"Maximum {self.max_stabilizer_qubits} qubits supported for Clifford circuits")
+            raise ValueError(f"Maximum {self.max_qubits} qubits supported (up to {self.max_stabilizer_qubits} for circuits of H, S, CNOT, CZ and Pauli gates)")
+        if shots < 1:
+            raise ValueError("shots must be a positive integer")
             
-        # Simple simulation using classical probability
-        results = {}
+        # Without explicit measurements, report every qubit into the matching bit
+        measurements = circuit.measurements or [(i, i) for i in range(circuit.qubits)]
+        num_clbits = max([circuit.classical_bits] + [c + 1 for _, c in measurements])
         
-        # Calculate rough probabilities based on operations
-        if any(op['type'] == 'H' for op in circuit.operations):
-            # If we have Hadamard gates, create superposition-like results
-            num_states = 2 ** circuit.qubits
-            for i in range(min(shots, num_states)):
-                state = format(np.random.randint(0, num_states), f'0{circuit.qubits}b')
-                results[state] = results.get(state, 0) + 1
+        if clifford:
+            shot_keys, state = self.run_clifford(circuit, ir, shots, seed, measurements, num_clbits), None
+        elif circuit.is_dynamic():
+            shot_keys, engine = self.run_shots(circuit, shots, np.random.default_rng(seed), num_clbits)
+            state = engine.state
         else:
-            # Mostly |0...0⟩ state without superposition
-            zero_state = '0' * circuit.qubits
-            results[zero_state] = shots
+            engine = StatevectorEngine(circuit.qubits)
+            for op in circuit.operations:
+                engine.apply(op)
+            
+            samples = engine.sample(np.random.default_rng(seed), shots)
+            keys = {}
+            for outcome in set(samples):
+                bits = [0] * num_clbits
+                for qubit, clbit in measurements:
+                    bits[clbit] = (outcome >> qubit) & 1
+                keys[outcome] = circuit.format_counts_key(bits)
+            shot_keys = [keys[outcome] for outcome in samples]
+            state = engine.state
+        
+        results = {}
+        for key in shot_keys:
+            results[key] = results.get(key, 0) + 1
             
-        return QuantumResult(results, shots)
+        shot_memory = shot_keys if memory else None
+        return QuantumResult(results, shots, state, shot_memory)
+        
+    def run_clifford(self, circuit, ir, shots, seed, measurements, num_clbits):
+        """Sample on the page's stabilizer simulator, whose bitstrings list the
+        measured classical bits in ascending order, lowest first"""
+        cbits = sorted({clbit for _, clbit in measurements})
+        shot_keys = []
+        for bitstring in qubitquest.run_clifford(ir, shots, seed).to_py():
+            bits = [0] * num_clbits
+            for clbit, bit in zip(cbits, bitstring):
+                bits[clbit] = int(bit)
+            shot_keys.append(circuit.format_counts_key(bits))
+        return shot_keys
+        
+    def run_shots(self, circuit, shots, rng, num_clbits):
+        """Re-simulate every shot so mid-circuit measurements, resets and
+        conditions follow each shot's own outcomes"""
+        shot_keys = []
+        for _ in range(shots):
+            engine = StatevectorEngine(circuit.qubits)
+            bits = [0] * num_clbits
+            for op in circuit.operations:
+                condition = op.get('condition')
+                if condition:
+                    value = sum(bits[cbit] << i for i, cbit in enumerate(condition['cbits']))
+                    if value != condition['value']:
+                        continue
+                if op['type'] == 'MEASURE':
+                    for qubit, clbit in zip(op['qubits'], op['cbits']):
+                        bits[clbit] = engine.measure(qubit, rng)
+                elif op['type'] == 'RESET':
+                    engine.reset(op['qubits'][0], rng)
+                else:
+                    engine.apply(op)
+            if not circuit.measurements:
+                for qubit in range(circuit.qubits):
+                    bits[qubit] = engine.measure(qubit, rng)
+            shot_keys.append(circuit.format_counts_key(bits))
+        return shot_keys, engine
 
 class QuantumResult:
-    def __init__(self, counts, shots):
+    def __init__(self, counts, shots, statevector=None, memory=None):
         self.counts = counts
         self.shots = shots
+        self.statevector = statevector
+        self.memory = memory
         
     def get_counts(self):
         return self.counts
         
     def get_probabilities(self):
         return {state: count/self.shots for state, count in self.counts.items()}
+        
+    def get_statevector(self):
+        return self.statevector
+        
+    def get_memory(self):
+        if self.memory is None:
+            raise ValueError("Memory was not requested; pass memory=True to execute")
+        return self.memory
 
 # Create simulator instance
 simulator = QuantumSimulator()
 
-def execute(circuit, backend=None, shots=1024):
+def execute(circuit, backend=None, shots=1024, seed_simulator=None, memory=False):
     """Execute quantum circuit"""
     if backend is None:
         backend = simulator
-    return backend.run(circuit, shots)
+    return backend.run(circuit, shots, seed=seed_simulator, memory=memory)
 
 # Mock some additional Qiskit functionality
 class Aer:
@@ -203,9 +566,15 @@ class Aer:
         return simulator
 
 # Export main classes and functions
-__all__ = ['QuantumCircuit', 'execute', 'Aer', 'QuantumSimulator']
+__all__ = ['QuantumCircuit', 'QuantumRegister', 'ClassicalRegister', 'execute', 'Aer', 'QuantumSimulator']
 `;
 
+        // Clifford circuits run on the page's stabilizer simulator instead of a Python copy of it
+        this.pyodide.registerJsModule('qubitquest', {
+            max_stabilizer_qubits: new QuantumSimulator().maxStabilizerQubits,
+            is_clifford: circuitJson => this.isClifford(JSON.parse(circuitJson)),
+            run_clifford: (circuitJson, shots, seed) => this.runClifford(JSON.parse(circuitJson), shots, seed)
+        });
         await this.pyodide.runPython(mockQiskitCode);
         
         // Make it available as 'qiskit' module
@@ -214,12 +583,35 @@ import sys
 import types
 qiskit = types.ModuleType('qiskit')
 qiskit.QuantumCircuit = QuantumCircuit
+qiskit.QuantumRegister = QuantumRegister
+qiskit.ClassicalRegister = ClassicalRegister
 qiskit.execute = execute
 qiskit.Aer = Aer
 sys.modules['qiskit'] = qiskit
 `);
     }
 
+    /**
+     * Whether a circuit of the mock Qiskit holds only Clifford gates,
+     * measurements and resets, so it runs on the stabilizer simulator
+     */
+    isClifford(circuit) {
+        return CircuitIR.normalize(circuit).operations.every(op => StabilizerSimulator.isClifford(op));
+    }
+
+    /**
+     * Sample a Clifford circuit of the mock Qiskit on the stabilizer simulator
+     *
+     * @returns {string[]} per shot, the measured classical bits in ascending order
+     */
+    runClifford(circuit, shots, seed) {
+        const options = { shots, memory: true };
+        if (seed !== undefined && seed !== null) {
+            options.seed = seed;
+        }
+        return new QuantumSimulator().run(circuit, options).memory;
+    }
+
     async setupQuantumEnvironment() {
         // Setup global environment for quantum computing
         await this.pyodide.runPython(`
@@ -419,7 +811,7 @@ import json
 json.dumps(circuit.to_dict())
 `);
 
-                const circuit = JSON.parse(circuitData);
+                const circuit = CircuitIR.normalize(JSON.parse(circuitData));
                 
                 // Update circuit designer if available
                 if (window.circuitDesigner) {
@@ -784,4 +1176,4 @@ if (typeof module !== 'undefined' && module.exports) {
 }
 
 // Global access
-window.CodeExecutor = CodeExecutor;
\ No newline at end of file
+globalThis.CodeExecutor = CodeExecutor;
\ No newline at end of file
@@ -0,0 +1,116 @@
+/**
+ * Convergence Chart
+ *
+ * SVG line chart of optimizer energy per iteration, fed one record at a time
+ * by VariationalRunner.optimize({ onIteration }), with the brute-force
+ * classical optimum drawn as a dashed reference line
+ */
+
+class ConvergenceChart {
+    constructor(container, options = {}) {
+        this.container = container;
+        this.width = options.width || 480;
+        this.height = options.height || 220;
+        this.margin = { top: 16, right: 16, bottom: 32, left: 64 };
+        this.history = [];
+        this.baseline = null;
+
+        this.svg = document.createElementNS(ConvergenceChart.SVG_NS, 'svg');
+        this.svg.setAttribute('class', 'convergence-chart-svg');
+        this.svg.setAttribute('viewBox', `0 0 ${this.width} ${this.height}`);
+        this.svg.setAttribute('width', '100%');
+        this.container.appendChild(this.svg);
+        this.render();
+    }
+
+    /**
+     * Reference value the optimizer is chasing, e.g. the classical optimum
+     */
+    setBaseline(value, label = 'Classical optimum') {
+        this.baseline = { value, label };
+        this.render();
+    }
+
+    addPoint(record) {
+        this.history.push(record);
+        this.render();
+    }
+
+    reset() {
+        this.history = [];
+        this.baseline = null;
+        this.render();
+    }
+
+    render() {
+        while (this.svg.firstChild) {
+            this.svg.removeChild(this.svg.firstChild);
+        }
+
+        const { top, right, bottom, left } = this.margin;
+        const plotWidth = this.width - left - right;
+        const plotHeight = this.height - top - bottom;
+
+        const values = this.history.map(record => record.energy);
+        if (this.baseline) values.push(this.baseline.value);
+        let low = values.length ? Math.min(...values) : 0;
+        let high = values.length ? Math.max(...values) : 1;
+        if (high - low < 1e-9) {
+            low -= 0.5;
+            high += 0.5;
+        }
+        const lastIteration = Math.max(1, this.history.length - 1);
+
+        const x = iteration => left + plotWidth * iteration / lastIteration;
+        const y = value => top + plotHeight * (high - value) / (high - low);
+
+        // Axes with min / max energy ticks
+        this.addElement('line', { x1: left, y1: top, x2: left, y2: top + plotHeight, stroke: '#666' });
+        this.addElement('line', { x1: left, y1: top + plotHeight, x2: left + plotWidth, y2: top + plotHeight, stroke: '#666' });
+        this.addText(left - 6, y(high) + 4, high.toFixed(3), 'end');
+        this.addText(left - 6, y(low) + 4, low.toFixed(3), 'end');
+        this.addText(left + plotWidth / 2, this.height - 6, 'Iteration', 'middle');
+        this.addText(left + plotWidth, top + plotHeight + 16, String(lastIteration), 'end');
+
+        if (this.baseline) {
+            const baselineY = y(this.baseline.value);
+            this.addElement('line', {
+                x1: left, y1: baselineY, x2: left + plotWidth, y2: baselineY,
+                stroke: '#ffd93d', 'stroke-dasharray': '6 4'
+            });
+            this.addText(left + plotWidth - 4, baselineY - 6, this.baseline.label, 'end', '#ffd93d');
+        }
+
+        if (this.history.length > 0) {
+            const points = this.history.map((record, i) => `${x(i)},${y(record.energy)}`).join(' ');
+            this.addElement('polyline', { points, fill: 'none', stroke: '#4ecdc4', 'stroke-width': 2 });
+
+            const last = this.history[this.history.length - 1];
+            this.addElement('circle', { cx: x(this.history.length - 1), cy: y(last.energy), r: 3, fill: '#4ecdc4' });
+            this.addText(left + 6, top + 12, `⟨H⟩ = ${last.energy.toFixed(4)}`, 'start', '#4ecdc4');
+        }
+    }
+
+    addElement(tag, attributes) {
+        const element = document.createElementNS(ConvergenceChart.SVG_NS, tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        this.svg.appendChild(element);
+        return element;
+    }
+
+    addText(x, y, text, anchor = 'start', color = '#999') {
+        const element = this.addElement('text', { x, y, 'text-anchor': anchor, fill: color, 'font-size': 11 });
+        element.textContent = text;
+        return element;
+    }
+}
+
+ConvergenceChart.SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConvergenceChart;
+}
+
+// Global access
+globalThis.ConvergenceChart = ConvergenceChart;
@@ -0,0 +1,108 @@
+/**
+ * History Timeline
+ *
+ * Undo and redo buttons plus a slider over the sync engine's workspace
+ * history, so a learner can scrub back through how a solution evolved and
+ * every panel follows. Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or Ctrl+Y) work
+ * anywhere outside a text field, where the browser's own undo applies.
+ */
+
+class HistoryTimeline {
+    /**
+     * @param {HTMLElement} container
+     * @param {QuadraticSyncEngine} syncEngine - with a WorkspaceHistory
+     */
+    constructor(container, syncEngine) {
+        if (!syncEngine.history) {
+            throw new Error('WorkspaceHistory not loaded. Include js/core/workspace-history.js');
+        }
+
+        this.container = container;
+        this.syncEngine = syncEngine;
+        this.history = syncEngine.history;
+
+        this.undoButton = this.createButton('↶ Undo', 'Undo the last change in any panel', () => this.syncEngine.undo());
+        this.redoButton = this.createButton('↷ Redo', 'Redo', () => this.syncEngine.redo());
+
+        this.slider = document.createElement('input');
+        this.slider.type = 'range';
+        this.slider.min = '0';
+        this.slider.className = 'history-timeline-slider';
+        this.slider.addEventListener('input', () => this.syncEngine.goToHistory(parseInt(this.slider.value)));
+        this.container.appendChild(this.slider);
+
+        this.label = document.createElement('span');
+        this.label.className = 'history-timeline-label';
+        this.container.appendChild(this.label);
+
+        document.addEventListener('keydown', event => this.handleKeydown(event));
+        this.listenerId = this.history.addListener(() => this.render());
+        this.render();
+    }
+
+    createButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'history-timeline-button';
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        this.container.appendChild(button);
+        return button;
+    }
+
+    handleKeydown(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+        const target = event.target;
+        if (target && (target.tagName === 'TEXTAREA' || target.tagName === 'INPUT' || target.isContentEditable)) return;
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.syncEngine.undo();
+        } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+            event.preventDefault();
+            this.syncEngine.redo();
+        }
+    }
+
+    render() {
+        const entries = this.history.entries;
+        const entry = this.history.current();
+
+        this.undoButton.disabled = !this.history.canUndo();
+        this.redoButton.disabled = !this.history.canRedo();
+        this.slider.max = String(Math.max(entries.length - 1, 0));
+        this.slider.value = String(Math.max(this.history.position, 0));
+        this.slider.disabled = entries.length < 2;
+
+        this.label.textContent = entry ?
+            `${this.history.position + 1} / ${entries.length} · ${HistoryTimeline.describe(entry)}` :
+            'No changes yet';
+    }
+
+    /**
+     * One line for an entry: what changed, the circuit's size and when
+     */
+    static describe(entry) {
+        const what = HistoryTimeline.SOURCE_LABELS[entry.source] || entry.source;
+        const circuit = entry.state.circuit;
+        const gates = circuit ? ` · ${circuit.operations.length} gate${circuit.operations.length === 1 ? '' : 's'}` : '';
+        return `${what}${gates} · ${new Date(entry.timestamp).toLocaleTimeString()}`;
+    }
+}
+
+HistoryTimeline.SOURCE_LABELS = {
+    plainspeak: 'Plainspeak edit',
+    code: 'Code edit',
+    notation: 'Notation edit',
+    circuit: 'Circuit edit',
+    workspace: 'Workspace loaded'
+};
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryTimeline;
+}
+
+// Global access
+globalThis.HistoryTimeline = HistoryTimeline;
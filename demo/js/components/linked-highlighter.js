@@ -0,0 +1,273 @@
+/**
+ * Linked Highlighter
+ *
+ * Points at an operation in one panel and lights it up in the other three,
+ * using the sync engine's source map:
+ * - plainspeak, code and notation source: the caret or selection in the textarea
+ * - circuit: the gate under the pointer, or the last gate clicked
+ * - notation display: the rendered operator term under the pointer, or clicked
+ *
+ * Hovering shows its operations while the pointer stays; the caret, a
+ * selection or a click keeps its operations lit until the next one. A
+ * textarea cannot style part of its text, so each one gets a backdrop behind
+ * it repeating the text with the linked spans marked.
+ */
+
+class LinkedHighlighter {
+    /**
+     * @param {QuadraticSyncEngine} syncEngine - owns the source map and the panels
+     * @param {CircuitDesigner} circuitDesigner - optional
+     */
+    constructor(syncEngine, circuitDesigner = null) {
+        if (!syncEngine.sourceMap) {
+            throw new Error('CircuitSourceMap not loaded. Include js/core/source-map.js');
+        }
+
+        this.syncEngine = syncEngine;
+        this.sourceMap = syncEngine.sourceMap;
+        this.circuitDesigner = circuitDesigner;
+        this.editors = {}; // representation -> { textarea, backdrop }
+        this.selected = [];
+        this.hovered = null;
+
+        const textareas = {
+            plainspeak: syncEngine.panels.plainspeak,
+            code: syncEngine.panels.code,
+            notation: syncEngine.notationEditor
+        };
+        Object.entries(textareas).forEach(([representation, textarea]) => {
+            if (textarea) this.attachEditor(representation, textarea);
+        });
+
+        if (syncEngine.panels.notation) {
+            this.attachPointer(syncEngine.panels.notation, '[id^="notation-op-"]',
+                element => [element.id.slice('notation-op-'.length)]);
+        }
+        if (circuitDesigner && circuitDesigner.container) {
+            this.attachPointer(circuitDesigner.container, '.circuit-gate',
+                element => [LinkedHighlighter.operationId(element.dataset.gateId, this.mappedIds())]);
+        }
+
+        // Panels were rewritten: show the selection against the new texts
+        this.listenerId = syncEngine.addListener(() => this.render());
+    }
+
+    /**
+     * Wrap a textarea with a backdrop that draws the marks behind its text
+     */
+    attachEditor(representation, textarea) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'linked-highlight';
+        const backdrop = document.createElement('div');
+        backdrop.className = 'linked-highlight-backdrop';
+        backdrop.setAttribute('aria-hidden', 'true');
+
+        // Same box and font as the textarea so the marks line up with its text
+        const style = window.getComputedStyle(textarea);
+        LinkedHighlighter.MIRRORED_STYLES.forEach(property => {
+            backdrop.style[property] = style[property];
+        });
+        backdrop.style.top = style.marginTop;
+        backdrop.style.right = style.marginRight;
+        backdrop.style.bottom = style.marginBottom;
+        backdrop.style.left = style.marginLeft;
+
+        textarea.parentNode.insertBefore(wrapper, textarea);
+        wrapper.appendChild(backdrop);
+        wrapper.appendChild(textarea);
+        this.editors[representation] = { textarea, backdrop };
+
+        const select = () => this.select(this.idsInEditor(representation));
+        ['select', 'keyup', 'mouseup'].forEach(type => textarea.addEventListener(type, select));
+        textarea.addEventListener('input', () => this.clear());
+        textarea.addEventListener('scroll', () => {
+            backdrop.scrollTop = textarea.scrollTop;
+            backdrop.scrollLeft = textarea.scrollLeft;
+        });
+    }
+
+    /**
+     * Hover and click over elements matching `selector` inside container
+     */
+    attachPointer(container, selector, idsOf) {
+        const target = event => (event.target && event.target.closest ? event.target.closest(selector) : null);
+
+        container.addEventListener('mouseover', event => {
+            const element = target(event);
+            if (element) this.hover(idsOf(element));
+        });
+        container.addEventListener('mouseout', event => {
+            const element = target(event);
+            if (element && !(event.relatedTarget && element.contains(event.relatedTarget))) {
+                this.hover(null);
+            }
+        });
+        container.addEventListener('click', event => {
+            if (event.altKey) return; // Alt+click is the debugger's breakpoint toggle
+            const element = target(event);
+            this.select(element ? idsOf(element) : []);
+        });
+    }
+
+    hover(ids) {
+        this.hovered = ids && ids.map(String);
+        this.render();
+    }
+
+    select(ids) {
+        this.selected = ids.map(String);
+        this.render();
+    }
+
+    /**
+     * Operation ids lit up right now: what is hovered, else what is selected
+     */
+    activeIds() {
+        return this.hovered || this.selected;
+    }
+
+    /**
+     * Every id the source map links to some text
+     */
+    mappedIds() {
+        const ids = new Set();
+        CircuitSourceMap.REPRESENTATIONS.forEach(representation => {
+            this.sourceMap.getSpans(representation).forEach(span => ids.add(span.id));
+        });
+        return ids;
+    }
+
+    /**
+     * Spans in the coordinates of the text a textarea holds, [] when the
+     * source map was built from another text
+     */
+    editorSpans(representation) {
+        const text = this.editors[representation].textarea.value;
+
+        if (representation === 'notation') {
+            // The notation editor shows the source with <br> turned into new lines
+            const source = this.sourceMap.getText('notation');
+            if (source === null) return [];
+            const { text: shown, offsets } = LinkedHighlighter.stripBreaks(source);
+            if (shown !== text) return [];
+            return this.sourceMap.getSpans('notation').map(({ id, start, end }) =>
+                ({ id, start: offsets[start], end: offsets[end] }));
+        }
+
+        return this.sourceMap.isCurrent(representation, text) ? this.sourceMap.getSpans(representation) : [];
+    }
+
+    /**
+     * Ids under the caret or selection of a textarea
+     */
+    idsInEditor(representation) {
+        const { selectionStart, selectionEnd } = this.editors[representation].textarea;
+        const ids = this.editorSpans(representation)
+            .filter(span => span.start <= selectionEnd && span.end >= selectionStart)
+            .map(span => span.id);
+        return [...new Set(ids)];
+    }
+
+    /**
+     * Apply the active ids to every panel
+     */
+    render() {
+        const active = new Set(this.activeIds());
+
+        Object.keys(this.editors).forEach(representation => this.renderEditor(representation, active));
+
+        if (this.syncEngine.panels.notation) {
+            this.syncEngine.panels.notation.querySelectorAll('[id^="notation-op-"]').forEach(element => {
+                element.classList.toggle('linked-highlight-active', active.has(element.id.slice('notation-op-'.length)));
+            });
+        }
+
+        if (this.circuitDesigner && this.circuitDesigner.container) {
+            this.circuitDesigner.container.querySelectorAll('.circuit-gate').forEach(element => {
+                const id = LinkedHighlighter.operationId(element.dataset.gateId, active);
+                element.classList.toggle('linked-highlight-active', active.has(id));
+            });
+        }
+    }
+
+    renderEditor(representation, active) {
+        const { textarea, backdrop } = this.editors[representation];
+        const text = textarea.value;
+        const spans = active.size > 0 ? this.editorSpans(representation).filter(span => active.has(span.id)) : [];
+
+        let html = '';
+        let cursor = 0;
+        spans.forEach(({ start, end }) => {
+            if (start < cursor) start = cursor; // several operations from one statement share its span
+            if (end <= start) return;
+            html += LinkedHighlighter.escapeHtml(text.slice(cursor, start));
+            html += `<mark>${LinkedHighlighter.escapeHtml(text.slice(start, end))}</mark>`;
+            cursor = end;
+        });
+        // A trailing new line needs something after it to take up its line
+        html += LinkedHighlighter.escapeHtml(text.slice(cursor)) + ' ';
+
+        backdrop.innerHTML = html;
+        backdrop.scrollTop = textarea.scrollTop;
+        backdrop.scrollLeft = textarea.scrollLeft;
+    }
+
+    clear() {
+        this.hovered = null;
+        this.selected = [];
+        this.render();
+    }
+
+    /**
+     * The designer draws a measurement of several qubits as one box per qubit,
+     * with ids "<operation id>_<qubit>"; map such a box back to its operation
+     */
+    static operationId(gateId, ids) {
+        const id = String(gateId);
+        if (ids.has(id)) return id;
+        const match = id.match(/^(.*)_\d+$/);
+        return match && ids.has(match[1]) ? match[1] : id;
+    }
+
+    /**
+     * The notation source as the editor shows it, with offsets[i] the position
+     * in that text of offset i of the source
+     */
+    static stripBreaks(source) {
+        const breakTag = /<br\s*\/?>/y;
+        const offsets = [];
+        let text = '';
+        let i = 0;
+        while (i < source.length) {
+            breakTag.lastIndex = i;
+            const match = breakTag.exec(source);
+            const length = match ? match[0].length : 1;
+            for (let k = 0; k < length; k++) {
+                offsets[i + k] = text.length;
+            }
+            text += match ? '\n' : source[i];
+            i += length;
+        }
+        offsets[source.length] = text.length;
+        return { text, offsets };
+    }
+
+    static escapeHtml(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+}
+
+// Computed styles copied from a textarea to its backdrop
+LinkedHighlighter.MIRRORED_STYLES = [
+    'boxSizing', 'fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing', 'tabSize',
+    'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+    'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'backgroundColor'
+];
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinkedHighlighter;
+}
+
+// Global access
+globalThis.LinkedHighlighter = LinkedHighlighter;
@@ -0,0 +1,304 @@
+/**
+ * State Visualizer
+ *
+ * Live view of the simulated state of a circuit at any time step:
+ * - one Bloch vector per qubit, from its reduced density matrix (shorter
+ *   than the unit sphere when the qubit is entangled with the others)
+ * - amplitude bars, height |α| and hue the phase arg(α)
+ * - the measurement probability histogram |α|²
+ *
+ * A slider scrubs through the circuit's time steps; step 0 is |0...0⟩.
+ * Measurements collapse the state with a fixed seed, so scrubbing back and
+ * forth shows the same outcomes.
+ */
+
+class StateVisualizer {
+    /**
+     * @param {HTMLElement} container
+     * @param {Object} options - { onStep(time): called whenever the view moves with
+     *   the earliest operation time not yet applied, seed = 7 for measurement outcomes }
+     */
+    constructor(container, options = {}) {
+        this.container = container;
+        this.onStep = options.onStep || null;
+        this.seed = options.seed !== undefined ? options.seed : 7;
+        this.circuit = null;
+        this.times = [];
+        this.step = 0;
+
+        const controls = document.createElement('div');
+        controls.className = 'state-visualizer-controls';
+
+        this.slider = document.createElement('input');
+        this.slider.type = 'range';
+        this.slider.min = '0';
+        this.slider.max = '0';
+        this.slider.value = '0';
+        this.slider.className = 'state-visualizer-slider';
+        this.slider.addEventListener('input', () => this.setStep(parseInt(this.slider.value)));
+
+        this.stepLabel = document.createElement('span');
+        this.stepLabel.className = 'state-visualizer-step';
+
+        controls.appendChild(this.slider);
+        controls.appendChild(this.stepLabel);
+        this.container.appendChild(controls);
+
+        this.message = document.createElement('div');
+        this.message.className = 'state-visualizer-message';
+        this.container.appendChild(this.message);
+
+        this.blochSvg = this.createSvg('Bloch vectors');
+        this.amplitudeSvg = this.createSvg('Amplitudes');
+        this.probabilitySvg = this.createSvg('Probabilities');
+    }
+
+    createSvg(title) {
+        const section = document.createElement('div');
+        section.className = 'state-visualizer-section';
+
+        const heading = document.createElement('h5');
+        heading.textContent = title;
+        section.appendChild(heading);
+
+        const svg = document.createElementNS(StateVisualizer.SVG_NS, 'svg');
+        svg.setAttribute('class', 'state-visualizer-svg');
+        svg.setAttribute('width', '100%');
+        section.appendChild(svg);
+
+        this.container.appendChild(section);
+        return svg;
+    }
+
+    /**
+     * Show a new circuit. The view stays on the same time step unless it was
+     * on the last one, in which case it follows the circuit as it grows
+     */
+    setCircuit(circuit) {
+        const following = this.step >= this.times.length;
+        this.circuit = CircuitIR.normalize(circuit);
+        this.times = [...new Set(this.circuit.operations.map(op => op.time))].sort((a, b) => a - b);
+        this.slider.max = String(this.times.length);
+
+        this.setStep(following ? this.times.length : Math.min(this.step, this.times.length));
+    }
+
+    /**
+     * Show the state after the first `step` time steps of the circuit
+     */
+    setStep(step) {
+        this.step = Math.max(0, Math.min(step, this.times.length));
+        this.slider.value = String(this.step);
+        this.stepLabel.textContent = `Step ${this.step} / ${this.times.length}`;
+        this.render();
+
+        if (this.onStep) {
+            this.onStep(this.cutoffTime());
+        }
+    }
+
+    /**
+     * Operations with a time below this have been applied at the current step
+     */
+    cutoffTime() {
+        return this.step < this.times.length ? this.times[this.step] : Infinity;
+    }
+
+    /**
+     * Simulate up to the current step
+     *
+     * @returns {{qubits: number, amplitudes: Array, probabilities: number[], bloch: Array<{x, y, z}>}}
+     */
+    computeState() {
+        const simulator = new QuantumSimulator();
+        simulator.initialize(this.circuit.qubits, { mode: 'statevector' });
+        if (typeof SeededRandom !== 'undefined') {
+            simulator.setRandomSource(this.seed);
+        }
+
+        const cutoff = this.cutoffTime();
+        this.circuit.operations
+            .filter(op => op.time < cutoff)
+            .sort((a, b) => a.time - b.time)
+            .forEach(op => simulator.executeOperation(op));
+
+        const qubits = this.circuit.qubits;
+        return {
+            qubits,
+            amplitudes: simulator.getStateVector().map(amplitude => simulator.toComplex(amplitude)),
+            probabilities: simulator.getProbabilities(),
+            bloch: Array.from({ length: qubits }, (_, qubit) =>
+                StateVisualizer.blochVector(simulator.getReducedDensityMatrix([qubit])))
+        };
+    }
+
+    /**
+     * Bloch vector of a one-qubit density matrix ρ = (I + xX + yY + zZ) / 2
+     */
+    static blochVector(rho) {
+        const offDiagonal = typeof rho[0][1] === 'number' ? { real: rho[0][1], imag: 0 } : rho[0][1];
+        const diagonal = entry => (typeof entry === 'number' ? entry : entry.real);
+        return {
+            x: 2 * offDiagonal.real,
+            y: -2 * offDiagonal.imag,
+            z: diagonal(rho[0][0]) - diagonal(rho[1][1])
+        };
+    }
+
+    /**
+     * Oblique projection of a Bloch vector onto the screen: y to the right,
+     * z up, x toward the viewer (down and to the left)
+     */
+    static project({ x, y, z }) {
+        return { u: y - 0.35 * x, v: z - 0.25 * x };
+    }
+
+    render() {
+        [this.blochSvg, this.amplitudeSvg, this.probabilitySvg].forEach(svg => {
+            while (svg.firstChild) {
+                svg.removeChild(svg.firstChild);
+            }
+        });
+        this.message.textContent = '';
+
+        if (!this.circuit) return;
+        if (this.circuit.qubits > StateVisualizer.MAX_QUBITS) {
+            this.message.textContent = `The state view is limited to ${StateVisualizer.MAX_QUBITS} qubits`;
+            return;
+        }
+
+        let state;
+        try {
+            state = this.computeState();
+        } catch (error) {
+            console.warn('State visualization failed:', error);
+            this.message.textContent = `Cannot simulate this step: ${error.message}`;
+            return;
+        }
+
+        this.renderBlochSpheres(state);
+        this.renderBars(this.amplitudeSvg, state, index => {
+            const amplitude = state.amplitudes[index];
+            return {
+                value: Math.hypot(amplitude.real, amplitude.imag),
+                color: StateVisualizer.phaseColor(Math.atan2(amplitude.imag, amplitude.real)),
+                label: null
+            };
+        });
+        this.renderBars(this.probabilitySvg, state, index => ({
+            value: state.probabilities[index],
+            color: '#4ecdc4',
+            label: `${(state.probabilities[index] * 100).toFixed(0)}%`
+        }));
+    }
+
+    renderBlochSpheres(state) {
+        const size = 110;
+        const radius = 40;
+        this.blochSvg.setAttribute('viewBox', `0 0 ${size * state.qubits} ${size + 20}`);
+
+        state.bloch.forEach((vector, qubit) => {
+            const cx = size * qubit + size / 2;
+            const cy = size / 2 + 5;
+            const point = bloch => {
+                const { u, v } = StateVisualizer.project(bloch);
+                return { x: cx + radius * u, y: cy - radius * v };
+            };
+
+            this.addElement(this.blochSvg, 'circle', { cx, cy, r: radius, fill: 'none', stroke: '#444' });
+            const equator = Array.from({ length: 37 }, (_, i) => {
+                const angle = i * Math.PI / 18;
+                const { x, y } = point({ x: Math.cos(angle), y: Math.sin(angle), z: 0 });
+                return `${x},${y}`;
+            }).join(' ');
+            this.addElement(this.blochSvg, 'polyline', { points: equator, fill: 'none', stroke: '#333', 'stroke-dasharray': '3 3' });
+            this.addElement(this.blochSvg, 'line', { x1: cx, y1: cy - radius, x2: cx, y2: cy + radius, stroke: '#333' });
+            this.addText(this.blochSvg, cx, cy - radius - 3, '|0⟩', 'middle');
+            this.addText(this.blochSvg, cx, cy + radius + 11, '|1⟩', 'middle');
+
+            const tip = point(vector);
+            this.addElement(this.blochSvg, 'line', { x1: cx, y1: cy, x2: tip.x, y2: tip.y, stroke: '#ffd93d', 'stroke-width': 2 });
+            this.addElement(this.blochSvg, 'circle', { cx: tip.x, cy: tip.y, r: 3, fill: '#ffd93d' });
+
+            // A mixed reduced state means the qubit is entangled with the rest
+            const length = Math.hypot(vector.x, vector.y, vector.z);
+            this.addText(this.blochSvg, cx, size + 16, `q${qubit} |r| = ${length.toFixed(2)}`, 'middle',
+                length < 1 - 1e-6 ? '#ff6b6b' : '#999');
+        });
+    }
+
+    /**
+     * One bar per basis state, or the largest MAX_BARS in index order
+     */
+    renderBars(svg, state, describe) {
+        const width = 480, height = 140;
+        const top = 16, bottom = 24;
+        const plotHeight = height - top - bottom;
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+        let indices = state.probabilities.map((_, index) => index);
+        if (indices.length > StateVisualizer.MAX_BARS) {
+            indices = indices
+                .sort((a, b) => state.probabilities[b] - state.probabilities[a])
+                .slice(0, StateVisualizer.MAX_BARS)
+                .sort((a, b) => a - b);
+        }
+
+        const slot = width / indices.length;
+        const labelled = indices.length <= StateVisualizer.MAX_LABELLED_BARS;
+        this.addElement(svg, 'line', { x1: 0, y1: top + plotHeight, x2: width, y2: top + plotHeight, stroke: '#666' });
+
+        indices.forEach((index, i) => {
+            const { value, color, label } = describe(index);
+            const barHeight = plotHeight * value;
+            const x = i * slot + slot * 0.15;
+
+            this.addElement(svg, 'rect', {
+                x, y: top + plotHeight - barHeight, width: slot * 0.7, height: barHeight, fill: color
+            });
+            if (labelled) {
+                const bitstring = index.toString(2).padStart(state.qubits, '0');
+                this.addText(svg, i * slot + slot / 2, height - 8, `|${bitstring}⟩`, 'middle');
+                if (label && value > 1e-9) {
+                    this.addText(svg, i * slot + slot / 2, top + plotHeight - barHeight - 4, label, 'middle', '#e0e0e0');
+                }
+            }
+        });
+    }
+
+    /**
+     * Hue for a phase: 0 red, π/2 yellow-green, π cyan, -π/2 purple
+     */
+    static phaseColor(phase) {
+        const degrees = ((phase * 180 / Math.PI) % 360 + 360) % 360;
+        return `hsl(${degrees.toFixed(0)}, 70%, 60%)`;
+    }
+
+    addElement(svg, tag, attributes) {
+        const element = document.createElementNS(StateVisualizer.SVG_NS, tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        svg.appendChild(element);
+        return element;
+    }
+
+    addText(svg, x, y, text, anchor = 'start', color = '#999') {
+        const element = this.addElement(svg, 'text', { x, y, 'text-anchor': anchor, fill: color, 'font-size': 10 });
+        element.textContent = text;
+        return element;
+    }
+}
+
+StateVisualizer.SVG_NS = 'http://www.w3.org/2000/svg';
+
+// The full state vector is simulated for every step, so keep it small
+StateVisualizer.MAX_QUBITS = 10;
+StateVisualizer.MAX_BARS = 64;
+StateVisualizer.MAX_LABELLED_BARS = 16;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StateVisualizer;
+}
+
+// Global access
+globalThis.StateVisualizer = StateVisualizer;
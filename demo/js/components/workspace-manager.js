@@ -0,0 +1,260 @@
+/**
+ * Workspace Manager
+ *
+ * A bar for saving the workspace under a name, opening or deleting saved
+ * workspaces and copying a link that opens the same workspace elsewhere.
+ * The open workspace is saved again shortly after every change, so a
+ * reload carries on where it left off: start() opens a shared link in the
+ * URL if there is one, otherwise the workspace saved last.
+ */
+
+class WorkspaceManager {
+    /**
+     * @param {HTMLElement} container
+     * @param {QuadraticSyncEngine} syncEngine
+     * @param {WorkspaceStore} store - optional, the default database otherwise
+     */
+    constructor(container, syncEngine, store = null) {
+        if (typeof WorkspaceStore === 'undefined') {
+            throw new Error('WorkspaceStore not loaded. Include js/core/workspace-store.js');
+        }
+
+        this.container = container;
+        this.syncEngine = syncEngine;
+        this.store = store || new WorkspaceStore();
+        this.name = WorkspaceManager.DEFAULT_NAME;
+        this.autosaving = false; // until start() has opened the last session
+        this.saveTimer = null;
+
+        this.nameInput = document.createElement('input');
+        this.nameInput.type = 'text';
+        this.nameInput.className = 'workspace-bar-name';
+        this.nameInput.value = this.name;
+        this.nameInput.title = 'Name to save the workspace under';
+        this.nameInput.addEventListener('keydown', event => {
+            if (event.key === 'Enter') this.saveAs(this.nameInput.value);
+        });
+        this.container.appendChild(this.nameInput);
+
+        this.saveButton = this.createButton('Save', 'Save the workspace under this name', () => this.saveAs(this.nameInput.value));
+
+        this.list = document.createElement('select');
+        this.list.className = 'workspace-bar-list';
+        this.list.title = 'Open a saved workspace';
+        this.list.addEventListener('change', () => {
+            if (this.list.value) this.open(this.list.value);
+        });
+        this.container.appendChild(this.list);
+
+        this.deleteButton = this.createButton('Delete', 'Delete the selected saved workspace', () => {
+            if (this.list.value) this.remove(this.list.value);
+        });
+        this.shareButton = this.createButton('Copy Link', 'Copy a link that opens this workspace', () => this.share());
+
+        this.status = document.createElement('span');
+        this.status.className = 'workspace-bar-status';
+        this.container.appendChild(this.status);
+
+        if (!this.store.isAvailable()) {
+            this.saveButton.disabled = true;
+            this.list.disabled = true;
+            this.deleteButton.disabled = true;
+            this.setStatus('Saving needs IndexedDB; links still work');
+        }
+
+        // Every change the history records, including undo and redo, is a change to save
+        const schedule = () => this.scheduleAutosave();
+        this.listenerId = syncEngine.history ? syncEngine.history.addListener(schedule) : syncEngine.addListener(schedule);
+
+        // A shared link pasted into the address bar of an open page
+        window.addEventListener('hashchange', () => this.openShared().catch(error => this.report(error)));
+    }
+
+    createButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'workspace-bar-button';
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        this.container.appendChild(button);
+        return button;
+    }
+
+    /**
+     * Open a shared link in the URL, else the workspace saved last, and
+     * autosave from then on
+     *
+     * @returns {Promise<boolean>} whether a workspace was opened
+     */
+    async start() {
+        let opened = false;
+        try {
+            opened = (await this.openShared()) || (await this.openLatest());
+        } catch (error) {
+            this.report(error);
+        }
+        this.autosaving = true;
+        await this.refresh();
+        return opened;
+    }
+
+    async openShared() {
+        const workspace = await WorkspaceStore.decode(window.location.hash);
+        if (!workspace) return false;
+
+        await this.flush();
+        this.setName(`Shared ${new Date().toLocaleString()}`);
+        WorkspaceStore.restore(this.syncEngine, workspace);
+
+        // Out of the URL, so a reload opens the saved copy with any later edits
+        window.history.replaceState(null, '', window.location.pathname + window.location.search);
+        this.setStatus('Opened shared workspace');
+        return true;
+    }
+
+    async openLatest() {
+        if (!this.store.isAvailable()) return false;
+        const [latest] = await this.store.list();
+        if (!latest) return false;
+        await this.open(latest.name);
+        return true;
+    }
+
+    async open(name) {
+        try {
+            await this.flush();
+            const record = await this.store.load(name);
+            if (!record) {
+                throw new Error(`No workspace saved as '${name}'`);
+            }
+            this.setName(record.name);
+            WorkspaceStore.restore(this.syncEngine, record.workspace);
+            this.setStatus(`Opened '${record.name}'`);
+        } catch (error) {
+            this.report(error);
+        }
+        await this.refresh();
+    }
+
+    /**
+     * Save under a new name, which autosave keeps using
+     */
+    async saveAs(name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            this.setStatus('Enter a name to save the workspace under');
+            return;
+        }
+        this.setName(trimmed);
+        await this.flush(true);
+    }
+
+    async remove(name) {
+        try {
+            await this.store.remove(name);
+            if (name === this.name) {
+                // Keep working, but no longer into the deleted workspace
+                clearTimeout(this.saveTimer);
+                this.saveTimer = null;
+                this.setName(WorkspaceManager.DEFAULT_NAME);
+            }
+            this.setStatus(`Deleted '${name}'`);
+        } catch (error) {
+            this.report(error);
+        }
+        await this.refresh();
+    }
+
+    /**
+     * Copy a link that opens this workspace; shown for copying by hand when
+     * the clipboard is out of reach (a file:// page, say)
+     */
+    async share() {
+        try {
+            const fragment = await WorkspaceStore.encode(WorkspaceStore.capture(this.syncEngine));
+            const url = `${window.location.href.split('#')[0]}#${fragment}`;
+            try {
+                await navigator.clipboard.writeText(url);
+                this.setStatus(`Link copied (${url.length} characters)`);
+            } catch (error) {
+                prompt('Copy this link to share the workspace:', url);
+            }
+        } catch (error) {
+            this.report(error);
+        }
+    }
+
+    scheduleAutosave() {
+        if (!this.autosaving || !this.store.isAvailable()) return;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = setTimeout(() => this.flush(true), WorkspaceManager.AUTOSAVE_MS);
+    }
+
+    /**
+     * Save a pending autosave now, or the workspace whatever is pending when force is set
+     */
+    async flush(force = false) {
+        if (!force && !this.saveTimer) return;
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        if (!this.store.isAvailable()) return;
+
+        try {
+            const record = await this.store.save(this.name, WorkspaceStore.capture(this.syncEngine));
+            this.setStatus(`Saved '${record.name}' at ${new Date(record.updated).toLocaleTimeString()}`);
+        } catch (error) {
+            this.report(error);
+        }
+        await this.refresh();
+    }
+
+    async refresh() {
+        if (!this.store.isAvailable()) return;
+
+        let saved = [];
+        try {
+            saved = await this.store.list();
+        } catch (error) {
+            this.report(error);
+        }
+
+        this.list.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = saved.length > 0 ? `Saved workspaces (${saved.length})` : 'No saved workspaces';
+        this.list.appendChild(placeholder);
+
+        saved.forEach(({ name, updated, gates }) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = `${name} · ${gates} gate${gates === 1 ? '' : 's'} · ${new Date(updated).toLocaleString()}`;
+            this.list.appendChild(option);
+        });
+        this.list.value = saved.some(workspace => workspace.name === this.name) ? this.name : '';
+    }
+
+    setName(name) {
+        this.name = name;
+        this.nameInput.value = name;
+    }
+
+    setStatus(text) {
+        this.status.textContent = text;
+    }
+
+    report(error) {
+        console.error('Workspace error:', error);
+        this.setStatus(error.message);
+    }
+}
+
+WorkspaceManager.DEFAULT_NAME = 'Untitled workspace';
+WorkspaceManager.AUTOSAVE_MS = 1000;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkspaceManager;
+}
+
+// Global access
+globalThis.WorkspaceManager = WorkspaceManager;
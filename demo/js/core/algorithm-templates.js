@@ -0,0 +1,511 @@
+/**
+ * Quantum Algorithm Templates
+ *
+ * Parameterized generators for textbook algorithms, each producing a
+ * CircuitIR circuit the designer loads via loadCircuit:
+ *
+ *   AlgorithmTemplates.build('grover', { qubits: 3, marked: ['101'] })
+ *
+ * generate() also renders the matching code, notation and plainspeak through
+ * a sync engine, so a template can fill all four panels at once. Bitstring
+ * parameters list qubit 0 first, matching run() keys and the notation kets
+ */
+
+class AlgorithmTemplates {
+    /**
+     * Template summaries for menus: id, name, description and default parameters
+     */
+    static list() {
+        return Object.entries(AlgorithmTemplates.TEMPLATES).map(([id, template]) => ({
+            id,
+            name: template.name,
+            description: template.description,
+            defaults: { ...template.defaults }
+        }));
+    }
+
+    static get(id) {
+        const template = AlgorithmTemplates.TEMPLATES[id];
+        if (!template) {
+            throw new Error(`Unknown algorithm template: ${id}. Available: ${Object.keys(AlgorithmTemplates.TEMPLATES).join(', ')}`);
+        }
+        return template;
+    }
+
+    /**
+     * Build a template's circuit in CircuitIR form, operations scheduled into
+     * time steps
+     */
+    static build(id, params = {}) {
+        const template = AlgorithmTemplates.get(id);
+        const resolved = { ...template.defaults, ...params };
+        const circuit = template.build(resolved);
+
+        circuit.operations = AlgorithmTemplates.schedule(circuit.operations);
+        const ir = CircuitIR.normalize(circuit);
+        CircuitIR.assertValid(ir);
+        return ir;
+    }
+
+    /**
+     * Build a template and render it in every representation
+     *
+     * @param {string} id - template id, e.g. 'qft'
+     * @param {Object} params - overrides for the template defaults
+     * @param {Object} syncEngine - renders code, notation and plainspeak
+     * @returns {Promise<{id: string, name: string, params: Object, circuit: Object, code: string, notation: string, plainspeak: string}>}
+     */
+    static async generate(id, params = {}, syncEngine) {
+        if (!syncEngine) {
+            throw new Error('A sync engine is required to render code, notation and plainspeak');
+        }
+
+        const template = AlgorithmTemplates.get(id);
+        const resolved = { ...template.defaults, ...params };
+        const circuit = AlgorithmTemplates.build(id, resolved);
+
+        return {
+            id,
+            name: template.name,
+            params: resolved,
+            circuit,
+            code: await syncEngine.circuit2Code(circuit),
+            notation: await syncEngine.circuit2Notation(circuit),
+            plainspeak: await syncEngine.circuit2Plainspeak(circuit, { introduction: template.summary(resolved) })
+        };
+    }
+
+    /**
+     * Render the algorithms a curriculum level lists in level-content.json
+     * ("algorithms": [{ "template": "qft", "params": { ... } }])
+     */
+    static async forLevel(level, syncEngine) {
+        return Promise.all((level.algorithms || []).map(entry =>
+            AlgorithmTemplates.generate(entry.template, entry.params || {}, syncEngine)));
+    }
+
+    /**
+     * Assign each operation the earliest time step after everything it shares
+     * a wire with; multi-qubit gates reserve every wire they span so the
+     * designer draws them in a column of their own, and classical bits count
+     * as wires so conditioned gates follow the measurements they read
+     */
+    static schedule(operations) {
+        const qubitFree = [];
+        const cbitFree = [];
+
+        return operations.map(op => {
+            const qubits = op.qubits;
+            const low = Math.min(...qubits), high = Math.max(...qubits);
+            const cbits = [...(op.cbits || []), ...(op.condition ? op.condition.cbits : [])];
+
+            let time = 0;
+            for (let q = low; q <= high; q++) time = Math.max(time, qubitFree[q] || 0);
+            cbits.forEach(cbit => { time = Math.max(time, cbitFree[cbit] || 0); });
+
+            for (let q = low; q <= high; q++) qubitFree[q] = time + 1;
+            cbits.forEach(cbit => { cbitFree[cbit] = time + 1; });
+            return { ...op, time };
+        });
+    }
+
+    /**
+     * Parse a bitstring parameter ('101' or [1, 0, 1]) into an array of 0/1
+     */
+    static parseBits(value, name) {
+        const bits = Array.isArray(value) ? value.map(Number) : String(value).split('').map(Number);
+        if (bits.length === 0 || bits.some(bit => bit !== 0 && bit !== 1)) {
+            throw new Error(`${name} must be a bitstring such as '101'`);
+        }
+        return bits;
+    }
+
+    static requireQubits(count, minimum, name) {
+        if (!Number.isInteger(count) || count < minimum) {
+            throw new Error(`${name} needs at least ${minimum} qubit${minimum === 1 ? '' : 's'}`);
+        }
+    }
+
+    static range(count, start = 0) {
+        return Array.from({ length: count }, (_, i) => start + i);
+    }
+
+    static measureInto(qubits) {
+        return qubits.map((qubit, cbit) => ({ type: 'MEASURE', qubits: [qubit], params: [], cbits: [cbit] }));
+    }
+
+    /**
+     * Z on the all-ones state of the given qubits: H · MCX · H on the last one
+     */
+    static multiControlledZ(qubits) {
+        if (qubits.length === 1) return [{ type: 'Z', qubits, params: [] }];
+
+        const target = qubits[qubits.length - 1];
+        const type = qubits.length === 2 ? 'CNOT' : (qubits.length === 3 ? 'CCX' : 'MCX');
+        return [
+            { type: 'H', qubits: [target], params: [] },
+            { type, qubits: [...qubits], params: [] },
+            { type: 'H', qubits: [target], params: [] }
+        ];
+    }
+
+    /**
+     * Phase flip on one basis state: X the qubits where it has a 0, then multi-controlled Z
+     */
+    static phaseFlip(qubits, bits) {
+        const flips = qubits.filter((_, i) => bits[i] === 0).map(qubit => ({ type: 'X', qubits: [qubit], params: [] }));
+        return [...flips, ...AlgorithmTemplates.multiControlledZ(qubits), ...flips];
+    }
+
+    /**
+     * Quantum Fourier transform on qubits listed most significant first; the
+     * inverse runs the gates backwards with negated phases
+     */
+    static fourierOperations(qubits, { inverse = false, swaps = true } = {}) {
+        const operations = [];
+
+        qubits.forEach((qubit, j) => {
+            operations.push({ type: 'H', qubits: [qubit], params: [] });
+            for (let k = j + 1; k < qubits.length; k++) {
+                operations.push({ type: 'CP', qubits: [qubits[k], qubit], params: [Math.PI / (1 << (k - j))] });
+            }
+        });
+
+        if (swaps) {
+            for (let i = 0; i < Math.floor(qubits.length / 2); i++) {
+                operations.push({ type: 'SWAP', qubits: [qubits[i], qubits[qubits.length - 1 - i]], params: [] });
+            }
+        }
+
+        if (!inverse) return operations;
+        return operations.reverse().map(op => ({ ...op, params: op.params.map(angle => -angle) }));
+    }
+
+    static deutschJozsa({ qubits, oracle, mask }) {
+        AlgorithmTemplates.requireQubits(qubits, 1, 'Deutsch–Jozsa');
+        const inputs = AlgorithmTemplates.range(qubits);
+        const ancilla = qubits;
+        const operations = [{ type: 'X', qubits: [ancilla], params: [] }];
+
+        [...inputs, ancilla].forEach(qubit => operations.push({ type: 'H', qubits: [qubit], params: [] }));
+
+        if (oracle === 'constant1') {
+            operations.push({ type: 'X', qubits: [ancilla], params: [] });
+        } else if (oracle === 'balanced') {
+            // f(x) = mask · x mod 2 is balanced for any nonzero mask
+            const bits = mask !== undefined ? AlgorithmTemplates.parseBits(mask, 'mask') : inputs.map(() => 1);
+            if (bits.length !== qubits || !bits.includes(1)) {
+                throw new Error(`Balanced oracle mask must have ${qubits} bits with at least one 1`);
+            }
+            inputs.filter(qubit => bits[qubit] === 1)
+                .forEach(qubit => operations.push({ type: 'CNOT', qubits: [qubit, ancilla], params: [] }));
+        } else if (oracle !== 'constant0') {
+            throw new Error(`Unknown Deutsch–Jozsa oracle: ${oracle}. Use constant0, constant1 or balanced`);
+        }
+
+        inputs.forEach(qubit => operations.push({ type: 'H', qubits: [qubit], params: [] }));
+        operations.push(...AlgorithmTemplates.measureInto(inputs));
+
+        return { qubits: qubits + 1, clbits: qubits, operations };
+    }
+
+    static bernsteinVazirani({ secret }) {
+        const bits = AlgorithmTemplates.parseBits(secret, 'secret');
+        const inputs = AlgorithmTemplates.range(bits.length);
+        const ancilla = bits.length;
+        const operations = [{ type: 'X', qubits: [ancilla], params: [] }];
+
+        [...inputs, ancilla].forEach(qubit => operations.push({ type: 'H', qubits: [qubit], params: [] }));
+        inputs.filter(qubit => bits[qubit] === 1)
+            .forEach(qubit => operations.push({ type: 'CNOT', qubits: [qubit, ancilla], params: [] }));
+        inputs.forEach(qubit => operations.push({ type: 'H', qubits: [qubit], params: [] }));
+        operations.push(...AlgorithmTemplates.measureInto(inputs));
+
+        return { qubits: bits.length + 1, clbits: bits.length, operations };
+    }
+
+    /**
+     * Grover search; the oracle is either a list of marked bitstrings or a
+     * custom phase oracle given as IR operations
+     */
+    static grover({ qubits, marked, oracle, iterations }) {
+        AlgorithmTemplates.requireQubits(qubits, 2, 'Grover search');
+        const register = AlgorithmTemplates.range(qubits);
+
+        let oracleOperations;
+        let rounds = iterations;
+        if (oracle) {
+            oracleOperations = CircuitIR.normalize({ qubits, operations: oracle }).operations;
+            if (rounds === undefined) rounds = 1;
+        } else {
+            const markedBits = marked.map(state => AlgorithmTemplates.parseBits(state, 'marked state'));
+            if (markedBits.length === 0 || markedBits.some(bits => bits.length !== qubits)) {
+                throw new Error(`Marked states must be ${qubits}-bit strings`);
+            }
+            oracleOperations = markedBits.flatMap(bits => AlgorithmTemplates.phaseFlip(register, bits));
+            if (rounds === undefined) {
+                rounds = AlgorithmTemplates.groverIterations(qubits, markedBits.length);
+            }
+        }
+
+        const diffuser = [
+            ...register.map(qubit => ({ type: 'H', qubits: [qubit], params: [] })),
+            ...AlgorithmTemplates.phaseFlip(register, register.map(() => 0)),
+            ...register.map(qubit => ({ type: 'H', qubits: [qubit], params: [] }))
+        ];
+
+        const operations = register.map(qubit => ({ type: 'H', qubits: [qubit], params: [] }));
+        for (let round = 0; round < rounds; round++) {
+            operations.push(...oracleOperations.map(op => ({ ...op, id: undefined })), ...diffuser);
+        }
+        operations.push(...AlgorithmTemplates.measureInto(register));
+
+        return { qubits, clbits: qubits, operations };
+    }
+
+    /**
+     * Optimal Grover round count floor(π/4 · √(N/M)), at least one
+     */
+    static groverIterations(qubits, markedCount) {
+        return Math.max(1, Math.floor(Math.PI / 4 * Math.sqrt((1 << qubits) / markedCount)));
+    }
+
+    static fourier({ qubits, inverse, swaps, input }) {
+        AlgorithmTemplates.requireQubits(qubits, 1, 'The Fourier transform');
+        const register = AlgorithmTemplates.range(qubits);
+        const operations = [];
+
+        if (input !== undefined) {
+            const bits = AlgorithmTemplates.parseBits(input, 'input');
+            if (bits.length !== qubits) throw new Error(`input must have ${qubits} bits`);
+            register.filter(qubit => bits[qubit] === 1)
+                .forEach(qubit => operations.push({ type: 'X', qubits: [qubit], params: [] }));
+        }
+
+        operations.push(...AlgorithmTemplates.fourierOperations(register, { inverse, swaps }));
+        return { qubits, operations };
+    }
+
+    /**
+     * Phase estimation of U = P(2πφ) on its |1⟩ eigenstate; the counting
+     * register reads out φ as a binary fraction, qubit 0 most significant
+     */
+    static phaseEstimation({ counting, phase }) {
+        AlgorithmTemplates.requireQubits(counting, 1, 'Phase estimation');
+        const register = AlgorithmTemplates.range(counting);
+        const eigenstate = counting;
+        const operations = [{ type: 'X', qubits: [eigenstate], params: [] }];
+
+        register.forEach(qubit => operations.push({ type: 'H', qubits: [qubit], params: [] }));
+        register.forEach(qubit => {
+            // Qubit j controls U^(2^(t-1-j))
+            const power = 1 << (counting - 1 - qubit);
+            operations.push({ type: 'CP', qubits: [qubit, eigenstate], params: [2 * Math.PI * phase * power] });
+        });
+        operations.push(...AlgorithmTemplates.fourierOperations(register, { inverse: true }));
+        operations.push(...AlgorithmTemplates.measureInto(register));
+
+        return { qubits: counting + 1, clbits: counting, operations };
+    }
+
+    static ghz({ qubits }) {
+        AlgorithmTemplates.requireQubits(qubits, 2, 'A GHZ state');
+        const operations = [{ type: 'H', qubits: [0], params: [] }];
+        for (let qubit = 1; qubit < qubits; qubit++) {
+            operations.push({ type: 'CNOT', qubits: [qubit - 1, qubit], params: [] });
+        }
+        return { qubits, operations };
+    }
+
+    /**
+     * W state: one excitation passed down the register, each qubit keeping
+     * amplitude 1/√n through a controlled-RY and CNOT
+     */
+    static wState({ qubits }) {
+        AlgorithmTemplates.requireQubits(qubits, 2, 'A W state');
+        const operations = [{ type: 'X', qubits: [0], params: [] }];
+        for (let qubit = 0; qubit < qubits - 1; qubit++) {
+            const angle = 2 * Math.acos(Math.sqrt(1 / (qubits - qubit)));
+            operations.push({ type: 'CRY', qubits: [qubit, qubit + 1], params: [angle] });
+            operations.push({ type: 'CNOT', qubits: [qubit + 1, qubit], params: [] });
+        }
+        return { qubits, operations };
+    }
+
+    /**
+     * Teleport RY(theta)·RZ(phi)-prepared |ψ⟩ from qubit 0 to qubit 2 with
+     * mid-circuit measurement and classically conditioned corrections
+     */
+    static teleportation({ theta, phi, measure }) {
+        const operations = [{ type: 'RY', qubits: [0], params: [theta] }];
+        if (phi) {
+            operations.push({ type: 'RZ', qubits: [0], params: [phi] });
+        }
+        operations.push(
+            { type: 'H', qubits: [1], params: [] },
+            { type: 'CNOT', qubits: [1, 2], params: [] },
+            { type: 'CNOT', qubits: [0, 1], params: [] },
+            { type: 'H', qubits: [0], params: [] },
+            ...AlgorithmTemplates.measureInto([0, 1]),
+            { type: 'X', qubits: [2], params: [], condition: { cbits: [1], value: 1 } },
+            { type: 'Z', qubits: [2], params: [], condition: { cbits: [0], value: 1 } }
+        );
+        if (measure) {
+            operations.push({ type: 'MEASURE', qubits: [2], params: [], cbits: [2] });
+        }
+        return { qubits: 3, clbits: 3, operations };
+    }
+
+    /**
+     * QAOA MaxCut ansatz: the cost layer e^{-iγC} with C = Σ (1 − Z_u Z_v)/2
+     * counting cut edges, e^{iγ Z_u Z_v / 2} per edge (CNOT · RZ(−γ) · CNOT)
+     * up to global phase, then the mixer e^{-iβ ΣX} as RX(2β) on every
+     * qubit, repeated once per (γ, β) layer
+     */
+    static qaoaMaxCut({ edges, gamma, beta, layers, measure }) {
+        if (!Array.isArray(edges) || edges.length === 0) {
+            throw new Error('QAOA MaxCut needs a list of edges such as [[0, 1], [1, 2]]');
+        }
+        const qubits = Math.max(...edges.flat()) + 1;
+        const gammas = Array.isArray(gamma) ? gamma : Array(layers).fill(gamma);
+        const betas = Array.isArray(beta) ? beta : Array(layers).fill(beta);
+        if (gammas.length !== betas.length) {
+            throw new Error('QAOA needs one gamma and one beta per layer');
+        }
+
+        const register = AlgorithmTemplates.range(qubits);
+        const operations = register.map(qubit => ({ type: 'H', qubits: [qubit], params: [] }));
+
+        gammas.forEach((layerGamma, layer) => {
+            edges.forEach(([u, v]) => {
+                operations.push({ type: 'CNOT', qubits: [u, v], params: [] });
+                operations.push({ type: 'RZ', qubits: [v], params: [-layerGamma] });
+                operations.push({ type: 'CNOT', qubits: [u, v], params: [] });
+            });
+            register.forEach(qubit => operations.push({ type: 'RX', qubits: [qubit], params: [2 * betas[layer]] }));
+        });
+
+        if (measure) {
+            operations.push(...AlgorithmTemplates.measureInto(register));
+        }
+        return { qubits, operations };
+    }
+
+    /**
+     * Average number of edges a QAOA MaxCut ansatz's samples cut, next to the
+     * edges.length / 2 that uniformly random assignments cut
+     *
+     * @returns {{expected: number, random: number}}
+     */
+    static qaoaExpectedCut(params = {}) {
+        if (typeof QuantumSimulator === 'undefined') {
+            throw new Error('QuantumSimulator not loaded. Include js/core/quantum-sim.js');
+        }
+        const resolved = { ...AlgorithmTemplates.TEMPLATES.qaoa_maxcut.defaults, ...params, measure: false };
+        const circuit = AlgorithmTemplates.qaoaMaxCut(resolved);
+
+        const simulator = new QuantumSimulator();
+        simulator.initialize(circuit.qubits);
+        simulator.simulateCircuit(circuit.operations);
+        const expected = resolved.edges.reduce(
+            (sum, [u, v]) => sum + (1 - simulator.getExpectation(`Z${u} Z${v}`)) / 2, 0);
+        return { expected, random: resolved.edges.length / 2 };
+    }
+}
+
+/**
+ * Template registry: defaults, a builder returning a plain circuit object and
+ * a one-sentence summary that opens the plainspeak narrative
+ */
+AlgorithmTemplates.TEMPLATES = {
+    deutsch_jozsa: {
+        name: 'Deutsch–Jozsa',
+        description: 'Decide whether an oracle is constant or balanced with a single query',
+        defaults: { qubits: 3, oracle: 'balanced' },
+        build: params => AlgorithmTemplates.deutschJozsa(params),
+        summary: ({ qubits, oracle }) => `The Deutsch–Jozsa algorithm asks a ${oracle === 'balanced' ? 'balanced' : 'constant'} ${qubits}-bit oracle a single question: reading all zeros means constant, anything else means balanced.`
+    },
+    bernstein_vazirani: {
+        name: 'Bernstein–Vazirani',
+        description: 'Recover a hidden bitstring s from the oracle f(x) = s · x in one query',
+        defaults: { secret: '101' },
+        build: params => AlgorithmTemplates.bernsteinVazirani(params),
+        summary: ({ secret }) => `The Bernstein–Vazirani algorithm recovers the hidden string ${Array.isArray(secret) ? secret.join('') : secret} with one oracle query, where a classical search needs one query per bit.`
+    },
+    grover: {
+        name: 'Grover search',
+        description: 'Amplify marked states of an unstructured search space in O(√N) oracle calls',
+        defaults: { qubits: 3, marked: ['101'] },
+        build: params => AlgorithmTemplates.grover(params),
+        summary: ({ qubits, marked, oracle }) => (oracle ?
+            `Grover search amplifies the states a custom oracle marks among ${1 << qubits} candidates.` :
+            `Grover search finds ${marked.join(', ')} among ${1 << qubits} candidates in ${AlgorithmTemplates.groverIterations(qubits, marked.length)} oracle round${AlgorithmTemplates.groverIterations(qubits, marked.length) === 1 ? '' : 's'}.`)
+    },
+    qft: {
+        name: 'Quantum Fourier transform',
+        description: 'Map basis states to Fourier phases; the core of phase estimation and Shor',
+        defaults: { qubits: 3, inverse: false, swaps: true },
+        build: params => AlgorithmTemplates.fourier(params),
+        summary: ({ qubits }) => `The quantum Fourier transform spreads each ${qubits}-qubit basis state into an equal superposition whose phases encode its value.`
+    },
+    inverse_qft: {
+        name: 'Inverse quantum Fourier transform',
+        description: 'Turn Fourier phases back into a readable basis state',
+        defaults: { qubits: 3, inverse: true, swaps: true },
+        build: params => AlgorithmTemplates.fourier(params),
+        summary: ({ qubits }) => `The inverse quantum Fourier transform turns phases spread across ${qubits} qubits back into a basis state that measurement can read.`
+    },
+    phase_estimation: {
+        name: 'Quantum phase estimation',
+        description: 'Estimate the eigenphase of a unitary to t bits of precision',
+        defaults: { counting: 3, phase: 0.375 },
+        build: params => AlgorithmTemplates.phaseEstimation(params),
+        summary: ({ counting, phase }) => `Quantum phase estimation reads the phase ${phase} of a phase gate to ${counting} binary digits, the step that lets Shor's algorithm factor numbers.`
+    },
+    ghz: {
+        name: 'GHZ state',
+        description: 'Prepare (|0…0⟩ + |1…1⟩)/√2 across n qubits',
+        defaults: { qubits: 3 },
+        build: params => AlgorithmTemplates.ghz(params),
+        summary: ({ qubits }) => `This circuit prepares a ${qubits}-qubit GHZ state, where every qubit reads the same value and which value is perfectly random.`
+    },
+    w_state: {
+        name: 'W state',
+        description: 'Prepare an equal superposition of every single-excitation state',
+        defaults: { qubits: 3 },
+        build: params => AlgorithmTemplates.wState(params),
+        summary: ({ qubits }) => `This circuit prepares a ${qubits}-qubit W state, sharing one excitation equally so that exactly one qubit reads 1.`
+    },
+    teleportation: {
+        name: 'Quantum teleportation',
+        description: 'Move a qubit state using one Bell pair and two classical bits',
+        defaults: { theta: Math.PI / 3, phi: 0, measure: true },
+        build: params => AlgorithmTemplates.teleportation(params),
+        summary: () => 'Quantum teleportation moves the state of qubit 0 onto qubit 2 using a shared Bell pair and two classical bits of correction.'
+    },
+    qaoa_maxcut: {
+        name: 'QAOA MaxCut',
+        description: 'Variational ansatz whose samples favour large cuts of a graph',
+        // Near the best single layer for the triangle: E[cut] ≈ 2.0 of at most 2, random guessing 1.5
+        defaults: { edges: [[0, 1], [1, 2], [2, 0]], gamma: Math.PI / 5, beta: Math.PI / 10, layers: 1, measure: true },
+        build: params => AlgorithmTemplates.qaoaMaxCut(params),
+        summary: params => {
+            const { edges, layers, gamma } = params;
+            const layerCount = Array.isArray(gamma) ? gamma.length : layers;
+            const intro = `This QAOA ansatz looks for the maximum cut of a graph with ${edges.length} edges using ${layerCount} layer${layerCount === 1 ? '' : 's'} of cost and mixer rotations.`;
+            if (typeof QuantumSimulator === 'undefined') return intro;
+
+            // Angles that do no better than guessing are worth saying so
+            const { expected, random } = AlgorithmTemplates.qaoaExpectedCut(params);
+            return `${intro} Its samples cut ${expected.toFixed(2)} edges on average, ${expected > random ? 'beating' : 'no better than'} the ${random.toFixed(1)} of random guessing.`;
+        }
+    }
+};
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AlgorithmTemplates;
+}
+
+// Global access
+globalThis.AlgorithmTemplates = AlgorithmTemplates;
@@ -0,0 +1,348 @@
+/**
+ * Circuit Debugger
+ *
+ * Runs a circuit one time column at a time and reports the state between
+ * columns: amplitudes, probabilities, the entanglement entropy of every qubit
+ * and the value of each watch expression. continue() stops before any column
+ * with a breakpoint, set on the column's time or on the id of one of its gates.
+ *
+ * Watch expressions (qubit 0 is the leftmost bit):
+ *
+ *   P(|011⟩)  P(011)              probability of a basis state
+ *   P(q0=1, q2=0)                 marginal probability
+ *   amp(|01⟩)                     amplitude
+ *   <Z0 Z1>  E(0.5*X0 - Z1)       expectation of a Pauli observable
+ *   entropy(q0, q1)  purity(q1)   of the reduced state of those qubits
+ *   concurrence(q0, q1)
+ *   c[2]  c2                      classical bit written by a measurement
+ *
+ * Measurements draw from a seeded source, so stepping back replays the same
+ * outcomes.
+ */
+
+class CircuitDebugger {
+    /**
+     * @param {Object} circuit - CircuitIR circuit or designer circuit
+     * @param {Object} options - { breakpoints: [{column} | {gate}], watches: [expression], seed = 7 }
+     */
+    constructor(circuit, options = {}) {
+        this.circuit = CircuitIR.normalize(circuit);
+        this.seed = options.seed !== undefined ? options.seed : 7;
+
+        const columns = new Map();
+        this.circuit.operations.forEach(op => {
+            if (!columns.has(op.time)) columns.set(op.time, []);
+            columns.get(op.time).push(op);
+        });
+        this.columns = [...columns.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([time, operations]) => ({ time, operations }));
+
+        this.breakpoints = new Set();
+        this.watches = [];
+        this.reset();
+
+        (options.breakpoints || []).forEach(breakpoint => this.addBreakpoint(breakpoint));
+        (options.watches || []).forEach(expression => this.addWatch(expression));
+    }
+
+    /**
+     * Back to |0...0⟩ before the first column
+     */
+    reset() {
+        this.simulator = new QuantumSimulator();
+        this.simulator.initialize(this.circuit.qubits, { mode: 'statevector' });
+        this.simulator.numClbits = this.circuit.clbits;
+        if (typeof SeededRandom !== 'undefined') {
+            this.simulator.setRandomSource(this.seed);
+        }
+        this.position = 0;
+        this.trace = [this.evaluateWatches()];
+        return this.snapshot();
+    }
+
+    isDone() {
+        return this.position >= this.columns.length;
+    }
+
+    /**
+     * Run the next column
+     */
+    step() {
+        if (!this.isDone()) {
+            this.columns[this.position].operations.forEach(op => this.simulator.executeOperation(op));
+            this.position++;
+            this.trace[this.position] = this.evaluateWatches();
+        }
+        return this.snapshot();
+    }
+
+    /**
+     * Undo the last column by replaying the ones before it
+     */
+    stepBack() {
+        return this.runTo(this.position - 1);
+    }
+
+    /**
+     * Replay from the start up to (not including) column `position`
+     */
+    runTo(position) {
+        const target = Math.max(0, Math.min(position, this.columns.length));
+        if (target < this.position) {
+            this.reset();
+        }
+        while (this.position < target) {
+            this.step();
+        }
+        return this.snapshot();
+    }
+
+    /**
+     * Run at least one column, then stop before the next breakpoint or at the end
+     */
+    continue() {
+        this.step();
+        while (!this.isDone() && !this.hasBreakpoint(this.position)) {
+            this.step();
+        }
+        return this.snapshot();
+    }
+
+    /**
+     * @param {Object} breakpoint - { column: time } or { gate: op id }
+     */
+    addBreakpoint(breakpoint) {
+        this.breakpoints.add(CircuitDebugger.breakpointKey(breakpoint));
+    }
+
+    removeBreakpoint(breakpoint) {
+        this.breakpoints.delete(CircuitDebugger.breakpointKey(breakpoint));
+    }
+
+    /**
+     * @returns {boolean} whether the breakpoint is now set
+     */
+    toggleBreakpoint(breakpoint) {
+        const key = CircuitDebugger.breakpointKey(breakpoint);
+        if (this.breakpoints.has(key)) {
+            this.breakpoints.delete(key);
+            return false;
+        }
+        this.breakpoints.add(key);
+        return true;
+    }
+
+    /**
+     * Breakpoints in the { column } / { gate } form they were added in
+     */
+    getBreakpoints() {
+        return [...this.breakpoints].map(key => {
+            const [kind, value] = key.split(/:(.*)/);
+            return kind === 'column' ? { column: parseFloat(value) } : { gate: value };
+        });
+    }
+
+    static breakpointKey(breakpoint) {
+        if (breakpoint.column !== undefined) return `column:${breakpoint.column}`;
+        if (breakpoint.gate !== undefined) return `gate:${breakpoint.gate}`;
+        throw new Error('A breakpoint needs a column time or a gate id');
+    }
+
+    /**
+     * Whether continue() would stop before column `index`
+     */
+    hasBreakpoint(index) {
+        const column = this.columns[index];
+        if (!column) return false;
+        return this.breakpoints.has(`column:${column.time}`) ||
+            column.operations.some(op => this.breakpoints.has(`gate:${op.id}`));
+    }
+
+    /**
+     * Add a watch expression. Throws if the expression cannot be read
+     */
+    addWatch(expression) {
+        const evaluate = CircuitDebugger.parseWatch(expression, this.circuit.qubits);
+        evaluate(this.simulator);
+
+        this.watches.push({ expression: expression.trim(), evaluate });
+        this.trace[this.position] = this.evaluateWatches();
+    }
+
+    removeWatch(expression) {
+        this.watches = this.watches.filter(watch => watch.expression !== expression.trim());
+    }
+
+    evaluateWatches() {
+        const values = {};
+        this.watches.forEach(watch => {
+            try {
+                values[watch.expression] = watch.evaluate(this.simulator);
+            } catch (error) {
+                values[watch.expression] = null;
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Value of a watch after each column run so far, index 0 being the initial state
+     */
+    watchHistory(expression) {
+        return this.trace.slice(0, this.position + 1).map(values => {
+            const value = values && values[expression.trim()];
+            return value === undefined ? null : value;
+        });
+    }
+
+    /**
+     * State between columns
+     *
+     * @returns {{position, columns, done, time, next: Array, paused: boolean,
+     *   amplitudes: Array<{bitstring, amplitude, probability}>, probabilities: Object,
+     *   entanglement: number[], classicalBits: number[],
+     *   watches: Array<{expression, value, previous}>}}
+     */
+    snapshot() {
+        const simulator = this.simulator;
+        const qubits = this.circuit.qubits;
+        const column = this.columns[this.position];
+        const bitstring = index => index.toString(2).padStart(qubits, '0');
+        const probabilities = simulator.getProbabilities();
+
+        const amplitudes = [];
+        const distribution = {};
+        probabilities.forEach((probability, index) => {
+            if (probability < CircuitDebugger.EPSILON) return;
+            amplitudes.push({
+                bitstring: bitstring(index),
+                amplitude: simulator.toComplex(simulator.getAmplitude(index)),
+                probability
+            });
+            distribution[bitstring(index)] = probability;
+        });
+
+        const values = this.trace[this.position] || {};
+        const previous = this.position > 0 ? this.trace[this.position - 1] || {} : {};
+
+        return {
+            position: this.position,
+            columns: this.columns.length,
+            done: this.isDone(),
+            time: column ? column.time : null,
+            next: column ? column.operations : [],
+            paused: this.hasBreakpoint(this.position),
+            amplitudes,
+            probabilities: distribution,
+            entanglement: Array.from({ length: qubits }, (_, qubit) => simulator.getVonNeumannEntropy([qubit])),
+            classicalBits: simulator.getClassicalBits(),
+            watches: this.watches.map(({ expression }) => ({
+                expression,
+                value: values[expression] === undefined ? null : values[expression],
+                previous: previous[expression] === undefined ? null : previous[expression]
+            }))
+        };
+    }
+
+    /**
+     * Compile a watch expression into simulator => value
+     */
+    static parseWatch(expression, qubits) {
+        const text = String(expression || '').trim();
+        const basisIndex = bits => {
+            if (bits.length !== qubits) {
+                throw new Error(`${text}: expected ${qubits} bits, qubit 0 first`);
+            }
+            return parseInt(bits, 2);
+        };
+        const qubitList = list => list.split(',').map(part => {
+            const match = part.trim().match(/^q?_?(\d+)$/i);
+            if (!match) throw new Error(`${text}: cannot read qubit "${part.trim()}"`);
+            return CircuitDebugger.checkQubit(parseInt(match[1]), qubits, text);
+        });
+        let match;
+
+        if ((match = text.match(/^P\(\s*\|?([01]+)(?:⟩|>)?\s*\)$/i))) {
+            const index = basisIndex(match[1]);
+            return simulator => simulator.getProbabilities()[index];
+        }
+
+        if ((match = text.match(/^P\((.+)\)$/i))) {
+            const conditions = match[1].split(',').map(part => {
+                const condition = part.trim().match(/^q?_?(\d+)\s*=\s*([01])$/i);
+                if (!condition) throw new Error(`${text}: cannot read "${part.trim()}", use q0=1`);
+                return [CircuitDebugger.checkQubit(parseInt(condition[1]), qubits, text), parseInt(condition[2])];
+            });
+            return simulator => simulator.getProbabilities().reduce((sum, probability, index) =>
+                conditions.every(([qubit, value]) => ((index & simulator.bitMask(qubit)) ? 1 : 0) === value)
+                    ? sum + probability : sum, 0);
+        }
+
+        if ((match = text.match(/^amp\(\s*\|?([01]+)(?:⟩|>)?\s*\)$/i))) {
+            const index = basisIndex(match[1]);
+            return simulator => simulator.toComplex(simulator.getAmplitude(index));
+        }
+
+        if ((match = text.match(/^<(.+)>$/) || text.match(/^E\((.+)\)$/))) {
+            const observable = match[1];
+            return simulator => simulator.getExpectation(observable);
+        }
+
+        if ((match = text.match(/^(entropy|purity|concurrence)\((.+)\)$/i))) {
+            const measure = match[1].toLowerCase();
+            const targets = qubitList(match[2]);
+            if (measure === 'concurrence') {
+                if (targets.length !== 2) throw new Error(`${text}: concurrence needs two qubits`);
+                return simulator => simulator.getConcurrence(targets[0], targets[1]);
+            }
+            return measure === 'entropy'
+                ? simulator => simulator.getVonNeumannEntropy(targets)
+                : simulator => simulator.getPurity(targets);
+        }
+
+        if ((match = text.match(/^c\[?(\d+)\]?$/i))) {
+            const cbit = parseInt(match[1]);
+            return simulator => {
+                const bits = simulator.getClassicalBits();
+                if (cbit >= bits.length) throw new Error(`Classical bit ${cbit} does not exist`);
+                return bits[cbit];
+            };
+        }
+
+        throw new Error(`Cannot read watch "${text}". Try P(|${'1'.repeat(qubits)}⟩), P(q0=1), amp(|${'0'.repeat(qubits)}⟩), <Z0 Z1>, entropy(q0) or c[0]`);
+    }
+
+    static checkQubit(qubit, qubits, expression) {
+        if (qubit >= qubits) {
+            throw new Error(`${expression}: qubit ${qubit} is out of range (${qubits} qubits)`);
+        }
+        return qubit;
+    }
+
+    /**
+     * Display text for a watch value
+     */
+    static formatValue(value, precision = 4) {
+        if (value === null || value === undefined) return '—';
+        if (typeof value === 'number') {
+            if (Math.abs(value) < CircuitDebugger.EPSILON) return '0';
+            return Number.isInteger(value) ? String(value) : value.toFixed(precision);
+        }
+        const real = Math.abs(value.real) < CircuitDebugger.EPSILON ? 0 : value.real;
+        const imag = Math.abs(value.imag) < CircuitDebugger.EPSILON ? 0 : value.imag;
+        if (imag === 0) return real.toFixed(precision);
+        return `${real.toFixed(precision)} ${imag < 0 ? '-' : '+'} ${Math.abs(imag).toFixed(precision)}i`;
+    }
+}
+
+// Basis states below this probability are left out of snapshots
+CircuitDebugger.EPSILON = 1e-10;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CircuitDebugger;
+}
+
+// Global access
+globalThis.CircuitDebugger = CircuitDebugger;
@@ -0,0 +1,427 @@
+/**
+ * Canonical Circuit Intermediate Representation (IR)
+ *
+ * One versioned circuit format shared by the circuit designer, sync engine,
+ * simulator and code executor, so circuits round-trip between panels and
+ * can be stored in files:
+ *
+ *   {
+ *     format: 'qubitquest-circuit',
+ *     version: 1,
+ *     qubits: 3,
+ *     clbits: 3,
+ *     operations: [
+ *       { id, type: 'H', qubits: [0], params: [], time: 0 },
+ *       { id, type: 'CRZ', qubits: [0, 2], params: [Math.PI / 4], time: 1 },
+ *       { id, type: 'MEASURE', qubits: [2], params: [], cbits: [2], time: 2 },
+ *       { id, type: 'X', qubits: [1], params: [], time: 3, condition: { cbits: [2], value: 1 } },
+ *       { id, type: 'RESET', qubits: [2], params: [], time: 4 }
+ *     ]
+ *   }
+ *
+ * A condition runs its operation only when the listed classical bits, read
+ * as an integer with cbits[0] least significant, equal value. It names either
+ * a single bit or a whole classical register, which is what Qiskit c_if and
+ * OpenQASM if can express. Named registers are listed in an optional
+ * cregs: [{ name, size }] covering the classical bits in order; without it
+ * there is one register 'c'.
+ *
+ * Controlled gates list their controls first and the target last. Legacy
+ * shapes (designer qubit/target, simulator control/target, 'M', MEASURE on
+ * 'all') are accepted by normalize()
+ */
+
+class CircuitIR {
+    /**
+     * Build an IR circuit from a qubit count and operations in any supported shape
+     */
+    static create(qubits, operations = [], options = {}) {
+        return CircuitIR.normalize({ qubits, clbits: options.clbits, operations });
+    }
+
+    /**
+     * Convert an IR circuit, a legacy circuit object or a bare operations array to IR
+     *
+     * @param {Object|Array} circuit
+     * @param {Object} options - { qubits } used when the input carries no qubit count
+     */
+    static normalize(circuit, options = {}) {
+        const source = Array.isArray(circuit) ? { operations: circuit } : (circuit || {});
+
+        if (source.version !== undefined && source.version > CircuitIR.VERSION) {
+            throw new Error(`Circuit IR version ${source.version} is newer than supported version ${CircuitIR.VERSION}`);
+        }
+
+        const rawOperations = source.operations || [];
+        const qubits = source.qubits !== undefined ? parseInt(source.qubits) :
+            (options.qubits !== undefined ? options.qubits : CircuitIR.inferQubitCount(rawOperations));
+
+        // Operations without an id are named by position, so the same circuit always gets the same ids.
+        // Ids are strings, as the page reads them back from data-gate-id attributes
+        const taken = new Set(rawOperations.filter(op => op.id !== undefined).map(op => String(op.id)));
+        const operations = rawOperations.map((op, index) => CircuitIR.normalizeOperation(
+            op.id !== undefined ? op : { ...op, id: CircuitIR.positionalId(index, taken) }, qubits, index));
+
+        const cregs = Array.isArray(source.cregs) && source.cregs.length > 0 ?
+            source.cregs.map(creg => ({ name: String(creg.name), size: parseInt(creg.size) })) : null;
+
+        let clbits = source.clbits !== undefined ? source.clbits : source.classical_bits;
+        if (clbits === undefined || clbits === null) {
+            const usedCbits = operations.flatMap(op => [...(op.cbits || []), ...(op.condition ? op.condition.cbits : [])]);
+            const declared = cregs ? cregs.reduce((total, creg) => total + creg.size, 0) : 0;
+            clbits = Math.max(qubits, declared, ...usedCbits.map(cbit => cbit + 1));
+        }
+
+        const normalized = {
+            format: CircuitIR.FORMAT,
+            version: CircuitIR.VERSION,
+            qubits,
+            clbits: parseInt(clbits),
+            operations
+        };
+        if (cregs) {
+            normalized.cregs = cregs;
+        }
+        return normalized;
+    }
+
+    /**
+     * Convert one operation in any supported shape to an IR operation
+     */
+    static normalizeOperation(op, numQubits, index = 0) {
+        const upperType = String(op.type).toUpperCase();
+        const type = CircuitIR.ALIASES[upperType] || upperType;
+
+        let params = [];
+        if (Array.isArray(op.params)) {
+            params = [...op.params];
+        } else if (op.angle !== undefined && op.angle !== null) {
+            params = [op.angle];
+        }
+
+        const normalized = {
+            id: op.id !== undefined ? String(op.id) : CircuitIR.positionalId(index),
+            type,
+            qubits: CircuitIR.operationQubits(op, numQubits),
+            params,
+            time: op.time !== undefined ? op.time : index
+        };
+
+        if (type === 'MEASURE') {
+            if (Array.isArray(op.cbits)) {
+                normalized.cbits = [...op.cbits];
+            } else if (op.cbit !== undefined) {
+                normalized.cbits = [op.cbit];
+            } else if (op.classical_bit !== undefined) {
+                normalized.cbits = [op.classical_bit];
+            } else {
+                normalized.cbits = [...normalized.qubits];
+            }
+        }
+
+        if (op.condition) {
+            const cbits = Array.isArray(op.condition.cbits) ? op.condition.cbits : [op.condition.cbit];
+            normalized.condition = { cbits: [...cbits], value: op.condition.value };
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Classical registers with their first bit; one register 'c' when none are named
+     *
+     * @returns {Array<{name: string, size: number, offset: number}>}
+     */
+    static classicalRegisters(circuit) {
+        if (!circuit.cregs) {
+            return [{ name: 'c', size: circuit.clbits, offset: 0 }];
+        }
+        let offset = 0;
+        return circuit.cregs.map(creg => {
+            const register = { name: creg.name, size: creg.size, offset };
+            offset += creg.size;
+            return register;
+        });
+    }
+
+    /**
+     * The register a condition tests as a whole, or null when it tests a single bit
+     */
+    static conditionRegister(circuit, condition) {
+        return CircuitIR.classicalRegisters(circuit).find(register =>
+            register.size === condition.cbits.length &&
+            condition.cbits.every((cbit, i) => cbit === register.offset + i)) || null;
+    }
+
+    /**
+     * Qubits of a legacy or IR operation as [controls..., target]
+     */
+    static operationQubits(op, numQubits) {
+        if (Array.isArray(op.qubits)) return [...op.qubits];
+        if (Array.isArray(op.controls)) return [...op.controls, op.target];
+        if (op.control !== undefined) return [op.control, op.target];
+        if (op.target !== undefined) return [op.qubit, op.target]; // Designer: qubit is the control
+        if (op.qubit === 'all') return Array.from({ length: numQubits }, (_, qubit) => qubit);
+        return [op.qubit];
+    }
+
+    static inferQubitCount(operations) {
+        let highest = -1;
+        for (const op of operations) {
+            for (const qubit of CircuitIR.operationQubits(op, 0)) {
+                if (Number.isInteger(qubit)) highest = Math.max(highest, qubit);
+            }
+        }
+        return Math.max(1, highest + 1);
+    }
+
+    /**
+     * Check an IR circuit against the schema
+     *
+     * @returns {{valid: boolean, errors: string[]}}
+     */
+    static validate(circuit) {
+        const errors = [];
+
+        if (!circuit || typeof circuit !== 'object') {
+            return { valid: false, errors: ['Circuit must be an object'] };
+        }
+        if (circuit.format !== CircuitIR.FORMAT) {
+            errors.push(`format must be '${CircuitIR.FORMAT}'`);
+        }
+        if (circuit.version !== CircuitIR.VERSION) {
+            errors.push(`version must be ${CircuitIR.VERSION}`);
+        }
+        if (!Number.isInteger(circuit.qubits) || circuit.qubits < 1) {
+            errors.push('qubits must be a positive integer');
+        }
+        if (!Number.isInteger(circuit.clbits) || circuit.clbits < 0) {
+            errors.push('clbits must be a non-negative integer');
+        }
+        if (!Array.isArray(circuit.operations)) {
+            errors.push('operations must be an array');
+            return { valid: false, errors };
+        }
+
+        if (circuit.cregs !== undefined) {
+            const names = circuit.cregs.map(creg => creg.name);
+            if (!Array.isArray(circuit.cregs) || circuit.cregs.some(creg => !/^[A-Za-z_]\w*$/.test(creg.name) || !Number.isInteger(creg.size) || creg.size < 1)) {
+                errors.push('cregs must be named registers with a positive size');
+            } else if (new Set(names).size !== names.length) {
+                errors.push('creg names must be unique');
+            } else if (circuit.cregs.reduce((total, creg) => total + creg.size, 0) !== circuit.clbits) {
+                errors.push('cregs must cover every classical bit');
+            }
+        }
+
+        circuit.operations.forEach((op, index) => {
+            CircuitIR.validateOperation(op, circuit).forEach(error => {
+                errors.push(`operations[${index}] (${op && op.type}): ${error}`);
+            });
+        });
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    static validateOperation(op, circuit) {
+        const errors = [];
+        const spec = op && CircuitIR.GATES[op.type];
+
+        if (!spec) {
+            return ['unknown gate type'];
+        }
+
+        if (!Array.isArray(op.qubits)) {
+            errors.push('qubits must be an array');
+        } else {
+            const arityOk = spec.qubits !== undefined ? op.qubits.length === spec.qubits : op.qubits.length >= spec.minQubits;
+            if (!arityOk) {
+                errors.push(`expects ${spec.qubits !== undefined ? spec.qubits : `at least ${spec.minQubits}`} qubits, got ${op.qubits.length}`);
+            }
+            if (op.qubits.some(qubit => !Number.isInteger(qubit) || qubit < 0 || qubit >= circuit.qubits)) {
+                errors.push(`qubits ${JSON.stringify(op.qubits)} out of range for ${circuit.qubits} qubits`);
+            }
+            if (new Set(op.qubits).size !== op.qubits.length) {
+                errors.push('qubits must be distinct');
+            }
+        }
+
+        if (!Array.isArray(op.params) || op.params.length !== spec.params) {
+            errors.push(`expects ${spec.params} parameters`);
+        } else if (op.params.some(param => typeof param !== 'number' || !Number.isFinite(param))) {
+            errors.push('parameters must be finite numbers');
+        }
+
+        if (op.time !== undefined && (typeof op.time !== 'number' || op.time < 0)) {
+            errors.push('time must be a non-negative number');
+        }
+
+        if (op.type === 'MEASURE') {
+            if (!Array.isArray(op.cbits) || !Array.isArray(op.qubits) || op.cbits.length !== op.qubits.length) {
+                errors.push('cbits must list one classical bit per measured qubit');
+            } else if (op.cbits.some(cbit => !Number.isInteger(cbit) || cbit < 0 || cbit >= circuit.clbits)) {
+                errors.push(`cbits ${JSON.stringify(op.cbits)} out of range for ${circuit.clbits} classical bits`);
+            }
+        }
+
+        if (op.condition !== undefined) {
+            errors.push(...CircuitIR.validateCondition(op.condition, circuit));
+        }
+
+        return errors;
+    }
+
+    static validateCondition(condition, circuit) {
+        const { cbits, value } = condition || {};
+        if (!Array.isArray(cbits) || cbits.length === 0) {
+            return ['condition must list its classical bits'];
+        }
+        if (cbits.some(cbit => !Number.isInteger(cbit) || cbit < 0 || cbit >= circuit.clbits)) {
+            return [`condition cbits ${JSON.stringify(cbits)} out of range for ${circuit.clbits} classical bits`];
+        }
+        if (!Number.isInteger(value) || value < 0 || value >= 2 ** cbits.length) {
+            return [`condition value ${value} does not fit in ${cbits.length} classical bit${cbits.length === 1 ? '' : 's'}`];
+        }
+        if (cbits.length > 1 && !CircuitIR.conditionRegister(circuit, condition)) {
+            return ['condition must test a single classical bit or a whole register'];
+        }
+        return [];
+    }
+
+    static assertValid(circuit) {
+        const { valid, errors } = CircuitIR.validate(circuit);
+        if (!valid) {
+            throw new Error(`Invalid circuit: ${errors.join('; ')}`);
+        }
+        return circuit;
+    }
+
+    /**
+     * IR -> CircuitDesigner view model ({ qubit, target, controls, angle, params }, 'M')
+     */
+    static toDesigner(circuit) {
+        const operations = [];
+
+        for (const op of circuit.operations) {
+            if (op.type === 'MEASURE') {
+                // The designer draws one measurement box per qubit
+                op.qubits.forEach((qubit, i) => {
+                    operations.push({
+                        id: op.qubits.length === 1 ? op.id : `${op.id}_${qubit}`,
+                        type: 'M',
+                        qubit,
+                        cbit: op.cbits[i],
+                        time: op.time,
+                        ...(op.condition ? { condition: { ...op.condition } } : {})
+                    });
+                });
+                continue;
+            }
+
+            const designerOp = { id: op.id, type: op.type, qubit: op.qubits[0], time: op.time };
+            if (op.qubits.length > 1) {
+                designerOp.target = op.qubits[op.qubits.length - 1];
+            }
+            if (op.qubits.length > 2) {
+                designerOp.controls = op.qubits.slice(0, -1);
+            }
+            if (op.params.length === 1) {
+                designerOp.angle = op.params[0];
+            } else if (op.params.length > 1) {
+                designerOp.params = [...op.params];
+            }
+            if (op.condition) {
+                designerOp.condition = { ...op.condition, cbits: [...op.condition.cbits] };
+            }
+            operations.push(designerOp);
+        }
+
+        const designer = { qubits: circuit.qubits, clbits: circuit.clbits, operations };
+        if (circuit.cregs) {
+            designer.cregs = circuit.cregs.map(creg => ({ ...creg }));
+        }
+        return designer;
+    }
+
+    /**
+     * Serialize to a JSON file body; throws if the circuit is invalid
+     */
+    static toJSON(circuit) {
+        return JSON.stringify(CircuitIR.assertValid(CircuitIR.normalize(circuit)), null, 2);
+    }
+
+    /**
+     * Parse a stored circuit file, migrating older or legacy shapes
+     */
+    static fromJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Circuit file is not valid JSON: ${error.message}`);
+        }
+        return CircuitIR.assertValid(CircuitIR.normalize(data));
+    }
+
+    /**
+     * 'op_<index>', suffixed when an operation already has that id
+     */
+    static positionalId(index, taken = new Set()) {
+        let id = `op_${index}`;
+        for (let suffix = 1; taken.has(id); suffix++) {
+            id = `op_${index}_${suffix}`;
+        }
+        taken.add(id);
+        return id;
+    }
+}
+
+CircuitIR.FORMAT = 'qubitquest-circuit';
+CircuitIR.VERSION = 1;
+
+// Qubit arity (or minimum for multi-qubit gates) and parameter count per gate type
+CircuitIR.GATES = {
+    H: { qubits: 1, params: 0 },
+    X: { qubits: 1, params: 0 },
+    Y: { qubits: 1, params: 0 },
+    Z: { qubits: 1, params: 0 },
+    S: { qubits: 1, params: 0 },
+    SDG: { qubits: 1, params: 0 },
+    T: { qubits: 1, params: 0 },
+    TDG: { qubits: 1, params: 0 },
+    SX: { qubits: 1, params: 0 },
+    RX: { qubits: 1, params: 1 },
+    RY: { qubits: 1, params: 1 },
+    RZ: { qubits: 1, params: 1 },
+    P: { qubits: 1, params: 1 },
+    U3: { qubits: 1, params: 3 },
+    CNOT: { qubits: 2, params: 0 },
+    CZ: { qubits: 2, params: 0 },
+    SWAP: { qubits: 2, params: 0 },
+    ISWAP: { qubits: 2, params: 0 },
+    CRX: { qubits: 2, params: 1 },
+    CRY: { qubits: 2, params: 1 },
+    CRZ: { qubits: 2, params: 1 },
+    CP: { qubits: 2, params: 1 },
+    CCX: { qubits: 3, params: 0 },
+    MCX: { minQubits: 2, params: 0 },
+    MEASURE: { minQubits: 1, params: 0 },
+    RESET: { qubits: 1, params: 0 }
+};
+
+CircuitIR.ALIASES = {
+    M: 'MEASURE',
+    CX: 'CNOT',
+    TOFFOLI: 'CCX',
+    U: 'U3',
+    PHASE: 'P',
+    CPHASE: 'CP'
+};
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CircuitIR;
+}
+
+// Global access
+globalThis.CircuitIR = CircuitIR;
@@ -158,7 +158,21 @@ class ContextualEntrySystem {
                     'Implement quantum algorithm in code',
                     'Verify circuit implementation matches theory',
                     'Explain algorithm intuition to collaborators'
-                ]
+                ],
+                // Small mean-variance problem the paper's QAOA is run against: pick 2 of 4 assets
+                variationalProblem: {
+                    assets: ['Tech', 'Energy', 'Bonds', 'Gold'],
+                    returns: [0.30, 0.22, 0.08, 0.05],
+                    covariance: [
+                        [0.12, 0.04, 0.01, 0.00],
+                        [0.04, 0.10, 0.02, 0.00],
+                        [0.01, 0.02, 0.04, 0.01],
+                        [0.00, 0.00, 0.01, 0.02]
+                    ],
+                    riskAversion: 0.5,
+                    budget: 2,
+                    layers: 2
+                }
             },
             {
                 id: 'production_debugging',
@@ -174,7 +188,52 @@ class ContextualEntrySystem {
                     'Use visual debugging to find issues',
                     'Implement fixes in production code',
                     'Explain root cause to technical team'
-                ]
+                ],
+                // Device noise behind the "performance drop" - shown as fidelity loss
+                diagnosticCircuit: {
+                    qubits: 3,
+                    operations: [
+                        { type: 'H', qubit: 0 },
+                        { type: 'CNOT', control: 0, target: 1 },
+                        { type: 'CNOT', control: 1, target: 2 },
+                        { type: 'RZ', angle: Math.PI / 4, qubit: 2 }
+                    ]
+                },
+                noiseModel: {
+                    gates: {
+                        CNOT: [{ channel: 'depolarizing', probability: 0.04 }]
+                    },
+                    qubits: {
+                        2: [
+                            { channel: 'amplitude_damping', probability: 0.08 },
+                            { channel: 'phase_damping', probability: 0.05 }
+                        ]
+                    },
+                    readout: { probability: 0.03 }
+                },
+                // The production QAOA for a 3-node path: its mixer was written with RZ,
+                // which commutes with the cost layer and leaves every probability at 1/8
+                debugSession: {
+                    circuit: {
+                        qubits: 3,
+                        operations: [
+                            { type: 'H', qubit: 0, time: 0 },
+                            { type: 'H', qubit: 1, time: 0 },
+                            { type: 'H', qubit: 2, time: 0 },
+                            { type: 'CNOT', control: 0, target: 1, time: 1 },
+                            { type: 'RZ', angle: 1.6, qubit: 1, time: 2 },
+                            { type: 'CNOT', control: 0, target: 1, time: 3 },
+                            { type: 'CNOT', control: 1, target: 2, time: 4 },
+                            { type: 'RZ', angle: 1.6, qubit: 2, time: 5 },
+                            { type: 'CNOT', control: 1, target: 2, time: 6 },
+                            { type: 'RZ', angle: 0.8, qubit: 0, time: 7 },
+                            { type: 'RZ', angle: 0.8, qubit: 1, time: 7 },
+                            { type: 'RZ', angle: 0.8, qubit: 2, time: 7 }
+                        ]
+                    },
+                    breakpoints: [{ column: 7 }],
+                    watches: ['P(|010⟩)', 'P(|101⟩)', '<Z0 Z1>', 'entropy(q1)']
+                }
             },
             {
                 id: 'architecture_review',
@@ -190,7 +249,30 @@ class ContextualEntrySystem {
                     'Optimize for hardware constraints',
                     'Code implementation from circuit design',
                     'Present architectural decisions to team'
-                ]
+                ],
+                // First draft handed over by the team, with the redundancy the transpiler removes
+                optimizationCircuit: {
+                    qubits: 3,
+                    operations: [
+                        { type: 'H', qubit: 0 },
+                        { type: 'H', qubit: 1 },
+                        { type: 'H', qubit: 2 },
+                        { type: 'CNOT', control: 0, target: 1 },
+                        { type: 'RZ', angle: Math.PI / 8, qubit: 1 },
+                        { type: 'RZ', angle: Math.PI / 8, qubit: 1 },
+                        { type: 'CNOT', control: 0, target: 1 },
+                        { type: 'H', qubit: 2 },
+                        { type: 'H', qubit: 2 },
+                        { type: 'RX', angle: Math.PI / 3, qubit: 0 },
+                        { type: 'RX', angle: -Math.PI / 3, qubit: 0 },
+                        { type: 'CNOT', control: 1, target: 2 },
+                        { type: 'RZ', angle: 0.3, qubit: 0 },
+                        { type: 'CNOT', control: 1, target: 2 },
+                        { type: 'S', qubit: 2 },
+                        { type: 'SDG', qubit: 2 },
+                        { type: 'CZ', control: 2, target: 0 }
+                    ]
+                }
             },
             {
                 id: 'stakeholder_meeting',
@@ -492,6 +574,14 @@ class ContextualEntrySystem {
                     </ul>
                 </div>
                 
+                ${this.renderNoiseDiagnostics(scenario)}
+                
+                ${this.renderOptimizationReport(scenario)}
+                
+                ${this.renderDebugTrace(scenario)}
+                
+                ${this.renderVariationalPanel(scenario)}
+                
                 <div class="scenario-timer">
                     <div class="timer-display">
                         <span id="scenario-timer">${this.formatTime(scenario.timeLimit)}</span>
@@ -511,6 +601,225 @@ class ContextualEntrySystem {
         this.scenarioOverlay = overlay;
     }
 
+    /**
+     * Simulate a scenario's diagnostic circuit with and without its noise model
+     */
+    analyzeScenarioNoise(scenario) {
+        if (!scenario.noiseModel || !scenario.diagnosticCircuit || typeof QuantumSimulator === 'undefined') {
+            return null;
+        }
+
+        try {
+            const simulator = new QuantumSimulator().initialize(scenario.diagnosticCircuit.qubits);
+            return simulator.analyzeNoiseImpact(scenario.diagnosticCircuit.operations, scenario.noiseModel);
+        } catch (error) {
+            console.warn('Noise analysis failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Render ideal vs noisy outcome table for scenarios that model decoherence
+     */
+    renderNoiseDiagnostics(scenario) {
+        const analysis = this.analyzeScenarioNoise(scenario);
+        if (!analysis) return '';
+
+        const outcomes = Object.keys(analysis.idealDistribution)
+            .filter(state => analysis.idealDistribution[state] > 0.01 || analysis.noisyDistribution[state] > 0.01)
+            .sort();
+
+        return `
+                <div class="scenario-noise-diagnostics">
+                    <h3>Production Telemetry</h3>
+                    <p>State fidelity vs. ideal circuit: <strong>${(analysis.fidelity * 100).toFixed(1)}%</strong></p>
+                    <table>
+                        <tr><th>Outcome</th><th>Ideal</th><th>Observed</th></tr>
+                        ${outcomes.map(state => `<tr><td>|${state}⟩</td><td>${(analysis.idealDistribution[state] * 100).toFixed(1)}%</td><td>${(analysis.noisyDistribution[state] * 100).toFixed(1)}%</td></tr>`).join('')}
+                    </table>
+                </div>`;
+    }
+
+    /**
+     * Render gate count and depth after each transpiler pass over the scenario's draft circuit
+     */
+    renderOptimizationReport(scenario) {
+        if (!scenario.optimizationCircuit || typeof Transpiler === 'undefined' || typeof CircuitIR === 'undefined') {
+            return '';
+        }
+
+        let result;
+        try {
+            const draft = CircuitIR.normalize(scenario.optimizationCircuit);
+            draft.operations = Transpiler.schedule(draft.operations);
+            result = Transpiler.optimize(draft);
+        } catch (error) {
+            console.warn('Circuit optimization failed:', error);
+            return '';
+        }
+
+        // Cost of the optimized circuit on each preset device
+        const devices = [];
+        if (typeof DeviceProfile !== 'undefined') {
+            for (const { id, name } of DeviceProfile.list()) {
+                try {
+                    const mapped = Transpiler.transpileForDevice(result.after, id);
+                    devices.push({ name, swaps: mapped.swaps, metrics: mapped.metrics.after });
+                } catch (error) {
+                    console.warn(`Routing for ${name} failed:`, error);
+                }
+            }
+        }
+
+        return `
+                <div class="scenario-optimization-report">
+                    <h3>Draft Circuit Review</h3>
+                    <p>Optimization passes cut the draft from <strong>${result.stats.before.gates} gates, depth ${result.stats.before.depth}</strong> to <strong>${result.stats.after.gates} gates, depth ${result.stats.after.depth}</strong>.</p>
+                    <table>
+                        <tr><th>Pass</th><th>Gates</th><th>Depth</th></tr>
+                        ${result.steps.map(step => `<tr><td>${step.name}</td><td>${step.stats.before.gates} → ${step.stats.after.gates}</td><td>${step.stats.before.depth} → ${step.stats.after.depth}</td></tr>`).join('')}
+                    </table>
+                    ${devices.length > 0 ? `
+                    <table>
+                        <tr><th>Device</th><th>SWAPs</th><th>Two-qubit gates</th><th>Depth</th><th>Est. fidelity</th></tr>
+                        ${devices.map(device => `<tr><td>${device.name}</td><td>${device.swaps}</td><td>${device.metrics.twoQubitGates}</td><td>${device.metrics.depth}</td><td>${(device.metrics.fidelity * 100).toFixed(1)}%</td></tr>`).join('')}
+                    </table>` : ''}
+                    ${typeof circuitDesigner !== 'undefined' ? '<button onclick="contextualEntry.openOptimizationCircuit()">Step through in the designer</button>' : ''}
+                </div>`;
+    }
+
+    /**
+     * Load the current scenario's draft circuit into the designer with its optimization steps
+     */
+    openOptimizationCircuit() {
+        const draft = this.currentContext && this.currentContext.optimizationCircuit;
+        if (!draft || typeof circuitDesigner === 'undefined') return;
+
+        const circuit = CircuitIR.normalize(draft);
+        circuit.operations = Transpiler.schedule(circuit.operations);
+        circuitDesigner.loadCircuit(circuit);
+        circuitDesigner.optimizeCircuit();
+    }
+
+    /**
+     * Render the watch values of the scenario's debug session after each column
+     */
+    renderDebugTrace(scenario) {
+        const config = scenario.debugSession;
+        if (!config || typeof CircuitDebugger === 'undefined') return '';
+
+        let session;
+        try {
+            session = new CircuitDebugger(config.circuit, { breakpoints: config.breakpoints, watches: config.watches });
+            session.runTo(session.columns.length);
+        } catch (error) {
+            console.warn('Debug trace failed:', error);
+            return '';
+        }
+
+        const histories = session.watches.map(watch => session.watchHistory(watch.expression));
+        const describe = op => `${op.type} ${op.qubits.map(qubit => `q${qubit}`).join(',')}`;
+
+        return `
+                <div class="scenario-debug-trace">
+                    <h3>Debug Trace</h3>
+                    <p>Watch values after each column of the production circuit. Rows marked ● have a breakpoint.</p>
+                    <table>
+                        <tr><th>Column</th><th>Gates</th>${session.watches.map(watch => `<th>${watch.expression.replace(/</g, '&lt;').replace(/>/g, '&gt;')}</th>`).join('')}</tr>
+                        <tr><td>start</td><td></td>${histories.map(history => `<td>${CircuitDebugger.formatValue(history[0], 3)}</td>`).join('')}</tr>
+                        ${session.columns.map((column, index) => `<tr><td>${session.hasBreakpoint(index) ? '● ' : ''}${index + 1}</td><td>${column.operations.map(describe).join(' ')}</td>${histories.map(history => `<td>${CircuitDebugger.formatValue(history[index + 1], 3)}</td>`).join('')}</tr>`).join('')}
+                    </table>
+                    ${typeof circuitDesigner !== 'undefined' ? '<button onclick="contextualEntry.openDebugSession()">Open in the debugger</button>' : ''}
+                </div>`;
+    }
+
+    /**
+     * Load the current scenario's debug circuit into the designer and start stepping
+     */
+    openDebugSession() {
+        const config = this.currentContext && this.currentContext.debugSession;
+        if (!config || typeof circuitDesigner === 'undefined') return;
+
+        circuitDesigner.loadCircuit(config.circuit);
+        circuitDesigner.startDebugger({ breakpoints: config.breakpoints, watches: config.watches });
+    }
+
+    /**
+     * Render the QAOA convergence panel for scenarios that ship an optimization problem
+     */
+    renderVariationalPanel(scenario) {
+        const problem = scenario.variationalProblem;
+        if (!problem || typeof VariationalRunner === 'undefined' || typeof ConvergenceChart === 'undefined') {
+            return '';
+        }
+
+        return `
+                <div class="scenario-variational">
+                    <h3>Run the Paper's QAOA</h3>
+                    <p>Choose ${problem.budget} of ${problem.assets.join(', ')} with a p = ${problem.layers} QAOA circuit. The dashed line is the brute-force classical optimum.</p>
+                    <div class="convergence-chart" id="variational-chart"></div>
+                    <div class="variational-actions">
+                        <button onclick="contextualEntry.runVariationalOptimization('nelder-mead')">Optimize (Nelder–Mead)</button>
+                        <button onclick="contextualEntry.runVariationalOptimization('gradient')">Optimize (parameter shift)</button>
+                    </div>
+                    <div class="variational-summary" id="variational-summary"></div>
+                </div>`;
+    }
+
+    /**
+     * Optimize the current scenario's QAOA circuit, streaming each iteration to the chart
+     */
+    async runVariationalOptimization(method = 'nelder-mead') {
+        const problem = this.currentContext && this.currentContext.variationalProblem;
+        const chartContainer = document.getElementById('variational-chart');
+        const summary = document.getElementById('variational-summary');
+        if (!problem || !chartContainer || this.variationalRunning) return null;
+
+        const portfolio = VariationalRunner.portfolioProblem(problem);
+        const baseline = VariationalRunner.bruteForce(portfolio.cost, portfolio.qubits);
+        const ansatz = VariationalRunner.qaoaAnsatz(portfolio.hamiltonian, portfolio.qubits, problem.layers || 1);
+        const runner = new VariationalRunner(ansatz, portfolio.hamiltonian);
+
+        if (!this.convergenceChart || this.convergenceChart.container !== chartContainer) {
+            this.convergenceChart = new ConvergenceChart(chartContainer);
+        }
+        this.convergenceChart.reset();
+        this.convergenceChart.setBaseline(baseline.cost, `Classical optimum |${baseline.bitstring}⟩`);
+
+        this.variationalRunning = true;
+        if (summary) summary.textContent = 'Optimizing...';
+
+        try {
+            const result = await runner.optimize({
+                method,
+                maxIterations: 150,
+                onIteration: record => this.convergenceChart.addPoint(record)
+            });
+
+            const [likely, probability] = Object.entries(result.distribution).sort((a, b) => b[1] - a[1])[0];
+            const pick = bitstring => portfolio.assets.filter((_, i) => bitstring[i] === '1').join(' + ') || 'nothing';
+
+            if (summary) {
+                summary.innerHTML = `
+                    <table>
+                        <tr><th></th><th>QAOA</th><th>Brute force</th></tr>
+                        <tr><td>Cost</td><td>⟨H⟩ = ${result.energy.toFixed(4)}</td><td>${baseline.cost.toFixed(4)}</td></tr>
+                        <tr><td>Portfolio</td><td>|${likely}⟩ ${pick(likely)} (${(probability * 100).toFixed(1)}%)</td><td>|${baseline.bitstring}⟩ ${pick(baseline.bitstring)}</td></tr>
+                        <tr><td>Evaluations</td><td>${result.evaluations} circuits, ${result.iterations} iterations</td><td>${baseline.evaluations} bitstrings</td></tr>
+                    </table>
+                    <p>P(optimal portfolio) = <strong>${((result.distribution[baseline.bitstring] || 0) * 100).toFixed(1)}%</strong> vs. ${(100 / baseline.evaluations).toFixed(1)}% by random guess${result.converged ? '' : ' (stopped before converging)'}</p>`;
+            }
+
+            return { result, baseline };
+        } catch (error) {
+            console.warn('Variational optimization failed:', error);
+            if (summary) summary.textContent = `Optimization failed: ${error.message}`;
+            return null;
+        } finally {
+            this.variationalRunning = false;
+        }
+    }
+
     /**
      * Display "The Ambush" interface with high-pressure professional context
      */
@@ -3027,4 +3336,4 @@ if (typeof module !== 'undefined' && module.exports) {
 }
 
 // Global instance for direct HTML usage
-window.ContextualEntrySystem = ContextualEntrySystem;
\ No newline at end of file
+globalThis.ContextualEntrySystem = ContextualEntrySystem;
\ No newline at end of file
@@ -0,0 +1,249 @@
+/**
+ * Hardware Device Profiles
+ *
+ * Coupling map, native gate set and per-gate error rates of a target device,
+ * used by Transpiler.transpileForDevice to route and decompose circuits and to
+ * estimate how well they would run. Factories cover the common topologies:
+ *
+ *   linear     0 - 1 - 2 - ... - (n-1)
+ *   ring       linear plus (n-1) - 0
+ *   grid       rows x cols nearest-neighbour lattice
+ *   heavy-hex  lines joined by bridge qubits, every qubit of degree 3 or less
+ */
+
+class DeviceProfile {
+    /**
+     * @param {Object} config - {
+     *     id, name, qubits,
+     *     edges:       [[0, 1], [1, 2]]          // undirected couplings
+     *     nativeGates: ['RZ', 'SX', 'X', 'CNOT']
+     *     errorRates:  { SX: 3e-4, CNOT: 8e-3, MEASURE: 2e-2 }
+     *   }
+     */
+    constructor(config) {
+        this.id = config.id;
+        this.name = config.name || config.id;
+        this.qubits = config.qubits;
+        this.nativeGates = [...config.nativeGates];
+        this.errorRates = { ...config.errorRates };
+        this.edges = [];
+        this.adjacency = Array.from({ length: this.qubits }, () => new Set());
+
+        for (const [a, b] of config.edges) {
+            if (a === b || a < 0 || b < 0 || a >= this.qubits || b >= this.qubits) {
+                throw new Error(`Invalid coupling ${a}-${b} on ${this.name} (${this.qubits} qubits)`);
+            }
+            if (this.adjacency[a].has(b)) continue;
+            this.adjacency[a].add(b);
+            this.adjacency[b].add(a);
+            this.edges.push([Math.min(a, b), Math.max(a, b)]);
+        }
+    }
+
+    /**
+     * Accept a DeviceProfile, a preset id or a plain config object
+     */
+    static from(device) {
+        if (device instanceof DeviceProfile) return device;
+        if (typeof device === 'string') return DeviceProfile.get(device);
+        return new DeviceProfile(device);
+    }
+
+    static get(id) {
+        const preset = DeviceProfile.PRESETS[id];
+        if (!preset) {
+            throw new Error(`Unknown device: ${id}. Available: ${Object.keys(DeviceProfile.PRESETS).join(', ')}`);
+        }
+        return preset.build();
+    }
+
+    /**
+     * Summaries of the preset devices
+     */
+    static list() {
+        return Object.entries(DeviceProfile.PRESETS).map(([id, preset]) => ({
+            id,
+            name: preset.name,
+            description: preset.description
+        }));
+    }
+
+    static linear(qubits, options = {}) {
+        const edges = Array.from({ length: qubits - 1 }, (_, i) => [i, i + 1]);
+        return DeviceProfile.create(`linear_${qubits}`, `Linear ${qubits}`, qubits, edges, options);
+    }
+
+    static ring(qubits, options = {}) {
+        const edges = Array.from({ length: qubits }, (_, i) => [i, (i + 1) % qubits]);
+        return DeviceProfile.create(`ring_${qubits}`, `Ring ${qubits}`, qubits, edges, options);
+    }
+
+    /**
+     * Row-major rows x cols lattice: qubit r * cols + c
+     */
+    static grid(rows, cols, options = {}) {
+        const edges = [];
+        for (let r = 0; r < rows; r++) {
+            for (let c = 0; c < cols; c++) {
+                const qubit = r * cols + c;
+                if (c + 1 < cols) edges.push([qubit, qubit + 1]);
+                if (r + 1 < rows) edges.push([qubit, qubit + cols]);
+            }
+        }
+        return DeviceProfile.create(`grid_${rows}x${cols}`, `Grid ${rows}×${cols}`, rows * cols, edges, options);
+    }
+
+    /**
+     * Heavy-hex lattice of rows x cols hexagons: rows + 1 lines of 4 * cols + 1
+     * qubits, joined by a bridge qubit every fourth column, alternating offsets
+     */
+    static heavyHex(rows, cols, options = {}) {
+        const lineLength = 4 * cols + 1;
+        const lineQubit = (line, column) => line * lineLength + column;
+        const edges = [];
+        let next = (rows + 1) * lineLength;
+
+        for (let line = 0; line <= rows; line++) {
+            for (let column = 0; column + 1 < lineLength; column++) {
+                edges.push([lineQubit(line, column), lineQubit(line, column + 1)]);
+            }
+        }
+        for (let line = 0; line < rows; line++) {
+            for (let column = line % 2 === 0 ? 0 : 2; column < lineLength; column += 4) {
+                const bridge = next++;
+                edges.push([lineQubit(line, column), bridge], [bridge, lineQubit(line + 1, column)]);
+            }
+        }
+        return DeviceProfile.create(`heavy_hex_${next}`, `Heavy-hex ${next}`, next, edges, options);
+    }
+
+    static create(id, name, qubits, edges, options) {
+        const gateSet = DeviceProfile.GATE_SETS[options.gateSet || 'cnot'];
+        if (!gateSet) {
+            throw new Error(`Unknown gate set: ${options.gateSet}. Available: ${Object.keys(DeviceProfile.GATE_SETS).join(', ')}`);
+        }
+        return new DeviceProfile({
+            id: options.id || id,
+            name: options.name || name,
+            qubits,
+            edges,
+            nativeGates: options.nativeGates || gateSet.nativeGates,
+            errorRates: { ...gateSet.errorRates, ...(options.errorRates || {}) }
+        });
+    }
+
+    isNative(gateType) {
+        return this.nativeGates.includes(gateType);
+    }
+
+    isCoupled(a, b) {
+        return Boolean(this.adjacency[a] && this.adjacency[a].has(b));
+    }
+
+    neighbors(qubit) {
+        return [...this.adjacency[qubit]].sort((a, b) => a - b);
+    }
+
+    /**
+     * Fewest-hop path between two physical qubits (both ends included), or
+     * null when they are not connected
+     */
+    shortestPath(from, to) {
+        const previous = new Map([[from, null]]);
+        const queue = [from];
+
+        while (queue.length > 0) {
+            const qubit = queue.shift();
+            if (qubit === to) {
+                const path = [];
+                for (let step = to; step !== null; step = previous.get(step)) {
+                    path.unshift(step);
+                }
+                return path;
+            }
+            for (const neighbor of this.neighbors(qubit)) {
+                if (!previous.has(neighbor)) {
+                    previous.set(neighbor, qubit);
+                    queue.push(neighbor);
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Error probability of one operation. Gates outside the native set (an
+     * unrouted circuit) are charged the worst native gate of the same arity,
+     * so the estimate before routing is a lower bound on the real cost
+     */
+    gateError(op) {
+        if (op.type === 'MEASURE') {
+            return 1 - Math.pow(1 - (this.errorRates.MEASURE || 0), op.qubits.length);
+        }
+        if (this.errorRates[op.type] !== undefined) {
+            return this.errorRates[op.type];
+        }
+
+        const arity = Math.min(op.qubits.length, 2);
+        const sameArity = this.nativeGates
+            .filter(type => (DeviceProfile.TWO_QUBIT_GATES.includes(type) ? 2 : 1) === arity)
+            .map(type => this.errorRates[type] || 0);
+        return sameArity.length > 0 ? Math.max(...sameArity) : 0;
+    }
+
+    /**
+     * Probability that no operation errs, assuming independent errors
+     */
+    estimateFidelity(operations) {
+        return operations.reduce((fidelity, op) => fidelity * (1 - this.gateError(op)), 1);
+    }
+}
+
+DeviceProfile.TWO_QUBIT_GATES = ['CNOT', 'CZ', 'SWAP', 'ISWAP', 'CRX', 'CRY', 'CRZ', 'CP'];
+
+// Native gates with typical error rates; RZ is a virtual frame change and free
+DeviceProfile.GATE_SETS = {
+    cnot: {
+        nativeGates: ['RZ', 'SX', 'X', 'CNOT'],
+        errorRates: { RZ: 0, SX: 3e-4, X: 3e-4, CNOT: 8e-3, MEASURE: 2e-2, RESET: 1e-2 }
+    },
+    cz_rx: {
+        nativeGates: ['RZ', 'RX', 'CZ'],
+        errorRates: { RZ: 0, RX: 1e-3, CZ: 6e-3, MEASURE: 3e-2, RESET: 1e-2 }
+    },
+    cz_ry: {
+        nativeGates: ['RZ', 'RY', 'CZ'],
+        errorRates: { RZ: 0, RY: 5e-4, CZ: 1e-2, MEASURE: 1.5e-2, RESET: 5e-3 }
+    }
+};
+
+DeviceProfile.PRESETS = {
+    linear_5: {
+        name: 'Linear 5',
+        description: '5 qubits in a line, CNOT native',
+        build: () => DeviceProfile.linear(5)
+    },
+    ring_6: {
+        name: 'Ring 6',
+        description: '6 qubits in a ring, CZ native with RY/RZ rotations',
+        build: () => DeviceProfile.ring(6, { gateSet: 'cz_ry' })
+    },
+    grid_3x3: {
+        name: 'Grid 3×3',
+        description: '9 qubits on a square lattice, CZ native with RX/RZ rotations',
+        build: () => DeviceProfile.grid(3, 3, { gateSet: 'cz_rx' })
+    },
+    heavy_hex_21: {
+        name: 'Heavy-hex 21',
+        description: 'Two heavy hexagons (21 qubits), CNOT native',
+        build: () => DeviceProfile.heavyHex(1, 2)
+    }
+};
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DeviceProfile;
+}
+
+// Global access
+globalThis.DeviceProfile = DeviceProfile;
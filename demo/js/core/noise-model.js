@@ -0,0 +1,185 @@
+/**
+ * Noise Model for Density-Matrix Simulation
+ *
+ * Describes which decoherence channels act on which gates and qubits
+ * Used by QuantumSimulator.simulateCircuit to show how noise degrades fidelity
+ *
+ * Channels are single-qubit and applied right after the gate that triggers them:
+ * - depolarizing, amplitude_damping, phase_damping, bit_flip (Kraus channels)
+ * - readout errors flip the reported classical outcome at measurement time
+ */
+
+class NoiseModel {
+    /**
+     * @param {Object} config - Plain noise-model object, e.g.
+     *   {
+     *     gates:   { CNOT: [{ channel: 'depolarizing', probability: 0.02 }] },
+     *     qubits:  { 2: [{ channel: 'amplitude_damping', probability: 0.05 }] },
+     *     readout: { probability: 0.03 }            // every qubit
+     *           or { 0: { p0to1: 0.01, p1to0: 0.04 } } // per qubit
+     *   }
+     */
+    constructor(config = {}) {
+        this.gateChannels = new Map();
+        this.qubitChannels = new Map();
+        this.readoutErrors = new Map();
+        this.defaultReadoutError = null;
+
+        for (const [gateType, channels] of Object.entries(config.gates || {})) {
+            channels.forEach(channel => this.addGateNoise(gateType, channel));
+        }
+
+        for (const [qubit, channels] of Object.entries(config.qubits || {})) {
+            channels.forEach(channel => this.addQubitNoise(parseInt(qubit), channel));
+        }
+
+        if (config.readout) {
+            if (config.readout.probability !== undefined || config.readout.p0to1 !== undefined) {
+                this.setReadoutError(config.readout);
+            } else {
+                for (const [qubit, error] of Object.entries(config.readout)) {
+                    this.setReadoutError(error, parseInt(qubit));
+                }
+            }
+        }
+    }
+
+    /**
+     * Accept either a NoiseModel instance or a plain noise-model object
+     */
+    static from(noiseModel) {
+        if (!noiseModel) return null;
+        return noiseModel instanceof NoiseModel ? noiseModel : new NoiseModel(noiseModel);
+    }
+
+    /**
+     * Attach a channel to every occurrence of a gate type
+     */
+    addGateNoise(gateType, channel) {
+        const key = gateType.toUpperCase();
+        NoiseModel.validateChannel(channel);
+
+        if (!this.gateChannels.has(key)) {
+            this.gateChannels.set(key, []);
+        }
+        this.gateChannels.get(key).push(channel);
+
+        return this;
+    }
+
+    /**
+     * Attach a channel to every gate that touches a qubit
+     */
+    addQubitNoise(qubit, channel) {
+        NoiseModel.validateChannel(channel);
+
+        if (!this.qubitChannels.has(qubit)) {
+            this.qubitChannels.set(qubit, []);
+        }
+        this.qubitChannels.get(qubit).push(channel);
+
+        return this;
+    }
+
+    /**
+     * Set readout error as a symmetric probability or asymmetric p0to1 / p1to0
+     */
+    setReadoutError(error, qubit = null) {
+        const p0to1 = error.p0to1 !== undefined ? error.p0to1 : error.probability;
+        const p1to0 = error.p1to0 !== undefined ? error.p1to0 : error.probability;
+
+        if (!(p0to1 >= 0 && p0to1 <= 1) || !(p1to0 >= 0 && p1to0 <= 1)) {
+            throw new Error('Readout error probabilities must be between 0 and 1');
+        }
+
+        const readout = { p0to1, p1to0 };
+        if (qubit === null) {
+            this.defaultReadoutError = readout;
+        } else {
+            this.readoutErrors.set(qubit, readout);
+        }
+
+        return this;
+    }
+
+    /**
+     * Channels to apply after an operation, as [{ channel, qubit }]
+     */
+    getChannelsFor(gateType, qubits) {
+        const applications = [];
+        const gateNoise = this.gateChannels.get(gateType.toUpperCase()) || [];
+
+        for (const qubit of qubits) {
+            gateNoise.forEach(channel => applications.push({ channel, qubit }));
+            (this.qubitChannels.get(qubit) || []).forEach(channel => applications.push({ channel, qubit }));
+        }
+
+        return applications;
+    }
+
+    getReadoutError(qubit) {
+        return this.readoutErrors.get(qubit) || this.defaultReadoutError;
+    }
+
+    hasReadoutError() {
+        return this.defaultReadoutError !== null || this.readoutErrors.size > 0;
+    }
+
+    static validateChannel(channel) {
+        if (!channel || !NoiseModel.CHANNELS.includes(channel.channel)) {
+            throw new Error(`Unknown noise channel: ${channel && channel.channel}`);
+        }
+        if (!(channel.probability >= 0 && channel.probability <= 1)) {
+            throw new Error(`Noise probability for ${channel.channel} must be between 0 and 1`);
+        }
+    }
+
+    /**
+     * Kraus operators for a channel, as 2x2 matrices in the simulator's
+     * number / {real, imag} element format
+     */
+    static krausOperators(channel) {
+        const p = channel.probability;
+
+        switch (channel.channel) {
+            case 'depolarizing': {
+                // p = 1 sends any state to the maximally mixed state
+                const identityWeight = Math.sqrt(1 - 3 * p / 4);
+                const pauliWeight = Math.sqrt(p / 4);
+                return [
+                    [[identityWeight, 0], [0, identityWeight]],
+                    [[0, pauliWeight], [pauliWeight, 0]],
+                    [[0, { real: 0, imag: -pauliWeight }], [{ real: 0, imag: pauliWeight }, 0]],
+                    [[pauliWeight, 0], [0, -pauliWeight]]
+                ];
+            }
+            case 'amplitude_damping':
+                return [
+                    [[1, 0], [0, Math.sqrt(1 - p)]],
+                    [[0, Math.sqrt(p)], [0, 0]]
+                ];
+            case 'phase_damping':
+                return [
+                    [[1, 0], [0, Math.sqrt(1 - p)]],
+                    [[0, 0], [0, Math.sqrt(p)]]
+                ];
+            case 'bit_flip':
+                return [
+                    [[Math.sqrt(1 - p), 0], [0, Math.sqrt(1 - p)]],
+                    [[0, Math.sqrt(p)], [Math.sqrt(p), 0]]
+                ];
+            default:
+                throw new Error(`Unknown noise channel: ${channel.channel}`);
+        }
+    }
+}
+
+NoiseModel.CHANNELS = ['depolarizing', 'amplitude_damping', 'phase_damping', 'bit_flip'];
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NoiseModel;
+}
+
+// Global access
+globalThis.NoiseModel = NoiseModel;
@@ -0,0 +1,705 @@
+/**
+ * Dirac / LaTeX Notation Parser
+ *
+ * Reads the operator sequences the notation panel displays and turns them
+ * into CircuitIR, so editing notation can drive the other panels:
+ *
+ *   $|\psi_0\rangle = |0\rangle^{\otimes 2}$
+ *   $|\psi_1\rangle = H_{0} |\psi_0\rangle$
+ *   $|\psi_2\rangle = (\text{CNOT}_{0,1} \cdot R_y^{(2)}(\pi/2)) |\psi_1\rangle$
+ *
+ * Also understands simple ket definitions (|01⟩, |+⟩^{⊗n}, tensor products,
+ * two-term superpositions such as (|00⟩ + |11⟩)/√2 and Bell states), operator
+ * tensor products and powers (H ⊗ I ⊗ I, H^{⊗3}, \text{CNOT}^{7}),
+ * classically conditioned operators ([c_1=1]\,X_{2}), operators applied on
+ * the left-hand side (CNOT_{0,1}|ψ⟩ = ...) and bare operator products
+ * (H_{1} H_{0}), which continue from the statement before. Statements may
+ * also be the rows of an align environment or of one line broken with \\.
+ * Statements that describe rather than define a state are skipped and
+ * reported as warnings; notation in which nothing defines a state is an error
+ */
+
+class NotationParser {
+    constructor() {
+        this.states = new Map();
+        this.current = null;
+        this.declaredQubits = 0;
+        this.warnings = [];
+    }
+
+    /**
+     * Parse notation into a CircuitIR circuit
+     */
+    static parse(notation) {
+        return NotationParser.analyze(notation).circuit;
+    }
+
+    /**
+     * Parse notation, also returning warnings for statements that were skipped.
+     * Throws when statements were skipped and none defined a state, rather
+     * than reading the notation as an empty circuit
+     *
+     * @returns {{circuit: Object, warnings: string[]}}
+     */
+    static analyze(notation) {
+        const parser = new NotationParser();
+        for (const statement of NotationParser.splitStatements(notation)) {
+            parser.parseStatement(statement);
+        }
+        if (parser.current === null && parser.warnings.length > 0) {
+            throw new Error(`Could not read the notation. ${parser.warnings.join('; ')}`);
+        }
+        return { circuit: parser.buildCircuit(), warnings: parser.warnings };
+    }
+
+    /**
+     * Math segments of the notation: $...$ and $$...$$ blocks, or whole lines
+     * without delimiters, split into the rows of any \\ line breaks, with
+     * align environments and their & markers dropped
+     */
+    static splitStatements(notation) {
+        const text = String(notation || '')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<[^>]+>/g, ' ')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&amp;/g, '&')
+            .replace(/\$\$/g, '$')
+            .replace(/(?<!\\)\\[[\]]/g, '$')
+            .replace(/\\(?:begin|end)\{[A-Za-z]+\*?\}/g, ' ');
+
+        const statements = [];
+        for (const line of text.split('\n')) {
+            const segments = line.includes('$') ? line.split('$').filter((_, i) => i % 2 === 1) : [line];
+            segments.flatMap(segment => segment.split(/\\\\(?:\[[^\]]*\])?/)).forEach(row => {
+                // Indented \quad lines are commentary (expansions, entanglement metrics)
+                if (/^\s*\\quad/.test(row)) return;
+                const cleaned = NotationParser.canonicalize(row.replace(/(^|[^\\])&/g, '$1 '));
+                if (cleaned) statements.push(cleaned);
+            });
+        }
+        return statements;
+    }
+
+    /**
+     * Rewrite Unicode symbols as LaTeX and drop spacing commands
+     */
+    static canonicalize(text) {
+        return text
+            .replace(/⟩/g, '\\rangle ')
+            .replace(/⟨/g, '\\langle ')
+            .replace(/ψ/g, '\\psi ')
+            .replace(/φ/g, '\\phi ')
+            .replace(/Φ/g, '\\Phi ')
+            .replace(/Ψ/g, '\\Psi ')
+            .replace(/⊗/g, '\\otimes ')
+            .replace(/π/g, '\\pi ')
+            .replace(/θ/g, '\\theta ')
+            .replace(/†/g, '^\\dagger ')
+            .replace(/·/g, '\\cdot ')
+            .replace(/√(\d)/g, '\\sqrt{$1}')
+            .replace(/√/g, '\\sqrt ')
+            .replace(/[₀-₉]+(?:\s*,\s*[₀-₉]+)*/g, run => `_{${run.replace(/\s/g, '')
+                .replace(/[₀-₉]/g, digit => String(digit.charCodeAt(0) - 0x2080))}}`)
+            .replace(/\\left|\\right|\\quad|\\qquad|\\[,;!]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    parseStatement(statement) {
+        const equals = NotationParser.findEquals(statement);
+        if (equals === -1) {
+            this.parseProduct(statement);
+            return;
+        }
+
+        const lhs = statement.slice(0, equals).trim();
+        const rhs = statement.slice(equals + 1).trim();
+
+        // Continuation lines ("= 1/√2 (|0⟩ + |1⟩)") expand the previous state
+        if (!lhs) return;
+
+        try {
+            const lhsLabel = NotationParser.matchLabelKet(lhs);
+            if (lhsLabel && lhsLabel.rest === '') {
+                this.defineState(lhsLabel.label, rhs);
+                return;
+            }
+
+            // Operators applied on the left: CNOT_{0,1}|ψ⟩ = ...
+            const applied = NotationParser.splitTrailingKet(lhs);
+            if (applied && applied.operators && NotationParser.isLabelKet(applied.ket)) {
+                const label = NotationParser.labelName(applied.ket);
+                const layers = [...this.stateLayers(label), ...this.parseOperators(applied.operators)];
+                this.setState(label, layers);
+                return;
+            }
+
+            this.warn(statement, 'does not define a state');
+        } catch (error) {
+            this.warn(statement, error.message);
+        }
+    }
+
+    /**
+     * A statement without '=': operators applied to a ket (H_{0}|0⟩), or a
+     * bare operator product (R_y^{(1)}(\pi/2) H_{0}) applied after the
+     * statements before it, from |0...0⟩ when it is the first
+     */
+    parseProduct(statement) {
+        try {
+            let layers;
+            if (NotationParser.splitTrailingKet(statement)) {
+                layers = this.stateExpressionLayers(statement);
+            } else {
+                const before = this.current !== null ? this.states.get(this.current) : [];
+                layers = [...before, ...this.parseOperators(statement)];
+            }
+            this.setState(NotationParser.UNNAMED_STATE, layers);
+        } catch (error) {
+            this.warn(statement, error.message);
+        }
+    }
+
+    /**
+     * |label⟩ = RHS, where RHS is a ket definition or operators applied to a ket
+     */
+    defineState(label, rhs) {
+        this.setState(label, this.stateExpressionLayers(rhs));
+    }
+
+    stateExpressionLayers(rhs) {
+        const definition = this.parseKetExpression(rhs);
+        if (definition) {
+            return definition;
+        }
+
+        const applied = NotationParser.splitTrailingKet(rhs);
+        if (!applied) {
+            throw new Error('right-hand side does not end in a ket');
+        }
+
+        const base = NotationParser.isLabelKet(applied.ket) ?
+            this.stateLayers(NotationParser.labelName(applied.ket)) :
+            this.parseKetExpression(applied.ket);
+        if (!base) {
+            throw new Error(`cannot read the state ${applied.ket}`);
+        }
+
+        return [...base, ...this.parseOperators(applied.operators)];
+    }
+
+    setState(label, layers) {
+        this.states.set(label, layers);
+        this.current = label;
+    }
+
+    /**
+     * Layers of a previously defined state; undefined states start in |0...0⟩
+     */
+    stateLayers(label) {
+        if (this.states.has(label)) {
+            return this.states.get(label);
+        }
+        if (!/_?0$/.test(label)) {
+            this.warnings.push(`State |${label}⟩ is used before it is defined; assuming |0...0⟩`);
+        }
+        return [];
+    }
+
+    /**
+     * Preparation layers for a ket expression, or null if it is not a plain state
+     */
+    parseKetExpression(text) {
+        const expression = text.replace(/\s/g, '');
+
+        // Tensor products and juxtaposed kets: |0⟩⊗|1⟩, |+⟩^{⊗3}|0⟩
+        const factor = /\|([01+\-]+)\\rangle(?:\^\{?\\otimes(\d+)\}?)?/y;
+        const bits = [];
+        let position = 0;
+        while (position < expression.length) {
+            if (expression.startsWith('\\otimes', position)) {
+                position += '\\otimes'.length;
+                continue;
+            }
+            factor.lastIndex = position;
+            const match = factor.exec(expression);
+            if (!match) break;
+            const count = match[2] !== undefined ? parseInt(match[2]) : 1;
+            for (let i = 0; i < count; i++) bits.push(...match[1]);
+            position = factor.lastIndex;
+        }
+        if (position === expression.length && bits.length > 0) {
+            this.declareQubits(bits.length);
+            return NotationParser.productStateLayers(bits);
+        }
+
+        const bell = expression.match(/^\|\\(Phi|Psi)\^\{?([+\-])\}?\\rangle$/);
+        if (bell) {
+            const second = bell[1] === 'Phi' ? '11' : '10';
+            this.declareQubits(2);
+            return NotationParser.superpositionLayers(bell[1] === 'Phi' ? '00' : '01', second, bell[2]);
+        }
+
+        // (|a⟩ ± |b⟩)/√2 and \frac{1}{\sqrt{2}}(|a⟩ ± |b⟩)
+        const pair = expression.match(/^(?:\\frac\{1\}\{\\sqrt\{?2\}?\}|1\/\\sqrt\{?2\}?)?\(\|([01]+)\\rangle([+\-])\|([01]+)\\rangle\)(?:\/\\sqrt\{?2\}?)?$/);
+        if (pair && pair[1].length === pair[3].length && pair[1] !== pair[3]) {
+            this.declareQubits(pair[1].length);
+            return NotationParser.superpositionLayers(pair[1], pair[3], pair[2]);
+        }
+
+        return null;
+    }
+
+    declareQubits(count) {
+        this.declaredQubits = Math.max(this.declaredQubits, count);
+    }
+
+    /**
+     * Operator product -> layers, applied right to left
+     */
+    parseOperators(text) {
+        const product = this.readProduct(text, 0, false);
+        if (product.positional) {
+            this.declareQubits(product.width);
+        }
+        return NotationParser.layer(product.operations);
+    }
+
+    /**
+     * Operations of a product in the order they apply. Factors joined by
+     * \otimes sit side by side from qubit offset (H ⊗ I ⊗ X), as do the copies
+     * of a tensor power (H^{\otimes 3}); an operator there without indices of
+     * its own acts on the qubits of its place, and so does a multi-qubit gate
+     * written without them (\text{CNOT} on qubits 0 and 1). Parenthesised
+     * groups nest, and an operator or group raised to an integer power
+     * (\text{CNOT}^{7}) is applied that many times
+     *
+     * @returns {{operations: Object[], width: number, positional: boolean}} width
+     *   is the number of qubits the product spans from offset; positional tells
+     *   whether any operator took its qubits from its place
+     */
+    readProduct(text, offset, positional) {
+        const slots = [[]];
+        let position = 0;
+
+        while (position < text.length) {
+            const rest = text.slice(position);
+            const skip = rest.match(/^(\s+|\\cdot|\\times)/);
+            if (skip) {
+                position += skip[0].length;
+                continue;
+            }
+            if (rest.startsWith('\\otimes')) {
+                slots.push([]);
+                position += '\\otimes'.length;
+                continue;
+            }
+            if (rest[0] === '(') {
+                const close = NotationParser.matchParen(text, position);
+                if (close === -1) {
+                    throw new Error(`unbalanced parentheses at '${rest.slice(0, 20)}'`);
+                }
+                const power = text.slice(close + 1).match(NotationParser.POWER);
+                slots[slots.length - 1].push({
+                    group: text.slice(position + 1, close),
+                    power: power ? NotationParser.powerOf(power) : 1
+                });
+                position = close + 1 + (power ? power[0].length : 0);
+                continue;
+            }
+
+            const result = NotationParser.readOperator(text, position);
+            if (!result) {
+                throw new Error(`unrecognised operator at '${rest.slice(0, 20)}'`);
+            }
+            slots[slots.length - 1].push({ operator: result.operator, power: result.operator.power });
+            position = result.end;
+        }
+
+        const sideBySide = positional || slots.length > 1;
+        const operations = [];
+        let next = offset;
+        let placedAny = slots.length > 1;
+        slots.forEach(factors => {
+            let width = 1;
+            [...factors].reverse().forEach(factor => {
+                const placed = factor.group !== undefined ?
+                    this.readProduct(factor.group, next, sideBySide) :
+                    NotationParser.placeOperator(factor.operator, next, sideBySide);
+                width = Math.max(width, placed.width);
+                placedAny = placedAny || placed.positional;
+                for (let i = 0; i < factor.power; i++) {
+                    operations.push(...placed.operations.map(operation => ({ ...operation })));
+                }
+            });
+            next += width;
+        });
+
+        return { operations, width: next - offset, positional: placedAny };
+    }
+
+    /**
+     * Operations of one operator token placed at qubit offset; see readProduct
+     */
+    static placeOperator(operator, offset, positional) {
+        const spec = CircuitIR.GATES[operator.type];
+        const arity = spec && spec.qubits ? spec.qubits : 1;
+        const copies = operator.qubits ? 1 : operator.copies;
+        const placed = !operator.qubits && (positional || copies > 1 || arity > 1);
+        if (operator.type === 'I') {
+            return { operations: [], width: copies, positional: placed };
+        }
+        if (operator.qubits && operator.copies > 1) {
+            throw new Error(`${operator.type}^{\\otimes ${operator.copies}} cannot also name its qubits`);
+        }
+
+        const operations = [];
+        for (let copy = 0; copy < copies; copy++) {
+            const start = offset + copy * arity;
+            const qubits = placed ? Array.from({ length: arity }, (_, i) => start + i) : null;
+            operations.push(NotationParser.toOperation(operator, qubits));
+        }
+        return { operations, width: operator.qubits ? 1 : copies * arity, positional: placed };
+    }
+
+    /**
+     * One gate token at position: an optional classical condition [c_{k}=v],
+     * the head, then any of ^\dagger, ^{(q)}, ^{\otimes n}, ^{k}, _{q}, (angles)
+     */
+    static readOperator(text, position) {
+        const rest = text.slice(position);
+        let type = null;
+        let end = 0;
+
+        let condition = null;
+        const prefix = rest.match(/^\[\s*c_\s*(?:\{([\d,\s]+)\}|(\d))\s*=\s*(\d+)\s*\]\s*(?:\\[,;]\s*)?/);
+        if (prefix) {
+            condition = {
+                cbits: NotationParser.parseIndexList(prefix[1] !== undefined ? prefix[1] : prefix[2]),
+                value: parseInt(prefix[3])
+            };
+            end = prefix[0].length;
+        }
+
+        for (const [pattern, resolve] of NotationParser.OPERATOR_HEADS) {
+            const match = rest.slice(end).match(pattern);
+            if (match) {
+                type = resolve(match);
+                end += match[0].length;
+                break;
+            }
+        }
+        if (!type) return null;
+
+        const operator = { type, dagger: false, qubits: null, params: null, condition, copies: 1, power: 1 };
+        const spec = CircuitIR.GATES[type];
+        const takesParams = spec && spec.params > 0;
+
+        for (;;) {
+            const tail = rest.slice(end);
+            let match;
+            if ((match = tail.match(/^\s*\^\s*(?:\{\s*\\dagger\s*\}|\\dagger)/))) {
+                operator.dagger = true;
+            } else if ((match = tail.match(/^\s*\^\s*\{\s*\\otimes\s*(\d+)\s*\}/))) {
+                operator.copies = parseInt(match[1]);
+            } else if ((match = tail.match(NotationParser.POWER))) {
+                operator.power = NotationParser.powerOf(match);
+            } else if ((match = tail.match(/^\s*\^\s*\{\s*\(([\d,\s]+)\)\s*\}/))) {
+                operator.qubits = NotationParser.parseIndexList(match[1]);
+            } else if ((match = tail.match(/^\s*_\s*(?:\{([\d,\s]+)\}|(\d))/))) {
+                operator.qubits = NotationParser.parseIndexList(match[1] !== undefined ? match[1] : match[2]);
+            } else if (takesParams && operator.params === null && /^\s*\(/.test(tail)) {
+                const open = end + tail.indexOf('(');
+                const close = NotationParser.matchParen(rest, open);
+                if (close === -1) throw new Error(`unbalanced parentheses after ${type}`);
+                operator.params = NotationParser.splitTopLevel(rest.slice(open + 1, close))
+                    .map(arg => NotationParser.parseAngle(arg));
+                end = close + 1;
+                continue;
+            } else {
+                break;
+            }
+            end += match[0].length;
+        }
+
+        return { operator, end: position + end };
+    }
+
+    /**
+     * Resolve an operator token to an IR operation
+     */
+    static toOperation(operator, defaultQubits) {
+        let type = operator.type;
+        let params = operator.params || [];
+        const qubits = operator.qubits || defaultQubits;
+        const spec = CircuitIR.GATES[type];
+
+        if (!qubits) {
+            throw new Error(`${type} needs a qubit index`);
+        }
+        if (params.some(param => param === null)) {
+            throw new Error(`${type} has a symbolic angle; use a number or a multiple of \\pi`);
+        }
+        if (spec.params !== params.length) {
+            throw new Error(`${type} expects ${spec.params} angle${spec.params === 1 ? '' : 's'}`);
+        }
+
+        if (operator.dagger) {
+            if (type === 'S' || type === 'T') {
+                type += 'DG';
+            } else if (type === 'SDG' || type === 'TDG') {
+                type = type.slice(0, -2);
+            } else if (['RX', 'RY', 'RZ', 'P', 'CRX', 'CRY', 'CRZ', 'CP'].includes(type)) {
+                params = params.map(angle => -angle);
+            } else if (type === 'U3') {
+                params = [-params[0], -params[2], -params[1]];
+            } else if (!['H', 'X', 'Y', 'Z', 'CNOT', 'CZ', 'SWAP', 'CCX', 'MCX'].includes(type)) {
+                throw new Error(`${type}^\\dagger is not supported`);
+            }
+        }
+
+        const operation = { type, qubits, params };
+        if (type === 'MEASURE') operation.cbits = [...qubits];
+        if (operator.condition) operation.condition = operator.condition;
+        return operation;
+    }
+
+    /**
+     * Group operations into layers; operations on disjoint qubits share a layer
+     */
+    static layer(operations) {
+        const layers = [];
+        let used = new Set();
+        operations.forEach(operation => {
+            if (layers.length === 0 || operation.qubits.some(qubit => used.has(qubit))) {
+                layers.push([]);
+                used = new Set();
+            }
+            layers[layers.length - 1].push(operation);
+            operation.qubits.forEach(qubit => used.add(qubit));
+        });
+        return layers;
+    }
+
+    /**
+     * |b0 b1 ...⟩ with b ∈ {0, 1, +, -} prepared from |0...0⟩
+     */
+    static productStateLayers(bits) {
+        const flips = [];
+        const hadamards = [];
+        bits.forEach((bit, qubit) => {
+            if (bit === '1' || bit === '-') flips.push({ type: 'X', qubits: [qubit], params: [] });
+            if (bit === '+' || bit === '-') hadamards.push({ type: 'H', qubits: [qubit], params: [] });
+        });
+        return [flips, hadamards].filter(layer => layer.length > 0);
+    }
+
+    /**
+     * (|a⟩ ± |b⟩)/√2: Hadamard on the first differing qubit, CNOTs fan it out
+     * to the other differing qubits, then X gates fix the remaining bits of |a⟩
+     */
+    static superpositionLayers(a, b, sign) {
+        const differing = [...a].map((_, i) => i).filter(i => a[i] !== b[i]);
+        const pivot = differing[0];
+        const layers = [];
+
+        if (sign === '-') layers.push([{ type: 'X', qubits: [pivot], params: [] }]);
+        layers.push([{ type: 'H', qubits: [pivot], params: [] }]);
+        differing.slice(1).forEach(qubit => {
+            layers.push([{ type: 'CNOT', qubits: [pivot, qubit], params: [] }]);
+        });
+
+        const fixes = [];
+        for (let qubit = 0; qubit < a.length; qubit++) {
+            const flip = differing.includes(qubit) ? a[qubit] !== a[pivot] : a[qubit] === '1';
+            if (flip) fixes.push({ type: 'X', qubits: [qubit], params: [] });
+        }
+        if (fixes.length > 0) layers.push(fixes);
+
+        return layers;
+    }
+
+    /**
+     * Flatten the last defined state into an IR circuit, one time step per layer
+     */
+    buildCircuit() {
+        const layers = this.current !== null ? this.states.get(this.current) : [];
+        const operations = [];
+        layers.forEach((layer, time) => {
+            layer.forEach(operation => operations.push({ ...operation, time }));
+        });
+
+        const inferred = operations.length > 0 ? CircuitIR.inferQubitCount(operations) : 0;
+        const qubits = Math.max(this.declaredQubits, inferred, 1);
+        return CircuitIR.assertValid(CircuitIR.normalize({ qubits, operations }));
+    }
+
+    warn(statement, reason) {
+        this.warnings.push(`Skipped "${statement}": ${reason}`);
+    }
+
+    /**
+     * Position of the statement's '=', passing over those in classical conditions [c_1=1]
+     */
+    static findEquals(statement) {
+        let depth = 0;
+        for (let i = 0; i < statement.length; i++) {
+            if (statement[i] === '[') depth++;
+            else if (statement[i] === ']') depth = Math.max(0, depth - 1);
+            else if (statement[i] === '=' && depth === 0) return i;
+        }
+        return -1;
+    }
+
+    /**
+     * |label⟩ at the start of text, e.g. |\psi_{2}\rangle
+     */
+    static matchLabelKet(text) {
+        const match = text.match(/^\|\s*(\\[A-Za-z]+[^|]*?)\s*\\rangle/);
+        if (!match || /^\\(Phi|Psi)\s*\^/.test(match[1])) return null;
+        return { label: NotationParser.labelName(match[0]), rest: text.slice(match[0].length).trim() };
+    }
+
+    static isLabelKet(ket) {
+        return NotationParser.matchLabelKet(ket) !== null;
+    }
+
+    /**
+     * Label key for a ket: |\psi_{n}\rangle and |\psi_n\rangle both become psi_n
+     */
+    static labelName(ket) {
+        return ket.replace(/^\|/, '').replace(/\\rangle$/, '')
+            .replace(/[\\{}\s]/g, '');
+    }
+
+    /**
+     * Split "OPS |ket⟩" into operators and the trailing ket (with any ^{\otimes n})
+     */
+    static splitTrailingKet(text) {
+        const match = text.match(/\|([^|]*?)\\rangle\s*(\^\s*\{?\s*\\otimes\s*\d+\s*\}?)?\s*$/);
+        if (!match) return null;
+
+        let start = match.index;
+        // Absorb a trailing ket product such as |0⟩ \otimes |1⟩
+        for (;;) {
+            const before = text.slice(0, start);
+            const previous = before.match(/\|[^|]*?\\rangle\s*(\^\s*\{?\s*\\otimes\s*\d+\s*\}?)?\s*(\\otimes)?\s*$/);
+            if (!previous) break;
+            start = previous.index;
+        }
+
+        return { operators: text.slice(0, start).trim(), ket: text.slice(start).trim() };
+    }
+
+    /**
+     * Exponent of a POWER match, refusing ones too large to unroll
+     */
+    static powerOf(match) {
+        const power = parseInt(match[1] !== undefined ? match[1] : match[2]);
+        if (power > NotationParser.MAX_POWER) {
+            throw new Error(`powers above ${NotationParser.MAX_POWER} are not unrolled`);
+        }
+        return power;
+    }
+
+    static parseIndexList(text) {
+        return text.split(',').map(index => parseInt(index.trim()));
+    }
+
+    static matchParen(text, open) {
+        let depth = 0;
+        for (let i = open; i < text.length; i++) {
+            if (text[i] === '(') depth++;
+            else if (text[i] === ')' && --depth === 0) return i;
+        }
+        return -1;
+    }
+
+    static splitTopLevel(text) {
+        const args = [];
+        let depth = 0;
+        let current = '';
+        for (const char of text) {
+            if ('({'.includes(char)) depth++;
+            if (')}'.includes(char)) depth--;
+            if (char === ',' && depth === 0) {
+                args.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        args.push(current);
+        return args;
+    }
+
+    /**
+     * Numeric value of a LaTeX angle such as \pi/2, -\frac{3\pi}{4} or 0.785;
+     * null when it is symbolic (\theta)
+     */
+    static parseAngle(latex) {
+        let expression = latex.replace(/\s/g, '');
+        while (/\\frac\{([^{}]*)\}\{([^{}]*)\}/.test(expression)) {
+            expression = expression.replace(/\\frac\{([^{}]*)\}\{([^{}]*)\}/g, '(($1)/($2))');
+        }
+        expression = expression
+            .replace(/\\pi/g, 'π')
+            .replace(/\\cdot|\\times/g, '*')
+            .replace(/(\d|\)|π)(?=π|\()/g, '$1*')
+            .replace(/π/g, `(${Math.PI})`);
+
+        if (!/^[0-9+\-*/.()]+$/.test(expression)) {
+            return null;
+        }
+
+        try {
+            const value = new Function(`"use strict"; return (${expression})`)();
+            return typeof value === 'number' && Number.isFinite(value) ? value : null;
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+// Key for the state a statement without '=' leaves; no |label⟩ reduces to it
+NotationParser.UNNAMED_STATE = '(unnamed)';
+
+// Integer power of an operator or group: ^{7} or ^7
+NotationParser.POWER = /^\s*\^\s*(?:\{\s*(\d+)\s*\}|(\d))/;
+NotationParser.MAX_POWER = 64;
+
+// Operator heads in match order; each resolves to an IR gate type (or 'I')
+NotationParser.OPERATOR_HEADS = [
+    [/^i\s*\\(?:text|mathrm)\{SWAP\}/, () => 'ISWAP'],
+    [/^\\(?:text|mathrm|operatorname)\{(CNOT|CX|CZ|SWAP|iSWAP|CCX|Toffoli|Reset)\}/, match => NotationParser.NAMED_GATES[match[1]]],
+    [/^\\sqrt\s*\{\s*X\s*\}/, () => 'SX'],
+    [/^\\mathbb\{[1I]\}/, () => 'I'],
+    [/^C\^\{?\d+\}?\s*X/, () => 'MCX'],
+    [/^CR_\{?([xyzXYZ])\}?/, match => `CR${match[1].toUpperCase()}`],
+    [/^R_\{?([xyzXYZ])\}?/, match => `R${match[1].toUpperCase()}`],
+    [/^R([XYZxyz])(?![A-Za-z])/, match => `R${match[1].toUpperCase()}`],
+    [/^U_\{?3\}?/, () => 'U3'],
+    [/^(CNOT|CX|CZ|SWAP|iSWAP|CCX|Toffoli|CP|U3)(?![A-Za-z])/, match => NotationParser.NAMED_GATES[match[1]]],
+    [/^([HXYZSTPIM])(?![A-Za-z])/, match => (match[1] === 'M' ? 'MEASURE' : match[1])]
+];
+
+NotationParser.NAMED_GATES = {
+    CNOT: 'CNOT',
+    CX: 'CNOT',
+    CZ: 'CZ',
+    SWAP: 'SWAP',
+    iSWAP: 'ISWAP',
+    CCX: 'CCX',
+    Toffoli: 'CCX',
+    CP: 'CP',
+    U3: 'U3',
+    Reset: 'RESET'
+};
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotationParser;
+}
+
+// Global access
+globalThis.NotationParser = NotationParser;
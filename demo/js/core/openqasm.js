@@ -0,0 +1,888 @@
+/**
+ * OpenQASM 2.0 / 3.0 Import and Export
+ *
+ * Parses OpenQASM programs into CircuitIR and serializes CircuitIR back to
+ * OpenQASM, so circuits can be exchanged with Qiskit and other toolchains
+ *
+ * Supported: OPENQASM / include headers, qreg/creg and qubit[n]/bit[n]
+ * registers (flattened in declaration order), parameterized gates with
+ * arithmetic expressions over pi, custom `gate` definitions (expanded
+ * inline), register broadcasting, `measure a -> c` and `c = measure a`,
+ * `reset`, classically conditioned statements (`if(c==1) x q[0];` and
+ * OpenQASM 3 `if (c[0] == 1) { ... }`), barriers, and the `ctrl @` modifier.
+ * Classical register names are kept as the circuit's cregs
+ */
+
+class OpenQASM {
+    constructor(source) {
+        this.tokens = OpenQASM.tokenize(source);
+        this.position = 0;
+        this.version = 2;
+        this.qubitRegisters = new Map();
+        this.bitRegisters = new Map();
+        this.numQubits = 0;
+        this.numClbits = 0;
+        this.definitions = new Map();
+        this.operations = [];
+        this.spans = []; // source span of the statement each operation came from, by operation index
+        this.statements = 0;
+    }
+
+    /**
+     * Parse an OpenQASM program into a CircuitIR circuit
+     */
+    static parse(source) {
+        return OpenQASM.parseWithSpans(source).circuit;
+    }
+
+    /**
+     * Parse an OpenQASM program along with the span of the statement each
+     * operation came from, end exclusive
+     *
+     * @returns {{circuit: Object, spans: Array<{id, start, end}>}} spans keyed by the circuit's operation ids
+     */
+    static parseWithSpans(source) {
+        const parser = new OpenQASM(source);
+        parser.loadDefinitions(OpenQASM.STANDARD_DEFINITIONS);
+        const circuit = parser.parseProgram();
+        const spans = circuit.operations.map((op, index) => ({ id: op.id, ...parser.spans[index] }));
+        return { circuit, spans };
+    }
+
+    /**
+     * True when text looks like OpenQASM rather than Qiskit Python
+     */
+    static isQasm(text) {
+        if (typeof text !== 'string') return false;
+        return /^\s*(\/\/[^\n]*\n\s*)*OPENQASM\s+[23]/.test(text) ||
+            /^\s*(qreg|creg)\s+\w+\s*\[\s*\d+\s*\]\s*;/m.test(text);
+    }
+
+    /**
+     * Serialize a circuit (any shape CircuitIR accepts) to OpenQASM
+     *
+     * @param {Object} circuit
+     * @param {Object} options - { version: 2 | 3, qreg: 'q', creg: 'c' }
+     */
+    static serialize(circuit, options = {}) {
+        return OpenQASM.generate(circuit, options).qasm;
+    }
+
+    /**
+     * OpenQASM for a circuit plus the span of the line(s) generated for each
+     * operation, keyed by the operation's id
+     *
+     * @returns {{qasm: string, spans: Array<{id, start, end}>}}
+     */
+    static generate(circuit, options = {}) {
+        const ir = CircuitIR.normalize(circuit);
+        const version = options.version === 3 ? 3 : 2;
+        const qreg = options.qreg || 'q';
+        const creg = options.creg || 'c';
+        const lines = [];
+
+        lines.push(version === 3 ? 'OPENQASM 3.0;' : 'OPENQASM 2.0;');
+        lines.push(version === 3 ? 'include "stdgates.inc";' : 'include "qelib1.inc";');
+
+        // iSWAP is in neither standard library
+        if (ir.operations.some(op => op.type === 'ISWAP')) {
+            lines.push('gate iswap a, b { s a; s b; h a; cx a, b; cx b, a; h b; }');
+        }
+
+        const registers = (ir.cregs ? CircuitIR.classicalRegisters(ir) :
+            [{ name: creg, size: ir.clbits, offset: 0 }]).filter(register => register.size > 0);
+        const bit = cbit => {
+            const register = registers.find(r => cbit >= r.offset && cbit < r.offset + r.size);
+            return `${register.name}[${cbit - register.offset}]`;
+        };
+
+        if (version === 3) {
+            lines.push(`qubit[${ir.qubits}] ${qreg};`);
+            registers.forEach(register => lines.push(`bit[${register.size}] ${register.name};`));
+        } else {
+            lines.push(`qreg ${qreg}[${ir.qubits}];`);
+            registers.forEach(register => lines.push(`creg ${register.name}[${register.size}];`));
+        }
+
+        const firstLines = []; // { id, line } where each operation's lines begin
+        const sortedOps = [...ir.operations].sort((a, b) => a.time - b.time);
+        for (const op of sortedOps) {
+            firstLines.push({ id: op.id, line: lines.length });
+            const qubits = op.qubits.map(qubit => `${qreg}[${qubit}]`);
+            const prefix = op.condition ? OpenQASM.conditionPrefix(op.condition, registers, version) : '';
+
+            if (op.type === 'MEASURE') {
+                op.qubits.forEach((qubit, i) => {
+                    lines.push(prefix + (version === 3 ?
+                        `${bit(op.cbits[i])} = measure ${qreg}[${qubit}];` :
+                        `measure ${qreg}[${qubit}] -> ${bit(op.cbits[i])};`));
+                });
+                continue;
+            }
+            if (op.type === 'RESET') {
+                lines.push(`${prefix}reset ${qubits[0]};`);
+                continue;
+            }
+
+            const name = OpenQASM.gateName(op, version);
+            const params = op.params.length > 0 ?
+                `(${op.params.map(angle => OpenQASM.formatAngle(angle)).join(', ')})` : '';
+            lines.push(`${prefix}${name}${params} ${qubits.join(', ')};`);
+        }
+
+        const offsets = [0];
+        lines.forEach(line => offsets.push(offsets[offsets.length - 1] + line.length + 1));
+        const spans = firstLines.map(({ id, line }, index) => {
+            const next = index + 1 < firstLines.length ? firstLines[index + 1].line : lines.length;
+            return { id, start: offsets[line], end: offsets[next] - 1 };
+        });
+
+        return { qasm: lines.join('\n') + '\n', spans };
+    }
+
+    /**
+     * `if` prefix for a conditioned statement. OpenQASM 2.0 can only compare
+     * whole registers, so a single bit of a wider register needs 3.0
+     */
+    static conditionPrefix(condition, registers, version) {
+        const { cbits, value } = condition;
+        const whole = registers.find(register => register.size === cbits.length &&
+            cbits.every((cbit, i) => cbit === register.offset + i));
+
+        if (version === 2) {
+            if (!whole) {
+                throw new Error('Conditions on one bit of a wider register have no OpenQASM 2.0 equivalent; export as OpenQASM 3.0');
+            }
+            return `if(${whole.name}==${value}) `;
+        }
+        if (whole && cbits.length > 1) {
+            return `if (${whole.name} == ${value}) `;
+        }
+        const register = registers.find(r => cbits[0] >= r.offset && cbits[0] < r.offset + r.size);
+        return `if (${register.name}[${cbits[0] - register.offset}] == ${value}) `;
+    }
+
+    /**
+     * OpenQASM gate name (with any modifier) for an IR operation
+     */
+    static gateName(op, version) {
+        switch (op.type) {
+            case 'CNOT':
+                return 'cx';
+            case 'U3':
+                return 'u3';
+            case 'P':
+                return version === 3 ? 'p' : 'u1';
+            case 'CP':
+                return version === 3 ? 'cp' : 'cu1';
+            case 'MCX': {
+                const controls = op.qubits.length - 1;
+                if (controls === 1) return 'cx';
+                if (controls === 2) return 'ccx';
+                if (version === 3) return `ctrl(${controls}) @ x`;
+                throw new Error(`MCX with ${controls} controls has no OpenQASM 2.0 equivalent; export as OpenQASM 3.0`);
+            }
+            default:
+                return op.type.toLowerCase();
+        }
+    }
+
+    /**
+     * Angle as a readable multiple of pi when exact, otherwise full precision
+     */
+    static formatAngle(angle) {
+        if (angle === 0) return '0';
+
+        for (const denominator of [1, 2, 3, 4, 6, 8, 16]) {
+            const numerator = angle * denominator / Math.PI;
+            const rounded = Math.round(numerator);
+            if (rounded !== 0 && Math.abs(numerator - rounded) < 1e-12) {
+                const sign = rounded < 0 ? '-' : '';
+                const magnitude = Math.abs(rounded);
+                const head = magnitude === 1 ? 'pi' : `${magnitude}*pi`;
+                return denominator === 1 ? `${sign}${head}` : `${sign}${head}/${denominator}`;
+            }
+        }
+
+        return String(angle);
+    }
+
+    /**
+     * Split source into tokens, dropping // and block comments
+     */
+    static tokenize(source) {
+        const tokens = [];
+        const pattern = /(\/\/[^\n]*|\/\*[\s\S]*?\*\/)|("[^"\n]*")|(\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_][\w]*|π|τ)|(->|==|\*\*|[;,()[\]{}+\-*/^@=])|(\s+)|(.)/g;
+        let line = 1;
+        let match;
+
+        while ((match = pattern.exec(source)) !== null) {
+            const [text, comment, string, number, identifier, symbol, whitespace, unknown] = match;
+
+            if (unknown !== undefined) {
+                throw new Error(`OpenQASM line ${line}: unexpected character '${unknown}'`);
+            }
+            const start = match.index, end = match.index + text.length;
+            if (string !== undefined) {
+                tokens.push({ type: 'string', value: string.slice(1, -1), line, start, end });
+            } else if (number !== undefined) {
+                tokens.push({ type: 'number', value: parseFloat(number), line, start, end });
+            } else if (identifier !== undefined) {
+                tokens.push({ type: 'identifier', value: identifier, line, start, end });
+            } else if (symbol !== undefined) {
+                tokens.push({ type: 'symbol', value: symbol, line, start, end });
+            }
+            if (comment !== undefined || whitespace !== undefined) {
+                line += (text.match(/\n/g) || []).length;
+            }
+        }
+
+        tokens.push({ type: 'eof', value: null, line, start: source.length, end: source.length });
+        return tokens;
+    }
+
+    parseProgram() {
+        if (this.peekValue() === 'OPENQASM') {
+            this.next();
+            const version = this.expectType('number');
+            if (Math.floor(version) !== 2 && Math.floor(version) !== 3) {
+                this.fail(`unsupported OpenQASM version ${version}`);
+            }
+            this.version = Math.floor(version);
+            this.expect(';');
+        }
+
+        while (this.peek().type !== 'eof') {
+            this.parseStatement();
+        }
+
+        if (this.numQubits === 0) {
+            this.fail('program declares no qubits');
+        }
+
+        const source = {
+            qubits: this.numQubits,
+            clbits: this.numClbits,
+            operations: this.operations
+        };
+        // A lone register named c is the default and needs no cregs entry
+        const registers = [...this.bitRegisters];
+        if (registers.length > 1 || (registers.length === 1 && registers[0][0] !== 'c')) {
+            source.cregs = registers.map(([name, register]) => ({ name, size: register.size }));
+        }
+        return CircuitIR.assertValid(CircuitIR.normalize(source));
+    }
+
+    /**
+     * One statement, noting its span for the operations it adds and naming
+     * them after it ('qasm_4', or 'qasm_4.0', 'qasm_4.1', ... when it adds
+     * several), so the same program always yields the same ids; a statement
+     * inside an if block keeps its own span and ids
+     */
+    parseStatement() {
+        const statement = this.statements++;
+        const first = this.operations.length;
+        const start = this.peek().start;
+        this.parseStatementBody();
+        const end = this.tokens[this.position - 1].end;
+
+        const added = this.operations.slice(first).filter(op => op.id === undefined);
+        added.forEach((op, part) => {
+            op.id = added.length > 1 ? `qasm_${statement}.${part}` : `qasm_${statement}`;
+        });
+        for (let index = first; index < this.operations.length; index++) {
+            if (!this.spans[index]) this.spans[index] = { start, end };
+        }
+    }
+
+    parseStatementBody() {
+        const token = this.peek();
+        const keyword = token.type === 'identifier' ? token.value : null;
+
+        switch (keyword) {
+            case 'include':
+                // Standard libraries are built in; other includes cannot be fetched
+                this.next();
+                this.expectType('string');
+                this.expect(';');
+                return;
+            case 'qreg':
+            case 'creg':
+                this.next();
+                this.declareRegister(keyword === 'qreg', this.expectType('identifier'), this.parseSize(true));
+                this.expect(';');
+                return;
+            case 'qubit':
+            case 'bit': {
+                this.next();
+                const size = this.peekValue() === '[' ? this.parseSize(true) : 1;
+                this.declareRegister(keyword === 'qubit', this.expectType('identifier'), size);
+                this.expect(';');
+                return;
+            }
+            case 'gate':
+                this.next();
+                this.parseGateDefinition();
+                return;
+            case 'opaque':
+                this.next();
+                this.parseOpaqueDeclaration();
+                return;
+            case 'barrier':
+                this.next();
+                this.skipStatement();
+                return;
+            case 'measure':
+                this.next();
+                this.parseMeasure();
+                return;
+            case 'reset':
+                this.next();
+                this.parseArgument(true).forEach(qubit => {
+                    this.operations.push({ type: 'RESET', qubits: [qubit], params: [] });
+                });
+                this.expect(';');
+                return;
+            case 'if':
+                this.next();
+                this.parseConditional();
+                return;
+            case 'input':
+            case 'output':
+            case 'def':
+            case 'for':
+            case 'while':
+                this.fail(`'${keyword}' is not supported`);
+        }
+
+        // OpenQASM 3 measurement assignment: c[0] = measure q[0];
+        if (keyword && this.bitRegisters.has(keyword) && this.isMeasureAssignment()) {
+            const bits = this.parseArgument(false);
+            this.expect('=');
+            this.expect('measure');
+            const qubits = this.parseArgument(true);
+            this.addMeasurements(qubits, bits);
+            this.expect(';');
+            return;
+        }
+
+        const call = this.parseGateCall();
+        const qubitLists = call.args.map(arg => this.resolveArgument(arg, true));
+        this.broadcast(qubitLists, call.line).forEach(qubits => {
+            this.applyGate(call, call.params.map(expr => expr({})), qubits, 0);
+        });
+    }
+
+    declareRegister(isQuantum, name, size) {
+        if (this.qubitRegisters.has(name) || this.bitRegisters.has(name)) {
+            this.fail(`register '${name}' is already declared`);
+        }
+        if (isQuantum) {
+            this.qubitRegisters.set(name, { offset: this.numQubits, size });
+            this.numQubits += size;
+        } else {
+            this.bitRegisters.set(name, { offset: this.numClbits, size });
+            this.numClbits += size;
+        }
+    }
+
+    parseSize(required) {
+        if (!required && this.peekValue() !== '[') return null;
+        this.expect('[');
+        const size = this.expectType('number');
+        this.expect(']');
+        if (!Number.isInteger(size) || size < 1) {
+            this.fail(`register size must be a positive integer, got ${size}`);
+        }
+        return size;
+    }
+
+    /**
+     * gate name(p0, p1) a, b { body }
+     */
+    parseGateDefinition() {
+        const name = this.expectType('identifier');
+        const params = this.peekValue() === '(' ? this.parseIdentifierList('(', ')') : [];
+        const qubits = this.parseIdentifierList(null, '{');
+
+        const body = [];
+        while (this.peekValue() !== '}') {
+            if (this.peek().type === 'eof') this.fail(`unterminated definition of gate '${name}'`);
+            if (this.peekValue() === 'barrier') {
+                this.next();
+                this.skipStatement();
+                continue;
+            }
+            const call = this.parseGateCall(params);
+            call.args.forEach(arg => {
+                if (arg.index !== null || !qubits.includes(arg.name)) {
+                    this.fail(`gate '${name}' body may only use its qubit arguments, got '${arg.name}'`, call.line);
+                }
+            });
+            body.push(call);
+        }
+        this.expect('}');
+
+        this.definitions.set(name, { params, qubits, body });
+    }
+
+    parseOpaqueDeclaration() {
+        const name = this.expectType('identifier');
+        this.skipStatement();
+        this.definitions.set(name, { opaque: true });
+    }
+
+    /**
+     * Names separated by commas, optionally wrapped in open/close delimiters
+     */
+    parseIdentifierList(open, close) {
+        if (open) this.expect(open);
+        const names = [];
+        while (this.peekValue() !== close) {
+            names.push(this.expectType('identifier'));
+            if (this.peekValue() === ',') this.next();
+            else break;
+        }
+        this.expect(close);
+        return names;
+    }
+
+    /**
+     * [modifiers] name[(expressions)] arg, arg, ...;
+     */
+    parseGateCall(paramNames = []) {
+        const line = this.peek().line;
+        let controls = 0;
+
+        while (this.peekValue() === 'ctrl' || this.peekValue() === 'negctrl' ||
+               this.peekValue() === 'inv' || this.peekValue() === 'pow') {
+            const modifier = this.next().value;
+            if (modifier !== 'ctrl') this.fail(`gate modifier '${modifier}' is not supported`);
+            let count = 1;
+            if (this.peekValue() === '(') {
+                this.next();
+                count = this.expectType('number');
+                this.expect(')');
+            }
+            this.expect('@');
+            controls += count;
+        }
+
+        const name = this.expectType('identifier');
+        const params = [];
+        if (this.peekValue() === '(') {
+            this.next();
+            while (this.peekValue() !== ')') {
+                params.push(this.parseExpression(paramNames));
+                if (this.peekValue() === ',') this.next();
+                else break;
+            }
+            this.expect(')');
+        }
+
+        const args = [];
+        do {
+            args.push(this.parseArgument(null));
+        } while (this.peekValue() === ',' && this.next());
+        this.expect(';');
+
+        return { name, params, args, controls, line };
+    }
+
+    /**
+     * Register argument `name` or `name[index]`; resolved later unless quantum is set
+     */
+    parseArgument(quantum) {
+        const name = this.expectType('identifier');
+        let index = null;
+        if (this.peekValue() === '[') {
+            this.next();
+            index = this.expectType('number');
+            this.expect(']');
+        }
+        const arg = { name, index };
+        return quantum === null ? arg : this.resolveArgument(arg, quantum);
+    }
+
+    /**
+     * Flat indices for a register argument (a whole register broadcasts)
+     */
+    resolveArgument(arg, quantum) {
+        const registers = quantum ? this.qubitRegisters : this.bitRegisters;
+        const register = registers.get(arg.name);
+        if (!register) {
+            this.fail(`unknown ${quantum ? 'quantum' : 'classical'} register '${arg.name}'`);
+        }
+        if (arg.index === null) {
+            return Array.from({ length: register.size }, (_, i) => register.offset + i);
+        }
+        if (!Number.isInteger(arg.index) || arg.index < 0 || arg.index >= register.size) {
+            this.fail(`index ${arg.index} out of range for register '${arg.name}[${register.size}]'`);
+        }
+        return [register.offset + arg.index];
+    }
+
+    /**
+     * Expand whole-register arguments into one qubit tuple per element
+     */
+    broadcast(lists, line) {
+        const sizes = lists.filter(list => list.length > 1).map(list => list.length);
+        const size = sizes.length > 0 ? sizes[0] : 1;
+        if (sizes.some(length => length !== size)) {
+            this.fail('registers in one statement must have the same size', line);
+        }
+        return Array.from({ length: size }, (_, i) => lists.map(list => (list.length === 1 ? list[0] : list[i])));
+    }
+
+    parseMeasure() {
+        const qubits = this.parseArgument(true);
+        this.expect('->');
+        const bits = this.parseArgument(false);
+        this.addMeasurements(qubits, bits);
+        this.expect(';');
+    }
+
+    /**
+     * if (c == n) statement, if (c[i] == n) statement, or a { ... } block of statements
+     */
+    parseConditional() {
+        const line = this.peek().line;
+        const keywordStart = this.tokens[this.position - 1].start;
+        this.expect('(');
+        const cbits = this.parseArgument(false);
+        this.expect('==');
+        const value = this.expectType('number');
+        this.expect(')');
+        if (!Number.isInteger(value) || value < 0 || value >= 2 ** cbits.length) {
+            this.fail(`condition value ${value} does not fit in ${cbits.length} bit${cbits.length === 1 ? '' : 's'}`, line);
+        }
+
+        const start = this.operations.length;
+        if (this.peekValue() === '{') {
+            this.next();
+            while (this.peekValue() !== '}') {
+                if (this.peek().type === 'eof') this.fail("unterminated 'if' block", line);
+                this.parseStatement();
+            }
+            this.next();
+        } else {
+            this.parseStatement();
+            // A single conditioned statement spans from its 'if'
+            for (let index = start; index < this.operations.length; index++) {
+                this.spans[index].start = keywordStart;
+            }
+        }
+
+        for (const op of this.operations.slice(start)) {
+            if (op.condition) this.fail("nested 'if' is not supported", line);
+            op.condition = { cbits, value };
+        }
+    }
+
+    addMeasurements(qubits, bits) {
+        if (qubits.length !== bits.length) {
+            this.fail(`cannot measure ${qubits.length} qubits into ${bits.length} bits`);
+        }
+        qubits.forEach((qubit, i) => {
+            this.operations.push({ type: 'MEASURE', qubits: [qubit], params: [], cbits: [bits[i]] });
+        });
+    }
+
+    isMeasureAssignment() {
+        let offset = this.position + 1;
+        if (this.tokens[offset].value === '[') offset += 3;
+        return this.tokens[offset].value === '=' && this.tokens[offset + 1].value === 'measure';
+    }
+
+    /**
+     * Append a gate call, expanding custom definitions recursively
+     */
+    applyGate(call, params, qubits, depth) {
+        if (depth > OpenQASM.MAX_EXPANSION_DEPTH) {
+            this.fail(`gate '${call.name}' is defined recursively`, call.line);
+        }
+        if (new Set(qubits).size !== qubits.length) {
+            this.fail(`gate '${call.name}' applied to repeated qubits`, call.line);
+        }
+
+        const controls = qubits.slice(0, call.controls);
+        const targets = qubits.slice(call.controls);
+        const native = OpenQASM.NATIVE_GATES[call.name];
+
+        if (native && native.params === params.length && native.qubits === targets.length) {
+            this.appendNative(native, params, controls, targets, call);
+            return;
+        }
+
+        const definition = this.definitions.get(call.name);
+        if (!definition) {
+            this.fail(`unknown gate '${call.name}'`, call.line);
+        }
+        if (definition.opaque) {
+            this.fail(`opaque gate '${call.name}' cannot be simulated`, call.line);
+        }
+        if (call.controls > 0) {
+            this.fail(`'ctrl @' is only supported on x, z and rotation gates, not '${call.name}'`, call.line);
+        }
+        if (definition.params.length !== params.length || definition.qubits.length !== targets.length) {
+            this.fail(`gate '${call.name}' expects ${definition.params.length} parameters and ${definition.qubits.length} qubits`, call.line);
+        }
+
+        const env = {};
+        definition.params.forEach((name, i) => { env[name] = params[i]; });
+        const wires = {};
+        definition.qubits.forEach((name, i) => { wires[name] = targets[i]; });
+
+        for (const inner of definition.body) {
+            const innerQubits = inner.args.map(arg => wires[arg.name]);
+            this.applyGate(inner, inner.params.map(expr => expr(env)), innerQubits, depth + 1);
+        }
+    }
+
+    appendNative(native, params, controls, targets, call) {
+        if (native.type === null) return; // Identity
+
+        let type = native.type;
+        let gateParams = native.map ? native.map(params) : params;
+
+        if (controls.length > 0) {
+            const controlled = OpenQASM.CONTROLLED[type];
+            if (type === 'X' || type === 'CNOT' || type === 'CCX' || type === 'MCX') {
+                const totalControls = controls.length + targets.length - 1;
+                type = totalControls === 1 ? 'CNOT' : (totalControls === 2 ? 'CCX' : 'MCX');
+            } else if (controlled && controls.length === 1) {
+                type = controlled;
+            } else {
+                this.fail(`'ctrl @' is only supported on x, z and rotation gates, not '${call.name}'`, call.line);
+            }
+        }
+
+        this.operations.push({ type, qubits: [...controls, ...targets], params: gateParams });
+    }
+
+    /**
+     * Expression grammar: sums of products of powers of unary terms.
+     * Returns a function of the parameter environment
+     */
+    parseExpression(names) {
+        let left = this.parseTerm(names);
+        while (this.peekValue() === '+' || this.peekValue() === '-') {
+            const operator = this.next().value;
+            const right = this.parseTerm(names);
+            const lhs = left;
+            left = operator === '+' ? env => lhs(env) + right(env) : env => lhs(env) - right(env);
+        }
+        return left;
+    }
+
+    parseTerm(names) {
+        let left = this.parseUnary(names);
+        while (this.peekValue() === '*' || this.peekValue() === '/') {
+            const operator = this.next().value;
+            const right = this.parseUnary(names);
+            const lhs = left;
+            left = operator === '*' ? env => lhs(env) * right(env) : env => lhs(env) / right(env);
+        }
+        return left;
+    }
+
+    parseUnary(names) {
+        if (this.peekValue() === '-') {
+            this.next();
+            const operand = this.parseUnary(names);
+            return env => -operand(env);
+        }
+        if (this.peekValue() === '+') {
+            this.next();
+        }
+        return this.parsePower(names);
+    }
+
+    parsePower(names) {
+        const base = this.parsePrimary(names);
+        if (this.peekValue() === '^' || this.peekValue() === '**') {
+            this.next();
+            const exponent = this.parseUnary(names);
+            return env => Math.pow(base(env), exponent(env));
+        }
+        return base;
+    }
+
+    parsePrimary(names) {
+        const token = this.next();
+
+        if (token.type === 'number') {
+            return () => token.value;
+        }
+        if (token.value === '(') {
+            const inner = this.parseExpression(names);
+            this.expect(')');
+            return inner;
+        }
+        if (token.type === 'identifier') {
+            if (OpenQASM.CONSTANTS[token.value] !== undefined) {
+                const value = OpenQASM.CONSTANTS[token.value];
+                return () => value;
+            }
+            if (OpenQASM.FUNCTIONS[token.value]) {
+                const fn = OpenQASM.FUNCTIONS[token.value];
+                this.expect('(');
+                const argument = this.parseExpression(names);
+                this.expect(')');
+                return env => fn(argument(env));
+            }
+            if (names.includes(token.value)) {
+                return env => env[token.value];
+            }
+            this.fail(`unknown identifier '${token.value}' in expression`, token.line);
+        }
+
+        this.fail(`unexpected '${token.value}' in expression`, token.line);
+    }
+
+    /**
+     * Register the built-in definitions for standard-library gates without an IR equivalent
+     */
+    loadDefinitions(source) {
+        const previous = { tokens: this.tokens, position: this.position };
+        this.tokens = OpenQASM.tokenize(source);
+        this.position = 0;
+        while (this.peek().type !== 'eof') {
+            this.expect('gate');
+            this.parseGateDefinition();
+        }
+        this.tokens = previous.tokens;
+        this.position = previous.position;
+    }
+
+    skipStatement() {
+        while (this.peekValue() !== ';') {
+            if (this.peek().type === 'eof') this.fail("expected ';'");
+            this.next();
+        }
+        this.next();
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    peekValue() {
+        return this.tokens[this.position].value;
+    }
+
+    next() {
+        const token = this.tokens[this.position];
+        if (token.type !== 'eof') this.position++;
+        return token;
+    }
+
+    expect(value) {
+        const token = this.next();
+        if (token.value !== value) {
+            this.fail(`expected '${value}' but found '${token.value === null ? 'end of input' : token.value}'`, token.line);
+        }
+        return token;
+    }
+
+    expectType(type) {
+        const token = this.next();
+        if (token.type !== type) {
+            this.fail(`expected ${type} but found '${token.value === null ? 'end of input' : token.value}'`, token.line);
+        }
+        return token.value;
+    }
+
+    fail(message, line = this.peek().line) {
+        throw new Error(`OpenQASM line ${line}: ${message}`);
+    }
+}
+
+OpenQASM.MAX_EXPANSION_DEPTH = 32;
+
+// Gate name -> IR type with parameter and (target) qubit counts; map converts parameters
+OpenQASM.NATIVE_GATES = {
+    id: { type: null, params: 0, qubits: 1 },
+    h: { type: 'H', params: 0, qubits: 1 },
+    x: { type: 'X', params: 0, qubits: 1 },
+    y: { type: 'Y', params: 0, qubits: 1 },
+    z: { type: 'Z', params: 0, qubits: 1 },
+    s: { type: 'S', params: 0, qubits: 1 },
+    sdg: { type: 'SDG', params: 0, qubits: 1 },
+    t: { type: 'T', params: 0, qubits: 1 },
+    tdg: { type: 'TDG', params: 0, qubits: 1 },
+    sx: { type: 'SX', params: 0, qubits: 1 },
+    rx: { type: 'RX', params: 1, qubits: 1 },
+    ry: { type: 'RY', params: 1, qubits: 1 },
+    rz: { type: 'RZ', params: 1, qubits: 1 },
+    p: { type: 'P', params: 1, qubits: 1 },
+    phase: { type: 'P', params: 1, qubits: 1 },
+    u1: { type: 'P', params: 1, qubits: 1 },
+    u2: { type: 'U3', params: 2, qubits: 1, map: ([phi, lambda]) => [Math.PI / 2, phi, lambda] },
+    u3: { type: 'U3', params: 3, qubits: 1 },
+    u: { type: 'U3', params: 3, qubits: 1 },
+    U: { type: 'U3', params: 3, qubits: 1 },
+    cx: { type: 'CNOT', params: 0, qubits: 2 },
+    CX: { type: 'CNOT', params: 0, qubits: 2 },
+    cnot: { type: 'CNOT', params: 0, qubits: 2 },
+    cz: { type: 'CZ', params: 0, qubits: 2 },
+    swap: { type: 'SWAP', params: 0, qubits: 2 },
+    iswap: { type: 'ISWAP', params: 0, qubits: 2 },
+    crx: { type: 'CRX', params: 1, qubits: 2 },
+    cry: { type: 'CRY', params: 1, qubits: 2 },
+    crz: { type: 'CRZ', params: 1, qubits: 2 },
+    cp: { type: 'CP', params: 1, qubits: 2 },
+    cphase: { type: 'CP', params: 1, qubits: 2 },
+    cu1: { type: 'CP', params: 1, qubits: 2 },
+    ccx: { type: 'CCX', params: 0, qubits: 3 }
+};
+
+// Single-qubit IR type -> its singly-controlled IR type, for `ctrl @`
+OpenQASM.CONTROLLED = {
+    Z: 'CZ',
+    RX: 'CRX',
+    RY: 'CRY',
+    RZ: 'CRZ',
+    P: 'CP'
+};
+
+OpenQASM.CONSTANTS = {
+    pi: Math.PI,
+    'π': Math.PI,
+    tau: 2 * Math.PI,
+    'τ': 2 * Math.PI,
+    euler: Math.E
+};
+
+OpenQASM.FUNCTIONS = {
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    arcsin: Math.asin,
+    arccos: Math.acos,
+    arctan: Math.atan,
+    exp: Math.exp,
+    ln: Math.log,
+    sqrt: Math.sqrt
+};
+
+// qelib1.inc / stdgates.inc gates with no IR equivalent, in terms of native gates
+OpenQASM.STANDARD_DEFINITIONS = `
+gate cy a, b { sdg b; cx a, b; s b; }
+gate ch a, b { h b; sdg b; cx a, b; h b; t b; cx a, b; t b; h b; s b; x b; s a; }
+gate csx a, b { h b; cu1(pi/2) a, b; h b; }
+gate cswap a, b, c { cx c, b; ccx a, b, c; cx c, b; }
+gate cu3(theta, phi, lambda) c, t { u1((lambda+phi)/2) c; u1((lambda-phi)/2) t; cx c, t; u3(-theta/2, 0, -(phi+lambda)/2) t; cx c, t; u3(theta/2, phi, 0) t; }
+gate cu(theta, phi, lambda, gamma) c, t { p(gamma) c; cu3(theta, phi, lambda) c, t; }
+gate rxx(theta) a, b { u3(pi/2, theta, 0) a; h b; cx a, b; u1(-theta) b; cx a, b; h b; u2(-pi, pi-theta) a; }
+gate rzz(theta) a, b { cx a, b; u1(theta) b; cx a, b; }
+gate sxdg a { s a; h a; s a; }
+`;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OpenQASM;
+}
+
+// Global access
+globalThis.OpenQASM = OpenQASM;
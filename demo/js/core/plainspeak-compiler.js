@@ -0,0 +1,742 @@
+/**
+ * Plainspeak Compiler
+ *
+ * Compiles controlled English into CircuitIR so the plainspeak panel can
+ * drive the others:
+ *
+ *   Put qubits 0 through 3 in superposition, entangle qubit 1 with qubit 2,
+ *   rotate qubit 0 around Y by pi/4, then measure everything.
+ *
+ * Instructions are separated by full stops, semicolons, new lines, commas
+ * (outside qubit lists), "then", and "and" in front of a verb. Each instruction that
+ * cannot be compiled becomes a diagnostic carrying the offending phrase and
+ * its position in the text; the rest of the text still compiles
+ */
+
+class PlainspeakCompiler {
+    constructor(text) {
+        this.text = String(text || '');
+        this.declaredQubits = 0;
+        this.instructions = [];
+        this.diagnostics = [];
+        this.spans = [];
+    }
+
+    /**
+     * Compile plainspeak into a CircuitIR circuit; throws listing every diagnostic
+     */
+    static parse(text) {
+        const { circuit, diagnostics } = PlainspeakCompiler.compile(text);
+        if (diagnostics.length > 0) {
+            const error = new Error(diagnostics.map(PlainspeakCompiler.formatDiagnostic).join('\n'));
+            error.diagnostics = diagnostics;
+            throw error;
+        }
+        return circuit;
+    }
+
+    /**
+     * Compile plainspeak, returning the circuit built from every phrase that
+     * compiled plus diagnostics for the ones that did not, and the span of the
+     * phrase each operation came from
+     *
+     * @returns {{circuit: Object, diagnostics: Array<{message: string, phrase: string, start: number, end: number, line: number, column: number}>,
+     *   spans: Array<{id: string, start: number, end: number}>}}
+     */
+    static compile(text) {
+        const compiler = new PlainspeakCompiler(text);
+        for (const clause of PlainspeakCompiler.splitClauses(PlainspeakCompiler.tokenize(compiler.text))) {
+            compiler.parseClause(clause);
+        }
+        const circuit = compiler.buildCircuit();
+        return { circuit, diagnostics: compiler.diagnostics, spans: compiler.spans };
+    }
+
+    static formatDiagnostic(diagnostic) {
+        return `Plainspeak line ${diagnostic.line}, column ${diagnostic.column}: ${diagnostic.message} in "${diagnostic.phrase}"`;
+    }
+
+    /**
+     * Words, numbers and single symbols with their offsets; filler words are dropped
+     */
+    static tokenize(text) {
+        const tokens = [];
+        const pattern = /(\d+(?:\.\d+)?|\.\d+)|([A-Za-zπ√†]+(?:-[A-Za-z]+)*)|(\S)/g;
+        let match;
+        let previousEnd = 0;
+        while ((match = pattern.exec(text)) !== null) {
+            const token = {
+                text: match[0],
+                word: match[0].toLowerCase(),
+                number: match[1] !== undefined ? parseFloat(match[1]) : null,
+                start: match.index,
+                end: match.index + match[0].length,
+                newline: text.slice(previousEnd, match.index).includes('\n')
+            };
+            previousEnd = token.end;
+            if (!PlainspeakCompiler.NOISE_WORDS.has(token.word)) {
+                tokens.push(token);
+            }
+        }
+        return tokens;
+    }
+
+    /**
+     * Group tokens into instructions at sentence breaks, commas and "then",
+     * and at "and" when the next word starts a new instruction
+     */
+    static splitClauses(tokens) {
+        const clauses = [];
+        let current = [];
+        const flush = () => {
+            if (current.length > 0) clauses.push(current);
+            current = [];
+        };
+
+        tokens.forEach((token, index) => {
+            if (token.newline) flush();
+            if (['.', ';', '!', '?'].includes(token.text)) {
+                flush();
+                return;
+            }
+            const splits = token.word === 'then' ||
+                (token.word === ',' && !PlainspeakCompiler.continuesList(tokens, index + 1)) ||
+                (token.word === 'and' && PlainspeakCompiler.startsInstruction(tokens, index + 1));
+            if (splits) {
+                flush();
+                return;
+            }
+            current.push(token);
+        });
+        flush();
+        return clauses;
+    }
+
+    /**
+     * A comma followed by "2" or "qubit 2" continues a qubit list
+     */
+    static continuesList(tokens, index) {
+        const next = tokens[index];
+        if (!next) return false;
+        if (next.number !== null) return true;
+        return ['qubit', 'q'].includes(next.word) && Boolean(tokens[index + 1]) && tokens[index + 1].number !== null;
+    }
+
+    static startsInstruction(tokens, index) {
+        while (index < tokens.length && PlainspeakCompiler.FILLERS.has(tokens[index].word)) {
+            index++;
+        }
+        return index < tokens.length && PlainspeakCompiler.VERBS.has(tokens[index].word);
+    }
+
+    parseClause(tokens) {
+        const reader = new PlainspeakReader(tokens);
+        reader.skipFillers();
+        if (reader.done()) return;
+        const phrase = tokens.slice(reader.position);
+
+        try {
+            const verb = reader.next();
+            const handler = PlainspeakCompiler.VERBS.get(verb.word);
+            if (!handler) {
+                throw new Error(`"${verb.text}" is not a recognised instruction`);
+            }
+            const instructions = this[handler](reader, verb);
+            if (!reader.done()) {
+                throw new Error(`unexpected "${reader.peek().text}"`);
+            }
+            instructions.forEach(instruction => this.instructions.push({ ...instruction, tokens: phrase }));
+        } catch (error) {
+            this.report(phrase, error.message);
+        }
+    }
+
+    report(tokens, message) {
+        const start = tokens[0].start;
+        const end = tokens[tokens.length - 1].end;
+        const before = this.text.slice(0, start).split('\n');
+        this.diagnostics.push({
+            message,
+            phrase: this.text.slice(start, end),
+            start,
+            end,
+            line: before.length,
+            column: before[before.length - 1].length + 1
+        });
+    }
+
+    /**
+     * "use 4 qubits", "start with 3 qubits"
+     */
+    declare(reader) {
+        reader.accept('with');
+        const count = reader.expectNumber('a qubit count');
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error(`${count} is not a valid qubit count`);
+        }
+        reader.expect(['qubit', 'qubits']);
+        this.declaredQubits = Math.max(this.declaredQubits, count);
+        return [];
+    }
+
+    /**
+     * "put qubits 0 through 3 in superposition", "set qubit 1 to one"
+     */
+    prepare(reader) {
+        const qubits = reader.expectQubits();
+        if (reader.accept('in', 'into')) {
+            reader.accept('equal', 'uniform');
+            reader.expect(['superposition']);
+            return [{ gate: 'H', qubits }];
+        }
+        reader.expect(['to']);
+        const value = reader.next();
+        if (value && (value.number === 1 || value.word === 'one')) {
+            return [{ gate: 'X', qubits }];
+        }
+        if (value && (value.number === 0 || value.word === 'zero')) {
+            return [];
+        }
+        throw new Error(`expected "superposition", "one" or "zero"`);
+    }
+
+    /**
+     * "apply H to qubit 0", "apply RY(pi/2) to qubits 1 and 2", "apply X to qubit 1 controlled by qubit 0"
+     */
+    apply(reader) {
+        const gateToken = reader.next();
+        const gate = gateToken && PlainspeakCompiler.GATE_WORDS[gateToken.word];
+        if (!gate) {
+            throw new Error(gateToken ? `unknown gate "${gateToken.text}"` : 'expected a gate after "apply"');
+        }
+        if (gate === 'P') {
+            reader.accept('shift');
+        }
+
+        const spec = CircuitIR.GATES[gate];
+        if (spec.qubits !== 1) {
+            return this.controlled(reader, gateToken);
+        }
+
+        let angle = null;
+        if (spec.params === 1 && reader.accept('(')) {
+            angle = reader.expectAngle();
+            reader.expect([')']);
+        } else if (spec.params === 1 && reader.accept('of', 'by')) {
+            angle = reader.expectAngle();
+        }
+
+        reader.accept('to', 'on');
+        const qubits = reader.expectQubits();
+        if (spec.params === 1 && angle === null) {
+            reader.expect(['by', 'of', 'with']);
+            angle = reader.expectAngle();
+        }
+        return this.gateInstructions(gate, qubits, angle === null ? [] : [angle], reader);
+    }
+
+    /**
+     * "hadamard qubit 0"
+     */
+    hadamard(reader) {
+        return this.gateInstructions('H', reader.expectQubits(), [], reader);
+    }
+
+    /**
+     * "flip qubit 2", "flip qubit 2 if qubit 0 is 1"
+     */
+    flip(reader) {
+        return this.gateInstructions('X', reader.expectQubits(), [], reader);
+    }
+
+    /**
+     * "rotate qubit 0 around Y by pi/4", "rotate qubits 0 and 1 by 90 degrees about the x-axis"
+     */
+    rotate(reader) {
+        const qubits = reader.expectQubits();
+        let axis = null;
+        let angle = null;
+        for (let i = 0; i < 2; i++) {
+            if (axis === null && reader.accept('around', 'about', 'along')) {
+                axis = reader.expectAxis();
+            } else if (angle === null && reader.accept('by')) {
+                angle = reader.expectAngle();
+            }
+        }
+        if (axis === null) throw new Error('expected "around X", "around Y" or "around Z"');
+        if (angle === null) throw new Error('expected "by" and an angle');
+        return this.gateInstructions(`R${axis}`, qubits, [angle], reader);
+    }
+
+    /**
+     * "shift the phase of qubit 0 by pi/4"
+     */
+    shift(reader) {
+        reader.expect(['phase']);
+        reader.expect(['of']);
+        const qubits = reader.expectQubits();
+        reader.expect(['by']);
+        return this.gateInstructions('P', qubits, [reader.expectAngle()], reader);
+    }
+
+    /**
+     * "entangle qubit 1 with qubit 2", "entangle qubits 0, 1 and 2" (CNOT chain)
+     */
+    entangle(reader) {
+        const qubits = reader.expectQubits();
+        if (reader.accept('with', 'and')) {
+            const partners = reader.expectQubits();
+            if (qubits.all || partners.all) {
+                throw new Error('"all qubits" cannot be entangled with another qubit');
+            }
+            qubits.indices.push(...partners.indices);
+        }
+        if (!qubits.all && qubits.indices.length < 2) {
+            throw new Error('entangling needs at least two qubits');
+        }
+        return [{ gate: 'CHAIN', qubits }];
+    }
+
+    /**
+     * "create a Bell pair on qubits 0 and 1", "make a GHZ state on all qubits"
+     */
+    create(reader) {
+        const kind = reader.next();
+        if (!kind || !['bell', 'ghz'].includes(kind.word)) {
+            throw new Error('expected "Bell pair" or "GHZ state"');
+        }
+        reader.accept('pair', 'state');
+        reader.accept('on', 'between', 'with', 'using', 'of');
+        const qubits = reader.expectQubits();
+        if (kind.word === 'bell' && !qubits.all && qubits.indices.length !== 2) {
+            throw new Error('a Bell pair needs exactly two qubits');
+        }
+        return [{ gate: 'PREPARE_GHZ', qubits }];
+    }
+
+    /**
+     * "swap qubits 0 and 1", "swap qubit 0 with qubit 2"
+     */
+    swap(reader) {
+        const qubits = reader.expectQubits();
+        if (reader.accept('with', 'and')) {
+            qubits.indices.push(...reader.expectQubits().indices);
+        }
+        if (qubits.all || qubits.indices.length !== 2) {
+            throw new Error('swap needs exactly two qubits');
+        }
+        return [{ gate: 'SWAP', qubits }];
+    }
+
+    /**
+     * "cnot from qubit 0 to qubit 1", "cz qubits 0 and 1", "toffoli on qubits 0, 1 and 2",
+     * "cnot with control 0 and target 1", "toffoli with controls 0 and 1 on qubit 2"
+     */
+    controlled(reader, verb) {
+        const gate = PlainspeakCompiler.GATE_WORDS[verb.word];
+        const qubits = { indices: [], all: false };
+
+        if (reader.accept('with')) {
+            reader.expect(['control', 'controls']);
+            reader.accept('qubit', 'qubits');
+            qubits.indices.push(...reader.expectIndexList());
+            if (reader.accept('and')) {
+                reader.expect(['target']);
+            } else {
+                reader.expect(['on', 'to', 'onto', 'targeting']);
+            }
+            reader.accept('target');
+            const next = reader.peek();
+            qubits.indices.push(...(next && next.number !== null ? reader.expectIndexList() : reader.expectQubits().indices));
+        } else {
+            reader.accept('from', 'on', 'between');
+            qubits.indices.push(...reader.expectQubits().indices);
+            if (reader.accept('to', 'onto', 'with', 'and', 'targeting')) {
+                qubits.indices.push(...reader.expectQubits().indices);
+            }
+        }
+
+        const expected = CircuitIR.GATES[gate].qubits;
+        if (qubits.indices.length !== expected) {
+            throw new Error(`${verb.text} needs exactly ${expected} qubits`);
+        }
+        return [{ gate, qubits }];
+    }
+
+    /**
+     * "measure everything", "measure qubits 0 and 1", "measure qubit 2 into bit 0"
+     */
+    measure(reader) {
+        const qubits = reader.expectQubits();
+        let cbits = null;
+        if (reader.accept('into', 'to')) {
+            reader.accept('classical');
+            reader.expect(['bit', 'bits', 'cbit', 'cbits']);
+            cbits = reader.expectIndexList();
+            if (qubits.all || cbits.length !== qubits.indices.length) {
+                throw new Error('measure needs one classical bit per qubit');
+            }
+        }
+        return [{ gate: 'MEASURE', qubits, cbits }];
+    }
+
+    /**
+     * Single-qubit gate instructions, turned into their controlled form by a
+     * trailing "controlled by qubit 0" / "if qubit 0 is 1"
+     */
+    gateInstructions(gate, qubits, params, reader) {
+        let controls = null;
+        if (reader.accept('controlled', 'conditioned')) {
+            reader.expect(['by', 'on']);
+            controls = reader.expectQubits();
+        } else if (reader.accept('if', 'when')) {
+            controls = reader.expectQubits();
+            if (reader.accept('is', 'are')) {
+                const value = reader.next();
+                if (!value || !(value.number === 1 || ['one', 'set', 'on'].includes(value.word))) {
+                    throw new Error('only "is 1" conditions are supported');
+                }
+            }
+        }
+        if (!controls) {
+            return [{ gate, qubits, params }];
+        }
+
+        if (qubits.all || controls.all || qubits.indices.length !== 1) {
+            throw new Error('a controlled gate needs one target qubit and explicit controls');
+        }
+        const count = controls.indices.length;
+        const controlled = PlainspeakCompiler.CONTROLLED[gate];
+        const type = gate === 'X' && count === 2 ? 'CCX' : gate === 'X' && count > 2 ? 'MCX' : controlled;
+        if (!type || (count > 1 && gate !== 'X')) {
+            throw new Error(`${gate} cannot be controlled by ${count} qubit${count === 1 ? '' : 's'}`);
+        }
+        return [{ gate: type, qubits: { indices: [...controls.indices, ...qubits.indices], all: false }, params }];
+    }
+
+    /**
+     * Expand instructions into IR operations scheduled as early as their
+     * qubits allow, except that measurements keep their place in the text:
+     * a measurement comes after every gate written before it and before
+     * every gate written after it, whichever qubits those act on. Ids follow the instruction order: 'plainspeak_2' for the
+     * third instruction, 'plainspeak_2.1' for the second operation it expands to
+     */
+    buildCircuit() {
+        const explicit = this.instructions.flatMap(instruction => instruction.qubits.indices);
+        // A declared count ("use 3 qubits") is binding; otherwise size to the highest qubit mentioned
+        const qubitCount = this.declaredQubits || Math.max(...explicit.map(qubit => qubit + 1), 1);
+        const all = Array.from({ length: qubitCount }, (_, qubit) => qubit);
+        const busyUntil = new Array(qubitCount).fill(0);
+        let gatesUntil = 0; // end of the last gate, which later measurements wait for
+        let measuredUntil = 0; // end of the last measurement, which later gates wait for
+        const operations = [];
+
+        this.instructions.forEach((instruction, index) => {
+            const qubits = instruction.qubits.all ? all : instruction.qubits.indices;
+            const expanded = PlainspeakCompiler.expand(instruction, qubits);
+            const clbits = Math.max(qubitCount, ...expanded.flatMap(op => (op.cbits || []).map(cbit => cbit + 1)));
+            const errors = expanded.flatMap(op => CircuitIR.validateOperation(op, { qubits: qubitCount, clbits }));
+            if (errors.length > 0) {
+                this.report(instruction.tokens, errors[0]);
+                return;
+            }
+
+            const start = instruction.tokens[0].start;
+            const end = instruction.tokens[instruction.tokens.length - 1].end;
+            expanded.forEach((op, part) => {
+                const id = expanded.length > 1 ? `plainspeak_${index}.${part}` : `plainspeak_${index}`;
+                const measure = op.type === 'MEASURE';
+                const time = Math.max(measure ? gatesUntil : measuredUntil, ...op.qubits.map(qubit => busyUntil[qubit]));
+                op.qubits.forEach(qubit => { busyUntil[qubit] = time + 1; });
+                if (measure) {
+                    measuredUntil = Math.max(measuredUntil, time + 1);
+                } else {
+                    gatesUntil = Math.max(gatesUntil, time + 1);
+                }
+                operations.push({ ...op, id, time });
+                this.spans.push({ id, start, end });
+            });
+        });
+
+        return CircuitIR.assertValid(CircuitIR.normalize({ qubits: qubitCount, operations }));
+    }
+
+    static expand(instruction, qubits) {
+        switch (instruction.gate) {
+            case 'CHAIN':
+                return qubits.slice(1).map((target, i) => ({ type: 'CNOT', qubits: [qubits[i], target], params: [] }));
+            case 'PREPARE_GHZ':
+                return [
+                    { type: 'H', qubits: [qubits[0]], params: [] },
+                    ...PlainspeakCompiler.expand({ gate: 'CHAIN' }, qubits)
+                ];
+            case 'MEASURE':
+                return qubits.map((qubit, i) => ({
+                    type: 'MEASURE',
+                    qubits: [qubit],
+                    params: [],
+                    cbits: [instruction.cbits ? instruction.cbits[i] : qubit]
+                }));
+            default:
+                if (CircuitIR.GATES[instruction.gate].qubits === 1) {
+                    return qubits.map(qubit => ({ type: instruction.gate, qubits: [qubit], params: instruction.params || [] }));
+                }
+                return [{ type: instruction.gate, qubits, params: instruction.params || [] }];
+        }
+    }
+}
+
+/**
+ * Cursor over one instruction's tokens
+ */
+class PlainspeakReader {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.position = 0;
+    }
+
+    done() {
+        return this.position >= this.tokens.length;
+    }
+
+    peek(offset = 0) {
+        return this.tokens[this.position + offset];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    accept(...words) {
+        const token = this.peek();
+        if (token && words.includes(token.word)) {
+            this.position++;
+            return token;
+        }
+        return null;
+    }
+
+    expect(words) {
+        const token = this.accept(...words);
+        if (!token) {
+            throw new Error(`expected "${words.join('" or "')}"${this.describeNext()}`);
+        }
+        return token;
+    }
+
+    describeNext() {
+        return this.done() ? ' at the end' : ` before "${this.peek().text}"`;
+    }
+
+    skipFillers() {
+        for (;;) {
+            if (this.accept(...PlainspeakCompiler.FILLERS)) continue;
+            // "Step 2:" prefixes
+            if (this.peek() && this.peek().word === 'step' && this.peek(1) && this.peek(1).number !== null) {
+                this.position += 2;
+                this.accept(':');
+                continue;
+            }
+            return;
+        }
+    }
+
+    expectNumber(what) {
+        const token = this.peek();
+        if (!token || token.number === null) {
+            throw new Error(`expected ${what}${this.describeNext()}`);
+        }
+        this.position++;
+        return token.number;
+    }
+
+    expectIndex() {
+        const value = this.expectNumber('a qubit number');
+        if (!Number.isInteger(value)) {
+            throw new Error(`${value} is not a qubit number`);
+        }
+        return value;
+    }
+
+    /**
+     * 0 | 0, 1 and 2 | 0 through 3
+     */
+    expectIndexList() {
+        const indices = [];
+        for (;;) {
+            const first = this.expectIndex();
+            if (this.accept('through', 'thru', '-') || (this.peek() && this.peek().word === 'to' && this.peek(1) && this.peek(1).number !== null && this.accept('to'))) {
+                const last = this.expectIndex();
+                if (last < first) {
+                    throw new Error(`range ${first} through ${last} is backwards`);
+                }
+                for (let qubit = first; qubit <= last; qubit++) indices.push(qubit);
+            } else {
+                indices.push(first);
+            }
+
+            const separator = this.peek();
+            const following = this.peek(1);
+            const continues = separator && [',', 'and'].includes(separator.word) && following &&
+                (following.number !== null || (['qubit', 'q'].includes(following.word) && this.peek(2) && this.peek(2).number !== null));
+            if (!continues) return indices;
+            this.position++;
+            this.accept('qubit', 'q');
+        }
+    }
+
+    /**
+     * Qubit references: "qubit 0", "qubits 0, 1 and 2", "qubits 0 through 3",
+     * "q0", "q[1]", "the first 3 qubits", "all qubits", "everything"
+     *
+     * @returns {{indices: number[], all: boolean}}
+     */
+    expectQubits() {
+        if (this.accept('everything', 'everyone')) {
+            return { indices: [], all: true };
+        }
+        if (this.accept('all', 'every', 'each')) {
+            this.accept('of');
+            this.accept('them', 'qubit', 'qubits');
+            return { indices: [], all: true };
+        }
+        if (this.accept('first')) {
+            const count = this.expectIndex();
+            this.expect(['qubits', 'qubit']);
+            return { indices: Array.from({ length: count }, (_, qubit) => qubit), all: false };
+        }
+        if (this.accept('q')) {
+            const bracket = this.accept('[');
+            const index = this.expectIndex();
+            if (bracket) this.expect([']']);
+            return { indices: [index], all: false };
+        }
+        if (!this.accept('qubit', 'qubits')) {
+            throw new Error(`expected a qubit reference such as "qubit 0"${this.describeNext()}`);
+        }
+        return { indices: this.expectIndexList(), all: false };
+    }
+
+    expectAxis() {
+        const token = this.next();
+        const axis = token && token.word.replace(/-axis$/, '').toUpperCase();
+        if (!['X', 'Y', 'Z'].includes(axis)) {
+            throw new Error(`expected an axis X, Y or Z${token ? ` instead of "${token.text}"` : ''}`);
+        }
+        this.accept('axis');
+        return axis;
+    }
+
+    /**
+     * pi/4, 3pi/4, -π/2, pi over 2, 45 degrees, 0.5 (radians)
+     */
+    expectAngle() {
+        const negative = Boolean(this.accept('-', 'minus', 'negative'));
+        let value = 1;
+        let sawNumber = false;
+        if (this.peek() && this.peek().number !== null) {
+            value = this.next().number;
+            sawNumber = true;
+        }
+
+        if (this.accept('pi', 'π')) {
+            value *= Math.PI;
+            if (this.accept('/', 'over')) {
+                value /= this.expectNumber('a divisor');
+            }
+        } else if (!sawNumber) {
+            throw new Error(`expected an angle such as "pi/4" or "45 degrees"${this.describeNext()}`);
+        } else if (this.accept('degrees', 'degree', 'deg', '°')) {
+            value *= Math.PI / 180;
+        } else {
+            this.accept('radians', 'radian', 'rad');
+        }
+        return negative ? -value : value;
+    }
+}
+
+// Words ignored everywhere
+PlainspeakCompiler.NOISE_WORDS = new Set(['the', 'a', 'an', 'gate', 'gates', 'please']);
+
+// Words skipped at the start of an instruction
+PlainspeakCompiler.FILLERS = new Set(['then', 'and', 'first', 'firstly', 'next', 'finally', 'lastly', 'afterwards', 'after', 'that', 'now', 'also', 'we', ':', ',']);
+
+// Instruction verbs and the method that parses the rest of the instruction
+PlainspeakCompiler.VERBS = new Map([
+    ['use', 'declare'],
+    ['start', 'declare'],
+    ['put', 'prepare'],
+    ['place', 'prepare'],
+    ['prepare', 'prepare'],
+    ['set', 'prepare'],
+    ['apply', 'apply'],
+    ['hadamard', 'hadamard'],
+    ['flip', 'flip'],
+    ['invert', 'flip'],
+    ['rotate', 'rotate'],
+    ['shift', 'shift'],
+    ['entangle', 'entangle'],
+    ['create', 'create'],
+    ['make', 'create'],
+    ['swap', 'swap'],
+    ['cnot', 'controlled'],
+    ['cx', 'controlled'],
+    ['cz', 'controlled'],
+    ['toffoli', 'controlled'],
+    ['ccx', 'controlled'],
+    ['measure', 'measure']
+]);
+
+// Gate names accepted after "apply"
+PlainspeakCompiler.GATE_WORDS = {
+    h: 'H',
+    hadamard: 'H',
+    x: 'X',
+    not: 'X',
+    'pauli-x': 'X',
+    y: 'Y',
+    'pauli-y': 'Y',
+    z: 'Z',
+    'pauli-z': 'Z',
+    s: 'S',
+    sdg: 'SDG',
+    's†': 'SDG',
+    t: 'T',
+    tdg: 'TDG',
+    't†': 'TDG',
+    sx: 'SX',
+    '√x': 'SX',
+    rx: 'RX',
+    ry: 'RY',
+    rz: 'RZ',
+    p: 'P',
+    phase: 'P',
+    cnot: 'CNOT',
+    cx: 'CNOT',
+    'controlled-not': 'CNOT',
+    'controlled-x': 'CNOT',
+    cz: 'CZ',
+    'controlled-z': 'CZ',
+    swap: 'SWAP',
+    iswap: 'ISWAP',
+    toffoli: 'CCX',
+    ccx: 'CCX'
+};
+
+// Controlled form of each single-qubit gate
+PlainspeakCompiler.CONTROLLED = {
+    X: 'CNOT',
+    Z: 'CZ',
+    RX: 'CRX',
+    RY: 'CRY',
+    RZ: 'CRZ',
+    P: 'CP'
+};
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlainspeakCompiler;
+}
+
+// Global access
+globalThis.PlainspeakCompiler = PlainspeakCompiler;
@@ -4,13 +4,20 @@
  * Lightweight quantum circuit simulation for educational purposes
  * Supports basic quantum operations for quadratic fluency training
  * 
+ * State is held in an interleaved Float64Array (re, im per amplitude) and
+ * gates are applied in place with bit-masked kernels, so 16-20 qubit
+ * circuits stay responsive in the browser
+ * 
  * Note: This is an educational simulator, not production quantum computing
  */
 
 class QuantumSimulator {
     constructor() {
         this.precision = 1e-10;
-        this.maxQubits = 8; // Limit for browser performance
+        this.maxQubits = 20; // Typed-array backend keeps 2^20 amplitudes responsive
+        this.maxDensityQubits = 10; // Density matrices need 4^n entries
+        this.maxUnitaryQubits = 10; // Unitaries need 4^n entries and 2^n column simulations
+        this.maxStabilizerQubits = 1000; // Clifford tableaus need 2n² bits
         
         // Pre-computed matrices for common gates
         this.gates = {
@@ -20,27 +27,165 @@ class QuantumSimulator {
             Z: [[1, 0], [0, -1]], // Pauli-Z
             H: [[1/Math.sqrt(2), 1/Math.sqrt(2)], [1/Math.sqrt(2), -1/Math.sqrt(2)]], // Hadamard
             S: [[1, 0], [0, this.complex(0, 1)]], // S gate
+            SDG: [[1, 0], [0, this.complex(0, -1)]], // S† gate
             T: [[1, 0], [0, this.complexExp(Math.PI / 4)]], // T gate
+            TDG: [[1, 0], [0, this.complexExp(-Math.PI / 4)]], // T† gate
+            SX: [[this.complex(0.5, 0.5), this.complex(0.5, -0.5)],
+                 [this.complex(0.5, -0.5), this.complex(0.5, 0.5)]], // √X gate
         };
         
+        // State as interleaved [re0, im0, re1, im1, ...] values.
+        // 'statevector' mode stores 2^n amplitudes; 'density' mode stores the
+        // 2^n x 2^n density matrix row-major, entry (row, col) at (row << n) | col.
+        // 'stabilizer' mode keeps a StabilizerSimulator tableau instead and logs
+        // its gates and outcomes so the dense state can be rebuilt on demand
         this.state = null;
+        this.tableau = null;
+        this.cliffordHistory = [];
         this.numQubits = 0;
+        this.mode = 'statevector';
+        this.noiseModel = null;
+        
+        // Classical register written by mid-circuit measurements; unset bits read 0
+        this.classicalBits = [];
+        this.numClbits = 0;
+        
+        // Source of measurement randomness; see setRandomSource
+        this.random = Math.random;
+    }
+
+    /**
+     * Plug in the random source used for measurement outcomes
+     * 
+     * @param {number|string|Function|Object} source - a seed (requires SeededRandom),
+     *   a () => [0, 1) function, or an object with next(); null restores Math.random
+     */
+    setRandomSource(source) {
+        if (typeof source === 'function' || source === null || source === undefined ||
+            (source && typeof source.next === 'function')) {
+            this.random = source && typeof source.next === 'function' ?
+                () => source.next() : (source || Math.random);
+            return this;
+        }
+        
+        if (typeof SeededRandom === 'undefined') {
+            throw new Error('SeededRandom not loaded. Include js/core/seeded-random.js to seed the simulator');
+        }
+        this.random = SeededRandom.toFunction(source);
+        return this;
     }
 
     /**
      * Initialize quantum register with n qubits in |0...0⟩ state
+     * 
+     * @param {number} numQubits
+     * @param {Object} options - { mode: 'statevector' | 'density' | 'stabilizer' }
      */
-    initialize(numQubits) {
+    initialize(numQubits, options = {}) {
+        const mode = options.mode || 'statevector';
+        
+        if (mode !== 'statevector' && mode !== 'density' && mode !== 'stabilizer') {
+            throw new Error(`Unknown simulation mode: ${mode}`);
+        }
+        if (mode === 'stabilizer') {
+            return this.initializeStabilizer(numQubits);
+        }
         if (numQubits > this.maxQubits) {
             throw new Error(`Maximum ${this.maxQubits} qubits supported for browser simulation`);
         }
+        if (mode === 'density' && numQubits > this.maxDensityQubits) {
+            throw new Error(`Maximum ${this.maxDensityQubits} qubits supported in density-matrix mode`);
+        }
         
+        this.mode = mode;
         this.numQubits = numQubits;
-        const stateSize = Math.pow(2, numQubits);
+        this.tableau = null;
+        this.cliffordHistory = [];
+        const stateSize = 1 << numQubits;
         
-        // Initialize to |0...0⟩ state
-        this.state = new Array(stateSize).fill(0);
+        // Initialize to |0...0⟩ state (ρ = |0...0⟩⟨0...0| in density mode)
+        this.state = new Float64Array(mode === 'density' ? 2 * stateSize * stateSize : 2 * stateSize);
         this.state[0] = 1; // |0...0⟩ has amplitude 1
+        this.classicalBits = [];
+        
+        return this;
+    }
+
+    /**
+     * Track |0...0⟩ as a Clifford tableau; only Clifford gates, measurements
+     * and resets keep the register in this mode
+     */
+    initializeStabilizer(numQubits) {
+        if (typeof StabilizerSimulator === 'undefined') {
+            throw new Error('StabilizerSimulator not loaded. Include js/core/stabilizer-sim.js for stabilizer mode');
+        }
+        if (numQubits > this.maxStabilizerQubits) {
+            throw new Error(`Maximum ${this.maxStabilizerQubits} qubits supported in stabilizer mode`);
+        }
+        
+        this.mode = 'stabilizer';
+        this.numQubits = numQubits;
+        this.state = null;
+        this.tableau = new StabilizerSimulator(numQubits);
+        this.cliffordHistory = [];
+        this.classicalBits = [];
+        
+        return this;
+    }
+
+    isDensityMode() {
+        return this.mode === 'density';
+    }
+
+    isStabilizerMode() {
+        return this.mode === 'stabilizer';
+    }
+
+    /**
+     * True when every operation is a Clifford gate, measurement or reset and
+     * the stabilizer backend is loaded
+     */
+    isCliffordCircuit(operations) {
+        return typeof StabilizerSimulator !== 'undefined' &&
+            operations.every(op => StabilizerSimulator.isClifford(op));
+    }
+
+    /**
+     * Noise needs density matrices; noiseless all-Clifford circuits take the
+     * stabilizer fast path; everything else runs on the state vector
+     */
+    selectMode(operations, noiseModel = null) {
+        if (noiseModel) return 'density';
+        return this.isCliffordCircuit(operations) ? 'stabilizer' : 'statevector';
+    }
+
+    /**
+     * Leave stabilizer mode for a dense state vector by replaying the logged
+     * Clifford gates and measurement outcomes; needed for amplitudes, density
+     * matrices and non-Clifford gates
+     */
+    materializeStateVector() {
+        if (!this.isStabilizerMode()) return this;
+        if (this.numQubits > this.maxQubits) {
+            throw new Error(`A ${this.numQubits}-qubit stabilizer state has no dense form here (maximum ${this.maxQubits} qubits); ` +
+                'use measurements, distributions or Pauli expectations');
+        }
+        
+        const history = this.cliffordHistory;
+        const classicalBits = this.classicalBits;
+        this.initialize(this.numQubits);
+        this.classicalBits = classicalBits;
+        
+        for (const step of history) {
+            if (step.op) {
+                this.applyOperation(step.op);
+                continue;
+            }
+            this.collapseState(step.qubit, step.outcome);
+            if (step.reset && step.outcome === 1) {
+                this.applyGate('X', step.qubit);
+            }
+        }
         
         return this;
     }
@@ -63,26 +208,51 @@ class QuantumSimulator {
      * Apply parameterized rotation gates
      */
     applyRotation(axis, angle, qubit) {
-        let gateMatrix;
+        this.applySingleQubitGate(this.getRotationMatrix(axis, angle), qubit);
+        return this;
+    }
+
+    getRotationMatrix(axis, angle) {
         const cos = Math.cos(angle / 2);
         const sin = Math.sin(angle / 2);
         
         switch (axis.toUpperCase()) {
             case 'X':
             case 'RX':
-                gateMatrix = [[cos, this.complex(0, -sin)], [this.complex(0, -sin), cos]];
-                break;
+                return [[cos, this.complex(0, -sin)], [this.complex(0, -sin), cos]];
             case 'Y':
             case 'RY':
-                gateMatrix = [[cos, -sin], [sin, cos]];
-                break;
+                return [[cos, -sin], [sin, cos]];
             case 'Z':
             case 'RZ':
-                gateMatrix = [[this.complexExp(-angle / 2), 0], [0, this.complexExp(angle / 2)]];
-                break;
+                return [[this.complexExp(-angle / 2), 0], [0, this.complexExp(angle / 2)]];
             default:
                 throw new Error(`Unknown rotation axis: ${axis}`);
         }
+    }
+
+    /**
+     * Apply phase gate P(λ) = diag(1, e^{iλ})
+     */
+    applyPhase(angle, qubit) {
+        this.applySingleQubitGate(this.getPhaseMatrix(angle), qubit);
+        return this;
+    }
+
+    getPhaseMatrix(angle) {
+        return [[1, 0], [0, this.complexExp(angle)]];
+    }
+
+    /**
+     * Apply the general single-qubit gate U3(θ, φ, λ), using Qiskit's convention
+     */
+    applyU3(theta, phi, lambda, qubit) {
+        const cos = Math.cos(theta / 2);
+        const sin = Math.sin(theta / 2);
+        const gateMatrix = [
+            [cos, this.complexMultiply(this.complexExp(lambda), -sin)],
+            [this.complexMultiply(this.complexExp(phi), sin), this.complexMultiply(this.complexExp(phi + lambda), cos)]
+        ];
         
         this.applySingleQubitGate(gateMatrix, qubit);
         return this;
@@ -118,6 +288,69 @@ class QuantumSimulator {
         return this;
     }
 
+    /**
+     * Apply controlled rotation CRX / CRY / CRZ
+     */
+    applyControlledRotation(axis, angle, control, target) {
+        this.validateQubits([control, target], `CR${axis.toUpperCase().slice(-1)}`);
+        this.applyControlledGate(this.getRotationMatrix(axis, angle), control, target);
+        return this;
+    }
+
+    /**
+     * Apply controlled phase CP(λ); symmetric in control and target
+     */
+    applyControlledPhase(angle, control, target) {
+        this.validateQubits([control, target], 'CP');
+        this.applyControlledGate(this.getPhaseMatrix(angle), control, target);
+        return this;
+    }
+
+    /**
+     * Apply SWAP as three CNOTs
+     */
+    applySwap(qubit1, qubit2) {
+        this.validateQubits([qubit1, qubit2], 'SWAP');
+        this.applyControlledGate(this.gates.X, qubit1, qubit2);
+        this.applyControlledGate(this.gates.X, qubit2, qubit1);
+        this.applyControlledGate(this.gates.X, qubit1, qubit2);
+        return this;
+    }
+
+    /**
+     * Apply iSWAP: swaps |01⟩ and |10⟩ with a phase of i, as SWAP · CZ · (S ⊗ S)
+     */
+    applyISwap(qubit1, qubit2) {
+        this.validateQubits([qubit1, qubit2], 'iSWAP');
+        this.applySingleQubitGate(this.gates.S, qubit1);
+        this.applySingleQubitGate(this.gates.S, qubit2);
+        this.applyControlledGate(this.gates.Z, qubit1, qubit2);
+        return this.applySwap(qubit1, qubit2);
+    }
+
+    /**
+     * Apply a single-qubit gate conditioned on every control qubit being |1⟩
+     * (CCX / Toffoli is X with two controls)
+     */
+    applyMultiControlledGate(gate, controls, target) {
+        this.validateQubits([...controls, target], 'Multi-controlled gate');
+        
+        const controlMask = controls.reduce((mask, control) => mask | this.bitMask(control), 0);
+        this.applyOperator(this.toFlatMatrix(this.getGateMatrix(gate)), this.bitMask(target), controlMask);
+        return this;
+    }
+
+    validateQubits(qubits, gateName) {
+        for (const qubit of qubits) {
+            if (!Number.isInteger(qubit) || qubit < 0 || qubit >= this.numQubits) {
+                throw new Error(`${gateName} qubits out of range`);
+            }
+        }
+        if (new Set(qubits).size !== qubits.length) {
+            throw new Error(`${gateName} requires distinct qubits`);
+        }
+    }
+
     /**
      * Measure qubit and collapse state
      */
@@ -126,17 +359,80 @@ class QuantumSimulator {
             throw new Error(`Qubit ${qubit} out of range`);
         }
         
-        // Calculate probabilities
+        if (this.isStabilizerMode()) {
+            const outcome = this.tableau.measure(qubit, this.random);
+            this.cliffordHistory.push({ qubit, outcome });
+            return this.applyReadoutError(qubit, outcome);
+        }
+        
+        // Calculate probability of |0⟩; |1⟩ is the complement
         const prob0 = this.getMeasurementProbability(qubit, 0);
-        const prob1 = this.getMeasurementProbability(qubit, 1);
         
         // Random measurement outcome
-        const outcome = Math.random() < prob0 ? 0 : 1;
+        const outcome = this.random() < prob0 ? 0 : 1;
         
         // Collapse state
         this.collapseState(qubit, outcome);
         
-        return outcome;
+        return this.applyReadoutError(qubit, outcome);
+    }
+
+    /**
+     * Return a qubit to |0⟩: measure it and flip a |1⟩ outcome back
+     */
+    reset(qubit) {
+        if (qubit >= this.numQubits) {
+            throw new Error(`Qubit ${qubit} out of range`);
+        }
+        
+        if (this.isDensityMode()) {
+            // ρ → K0 ρ K0† + K1 ρ K1† with K0 = |0⟩⟨0|, K1 = |0⟩⟨1|
+            return this.applyKrausChannel([[[1, 0], [0, 0]], [[0, 1], [0, 0]]], qubit);
+        }
+        
+        if (this.isStabilizerMode()) {
+            const outcome = this.tableau.measure(qubit, this.random);
+            if (outcome === 1) {
+                this.tableau.applyOperation({ type: 'X', qubits: [qubit], params: [] });
+            }
+            this.cliffordHistory.push({ qubit, outcome, reset: true });
+            return this;
+        }
+        
+        const outcome = this.random() < this.getMeasurementProbability(qubit, 0) ? 0 : 1;
+        this.collapseState(qubit, outcome);
+        if (outcome === 1) {
+            this.applyGate('X', qubit);
+        }
+        return this;
+    }
+
+    /**
+     * Whether the classical bits of a condition, cbits[0] least significant, equal its value
+     */
+    conditionHolds(condition) {
+        const value = condition.cbits.reduce(
+            (total, cbit, i) => total | ((this.classicalBits[cbit] || 0) << i), 0);
+        return value === condition.value;
+    }
+
+    /**
+     * Current classical register, indexed by classical bit
+     */
+    getClassicalBits() {
+        return Array.from({ length: this.numClbits }, (_, cbit) => this.classicalBits[cbit] || 0);
+    }
+
+    /**
+     * Flip the reported outcome according to the noise model's readout error.
+     * The quantum state stays collapsed to the true outcome.
+     */
+    applyReadoutError(qubit, outcome) {
+        const readout = this.noiseModel && this.noiseModel.getReadoutError(qubit);
+        if (!readout) return outcome;
+        
+        const flipProbability = outcome === 0 ? readout.p0to1 : readout.p1to0;
+        return this.random() < flipProbability ? 1 - outcome : outcome;
     }
 
     /**
@@ -157,12 +453,32 @@ class QuantumSimulator {
      * Get measurement probabilities without collapsing state
      */
     getProbabilities() {
-        const probs = [];
+        if (this.isStabilizerMode()) {
+            if (this.numQubits > this.maxQubits) {
+                throw new Error(`Too many qubits (${this.numQubits}) for a dense probability array; use getMeasurementDistribution()`);
+            }
+            const probs = new Array(1 << this.numQubits).fill(0);
+            for (const [bitstring, probability] of Object.entries(this.tableau.getMeasurementDistribution())) {
+                probs[parseInt(bitstring, 2)] = probability;
+            }
+            return probs;
+        }
+        
+        const stateSize = 1 << this.numQubits;
+        const probs = new Array(stateSize);
+        
+        if (this.isDensityMode()) {
+            // Populations are the real diagonal entries ρ_ii
+            for (let i = 0; i < stateSize; i++) {
+                probs[i] = this.state[2 * ((i << this.numQubits) | i)];
+            }
+            return probs;
+        }
         
-        for (let i = 0; i < this.state.length; i++) {
-            const amplitude = this.state[i];
-            const probability = this.complexMagnitudeSquared(amplitude);
-            probs.push(probability);
+        for (let i = 0; i < stateSize; i++) {
+            const re = this.state[2 * i];
+            const im = this.state[2 * i + 1];
+            probs[i] = re * re + im * im;
         }
         
         return probs;
@@ -170,9 +486,19 @@ class QuantumSimulator {
 
     /**
      * Get probability distribution for measurement outcomes
+     * 
+     * Includes the noise model's readout error, so this is the distribution
+     * a noisy device would report rather than the populations of the state.
+     * In stabilizer mode only reachable outcomes are listed.
      */
     getMeasurementDistribution() {
-        const probs = this.getProbabilities();
+        if (this.isStabilizerMode()) {
+            return this.tableau.getMeasurementDistribution();
+        }
+        
+        const probs = this.noiseModel && this.noiseModel.hasReadoutError() ?
+            this.applyReadoutConfusion(this.getProbabilities()) :
+            this.getProbabilities();
         const distribution = {};
         
         for (let i = 0; i < probs.length; i++) {
@@ -183,200 +509,805 @@ class QuantumSimulator {
         return distribution;
     }
 
+    /**
+     * Mix basis-state probabilities through each qubit's readout confusion matrix
+     */
+    applyReadoutConfusion(probs) {
+        let result = probs.slice();
+        
+        for (let qubit = 0; qubit < this.numQubits; qubit++) {
+            const readout = this.noiseModel.getReadoutError(qubit);
+            if (!readout) continue;
+            
+            const mask = this.bitMask(qubit);
+            const mixed = new Array(result.length).fill(0);
+            
+            for (let i = 0; i < result.length; i++) {
+                const flipProbability = (i & mask) ? readout.p1to0 : readout.p0to1;
+                mixed[i] += result[i] * (1 - flipProbability);
+                mixed[i ^ mask] += result[i] * flipProbability;
+            }
+            result = mixed;
+        }
+        
+        return result;
+    }
+
     /**
      * Get expectation value of Pauli-Z operator on specified qubit
      */
     getExpectationZ(qubit) {
+        if (this.isStabilizerMode()) {
+            return this.tableau.getPauliExpectation([[qubit, 'Z']]);
+        }
+        
+        const mask = this.bitMask(qubit);
+        const probs = this.getProbabilities();
         let expectation = 0;
         
-        for (let i = 0; i < this.state.length; i++) {
-            const amplitude = this.state[i];
-            const probability = this.complexMagnitudeSquared(amplitude);
-            
-            // Check if qubit is in |1⟩ state for this basis state
-            const qubitValue = (i >> (this.numQubits - 1 - qubit)) & 1;
-            const eigenvalue = qubitValue === 0 ? 1 : -1;
-            
-            expectation += probability * eigenvalue;
+        for (let i = 0; i < probs.length; i++) {
+            // Basis states with the qubit in |1⟩ contribute eigenvalue -1
+            expectation += (i & mask) ? -probs[i] : probs[i];
         }
         
         return expectation;
     }
 
     /**
-     * Get quantum state vector (for visualization)
+     * Expectation value of a Pauli string or a weighted sum of Pauli strings
+     * 
+     * @param {string|Object|Array} observable - 'Z0 Z1', 'ZZI' (qubit 0 first),
+     *   '0.5*Z0 Z1 - 0.25*X0', {coefficient, pauli}, or an array of such terms
      */
-    getStateVector() {
-        return [...this.state];
+    getExpectation(observable) {
+        return this.parseObservable(observable).reduce(
+            (sum, term) => sum + term.coefficient * this.getPauliExpectation(term.paulis), 0);
     }
 
     /**
-     * Get state in human-readable form
+     * Normalize an observable into [{coefficient, paulis: [[qubit, 'X'|'Y'|'Z'], ...]}]
      */
-    getStateDescription() {
-        const descriptions = [];
-        const tolerance = this.precision;
+    parseObservable(observable) {
+        if (Array.isArray(observable)) {
+            return observable.flatMap(term => this.parseObservable(term));
+        }
+        if (observable && typeof observable === 'object') {
+            const coefficient = observable.coefficient !== undefined ? observable.coefficient : 1;
+            return this.parseObservable(observable.pauli).map(term => ({
+                coefficient: term.coefficient * coefficient,
+                paulis: term.paulis
+            }));
+        }
+        if (typeof observable !== 'string' || !observable.trim()) {
+            throw new Error('Observable must be a Pauli string such as "Z0 Z1"');
+        }
         
-        for (let i = 0; i < this.state.length; i++) {
-            const amplitude = this.state[i];
-            const magnitude = this.complexMagnitude(amplitude);
-            
-            if (magnitude > tolerance) {
-                const binaryState = i.toString(2).padStart(this.numQubits, '0');
-                const amplitudeStr = this.formatComplex(amplitude);
-                descriptions.push(`${amplitudeStr}|${binaryState}⟩`);
+        // Split the sum before each sign that is not part of an exponent
+        return observable.trim().split(/(?<![eE])(?=[+-])/).filter(term => term.trim()).map(term => {
+            const match = term.trim().match(/^([+-])?\s*(\d*\.?\d+(?:[eE][+-]?\d+)?)?\s*\*?\s*(.*)$/);
+            const sign = match[1] === '-' ? -1 : 1;
+            const coefficient = match[2] !== undefined ? parseFloat(match[2]) : 1;
+            return { coefficient: sign * coefficient, paulis: this.parsePauliString(match[3]) };
+        });
+    }
+
+    /**
+     * 'Z0 Z1', 'Z_0 Z_1', 'Z0⊗Z1' or a compact 'ZZI' with qubit 0 first
+     */
+    parsePauliString(text) {
+        const compact = text.replace(/\s/g, '');
+        const paulis = [];
+        
+        if (/^[IXYZ]+$/.test(compact)) {
+            [...compact].forEach((pauli, qubit) => paulis.push([qubit, pauli]));
+        } else {
+            const rest = compact.replace(/([IXYZ])_?\{?(\d+)\}?/g, (_, pauli, qubit) => {
+                paulis.push([parseInt(qubit), pauli]);
+                return '';
+            });
+            if (paulis.length === 0 || rest.replace(/[⊗*·]/g, '') !== '') {
+                throw new Error(`Cannot read Pauli string "${text}"`);
             }
         }
         
-        return descriptions.length > 0 ? descriptions.join(' + ') : '0';
+        const qubits = paulis.map(([qubit]) => qubit);
+        if (new Set(qubits).size !== qubits.length) {
+            throw new Error(`Pauli string "${text}" names a qubit twice`);
+        }
+        if (qubits.some(qubit => qubit >= this.numQubits)) {
+            throw new Error(`Pauli string "${text}" is out of range for ${this.numQubits} qubits`);
+        }
+        return paulis.filter(([, pauli]) => pauli !== 'I');
     }
 
     /**
-     * Apply single-qubit gate to specific qubit
+     * ⟨P⟩ for a Pauli product. P|i⟩ = i^{#Y} (-1)^{|i ∧ (Y|Z)|} |i ⊕ (X|Y)⟩
      */
-    applySingleQubitGate(gateMatrix, qubit) {
-        const newState = new Array(this.state.length).fill(0);
+    getPauliExpectation(paulis) {
+        if (this.isStabilizerMode()) {
+            return this.tableau.getPauliExpectation(paulis);
+        }
+        
+        let flipMask = 0, phaseMask = 0, yCount = 0;
+        for (const [qubit, pauli] of paulis) {
+            const mask = this.bitMask(qubit);
+            if (pauli !== 'Z') flipMask |= mask;
+            if (pauli !== 'X') phaseMask |= mask;
+            if (pauli === 'Y') yCount++;
+        }
         
-        for (let i = 0; i < this.state.length; i++) {
-            // Extract qubit value at position 'qubit'
-            const qubitValue = (i >> (this.numQubits - 1 - qubit)) & 1;
+        const n = this.numQubits;
+        const stateSize = 1 << n;
+        let real = 0, imag = 0;
+        
+        for (let i = 0; i < stateSize; i++) {
+            const sign = this.bitParity(i & phaseMask) ? -1 : 1;
+            const j = i ^ flipMask;
             
-            // Calculate new amplitudes
-            for (let newQubitValue = 0; newQubitValue < 2; newQubitValue++) {
-                const newIndex = this.flipBit(i, qubit, newQubitValue);
-                const gateElement = gateMatrix[newQubitValue][qubitValue];
-                
-                newState[newIndex] = this.complexAdd(
-                    newState[newIndex],
-                    this.complexMultiply(this.state[i], gateElement)
-                );
+            if (this.isDensityMode()) {
+                // Tr(Pρ) = Σ_i c_i ρ_{i, i⊕f}
+                const index = (i << n) | j;
+                real += sign * this.state[2 * index];
+                imag += sign * this.state[2 * index + 1];
+            } else {
+                // ⟨ψ|P|ψ⟩ = Σ_i conj(ψ_{i⊕f}) c_i ψ_i
+                const ar = this.state[2 * i], ai = this.state[2 * i + 1];
+                const br = this.state[2 * j], bi = this.state[2 * j + 1];
+                real += sign * (br * ar + bi * ai);
+                imag += sign * (br * ai - bi * ar);
             }
         }
         
-        this.state = newState;
+        // Multiply by i^{#Y}; the result is real for a Hermitian observable
+        return [real, -imag, -real, imag][yCount % 4];
     }
 
     /**
-     * Apply controlled gate
+     * Reduced density matrix of the listed qubits (partial trace over the rest),
+     * as a 2D array of numbers / {real, imag}; the first listed qubit is the
+     * most significant bit of the reduced index
      */
-    applyControlledGate(gateMatrix, control, target) {
-        const newState = [...this.state];
+    getReducedDensityMatrix(qubits) {
+        const { dimension, real, imag } = this.getReducedDensity(qubits);
+        const matrix = [];
+        
+        for (let row = 0; row < dimension; row++) {
+            const matrixRow = new Array(dimension);
+            for (let col = 0; col < dimension; col++) {
+                const index = row * dimension + col;
+                matrixRow[col] = Math.abs(imag[index]) < this.precision ? real[index] : { real: real[index], imag: imag[index] };
+            }
+            matrix.push(matrixRow);
+        }
         
-        for (let i = 0; i < this.state.length; i++) {
-            const controlValue = (i >> (this.numQubits - 1 - control)) & 1;
+        return matrix;
+    }
+
+    /**
+     * Partial trace as flat row-major real / imaginary parts
+     */
+    getReducedDensity(qubits) {
+        this.validateQubits(qubits, 'Partial trace');
+        this.materializeStateVector();
+        
+        const n = this.numQubits;
+        const k = qubits.length;
+        const dimension = 1 << k;
+        const keptMask = qubits.reduce((mask, qubit) => mask | this.bitMask(qubit), 0);
+        
+        // Register index bits for each reduced index
+        const deposits = new Array(dimension);
+        for (let reduced = 0; reduced < dimension; reduced++) {
+            deposits[reduced] = qubits.reduce(
+                (index, qubit, position) => (reduced & (1 << (k - 1 - position)) ? index | this.bitMask(qubit) : index), 0);
+        }
+        
+        const real = new Float64Array(dimension * dimension);
+        const imag = new Float64Array(dimension * dimension);
+        const stateSize = 1 << n;
+        
+        // Sum over environment basis states: indices with every kept bit clear
+        for (let environment = 0; environment < stateSize; environment++) {
+            if (environment & keptMask) continue;
             
-            // Only apply gate if control is |1⟩
-            if (controlValue === 1) {
-                const targetValue = (i >> (this.numQubits - 1 - target)) & 1;
-                
-                // Apply gate to target qubit
-                for (let newTargetValue = 0; newTargetValue < 2; newTargetValue++) {
-                    const newIndex = this.flipBit(i, target, newTargetValue);
-                    const gateElement = gateMatrix[newTargetValue][targetValue];
+            for (let row = 0; row < dimension; row++) {
+                const i = environment | deposits[row];
+                for (let col = 0; col < dimension; col++) {
+                    const j = environment | deposits[col];
+                    const index = row * dimension + col;
                     
-                    if (newIndex !== i) { // Avoid double-counting diagonal elements
-                        newState[newIndex] = this.complexAdd(
-                            newState[newIndex],
-                            this.complexMultiply(this.state[i], gateElement)
-                        );
-                        newState[i] = this.complexSubtract(
-                            newState[i],
-                            this.complexMultiply(this.state[i], gateElement)
-                        );
+                    if (this.isDensityMode()) {
+                        const entry = (i << n) | j;
+                        real[index] += this.state[2 * entry];
+                        imag[index] += this.state[2 * entry + 1];
                     } else {
-                        newState[i] = this.complexMultiply(this.state[i], gateElement);
+                        // ψ_i · conj(ψ_j)
+                        const ar = this.state[2 * i], ai = this.state[2 * i + 1];
+                        const br = this.state[2 * j], bi = this.state[2 * j + 1];
+                        real[index] += ar * br + ai * bi;
+                        imag[index] += ai * br - ar * bi;
                     }
                 }
             }
         }
         
-        this.state = newState;
+        return { dimension, real, imag };
     }
 
     /**
-     * Get measurement probability for specific qubit outcome
+     * Purity Tr(ρ²) of the listed qubits (default: the whole register);
+     * 1 for a pure state, 1/2^k for a maximally mixed one
      */
-    getMeasurementProbability(qubit, outcome) {
-        let probability = 0;
+    getPurity(qubits = this.allQubits()) {
+        const { real, imag } = this.getReducedDensity(qubits);
+        let purity = 0;
         
-        for (let i = 0; i < this.state.length; i++) {
-            const qubitValue = (i >> (this.numQubits - 1 - qubit)) & 1;
-            
-            if (qubitValue === outcome) {
-                probability += this.complexMagnitudeSquared(this.state[i]);
-            }
+        // Tr(ρ²) = Σ |ρ_ij|² for Hermitian ρ
+        for (let i = 0; i < real.length; i++) {
+            purity += real[i] * real[i] + imag[i] * imag[i];
         }
         
-        return probability;
+        return purity;
     }
 
     /**
-     * Collapse quantum state after measurement
+     * Von Neumann entropy S(ρ) = -Tr(ρ log₂ ρ) of the listed qubits, in bits.
+     * For a pure register this is their entanglement entropy with the rest
      */
-    collapseState(qubit, outcome) {
-        const probability = this.getMeasurementProbability(qubit, outcome);
-        const normalization = 1 / Math.sqrt(probability);
+    getVonNeumannEntropy(qubits = this.allQubits()) {
+        const { dimension, real, imag } = this.getReducedDensity(qubits);
         
-        for (let i = 0; i < this.state.length; i++) {
-            const qubitValue = (i >> (this.numQubits - 1 - qubit)) & 1;
-            
-            if (qubitValue === outcome) {
-                this.state[i] = this.complexMultiply(this.state[i], normalization);
-            } else {
-                this.state[i] = 0;
-            }
-        }
+        return this.hermitianEigenvalues(dimension, real, imag)
+            .filter(value => value > this.precision)
+            .reduce((entropy, value) => entropy - value * Math.log2(value), 0);
     }
 
     /**
-     * Utility functions for complex numbers and bit manipulation
+     * Wootters concurrence of two qubits: 0 for separable, 1 for a Bell pair.
+     * C = max(0, λ1 - λ2 - λ3 - λ4) with λ the square roots of the eigenvalues
+     * of √ρ ρ̃ √ρ, ρ̃ = (Y⊗Y) ρ* (Y⊗Y)
      */
-    
-    getGateMatrix(gate) {
-        if (typeof gate === 'string') {
-            const gateMatrix = this.gates[gate.toUpperCase()];
-            if (!gateMatrix) {
-                throw new Error(`Unknown gate: ${gate}`);
+    getConcurrence(qubitA, qubitB) {
+        const { real, imag } = this.getReducedDensity([qubitA, qubitB]);
+        
+        // Y⊗Y maps |j⟩ to ±|3-j⟩, so ρ̃_jk = s_j s_k conj(ρ_{3-j,3-k})
+        const signs = [-1, 1, 1, -1];
+        const flippedReal = new Float64Array(16);
+        const flippedImag = new Float64Array(16);
+        for (let j = 0; j < 4; j++) {
+            for (let k = 0; k < 4; k++) {
+                const source = (3 - j) * 4 + (3 - k);
+                flippedReal[j * 4 + k] = signs[j] * signs[k] * real[source];
+                flippedImag[j * 4 + k] = -signs[j] * signs[k] * imag[source];
             }
-            return gateMatrix;
         }
-        return gate; // Assume it's already a matrix
+        
+        // Work on real embeddings [[A, -B], [B, A]], where matrix functions commute with embedding
+        const rho = this.embedHermitian(4, real, imag);
+        const flipped = this.embedHermitian(4, flippedReal, flippedImag);
+        const { values, vectors } = this.symmetricEigen(rho);
+        const size = rho.length;
+        
+        const root = Array.from({ length: size }, (_, row) => Float64Array.from({ length: size }, (_, col) =>
+            values.reduce((sum, value, m) => sum + vectors[row][m] * Math.sqrt(Math.max(value, 0)) * vectors[col][m], 0)));
+        const product = this.multiplyMatrices(this.multiplyMatrices(root, flipped), root);
+        
+        const lambdas = this.pairedEigenvalues(this.symmetricEigen(product).values)
+            .map(value => Math.sqrt(Math.max(value, 0)))
+            .sort((a, b) => b - a);
+        
+        return Math.max(0, lambdas[0] - lambdas[1] - lambdas[2] - lambdas[3]);
     }
 
-    flipBit(index, qubit, newValue) {
-        const mask = 1 << (this.numQubits - 1 - qubit);
-        return (index & ~mask) | (newValue << (this.numQubits - 1 - qubit));
+    allQubits() {
+        return Array.from({ length: this.numQubits }, (_, qubit) => qubit);
     }
 
     /**
-     * Complex number operations
+     * Eigenvalues of a Hermitian matrix given as flat real / imaginary parts
      */
-    
-    // Create complex number {real, imag}
-    complex(real, imag = 0) {
-        return { real, imag };
-    }
-    
-    // Create complex exponential e^(i*theta)
-    complexExp(theta) {
-        return {
-            real: Math.cos(theta),
-            imag: Math.sin(theta)
-        };
-    }
-    
-    // Check if number is complex
-    isComplex(z) {
-        return typeof z === 'object' && z !== null && 'real' in z && 'imag' in z;
-    }
-    
-    // Convert number to complex if needed
-    toComplex(z) {
-        if (this.isComplex(z)) return z;
-        return { real: z, imag: 0 };
+    hermitianEigenvalues(dimension, real, imag) {
+        return this.pairedEigenvalues(this.symmetricEigen(this.embedHermitian(dimension, real, imag)).values)
+            .map(value => Math.max(value, 0));
     }
 
-    complexAdd(a, b) {
+    /**
+     * Real symmetric embedding [[A, -B], [B, A]] of the Hermitian matrix A + iB
+     */
+    embedHermitian(dimension, real, imag) {
+        const size = 2 * dimension;
+        const embedded = Array.from({ length: size }, () => new Float64Array(size));
+        
+        for (let row = 0; row < dimension; row++) {
+            for (let col = 0; col < dimension; col++) {
+                const re = real[row * dimension + col];
+                const im = imag[row * dimension + col];
+                embedded[row][col] = re;
+                embedded[row + dimension][col + dimension] = re;
+                embedded[row][col + dimension] = -im;
+                embedded[row + dimension][col] = im;
+            }
+        }
+        
+        return embedded;
+    }
+
+    /**
+     * Each eigenvalue of a Hermitian matrix appears twice in its real embedding
+     */
+    pairedEigenvalues(values) {
+        return [...values].sort((a, b) => a - b).filter((_, i) => i % 2 === 0);
+    }
+
+    /**
+     * Cyclic Jacobi eigen-decomposition of a real symmetric matrix;
+     * vectors[row][m] is component row of the m-th eigenvector
+     */
+    symmetricEigen(matrix) {
+        const size = matrix.length;
+        const a = matrix.map(row => Float64Array.from(row));
+        const vectors = Array.from({ length: size }, (_, row) =>
+            Float64Array.from({ length: size }, (_, col) => (row === col ? 1 : 0)));
+        
+        for (let sweep = 0; sweep < 100; sweep++) {
+            let offDiagonal = 0;
+            for (let p = 0; p < size; p++) {
+                for (let q = p + 1; q < size; q++) {
+                    offDiagonal += a[p][q] * a[p][q];
+                }
+            }
+            if (offDiagonal < 1e-24) break;
+            
+            for (let p = 0; p < size; p++) {
+                for (let q = p + 1; q < size; q++) {
+                    if (Math.abs(a[p][q]) < 1e-300) continue;
+                    
+                    // Rotation angle that zeroes a[p][q]
+                    const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                    const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const c = 1 / Math.sqrt(t * t + 1);
+                    const s = t * c;
+                    
+                    for (let k = 0; k < size; k++) {
+                        const akp = a[k][p], akq = a[k][q];
+                        a[k][p] = c * akp - s * akq;
+                        a[k][q] = s * akp + c * akq;
+                    }
+                    for (let k = 0; k < size; k++) {
+                        const apk = a[p][k], aqk = a[q][k];
+                        a[p][k] = c * apk - s * aqk;
+                        a[q][k] = s * apk + c * aqk;
+                    }
+                    for (let k = 0; k < size; k++) {
+                        const vkp = vectors[k][p], vkq = vectors[k][q];
+                        vectors[k][p] = c * vkp - s * vkq;
+                        vectors[k][q] = s * vkp + c * vkq;
+                    }
+                }
+            }
+        }
+        
+        return { values: a.map((row, i) => row[i]), vectors };
+    }
+
+    multiplyMatrices(left, right) {
+        const size = left.length;
+        return Array.from({ length: size }, (_, row) => Float64Array.from({ length: size }, (_, col) => {
+            let sum = 0;
+            for (let k = 0; k < size; k++) sum += left[row][k] * right[k][col];
+            return sum;
+        }));
+    }
+
+    /**
+     * Get quantum state vector (for visualization)
+     * 
+     * Amplitudes are returned as plain numbers when real, {real, imag} otherwise.
+     */
+    getStateVector() {
+        if (this.isDensityMode()) {
+            throw new Error('State vector unavailable in density-matrix mode; use getDensityMatrix()');
+        }
+        this.materializeStateVector();
+        
+        const stateSize = this.state.length >> 1;
+        const vector = new Array(stateSize);
+        
+        for (let i = 0; i < stateSize; i++) {
+            vector[i] = this.getAmplitude(i);
+        }
+        
+        return vector;
+    }
+
+    /**
+     * Get a single basis-state amplitude in the number / {real, imag} format
+     */
+    getAmplitude(index) {
+        this.materializeStateVector();
+        const real = this.state[2 * index];
+        const imag = this.state[2 * index + 1];
+        
+        if (Math.abs(imag) < this.precision) {
+            return real;
+        }
+        return { real, imag };
+    }
+
+    /**
+     * Get density matrix as a 2D array of numbers / {real, imag}
+     * 
+     * In state-vector mode this is the pure-state projector |ψ⟩⟨ψ|.
+     */
+    getDensityMatrix() {
+        this.materializeStateVector();
+        const stateSize = 1 << this.numQubits;
+        const matrix = [];
+        
+        for (let row = 0; row < stateSize; row++) {
+            const matrixRow = new Array(stateSize);
+            
+            for (let col = 0; col < stateSize; col++) {
+                let real, imag;
+                
+                if (this.isDensityMode()) {
+                    const index = (row << this.numQubits) | col;
+                    real = this.state[2 * index];
+                    imag = this.state[2 * index + 1];
+                } else {
+                    // ψ_row · conj(ψ_col)
+                    const ar = this.state[2 * row], ai = this.state[2 * row + 1];
+                    const br = this.state[2 * col], bi = this.state[2 * col + 1];
+                    real = ar * br + ai * bi;
+                    imag = ai * br - ar * bi;
+                }
+                
+                matrixRow[col] = Math.abs(imag) < this.precision ? real : { real, imag };
+            }
+            matrix.push(matrixRow);
+        }
+        
+        return matrix;
+    }
+
+    /**
+     * Fidelity ⟨φ|ρ|φ⟩ of the current state with a pure target state vector
+     * (numbers / {real, imag}, e.g. from getStateVector of an ideal run)
+     */
+    getFidelity(targetVector) {
+        const stateSize = 1 << this.numQubits;
+        if (targetVector.length !== stateSize) {
+            throw new Error('Target state dimension does not match the register');
+        }
+        this.materializeStateVector();
+        
+        const target = targetVector.map(z => this.toComplex(z));
+        
+        if (!this.isDensityMode()) {
+            let overlapReal = 0, overlapImag = 0;
+            for (let i = 0; i < stateSize; i++) {
+                // conj(φ_i) · ψ_i
+                const ar = this.state[2 * i], ai = this.state[2 * i + 1];
+                overlapReal += target[i].real * ar + target[i].imag * ai;
+                overlapImag += target[i].real * ai - target[i].imag * ar;
+            }
+            return overlapReal * overlapReal + overlapImag * overlapImag;
+        }
+        
+        let fidelity = 0;
+        for (let row = 0; row < stateSize; row++) {
+            for (let col = 0; col < stateSize; col++) {
+                const index = (row << this.numQubits) | col;
+                const rr = this.state[2 * index], ri = this.state[2 * index + 1];
+                // Re[conj(φ_row) · ρ_row,col · φ_col]
+                const pr = target[row].real * rr + target[row].imag * ri;
+                const pi = target[row].real * ri - target[row].imag * rr;
+                fidelity += pr * target[col].real - pi * target[col].imag;
+            }
+        }
+        
+        return fidelity;
+    }
+
+    /**
+     * Get state in human-readable form
+     */
+    getStateDescription() {
+        if (this.isDensityMode()) {
+            return this.getMixedStateDescription();
+        }
+        if (this.isStabilizerMode()) {
+            if (this.numQubits > this.maxQubits) {
+                return this.getStabilizerStateDescription();
+            }
+            this.materializeStateVector();
+        }
+        
+        const descriptions = [];
+        const tolerance = this.precision;
+        const stateSize = this.state.length >> 1;
+        
+        for (let i = 0; i < stateSize; i++) {
+            const amplitude = this.getAmplitude(i);
+            const magnitude = this.complexMagnitude(amplitude);
+            
+            if (magnitude > tolerance) {
+                const binaryState = i.toString(2).padStart(this.numQubits, '0');
+                const amplitudeStr = this.formatComplex(amplitude);
+                descriptions.push(`${amplitudeStr}|${binaryState}⟩`);
+            }
+        }
+        
+        return descriptions.length > 0 ? descriptions.join(' + ') : '0';
+    }
+
+    /**
+     * Describe a register too large for the dense state from its tableau,
+     * up to global phase
+     */
+    getStabilizerStateDescription() {
+        const outcomes = this.tableau.getSupport().basis.length;
+        if (outcomes > StabilizerSimulator.MAX_DESCRIBED_QUBITS) {
+            return `Stabilizer state: equal superposition of 2^${outcomes} basis states`;
+        }
+        
+        return this.tableau.getAmplitudes()
+            .map(({ bitstring, real, imag }) => `${this.formatComplex(Math.abs(imag) < this.precision ? real : { real, imag })}|${bitstring}⟩`)
+            .join(' + ');
+    }
+
+    /**
+     * Describe a mixed state by its diagonal populations
+     */
+    getMixedStateDescription() {
+        const descriptions = [];
+        const probs = this.getProbabilities();
+        
+        for (let i = 0; i < probs.length; i++) {
+            if (probs[i] > this.precision) {
+                const binaryState = i.toString(2).padStart(this.numQubits, '0');
+                descriptions.push(`${probs[i].toFixed(3)}|${binaryState}⟩⟨${binaryState}|`);
+            }
+        }
+        
+        return descriptions.length > 0 ? `ρ ≈ ${descriptions.join(' + ')}` : '0';
+    }
+
+    /**
+     * Apply single-qubit gate to specific qubit
+     */
+    applySingleQubitGate(gateMatrix, qubit) {
+        this.applyOperator(this.toFlatMatrix(gateMatrix), this.bitMask(qubit), 0);
+    }
+
+    /**
+     * Apply controlled gate
+     */
+    applyControlledGate(gateMatrix, control, target) {
+        this.applyOperator(this.toFlatMatrix(gateMatrix), this.bitMask(target), this.bitMask(control));
+    }
+
+    /**
+     * Apply a (possibly controlled) 2x2 operator in the current mode.
+     * Density mode computes U ρ U† by acting with U on the row bits and
+     * with conj(U) on the column bits of the flattened matrix.
+     */
+    applyOperator(m, targetMask, controlMask) {
+        this.materializeStateVector();
+        if (!this.isDensityMode()) {
+            this.applyMatrixKernel(m, targetMask, controlMask);
+            return;
+        }
+        
+        const n = this.numQubits;
+        const conjugate = m.map((value, i) => (i % 2 === 1 ? -value : value));
+        
+        this.applyMatrixKernel(m, targetMask << n, controlMask << n);
+        this.applyMatrixKernel(conjugate, targetMask, controlMask);
+    }
+
+    /**
+     * Apply a single-qubit Kraus channel: ρ → Σ K ρ K†
+     */
+    applyKrausChannel(krausOperators, qubit) {
+        if (!this.isDensityMode()) {
+            throw new Error('Noise channels require density-matrix mode');
+        }
+        
+        const original = this.state;
+        const accumulated = new Float64Array(original.length);
+        const mask = this.bitMask(qubit);
+        
+        for (const kraus of krausOperators) {
+            this.state = Float64Array.from(original);
+            this.applyOperator(this.toFlatMatrix(kraus), mask, 0);
+            
+            for (let i = 0; i < accumulated.length; i++) {
+                accumulated[i] += this.state[i];
+            }
+        }
+        
+        this.state = accumulated;
+        return this;
+    }
+
+    /**
+     * In-place 2x2 kernel over amplitude pairs that differ only in targetMask.
+     * Pairs are skipped unless every bit in controlMask is set.
+     */
+    applyMatrixKernel(m, targetMask, controlMask) {
+        const state = this.state;
+        const stateSize = state.length >> 1;
+        const [m00r, m00i, m01r, m01i, m10r, m10i, m11r, m11i] = m;
+        
+        // Walk blocks of 2 * targetMask; the lower half has the target bit clear
+        for (let block = 0; block < stateSize; block += targetMask << 1) {
+            for (let i0 = block; i0 < block + targetMask; i0++) {
+                if ((i0 & controlMask) !== controlMask) continue;
+                
+                const i1 = i0 | targetMask;
+                const a0r = state[2 * i0], a0i = state[2 * i0 + 1];
+                const a1r = state[2 * i1], a1i = state[2 * i1 + 1];
+                
+                state[2 * i0] = m00r * a0r - m00i * a0i + m01r * a1r - m01i * a1i;
+                state[2 * i0 + 1] = m00r * a0i + m00i * a0r + m01r * a1i + m01i * a1r;
+                state[2 * i1] = m10r * a0r - m10i * a0i + m11r * a1r - m11i * a1i;
+                state[2 * i1 + 1] = m10r * a0i + m10i * a0r + m11r * a1i + m11i * a1r;
+            }
+        }
+    }
+
+    /**
+     * Get measurement probability for specific qubit outcome
+     */
+    getMeasurementProbability(qubit, outcome) {
+        if (this.isStabilizerMode()) {
+            const determined = this.tableau.peekOutcome(qubit);
+            return determined === null ? 0.5 : (determined === outcome ? 1 : 0);
+        }
+        
+        const mask = this.bitMask(qubit);
+        const expected = outcome ? mask : 0;
+        
+        if (this.isDensityMode()) {
+            return this.getProbabilities().reduce(
+                (sum, probability, i) => ((i & mask) === expected ? sum + probability : sum), 0);
+        }
+        
+        const state = this.state;
+        const stateSize = state.length >> 1;
+        let probability = 0;
+        
+        for (let i = 0; i < stateSize; i++) {
+            if ((i & mask) === expected) {
+                probability += state[2 * i] * state[2 * i] + state[2 * i + 1] * state[2 * i + 1];
+            }
+        }
+        
+        return probability;
+    }
+
+    /**
+     * Collapse quantum state after measurement
+     */
+    collapseState(qubit, outcome) {
+        const probability = this.getMeasurementProbability(qubit, outcome);
+        const normalization = 1 / Math.sqrt(probability);
+        const mask = this.bitMask(qubit);
+        const expected = outcome ? mask : 0;
+        const state = this.state;
+        const stateSize = state.length >> 1;
+        
+        if (this.isDensityMode()) {
+            // Project rows and columns: ρ → P ρ P / p
+            const n = this.numQubits;
+            const rowMask = mask << n;
+            const rowExpected = expected << n;
+            const densityNormalization = 1 / probability;
+            
+            for (let i = 0; i < stateSize; i++) {
+                if ((i & mask) === expected && (i & rowMask) === rowExpected) {
+                    state[2 * i] *= densityNormalization;
+                    state[2 * i + 1] *= densityNormalization;
+                } else {
+                    state[2 * i] = 0;
+                    state[2 * i + 1] = 0;
+                }
+            }
+            return;
+        }
+        
+        for (let i = 0; i < stateSize; i++) {
+            if ((i & mask) === expected) {
+                state[2 * i] *= normalization;
+                state[2 * i + 1] *= normalization;
+            } else {
+                state[2 * i] = 0;
+                state[2 * i + 1] = 0;
+            }
+        }
+    }
+
+    /**
+     * Utility functions for complex numbers and bit manipulation
+     */
+    
+    getGateMatrix(gate) {
+        if (typeof gate === 'string') {
+            const gateMatrix = this.gates[gate.toUpperCase()];
+            if (!gateMatrix) {
+                throw new Error(`Unknown gate: ${gate}`);
+            }
+            return gateMatrix;
+        }
+        return gate; // Assume it's already a matrix
+    }
+
+    /**
+     * Flatten a 2x2 matrix of numbers / {real, imag} into [re00, im00, re01, im01, ...]
+     */
+    toFlatMatrix(matrix) {
+        const flat = new Float64Array(8);
+        
+        for (let row = 0; row < 2; row++) {
+            for (let col = 0; col < 2; col++) {
+                const element = this.toComplex(matrix[row][col]);
+                flat[4 * row + 2 * col] = element.real;
+                flat[4 * row + 2 * col + 1] = element.imag;
+            }
+        }
+        
+        return flat;
+    }
+
+    // Qubit 0 is the most significant bit of the basis-state index
+    bitMask(qubit) {
+        return 1 << (this.numQubits - 1 - qubit);
+    }
+
+    bitParity(value) {
+        let parity = 0;
+        while (value) {
+            parity ^= 1;
+            value &= value - 1;
+        }
+        return parity;
+    }
+
+    flipBit(index, qubit, newValue) {
+        const mask = this.bitMask(qubit);
+        return (index & ~mask) | (newValue ? mask : 0);
+    }
+
+    /**
+     * Complex number operations
+     */
+    
+    // Create complex number {real, imag}
+    complex(real, imag = 0) {
+        return { real, imag };
+    }
+    
+    // Create complex exponential e^(i*theta)
+    complexExp(theta) {
+        return {
+            real: Math.cos(theta),
+            imag: Math.sin(theta)
+        };
+    }
+    
+    // Check if number is complex
+    isComplex(z) {
+        return typeof z === 'object' && z !== null && 'real' in z && 'imag' in z;
+    }
+    
+    // Convert number to complex if needed
+    toComplex(z) {
+        if (this.isComplex(z)) return z;
+        return { real: z, imag: 0 };
+    }
+
+    complexAdd(a, b) {
         const aComplex = this.toComplex(a);
         const bComplex = this.toComplex(b);
         
@@ -466,53 +1397,550 @@ class QuantumSimulator {
 
     /**
      * Circuit simulation from operations list
+     * 
+     * Measurements may appear anywhere; they collapse the state and write their
+     * classical bits, which later conditioned operations read. Returns the
+     * classical bits when the circuit measures, otherwise the state description.
+     * 
+     * Noiseless all-Clifford circuits run on the stabilizer tableau (see
+     * selectMode), so GHZ and error-correction circuits scale to hundreds of qubits.
+     * 
+     * @param {Object|Array} operations - CircuitIR circuit or operations array (IR or legacy shape)
+     * @param {Object} options - { noiseModel, mode }; noiseModel is a NoiseModel or
+     *   plain noise-model object and implies density-matrix mode
      */
-    simulateCircuit(operations) {
+    simulateCircuit(operations, options = {}) {
+        operations = this.resolveOperations(operations);
+        
+        if (options.noiseModel && typeof NoiseModel === 'undefined') {
+            throw new Error('NoiseModel not loaded. Include js/core/noise-model.js for noisy simulation');
+        }
+        this.noiseModel = options.noiseModel ? NoiseModel.from(options.noiseModel) : null;
+        
         // Reset to initial state
-        this.initialize(this.numQubits);
+        const mode = options.mode || this.selectMode(operations, this.noiseModel);
+        this.initialize(this.numQubits, { mode });
         
         for (const op of operations) {
-            switch (op.type.toUpperCase()) {
-                case 'H':
-                    this.applyGate('H', op.qubit);
-                    break;
-                case 'X':
-                    this.applyGate('X', op.qubit);
-                    break;
-                case 'Y':
-                    this.applyGate('Y', op.qubit);
-                    break;
-                case 'Z':
-                    this.applyGate('Z', op.qubit);
-                    break;
-                case 'CNOT':
-                    this.applyCNOT(op.control, op.target);
-                    break;
-                case 'CZ':
-                    this.applyCZ(op.control, op.target);
-                    break;
-                case 'RX':
-                    this.applyRotation('X', op.angle, op.qubit);
-                    break;
-                case 'RY':
-                    this.applyRotation('Y', op.angle, op.qubit);
-                    break;
-                case 'RZ':
-                    this.applyRotation('Z', op.angle, op.qubit);
-                    break;
-                case 'MEASURE':
-                    if (op.qubit === 'all') {
-                        return this.measureAll();
-                    } else {
-                        return this.measure(op.qubit);
+            this.executeOperation(op);
+        }
+        
+        return operations.some(op => op.type === 'MEASURE') ?
+            this.getClassicalBits() : this.getStateDescription();
+    }
+
+    /**
+     * Execute one operation of a circuit: measurements write their classical
+     * bits, conditioned operations check theirs, everything else is applied
+     * followed by the noise model's channels
+     */
+    executeOperation(op) {
+        if (op.condition && !this.conditionHolds(op.condition)) return;
+        
+        if (op.type === 'MEASURE') {
+            op.qubits.forEach((qubit, i) => {
+                this.classicalBits[op.cbits[i]] = this.measure(qubit);
+            });
+            return;
+        }
+        
+        this.applyOperation(op);
+        this.applyNoise(op);
+    }
+
+    /**
+     * Run a circuit for a number of shots and collect Qiskit-style counts
+     * 
+     * Bitstrings list the classical bits written by measurements in ascending
+     * order, bit 0 leftmost, so measure(q, q) circuits match
+     * getMeasurementDistribution. Without MEASURE operations every qubit is
+     * measured at the end. Circuits with mid-circuit measurement, reset or
+     * classically conditioned gates are re-simulated shot by shot.
+     * 
+     * @param {Object|Array} operations - CircuitIR circuit or operations array
+     * @param {Object} options - { shots = 1024, seed, memory = false, noiseModel }
+     * @returns {{counts: Object, probabilities: Object, memory?: string[], shots: number, seed}}
+     */
+    run(operations, options = {}) {
+        const shots = options.shots !== undefined ? options.shots : 1024;
+        if (!Number.isInteger(shots) || shots < 1) {
+            throw new Error('shots must be a positive integer');
+        }
+        
+        const previousRandom = this.random;
+        if (options.seed !== undefined) {
+            this.setRandomSource(options.seed);
+        }
+        
+        try {
+            operations = this.resolveOperations(operations);
+            const readout = this.getReadout(operations);
+            
+            const memory = this.isDynamic(operations) ?
+                this.sampleShotByShot(operations, readout, shots, options) :
+                this.sampleTerminalMeasurements(operations, readout.qubits, shots, options);
+            
+            const counts = {};
+            for (const bitstring of memory) {
+                counts[bitstring] = (counts[bitstring] || 0) + 1;
+            }
+            
+            const probabilities = {};
+            for (const [bitstring, count] of Object.entries(counts)) {
+                probabilities[bitstring] = count / shots;
+            }
+            
+            const result = { counts, probabilities, shots, seed: options.seed };
+            if (options.memory) {
+                result.memory = memory;
+            }
+            return result;
+        } finally {
+            this.random = previousRandom;
+        }
+    }
+
+    /**
+     * True when a circuit measures before its last gate, resets, or conditions
+     * gates on classical bits, so each shot can take its own path
+     */
+    isDynamic(operations) {
+        const firstMeasure = operations.findIndex(op => op.type === 'MEASURE');
+        const measurementsAreTerminal = firstMeasure === -1 ||
+            operations.slice(firstMeasure).every(op => op.type === 'MEASURE');
+        return !measurementsAreTerminal || operations.some(op => op.type === 'RESET' || op.condition);
+    }
+
+    /**
+     * Exact ideal distribution of run() bitstrings, branching the statevector
+     * on every measurement and reset outcome instead of sampling shots
+     * 
+     * @param {Object|Array} operations - CircuitIR circuit or operations array
+     * @returns {Object} bitstring -> probability
+     */
+    getOutcomeDistribution(operations) {
+        operations = this.resolveOperations(operations);
+        const readout = this.getReadout(operations);
+        const steps = operations.flatMap(op => (op.type === 'MEASURE' ?
+            op.qubits.map((qubit, i) => ({ ...op, qubits: [qubit], cbits: [op.cbits[i]] })) : [op]));
+        const distribution = {};
+        
+        const record = (key, probability) => {
+            distribution[key] = (distribution[key] || 0) + probability;
+        };
+        const branch = (index, bits, probability) => {
+            this.classicalBits = bits;
+            for (let i = index; i < steps.length; i++) {
+                const op = steps[i];
+                if (op.condition && !this.conditionHolds(op.condition)) continue;
+                if (op.type !== 'MEASURE' && op.type !== 'RESET') {
+                    this.applyOperation(op);
+                    continue;
+                }
+                
+                const qubit = op.qubits[0];
+                const current = this.state;
+                for (const outcome of [0, 1]) {
+                    this.state = current;
+                    const outcomeProbability = this.getMeasurementProbability(qubit, outcome);
+                    if (outcomeProbability < this.precision) continue;
+                    
+                    this.state = Float64Array.from(current);
+                    this.collapseState(qubit, outcome);
+                    const nextBits = [...bits];
+                    if (op.type === 'MEASURE') {
+                        nextBits[op.cbits[0]] = outcome;
+                    } else if (outcome === 1) {
+                        this.applyGate('X', qubit);
                     }
-                    break;
-                default:
-                    console.warn(`Unknown operation: ${op.type}`);
+                    branch(i + 1, nextBits, probability * outcomeProbability);
+                }
+                return;
+            }
+            
+            if (readout.implicit) {
+                this.getProbabilities().forEach((p, state) => {
+                    if (p > this.precision) record(state.toString(2).padStart(this.numQubits, '0'), probability * p);
+                });
+            } else {
+                record(readout.cbits.map(cbit => bits[cbit] || 0).join(''), probability);
             }
+        };
+        
+        this.noiseModel = null;
+        this.initialize(this.numQubits);
+        branch(0, [], 1);
+        return distribution;
+    }
+
+    /**
+     * Classical bits read out by a circuit, ascending, with the qubit last
+     * measured into each; every qubit into its own bit when nothing is measured
+     * 
+     * @returns {{cbits: number[], qubits: number[], implicit: boolean}}
+     */
+    getReadout(operations) {
+        const sources = new Map();
+        
+        for (const op of operations) {
+            if (op.type === 'MEASURE') {
+                op.qubits.forEach((qubit, i) => sources.set(op.cbits[i], qubit));
+            }
+        }
+        
+        if (sources.size === 0) {
+            const qubits = this.allQubits();
+            return { cbits: [...qubits], qubits, implicit: true };
+        }
+        const cbits = [...sources.keys()].sort((a, b) => a - b);
+        return { cbits, qubits: cbits.map(cbit => sources.get(cbit)), implicit: false };
+    }
+
+    /**
+     * Simulate once and draw every shot from the final marginal distribution
+     */
+    sampleTerminalMeasurements(operations, measuredQubits, shots, options) {
+        const gates = operations.filter(op => op.type !== 'MEASURE');
+        this.simulateCircuit(gates, { noiseModel: options.noiseModel });
+        
+        // A tableau samples each shot directly; its support may be far too large to list
+        if (this.isStabilizerMode()) {
+            return Array.from({ length: shots }, () => {
+                const bits = this.tableau.sample(this.random);
+                return measuredQubits.map(qubit => bits[qubit]).join('');
+            });
+        }
+        
+        // Marginalize the (readout-noisy) distribution onto the measured qubits
+        const marginal = new Map();
+        for (const [state, probability] of Object.entries(this.getMeasurementDistribution())) {
+            if (probability <= 0) continue;
+            const bitstring = measuredQubits.map(qubit => state[qubit]).join('');
+            marginal.set(bitstring, (marginal.get(bitstring) || 0) + probability);
+        }
+        
+        const outcomes = [...marginal.keys()].sort();
+        const cumulative = [];
+        let total = 0;
+        for (const outcome of outcomes) {
+            total += marginal.get(outcome);
+            cumulative.push(total);
+        }
+        
+        const memory = new Array(shots);
+        for (let shot = 0; shot < shots; shot++) {
+            // Binary search the cumulative distribution
+            const r = this.random() * total;
+            let low = 0, high = cumulative.length - 1;
+            while (low < high) {
+                const mid = (low + high) >> 1;
+                if (r < cumulative[mid]) high = mid; else low = mid + 1;
+            }
+            memory[shot] = outcomes[low];
+        }
+        
+        return memory;
+    }
+
+    /**
+     * Re-run the whole circuit for each shot when measurements are followed by
+     * gates, or when resets and conditions make each shot take its own path
+     */
+    sampleShotByShot(operations, readout, shots, options) {
+        const noiseModel = options.noiseModel && typeof NoiseModel !== 'undefined' ?
+            NoiseModel.from(options.noiseModel) : null;
+        const memory = new Array(shots);
+        
+        for (let shot = 0; shot < shots; shot++) {
+            this.noiseModel = noiseModel;
+            this.initialize(this.numQubits, { mode: this.selectMode(operations, noiseModel) });
+            
+            for (const op of operations) {
+                this.executeOperation(op);
+            }
+            if (readout.implicit) {
+                readout.qubits.forEach(qubit => { this.classicalBits[qubit] = this.measure(qubit); });
+            }
+            
+            memory[shot] = readout.cbits.map(cbit => this.classicalBits[cbit] || 0).join('');
+        }
+        
+        return memory;
+    }
+
+    /**
+     * Normalize a circuit (CircuitIR, legacy circuit object or operations array)
+     * to IR operations; a circuit object also sets the register size
+     */
+    resolveOperations(circuit) {
+        if (typeof CircuitIR === 'undefined') {
+            throw new Error('CircuitIR not loaded. Include js/core/circuit-ir.js before quantum-sim.js');
+        }
+        if (!Array.isArray(circuit) && circuit && circuit.qubits !== undefined) {
+            this.numQubits = circuit.qubits;
+        }
+        const normalized = CircuitIR.normalize(circuit, { qubits: this.numQubits });
+        this.numClbits = normalized.clbits;
+        return normalized.operations;
+    }
+
+    /**
+     * Dispatch a single gate or reset; IR qubits list controls first, target last.
+     * Conditioned operations are skipped unless the classical register matches.
+     */
+    applyOperation(op) {
+        if (!Array.isArray(op.qubits) || !Array.isArray(op.params)) {
+            op = CircuitIR.normalizeOperation(op, this.numQubits);
+        }
+        if (op.condition && !this.conditionHolds(op.condition)) return;
+        
+        if (this.isStabilizerMode()) {
+            if (StabilizerSimulator.isClifford(op)) {
+                this.applyCliffordOperation(op);
+                return;
+            }
+            // The first non-Clifford gate moves the register to the state vector
+            this.materializeStateVector();
+        }
+        
+        const qubits = op.qubits;
+        const params = op.params;
+        
+        switch (op.type) {
+            case 'H':
+            case 'X':
+            case 'Y':
+            case 'Z':
+            case 'S':
+            case 'SDG':
+            case 'T':
+            case 'TDG':
+            case 'SX':
+                this.applyGate(op.type, qubits[0]);
+                break;
+            case 'RX':
+            case 'RY':
+            case 'RZ':
+                this.applyRotation(op.type, params[0], qubits[0]);
+                break;
+            case 'P':
+                this.applyPhase(params[0], qubits[0]);
+                break;
+            case 'U3':
+                this.applyU3(params[0], params[1], params[2], qubits[0]);
+                break;
+            case 'CNOT':
+                this.applyCNOT(qubits[0], qubits[1]);
+                break;
+            case 'CZ':
+                this.applyCZ(qubits[0], qubits[1]);
+                break;
+            case 'SWAP':
+                this.applySwap(qubits[0], qubits[1]);
+                break;
+            case 'ISWAP':
+                this.applyISwap(qubits[0], qubits[1]);
+                break;
+            case 'CRX':
+            case 'CRY':
+            case 'CRZ':
+                this.applyControlledRotation(op.type.slice(-1), params[0], qubits[0], qubits[1]);
+                break;
+            case 'CP':
+                this.applyControlledPhase(params[0], qubits[0], qubits[1]);
+                break;
+            case 'CCX':
+            case 'MCX':
+                this.applyMultiControlledGate('X', qubits.slice(0, -1), qubits[qubits.length - 1]);
+                break;
+            case 'RESET':
+                this.reset(qubits[0]);
+                break;
+            case 'MEASURE':
+                // Measurement is handled by the caller
+                break;
+            default:
+                console.warn(`Unknown operation: ${op.type}`);
+        }
+    }
+
+    /**
+     * Stabilizer-mode counterpart of applyOperation, logging gates for materializeStateVector
+     */
+    applyCliffordOperation(op) {
+        if (op.type === 'MEASURE') return;
+        if (op.type === 'RESET') {
+            this.reset(op.qubits[0]);
+            return;
+        }
+        
+        this.validateQubits(op.qubits, op.type);
+        this.tableau.applyOperation(op);
+        this.cliffordHistory.push({ op: { ...op, condition: undefined } });
+    }
+
+    /**
+     * Apply the active noise model's channels after an operation
+     */
+    applyNoise(op) {
+        if (!this.noiseModel) return;
+        
+        for (const { channel, qubit } of this.noiseModel.getChannelsFor(op.type, op.qubits)) {
+            this.applyKrausChannel(NoiseModel.krausOperators(channel), qubit);
+        }
+    }
+
+    /**
+     * Run a circuit ideally and under a noise model and compare the results
+     * 
+     * @returns {{fidelity: number, idealDistribution: Object, noisyDistribution: Object}}
+     */
+    analyzeNoiseImpact(operations, noiseModel) {
+        const gates = this.resolveOperations(operations).filter(op => op.type !== 'MEASURE');
+        
+        this.simulateCircuit(gates);
+        const idealState = this.getStateVector();
+        const idealDistribution = this.getMeasurementDistribution();
+        
+        this.simulateCircuit(gates, { noiseModel });
+        const noisyDistribution = this.getMeasurementDistribution();
+        const fidelity = this.getFidelity(idealState);
+        
+        return { fidelity, idealDistribution, noisyDistribution };
+    }
+
+    /**
+     * Full unitary of a gate-only circuit as a 2D array of numbers / {real, imag},
+     * entry [row][col] = ⟨row|U|col⟩ with qubit 0 as the most significant bit
+     * 
+     * @param {Object|Array} circuit - CircuitIR circuit or operations array
+     */
+    getUnitary(circuit) {
+        const operations = this.resolveOperations(circuit);
+        const unitary = this.computeUnitary(operations);
+        const stateSize = 1 << this.numQubits;
+        const matrix = [];
+        
+        for (let row = 0; row < stateSize; row++) {
+            const matrixRow = new Array(stateSize);
+            for (let col = 0; col < stateSize; col++) {
+                const index = (row << this.numQubits) | col;
+                const real = unitary[2 * index], imag = unitary[2 * index + 1];
+                matrixRow[col] = Math.abs(imag) < this.precision ? real : { real, imag };
+            }
+            matrix.push(matrixRow);
+        }
+        
+        return matrix;
+    }
+
+    /**
+     * Build the unitary column by column by running the circuit on each basis
+     * state; row-major interleaved like density mode, (row, col) at (row << n) | col
+     */
+    computeUnitary(operations) {
+        if (this.numQubits > this.maxUnitaryQubits) {
+            throw new Error(`Maximum ${this.maxUnitaryQubits} qubits supported for unitary construction`);
+        }
+        const nonUnitary = operations.find(op => op.type === 'MEASURE' || op.type === 'RESET' || op.condition);
+        if (nonUnitary) {
+            throw new Error(`Circuit has no unitary: ${nonUnitary.condition ? 'classically conditioned ' + nonUnitary.type : nonUnitary.type} operation`);
+        }
+        
+        const stateSize = 1 << this.numQubits;
+        const unitary = new Float64Array(2 * stateSize * stateSize);
+        this.noiseModel = null;
+        
+        for (let col = 0; col < stateSize; col++) {
+            this.initialize(this.numQubits);
+            this.state[0] = 0;
+            this.state[2 * col] = 1;
+            operations.forEach(op => this.applyOperation(op));
+            
+            for (let row = 0; row < stateSize; row++) {
+                const index = (row << this.numQubits) | col;
+                unitary[2 * index] = this.state[2 * row];
+                unitary[2 * index + 1] = this.state[2 * row + 1];
+            }
+        }
+        
+        return unitary;
+    }
+
+    /**
+     * Check whether two gate-only circuits implement the same unitary up to a
+     * global phase. The narrower circuit is widened with idle qubits; the
+     * report names the first basis-state column where they disagree.
+     * 
+     * @param {Object|Array} reference - CircuitIR circuit or operations array
+     * @param {Object|Array} candidate - CircuitIR circuit or operations array
+     * @param {Object} options - { tolerance = 1e-6 }
+     * @returns {{equivalent: boolean, qubits: number, globalPhase: number, overlap: number,
+     *   firstDifference: ?{column: number, input: string, expected: Array, actual: Array, deviation: number}}}
+     */
+    checkEquivalence(reference, candidate, options = {}) {
+        const tolerance = options.tolerance !== undefined ? options.tolerance : 1e-6;
+        if (typeof CircuitIR === 'undefined') {
+            throw new Error('CircuitIR not loaded. Include js/core/circuit-ir.js before quantum-sim.js');
+        }
+        
+        // Bare operation arrays take their width from the highest qubit they touch
+        const [first, second] = [reference, candidate].map(circuit => CircuitIR.normalize(circuit));
+        const qubits = Math.max(first.qubits, second.qubits);
+        
+        this.numQubits = qubits;
+        const expected = this.computeUnitary(first.operations);
+        const actual = this.computeUnitary(second.operations);
+        const stateSize = 1 << qubits;
+        
+        // tr(A†B) = e^{iφ} · 2^n exactly when B = e^{iφ} A
+        let traceReal = 0, traceImag = 0;
+        for (let i = 0; i < expected.length; i += 2) {
+            traceReal += expected[i] * actual[i] + expected[i + 1] * actual[i + 1];
+            traceImag += expected[i] * actual[i + 1] - expected[i + 1] * actual[i];
+        }
+        const overlap = Math.hypot(traceReal, traceImag) / stateSize;
+        const globalPhase = overlap > this.precision ? Math.atan2(traceImag, traceReal) : 0;
+        const phaseReal = Math.cos(globalPhase), phaseImag = Math.sin(globalPhase);
+        
+        let firstDifference = null;
+        for (let col = 0; col < stateSize && !firstDifference; col++) {
+            let deviation = 0;
+            for (let row = 0; row < stateSize; row++) {
+                const index = 2 * ((row << qubits) | col);
+                const real = expected[index] * phaseReal - expected[index + 1] * phaseImag;
+                const imag = expected[index] * phaseImag + expected[index + 1] * phaseReal;
+                deviation = Math.max(deviation, Math.hypot(actual[index] - real, actual[index + 1] - imag));
+            }
+            if (deviation > tolerance) {
+                firstDifference = {
+                    column: col,
+                    input: `|${col.toString(2).padStart(qubits, '0')}⟩`,
+                    expected: this.unitaryColumn(expected, col, phaseReal, phaseImag),
+                    actual: this.unitaryColumn(actual, col, 1, 0),
+                    deviation
+                };
+            }
+        }
+        
+        return { equivalent: !firstDifference, qubits, globalPhase, overlap, firstDifference };
+    }
+
+    /**
+     * One column of a computeUnitary matrix, scaled by a phase, as numbers / {real, imag}
+     */
+    unitaryColumn(unitary, col, phaseReal, phaseImag) {
+        const stateSize = 1 << this.numQubits;
+        const column = new Array(stateSize);
+        
+        for (let row = 0; row < stateSize; row++) {
+            const index = 2 * ((row << this.numQubits) | col);
+            const real = unitary[index] * phaseReal - unitary[index + 1] * phaseImag;
+            const imag = unitary[index] * phaseImag + unitary[index + 1] * phaseReal;
+            column[row] = Math.abs(imag) < this.precision ? real : { real, imag };
         }
         
-        return this.getStateDescription();
+        return column;
     }
 
     /**
@@ -554,7 +1982,8 @@ class QuantumSimulator {
     }
 
     /**
-     * Performance analysis for different algorithms
+     * Performance analysis for different algorithms; template names the
+     * AlgorithmTemplates generator that implements the quantum side
      */
     analyzePerformance(algorithm, problemSize) {
         const analyses = {
@@ -562,7 +1991,8 @@ class QuantumSimulator {
                 classical: `O(${problemSize})`,
                 quantum: `O(√${problemSize})`,
                 advantage: Math.sqrt(problemSize),
-                optimal: problemSize > 1000
+                optimal: problemSize > 1000,
+                template: 'grover'
             },
             'random': {
                 classical: 'O(1) - deterministic',
@@ -574,7 +2004,8 @@ class QuantumSimulator {
                 classical: `O(exp(${Math.log(problemSize)}^1/3))`,
                 quantum: `O(log³(${problemSize}))`,
                 advantage: 'Exponential',
-                optimal: problemSize > 1000
+                optimal: problemSize > 1000,
+                template: 'phase_estimation'
             }
         };
         
@@ -593,4 +2024,4 @@ if (typeof module !== 'undefined' && module.exports) {
 }
 
 // Global instance for direct HTML usage
-window.QuantumSimulator = QuantumSimulator;
\ No newline at end of file
+globalThis.QuantumSimulator = QuantumSimulator;
\ No newline at end of file
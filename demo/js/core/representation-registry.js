@@ -0,0 +1,108 @@
+/**
+ * Representation Registry
+ *
+ * Each representation the sync engine keeps in step declares how to get from
+ * its text to the shared circuit model, how to get back, and how to show
+ * itself:
+ *
+ *   syncEngine.representations.register('cirq', {
+ *       label: 'Cirq',
+ *       parse: (text, engine) => circuit,       // to the circuit IR; may return a promise
+ *       generate: (circuit, engine) => text,    // from it; may return a promise
+ *       render: (text, engine) => { cirqPanel.value = text; }
+ *   });
+ *   cirqPanel.addEventListener('input', () => syncEngine.queueUpdate('cirq', cirqPanel.value));
+ *
+ * An edit is parsed into the model once and every other representation is
+ * generated from it, so a new one translates to and from all the others
+ * without pairwise translators. Optional fields:
+ * - render: shows the representation in its panel; without one it is still
+ *   translated, just not shown (OpenQASM is kept in the state this way)
+ * - panel and detect(text): text typed into another representation's panel
+ *   that is really this one, as OpenQASM pasted into the code panel
+ * - locate(text, circuit, engine): the span of each operation in the text,
+ *   for the source map
+ * - lenient: a text that fails to parse leaves the other panels as they are
+ *   instead of reporting an error
+ */
+
+class RepresentationRegistry {
+    constructor() {
+        this.representations = new Map(); // name -> definition, in registration order
+    }
+
+    /**
+     * Add a representation, or replace the one registered under its name
+     *
+     * @returns {Object} the stored definition
+     */
+    register(name, definition = {}) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('A representation needs a name');
+        }
+        ['parse', 'generate'].forEach(field => {
+            if (typeof definition[field] !== 'function') {
+                throw new Error(`Representation '${name}' needs a ${field} function`);
+            }
+        });
+        ['render', 'detect', 'locate'].forEach(field => {
+            if (definition[field] !== undefined && typeof definition[field] !== 'function') {
+                throw new Error(`Representation '${name}': ${field} must be a function`);
+            }
+        });
+
+        const representation = { label: name, panel: name, lenient: false, ...definition, name };
+        this.representations.set(name, representation);
+        return representation;
+    }
+
+    unregister(name) {
+        return this.representations.delete(name);
+    }
+
+    get(name) {
+        return this.representations.get(name) || null;
+    }
+
+    has(name) {
+        return this.representations.has(name);
+    }
+
+    names() {
+        return [...this.representations.keys()];
+    }
+
+    list() {
+        return [...this.representations.values()];
+    }
+
+    /**
+     * Give a registered representation its panel renderer
+     */
+    setRenderer(name, render) {
+        const representation = this.get(name);
+        if (!representation) {
+            throw new Error(`Unknown representation '${name}'`);
+        }
+        representation.render = render;
+    }
+
+    /**
+     * The representation of text typed into a panel: another one sharing the
+     * panel that recognises the text, else the panel's own
+     */
+    resolve(panel, text) {
+        const guest = this.list().find(representation =>
+            representation.name !== panel && representation.panel === panel &&
+            representation.detect && representation.detect(text));
+        return guest || this.get(panel);
+    }
+}
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RepresentationRegistry;
+}
+
+// Global access
+globalThis.RepresentationRegistry = RepresentationRegistry;
@@ -0,0 +1,94 @@
+/**
+ * Seedable Pseudorandom Number Generator
+ *
+ * Deterministic random source for QuantumSimulator sampling so that
+ * assessments and tests can replay identical shot sequences
+ * Also serves as the "classical PRNG" in the Level 0 randomness curriculum
+ *
+ * Algorithm: mulberry32 (32-bit state, period 2^32)
+ */
+
+class SeededRandom {
+    constructor(seed = Date.now()) {
+        this.reseed(seed);
+    }
+
+    /**
+     * Reset the generator; the same seed always yields the same sequence
+     */
+    reseed(seed) {
+        this.seed = seed;
+        this.stateValue = SeededRandom.hashSeed(seed);
+        return this;
+    }
+
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        this.stateValue = (this.stateValue + 0x6D2B79F5) | 0;
+        let t = this.stateValue;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next integer in [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Sequence of random bits, as used by the classical side of the randomness demos
+     */
+    bits(count) {
+        return Array.from({ length: count }, () => (this.next() < 0.5 ? 0 : 1));
+    }
+
+    /**
+     * Map numeric or string seeds onto a 32-bit initial state
+     */
+    static hashSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return seed >>> 0;
+        }
+
+        // FNV-1a over the string form
+        const text = String(seed);
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Normalize a random source to a () => number in [0, 1)
+     * Accepts a seed, a SeededRandom-like object with next(), or a function
+     */
+    static toFunction(source) {
+        if (typeof source === 'function') {
+            return source;
+        }
+        if (source && typeof source.next === 'function') {
+            return () => source.next();
+        }
+        if (source === undefined || source === null) {
+            return Math.random;
+        }
+
+        const generator = new SeededRandom(source);
+        return () => generator.next();
+    }
+}
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
+
+// Global access
+globalThis.SeededRandom = SeededRandom;
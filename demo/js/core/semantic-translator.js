@@ -192,13 +192,7 @@ class SemanticTranslator {
         let translation = "";
         
         // Add context-appropriate introduction
-        if (context.scenario === 'portfolio_optimization') {
-            translation += templates.introductions.portfolio + " ";
-        } else if (context.scenario === 'random_generation') {
-            translation += templates.introductions.randomness + " ";
-        } else {
-            translation += templates.introductions.general + " ";
-        }
+        translation += this.selectIntroduction(templates, context.scenario) + " ";
 
         // Explain each concept in audience-appropriate language
         concepts.forEach((concept, index) => {
@@ -233,6 +227,278 @@ class SemanticTranslator {
         return translation;
     }
 
+    selectIntroduction(templates, scenario) {
+        if (scenario === 'portfolio_optimization') {
+            return templates.introductions.portfolio;
+        } else if (scenario === 'random_generation') {
+            return templates.introductions.randomness;
+        }
+        return templates.introductions.general;
+    }
+
+    /**
+     * Step-by-step narrative of a circuit's actual operations, ending with
+     * its measurement distribution, in the register of the given audience;
+     * context.introduction replaces the scenario's opening sentence
+     */
+    describeCircuit(circuit, context = {}) {
+        return this.narrateCircuit(circuit, context).text;
+    }
+
+    /**
+     * describeCircuit's narrative plus the span of the sentence describing
+     * each operation, keyed by the operation's id. Parallel gates described
+     * in one sentence share its span
+     *
+     * @returns {{text: string, spans: Array<{id, start, end}>}}
+     */
+    narrateCircuit(circuit, context = {}) {
+        const ir = CircuitIR.normalize(circuit);
+        const fullContext = { ...this.currentContext, ...context };
+        const register = SemanticTranslator.audienceRegister(fullContext.audience);
+        const templates = this.audienceTemplates[register];
+        const phrases = templates.narrative;
+
+        if (!this.simulator && typeof QuantumSimulator === 'undefined') {
+            throw new Error('QuantumSimulator not loaded. Include js/core/quantum-sim.js');
+        }
+        const simulator = this.simulator || new QuantumSimulator();
+        simulator.initialize(ir.qubits);
+
+        const sentences = [fullContext.introduction || this.selectIntroduction(templates, fullContext.scenario)];
+        const spans = [];
+        let length = sentences[0].length; // of the sentences joined so far
+        const measured = [];
+        const steps = new Map();
+        [...ir.operations].sort((a, b) => a.time - b.time).forEach(op => {
+            if (!steps.has(op.time)) steps.set(op.time, []);
+            steps.get(op.time).push(op);
+        });
+
+        // Mid-circuit measurement, resets and conditions branch the state, so
+        // their outcome distribution is computed exactly over every branch
+        const outcomes = simulator.isDynamic(ir.operations) ? simulator.getOutcomeDistribution(ir) : null;
+        simulator.initialize(ir.qubits);
+
+        let stepNumber = 0;
+        for (const operations of steps.values()) {
+            operations.filter(op => op.type !== 'MEASURE').forEach(op => simulator.applyOperation(op));
+            const probabilities = simulator.getProbabilities();
+
+            stepNumber++;
+            let sentence = `Step ${stepNumber}:`;
+            SemanticTranslator.groupParallel(operations).forEach(op => {
+                if (op.type === 'MEASURE') {
+                    measured.push(...op.qubits);
+                }
+                const description = this.describeOperation(op, phrases, simulator, probabilities);
+                const start = length + 1 + sentence.length + 1;
+                op.ids.forEach(id => spans.push({ id, start, end: start + description.length }));
+                sentence += ` ${description}`;
+            });
+            sentences.push(sentence);
+            length += 1 + sentence.length;
+        }
+
+        sentences.push(outcomes ?
+            this.describeDistribution(outcomes, [], phrases) :
+            this.describeDistribution(simulator.getMeasurementDistribution(), measured, phrases));
+
+        if (fullContext.emphasize === 'business_value') {
+            sentences.push(templates.conclusions.business_value);
+        } else if (fullContext.emphasize === 'technical_accuracy') {
+            sentences.push(templates.conclusions.technical);
+        }
+
+        return { text: sentences.join(' '), spans };
+    }
+
+    describeOperation(op, phrases, simulator, probabilities) {
+        const description = this.describeGate(op, phrases, simulator, probabilities);
+        if (!op.condition) return description;
+
+        const { cbits, value } = op.condition;
+        const bits = cbits.length === 1 ? `bit ${cbits[0]}` :
+            `bits ${cbits.slice(0, -1).join(', ')} and ${cbits[cbits.length - 1]}`;
+        // "Only when ..., the X gate flips ..." keeps acronyms like RY capitalized
+        const action = /^[A-Z][a-z]/.test(description) ?
+            description.charAt(0).toLowerCase() + description.slice(1) : description;
+        return `${this.fillNarrative(phrases.classical, { bits, value })}, ${action}`;
+    }
+
+    describeGate(op, phrases, simulator, probabilities) {
+        const qubits = op.qubits;
+        const target = qubits[qubits.length - 1];
+        const controls = qubits.slice(0, -1);
+        const gate = SemanticTranslator.GATE_NAMES[op.type] || op.type;
+        const angle = SemanticTranslator.formatAngle(op.params[0]);
+
+        switch (op.type) {
+            case 'H':
+                return this.fillNarrative(phrases.superposition, { gate, qubits });
+            case 'X':
+            case 'Y':
+                return this.fillNarrative(phrases.flip, { gate, qubits });
+            case 'SX':
+                return this.fillNarrative(phrases.rotation, { gate, qubits, angle: 'π/2', axis: 'X' });
+            case 'Z':
+            case 'S':
+            case 'SDG':
+            case 'T':
+            case 'TDG':
+            case 'P':
+                return this.fillNarrative(phrases.phase, {
+                    gate, qubits, angle: op.type === 'P' ? angle : SemanticTranslator.PHASES[op.type]
+                });
+            case 'RX':
+            case 'RY':
+            case 'RZ':
+                return this.fillNarrative(phrases.rotation, { gate, qubits, angle, axis: op.type[1] });
+            case 'U3':
+                return this.fillNarrative(phrases.rotation, {
+                    gate, qubits, angle: SemanticTranslator.formatAngle(op.params[0]), axis: 'tilted'
+                });
+            case 'SWAP':
+            case 'ISWAP':
+                return this.fillNarrative(phrases.swap, { gate, qubits });
+            case 'MEASURE':
+                return this.fillNarrative(phrases.measure, { gate, qubits });
+            case 'RESET':
+                return this.fillNarrative(phrases.reset, { gate, qubits });
+            default: {
+                // Controlled gates: entangling if they leave control and target correlated
+                const correlated = controls.some(control =>
+                    SemanticTranslator.pairCorrelated(probabilities, simulator, control, target));
+                if (correlated) {
+                    return this.fillNarrative(phrases.entangle, { gate, qubits });
+                }
+                return this.fillNarrative(phrases.conditional, {
+                    gate, qubits, target: [target], controls
+                });
+            }
+        }
+    }
+
+    /**
+     * Explain the outcome distribution, marginalized onto the measured qubits
+     */
+    describeDistribution(distribution, measured, phrases) {
+        const qubits = measured.length > 0 ? [...new Set(measured)].sort((a, b) => a - b) : null;
+        const outcomes = {};
+        for (const [bits, probability] of Object.entries(distribution)) {
+            const key = qubits ? qubits.map(qubit => bits[qubit]).join('') : bits;
+            outcomes[key] = (outcomes[key] || 0) + probability;
+        }
+
+        const ranked = Object.entries(outcomes)
+            .filter(([, probability]) => probability > 1e-9)
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+        if (ranked[0][1] > 0.999) {
+            return this.fillNarrative(phrases.certain, { outcome: ranked[0][0] });
+        }
+
+        const uniform = ranked.every(([, probability]) => Math.abs(probability - ranked[0][1]) < 1e-6);
+        if (uniform) {
+            const listed = ranked.slice(0, 8).map(([bits]) => bits);
+            if (ranked.length > 8) listed.push('…');
+            return this.fillNarrative(phrases.uniform, { count: ranked.length, outcomes: listed.join(', ') });
+        }
+
+        const top = ranked.slice(0, 3).map(([bits, probability]) => `${bits} (${Math.round(probability * 100)}%)`);
+        return this.fillNarrative(phrases.mixed, { outcomes: top.join(', ') });
+    }
+
+    /**
+     * Fill {placeholders}; qubit lists read "qubit 0" / "qubits 0 and 1"
+     */
+    fillNarrative(template, values) {
+        const text = template.replace(/\{(\w+)\}/g, (match, key) => {
+            if (key === 'verb') {
+                return values.qubits && values.qubits.length > 1 ? 'are' : 'is';
+            }
+            const value = values[key];
+            if (value === undefined) return match;
+            return Array.isArray(value) ? SemanticTranslator.formatQubits(value) : String(value);
+        });
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    /**
+     * Map sync-engine audience names (executives, stakeholders, clients, ...) to a template register
+     */
+    static audienceRegister(audience) {
+        const registers = {
+            executive: 'executive',
+            executives: 'executive',
+            stakeholder: 'stakeholder',
+            stakeholders: 'stakeholder',
+            client: 'client',
+            clients: 'client'
+        };
+        return registers[audience] || 'technical';
+    }
+
+    /**
+     * Merge identical single-qubit gates in one time step so "H on 0, H on 1" reads as one
+     * sentence; each keeps the ids of the operations it stands for
+     */
+    static groupParallel(operations) {
+        const grouped = [];
+        const byKey = new Map();
+        operations.forEach(op => {
+            if (op.qubits.length !== 1) {
+                grouped.push({ ...op, ids: [op.id] });
+                return;
+            }
+            const key = `${op.type}:${op.params.join(',')}:${JSON.stringify(op.condition || null)}`;
+            if (byKey.has(key)) {
+                byKey.get(key).qubits.push(op.qubits[0]);
+                byKey.get(key).ids.push(op.id);
+            } else {
+                const merged = { ...op, qubits: [...op.qubits], ids: [op.id] };
+                byKey.set(key, merged);
+                grouped.push(merged);
+            }
+        });
+        return grouped;
+    }
+
+    static formatQubits(qubits) {
+        if (qubits.length === 1) return `qubit ${qubits[0]}`;
+        return `qubits ${qubits.slice(0, -1).join(', ')} and ${qubits[qubits.length - 1]}`;
+    }
+
+    static formatAngle(angle) {
+        if (angle === undefined || angle === null) return '';
+        for (const denominator of [1, 2, 3, 4, 6, 8]) {
+            const multiple = angle * denominator / Math.PI;
+            const rounded = Math.round(multiple);
+            if (rounded !== 0 && Math.abs(multiple - rounded) < 1e-9) {
+                const numerator = Math.abs(rounded) === 1 ? 'π' : `${Math.abs(rounded)}π`;
+                return `${rounded < 0 ? '-' : ''}${numerator}${denominator === 1 ? '' : `/${denominator}`}`;
+            }
+        }
+        return `${angle.toFixed(3)} rad`;
+    }
+
+    /**
+     * True when two qubits' computational-basis outcomes are statistically dependent
+     */
+    static pairCorrelated(probabilities, simulator, first, second) {
+        const firstMask = simulator.bitMask(first);
+        const secondMask = simulator.bitMask(second);
+        const joint = [0, 0, 0, 0];
+        for (let i = 0; i < probabilities.length; i++) {
+            const a = (i & firstMask) ? 1 : 0;
+            const b = (i & secondMask) ? 1 : 0;
+            joint[a * 2 + b] += probabilities[i];
+        }
+        const firstOne = joint[2] + joint[3];
+        const secondOne = joint[1] + joint[3];
+        return Math.abs(joint[3] - firstOne * secondOne) > 1e-6;
+    }
+
     /**
      * Generate code translation from concepts
      */
@@ -408,6 +674,21 @@ class SemanticTranslator {
                 conclusions: {
                     business_value: "This quantum approach delivers measurable ROI through improved performance and competitive differentiation.",
                     technical: "The implementation follows enterprise-grade quantum computing best practices for production deployment."
+                },
+                narrative: {
+                    superposition: "{qubits} {verb} opened up to weigh both options at once instead of one at a time.",
+                    entangle: "{qubits} are linked so their results always move together.",
+                    conditional: "{target} is adjusted only when {controls} calls for it.",
+                    rotation: "The weighting of {qubits} is tuned by {angle}.",
+                    flip: "{qubits} {verb} switched to the opposite choice.",
+                    phase: "A fine-tuning adjustment to {qubits} shapes how the options combine later.",
+                    swap: "{qubits} trade places.",
+                    measure: "The results for {qubits} are then read out.",
+                    reset: "{qubits} {verb} cleared for reuse.",
+                    classical: "Only if the earlier readout ({bits}) came out as {value}",
+                    certain: "The result is fully predictable: {outcome} every time.",
+                    uniform: "Each of the {count} possible results ({outcomes}) is equally likely, so the output is unbiased.",
+                    mixed: "The most likely results are {outcomes}."
                 }
             },
             
@@ -420,6 +701,21 @@ class SemanticTranslator {
                 conclusions: {
                     business_value: "These quantum techniques provide algorithmic advantages in specific computational domains.",
                     technical: "The quantum circuit design optimizes for current NISQ-era quantum hardware capabilities."
+                },
+                narrative: {
+                    superposition: "{gate} puts {qubits} into an equal superposition of |0⟩ and |1⟩.",
+                    entangle: "{gate} entangles {qubits}: their measurement outcomes are now correlated.",
+                    conditional: "{gate} acts on {target} conditioned on {controls}; no measurement correlation results from the current state.",
+                    rotation: "{gate} rotates {qubits} by {angle} about the {axis} axis.",
+                    flip: "{gate} flips {qubits} between |0⟩ and |1⟩.",
+                    phase: "{gate} adds a relative phase of {angle} to {qubits}; probabilities are unchanged but later interference is affected.",
+                    swap: "{gate} exchanges the states of {qubits}.",
+                    measure: "{qubits} {verb} measured into classical bits.",
+                    reset: "{qubits} {verb} reset to |0⟩, discarding the previous state.",
+                    classical: "Only when classical {bits} = {value}",
+                    certain: "The measurement always returns {outcome} (qubit 0 first).",
+                    uniform: "Measurement returns {count} outcomes with equal probability: {outcomes} (qubit 0 first).",
+                    mixed: "Most likely measurement outcomes (qubit 0 first): {outcomes}."
                 }
             },
             
@@ -432,6 +728,21 @@ class SemanticTranslator {
                 conclusions: {
                     business_value: "This positions our organization at the forefront of quantum-enabled business solutions.",
                     technical: "Our quantum implementation follows industry best practices for reliability and scalability."
+                },
+                narrative: {
+                    superposition: "{qubits} {verb} set up to explore both outcomes in parallel.",
+                    entangle: "{qubits} are coupled so their results are coordinated.",
+                    conditional: "{target} is updated depending on the state of {controls}.",
+                    rotation: "{qubits} {verb} calibrated by {angle} to favour certain outcomes.",
+                    flip: "{qubits} {verb} switched to the opposite value.",
+                    phase: "{qubits} {verb} given a timing adjustment that influences the final mix of results.",
+                    swap: "{qubits} exchange their information.",
+                    measure: "{qubits} {verb} read out to produce the deliverable result.",
+                    reset: "{qubits} {verb} returned to a clean starting point for reuse.",
+                    classical: "Only when the interim readout ({bits}) is {value}",
+                    certain: "The process reliably delivers {outcome}.",
+                    uniform: "The {count} possible results ({outcomes}) each occur equally often.",
+                    mixed: "Expected results, most likely first: {outcomes}."
                 }
             },
             
@@ -444,6 +755,21 @@ class SemanticTranslator {
                 conclusions: {
                     business_value: "These quantum advantages translate directly to improved outcomes and service quality for your organization.",
                     technical: "Our quantum infrastructure meets enterprise requirements for security, reliability, and performance."
+                },
+                narrative: {
+                    superposition: "We prepare {qubits} to consider every possibility at once.",
+                    entangle: "We link {qubits} so their answers stay consistent with each other.",
+                    conditional: "We adjust {target} based on {controls}.",
+                    rotation: "We tune {qubits} by {angle} to match your requirements.",
+                    flip: "We switch {qubits} to the opposite setting.",
+                    phase: "We refine {qubits} so the possibilities combine in your favour.",
+                    swap: "We exchange the roles of {qubits}.",
+                    measure: "We then read out {qubits} to give you a concrete answer.",
+                    reset: "We clear {qubits} for reuse.",
+                    classical: "Only when the earlier reading ({bits}) is {value}",
+                    certain: "You receive {outcome} every time.",
+                    uniform: "You receive one of {count} equally likely results: {outcomes}.",
+                    mixed: "The results you are most likely to see are {outcomes}."
                 }
             }
         };
@@ -669,10 +995,41 @@ class SemanticTranslator {
     }
 }
 
+SemanticTranslator.GATE_NAMES = {
+    H: 'The Hadamard gate',
+    X: 'The X gate',
+    Y: 'The Y gate',
+    Z: 'The Z gate',
+    S: 'The S gate',
+    SDG: 'The S† gate',
+    T: 'The T gate',
+    TDG: 'The T† gate',
+    SX: 'The √X gate',
+    RX: 'RX',
+    RY: 'RY',
+    RZ: 'RZ',
+    P: 'The phase gate',
+    U3: 'U3',
+    CNOT: 'CNOT',
+    CZ: 'CZ',
+    SWAP: 'SWAP',
+    ISWAP: 'iSWAP',
+    CRX: 'Controlled-RX',
+    CRY: 'Controlled-RY',
+    CRZ: 'Controlled-RZ',
+    CP: 'Controlled-phase',
+    CCX: 'The Toffoli gate',
+    MCX: 'Multi-controlled X',
+    MEASURE: 'Measurement'
+};
+
+// Relative phase added by the fixed phase gates
+SemanticTranslator.PHASES = { Z: 'π', S: 'π/2', SDG: '-π/2', T: 'π/4', TDG: '-π/4' };
+
 // Export for different module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = SemanticTranslator;
 }
 
 // Global access
-window.SemanticTranslator = SemanticTranslator;
\ No newline at end of file
+globalThis.SemanticTranslator = SemanticTranslator;
\ No newline at end of file
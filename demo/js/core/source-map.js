@@ -0,0 +1,153 @@
+/**
+ * Circuit Source Map
+ *
+ * Links each operation of the shared circuit, by id, to the spans of text
+ * that express it in the plainspeak, code and notation panels, and back:
+ *
+ *   spansFor('code', 'code_3')      -> [{ start: 112, end: 129 }]
+ *   idsAt('notation', 240)          -> ['code_3']
+ *   linked('code', 112, 129)        -> { ids, plainspeak: [...], code: [...], notation: [...] }
+ *
+ * Offsets are character offsets into the text each map was built from,
+ * end exclusive. A text is only mapped while it is the one on display, so
+ * callers check isCurrent() before trusting its spans.
+ */
+
+class CircuitSourceMap {
+    constructor() {
+        this.maps = new Map(); // representation -> { text, spans: [{ id, start, end }] }
+    }
+
+    /**
+     * @param {string} representation - 'plainspeak' | 'code' | 'notation'
+     * @param {string} text - the text the spans point into
+     * @param {Array<{id, start, end}>} spans
+     */
+    set(representation, text, spans) {
+        this.maps.set(representation, {
+            text,
+            spans: spans.map(span => ({ ...span, id: String(span.id) })).sort((a, b) => a.start - b.start)
+        });
+    }
+
+    clear(representation = null) {
+        if (representation) {
+            this.maps.delete(representation);
+        } else {
+            this.maps.clear();
+        }
+    }
+
+    isCurrent(representation, text) {
+        const map = this.maps.get(representation);
+        return Boolean(map) && map.text === text;
+    }
+
+    getText(representation) {
+        const map = this.maps.get(representation);
+        return map ? map.text : null;
+    }
+
+    getSpans(representation) {
+        const map = this.maps.get(representation);
+        return map ? map.spans : [];
+    }
+
+    spansFor(representation, id) {
+        return this.getSpans(representation)
+            .filter(span => span.id === String(id))
+            .map(({ start, end }) => ({ start, end }));
+    }
+
+    /**
+     * Ids of the operations whose spans touch [start, end]; a caret (start
+     * equal to end) picks the spans it sits in or at the edge of
+     */
+    idsAt(representation, start, end = start) {
+        const ids = this.getSpans(representation)
+            .filter(span => span.start <= end && span.end >= start)
+            .map(span => span.id);
+        return [...new Set(ids)];
+    }
+
+    /**
+     * Everything linked to a range of one representation
+     *
+     * @returns {{ids: string[], plainspeak: Array, code: Array, notation: Array}}
+     */
+    linked(representation, start, end = start) {
+        return this.linkedTo(this.idsAt(representation, start, end));
+    }
+
+    linkedTo(ids) {
+        const wanted = new Set(ids.map(String));
+        const result = { ids: [...wanted] };
+        CircuitSourceMap.REPRESENTATIONS.forEach(representation => {
+            result[representation] = this.getSpans(representation).filter(span => wanted.has(span.id));
+        });
+        return result;
+    }
+
+    /**
+     * Give spans found by parsing a text the ids of the circuit's operations.
+     * Both operation lists are walked in time order and an operation is paired
+     * with the next one of the same type on the same qubits, so a text that
+     * leaves out or adds gates still links the rest. A measurement of several
+     * qubits pairs with each one-qubit measurement the text splits it into
+     *
+     * @param {Object} circuit - the shared circuit
+     * @param {Object} parsed - circuit parsed from the text
+     * @param {Array<{id, start, end}>} spans - keyed by the parsed circuit's ids
+     */
+    static align(circuit, parsed, spans) {
+        const byId = new Map();
+        spans.forEach(span => {
+            if (!byId.has(span.id)) byId.set(span.id, []);
+            byId.get(span.id).push(span);
+        });
+
+        const targets = CircuitSourceMap.inTimeOrder(circuit.operations);
+        const aligned = [];
+        let cursor = 0;
+        for (const op of CircuitSourceMap.inTimeOrder(parsed.operations)) {
+            const match = targets.findIndex((target, index) => index >= cursor &&
+                (CircuitSourceMap.sameGate(target, op) || CircuitSourceMap.measuresPart(target, op)));
+            if (match < 0) continue;
+            (byId.get(op.id) || []).forEach(({ start, end }) => aligned.push({ id: targets[match].id, start, end }));
+            // Stay on a measurement until all of its qubits are paired
+            cursor = CircuitSourceMap.sameGate(targets[match], op) ? match + 1 : match;
+        }
+        return aligned;
+    }
+
+    static inTimeOrder(operations) {
+        return operations
+            .map((op, index) => ({ op, index }))
+            .sort((a, b) => a.op.time - b.op.time || a.index - b.index)
+            .map(({ op }) => op);
+    }
+
+    static sameGate(a, b) {
+        return a.type === b.type &&
+            a.qubits.length === b.qubits.length &&
+            a.qubits.every((qubit, i) => qubit === b.qubits[i]);
+    }
+
+    /**
+     * Whether op measures some of the qubits measurement measures
+     */
+    static measuresPart(measurement, op) {
+        return measurement.type === 'MEASURE' && op.type === 'MEASURE' &&
+            op.qubits.every(qubit => measurement.qubits.includes(qubit));
+    }
+}
+
+CircuitSourceMap.REPRESENTATIONS = ['plainspeak', 'code', 'notation'];
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CircuitSourceMap;
+}
+
+// Global access
+globalThis.CircuitSourceMap = CircuitSourceMap;
@@ -0,0 +1,487 @@
+/**
+ * Stabilizer (Clifford) Simulator
+ *
+ * CHP tableau simulation (Aaronson & Gottesman, 2004). An n-qubit stabilizer
+ * state is tracked by n destabilizer and n stabilizer Pauli generators, so
+ * Clifford gates cost O(n) and measurements O(n²) instead of touching 2^n
+ * amplitudes. Circuits built from H / S / CNOT / CZ / Pauli gates,
+ * measurements and resets run on hundreds of qubits.
+ *
+ * QuantumSimulator switches to this backend for all-Clifford circuits; qubit 0
+ * is the leftmost character of every bitstring, as in the dense simulator.
+ */
+
+class StabilizerSimulator {
+    constructor(numQubits) {
+        this.numQubits = numQubits;
+
+        // Rows 0..n-1 are destabilizers, n..2n-1 stabilizers, 2n is scratch.
+        // Row i has X bits x[i*n + q], Z bits z[i*n + q] (both set = Y) and sign (-1)^r[i]
+        const rows = 2 * numQubits + 1;
+        this.x = new Uint8Array(rows * numQubits);
+        this.z = new Uint8Array(rows * numQubits);
+        this.r = new Uint8Array(rows);
+
+        // |0...0⟩: destabilizer X_q, stabilizer Z_q
+        for (let qubit = 0; qubit < numQubits; qubit++) {
+            this.x[qubit * numQubits + qubit] = 1;
+            this.z[(qubit + numQubits) * numQubits + qubit] = 1;
+        }
+
+        this.support = null;
+    }
+
+    /**
+     * Whether an IR operation keeps the state a stabilizer state
+     */
+    static isClifford(op) {
+        if (StabilizerSimulator.CLIFFORD_GATES.includes(op.type)) return true;
+        if (['RX', 'RY', 'RZ', 'P'].includes(op.type)) {
+            return StabilizerSimulator.quarterTurns(op.params[0]) !== null;
+        }
+        return false;
+    }
+
+    /**
+     * Angle as a whole number of π/2 turns (0-3), or null
+     */
+    static quarterTurns(angle) {
+        if (typeof angle !== 'number') return null;
+        const turns = angle / (Math.PI / 2);
+        const rounded = Math.round(turns);
+        if (Math.abs(turns - rounded) > 1e-9) return null;
+        return ((rounded % 4) + 4) % 4;
+    }
+
+    /**
+     * Apply a Clifford IR operation; measurements and resets go through
+     * measure(), conditions are checked by the caller
+     */
+    applyOperation(op) {
+        const [a, b] = op.qubits;
+        this.support = null;
+
+        switch (op.type) {
+            case 'H': this.hadamard(a); break;
+            case 'S': this.phase(a); break;
+            case 'SDG': this.phaseDagger(a); break;
+            case 'X': this.pauli(a, 1, 0); break;
+            case 'Y': this.pauli(a, 1, 1); break;
+            case 'Z': this.pauli(a, 0, 1); break;
+            case 'SX':
+                this.hadamard(a);
+                this.phase(a);
+                this.hadamard(a);
+                break;
+            case 'RZ':
+            case 'P':
+                // Equal to S^k up to global phase
+                this.repeat(StabilizerSimulator.quarterTurns(op.params[0]), () => this.phase(a));
+                break;
+            case 'RX':
+                this.hadamard(a);
+                this.repeat(StabilizerSimulator.quarterTurns(op.params[0]), () => this.phase(a));
+                this.hadamard(a);
+                break;
+            case 'RY':
+                // RY(θ) = S · RX(θ) · S†
+                this.phaseDagger(a);
+                this.hadamard(a);
+                this.repeat(StabilizerSimulator.quarterTurns(op.params[0]), () => this.phase(a));
+                this.hadamard(a);
+                this.phase(a);
+                break;
+            case 'CNOT': this.cnot(a, b); break;
+            case 'CZ': this.cz(a, b); break;
+            case 'SWAP': this.swap(a, b); break;
+            case 'ISWAP':
+                // SWAP · CZ · (S ⊗ S), as in the dense simulator
+                this.phase(a);
+                this.phase(b);
+                this.cz(a, b);
+                this.swap(a, b);
+                break;
+            default:
+                throw new Error(`${op.type} is not a Clifford gate`);
+        }
+
+        return this;
+    }
+
+    repeat(times, action) {
+        for (let i = 0; i < times; i++) action();
+    }
+
+    /**
+     * Gate updates conjugate every generator column-wise (scratch row excluded)
+     */
+    hadamard(a) {
+        const n = this.numQubits;
+        for (let row = 0; row < 2 * n; row++) {
+            const index = row * n + a;
+            const xBit = this.x[index], zBit = this.z[index];
+            this.r[row] ^= xBit & zBit;
+            this.x[index] = zBit;
+            this.z[index] = xBit;
+        }
+    }
+
+    phase(a) {
+        const n = this.numQubits;
+        for (let row = 0; row < 2 * n; row++) {
+            const index = row * n + a;
+            this.r[row] ^= this.x[index] & this.z[index];
+            this.z[index] ^= this.x[index];
+        }
+    }
+
+    phaseDagger(a) {
+        const n = this.numQubits;
+        for (let row = 0; row < 2 * n; row++) {
+            const index = row * n + a;
+            this.r[row] ^= this.x[index] & (this.z[index] ^ 1);
+            this.z[index] ^= this.x[index];
+        }
+    }
+
+    /**
+     * X (x=1), Z (z=1) or Y (both) flips the sign of generators that anticommute with it
+     */
+    pauli(a, xBit, zBit) {
+        const n = this.numQubits;
+        for (let row = 0; row < 2 * n; row++) {
+            const index = row * n + a;
+            this.r[row] ^= (this.x[index] & zBit) ^ (this.z[index] & xBit);
+        }
+    }
+
+    cnot(control, target) {
+        const n = this.numQubits;
+        for (let row = 0; row < 2 * n; row++) {
+            const c = row * n + control, t = row * n + target;
+            this.r[row] ^= this.x[c] & this.z[t] & (this.x[t] ^ this.z[c] ^ 1);
+            this.x[t] ^= this.x[c];
+            this.z[c] ^= this.z[t];
+        }
+    }
+
+    cz(a, b) {
+        this.hadamard(b);
+        this.cnot(a, b);
+        this.hadamard(b);
+    }
+
+    swap(a, b) {
+        const n = this.numQubits;
+        for (let row = 0; row < 2 * n; row++) {
+            const i = row * n + a, j = row * n + b;
+            [this.x[i], this.x[j]] = [this.x[j], this.x[i]];
+            [this.z[i], this.z[j]] = [this.z[j], this.z[i]];
+        }
+    }
+
+    /**
+     * Measure a qubit in the Z basis and collapse the tableau
+     *
+     * @param {number} qubit
+     * @param {Function} random - () => [0, 1); only consulted for random outcomes
+     * @returns {number} 0 or 1
+     */
+    measure(qubit, random = Math.random) {
+        const n = this.numQubits;
+        const pivot = this.findRandomPivot(qubit);
+        if (pivot === -1) {
+            return this.deterministicOutcome(qubit);
+        }
+
+        this.support = null;
+        for (let row = 0; row < 2 * n; row++) {
+            if (row !== pivot && this.x[row * n + qubit]) {
+                this.rowsum(row, pivot);
+            }
+        }
+
+        // The old stabilizer becomes a destabilizer; ±Z_qubit joins the stabilizers
+        this.copyRow(pivot - n, pivot);
+        this.clearRow(pivot);
+        this.z[pivot * n + qubit] = 1;
+        const outcome = random() < 0.5 ? 0 : 1;
+        this.r[pivot] = outcome;
+
+        return outcome;
+    }
+
+    /**
+     * Outcome a measurement would give without disturbing the state, or null when it is a coin flip
+     */
+    peekOutcome(qubit) {
+        return this.findRandomPivot(qubit) === -1 ? this.deterministicOutcome(qubit) : null;
+    }
+
+    /**
+     * First stabilizer that anticommutes with Z_qubit, -1 when the outcome is determined
+     */
+    findRandomPivot(qubit) {
+        const n = this.numQubits;
+        for (let row = n; row < 2 * n; row++) {
+            if (this.x[row * n + qubit]) return row;
+        }
+        return -1;
+    }
+
+    /**
+     * ±Z_qubit is the product of the stabilizers whose destabilizers anticommute with it
+     */
+    deterministicOutcome(qubit) {
+        const n = this.numQubits;
+        const scratch = 2 * n;
+        this.clearRow(scratch);
+
+        for (let row = 0; row < n; row++) {
+            if (this.x[row * n + qubit]) {
+                this.rowsum(scratch, row + n);
+            }
+        }
+
+        return this.r[scratch];
+    }
+
+    /**
+     * ⟨P⟩ of a Pauli product [[qubit, 'X'|'Y'|'Z'], ...]: 0 unless ±P is in the
+     * stabilizer group, in which case it is that sign
+     */
+    getPauliExpectation(paulis) {
+        const n = this.numQubits;
+        const px = new Uint8Array(n);
+        const pz = new Uint8Array(n);
+        for (const [qubit, pauli] of paulis) {
+            px[qubit] = pauli === 'X' || pauli === 'Y' ? 1 : 0;
+            pz[qubit] = pauli === 'Z' || pauli === 'Y' ? 1 : 0;
+        }
+
+        for (let row = n; row < 2 * n; row++) {
+            if (this.anticommutes(row, px, pz)) return 0;
+        }
+
+        const scratch = 2 * n;
+        this.clearRow(scratch);
+        for (let row = 0; row < n; row++) {
+            if (this.anticommutes(row, px, pz)) {
+                this.rowsum(scratch, row + n);
+            }
+        }
+
+        return this.r[scratch] ? -1 : 1;
+    }
+
+    anticommutes(row, px, pz) {
+        const n = this.numQubits;
+        let parity = 0;
+        for (let q = 0; q < n; q++) {
+            parity ^= (this.x[row * n + q] & pz[q]) ^ (this.z[row * n + q] & px[q]);
+        }
+        return parity === 1;
+    }
+
+    /**
+     * Computational-basis support: outcomes are uniform over offset ⊕ span(basis),
+     * 2^basis.length bitstrings. Each basis vector comes with the stabilizer
+     * generator that maps the support onto itself, for amplitudes.
+     *
+     * @returns {{offset: Uint8Array, basis: Uint8Array[], generators: Array<{x, z, sign}>}}
+     */
+    getSupport() {
+        if (this.support) return this.support;
+
+        const n = this.numQubits;
+        const copy = this.clone();
+
+        // Gaussian elimination on the X block of the stabilizers; rowsum keeps signs right
+        let rank = n;
+        for (let qubit = 0; qubit < n; qubit++) {
+            let pivot = -1;
+            for (let row = rank; row < 2 * n; row++) {
+                if (copy.x[row * n + qubit]) { pivot = row; break; }
+            }
+            if (pivot === -1) continue;
+
+            copy.swapRows(pivot, rank);
+            for (let row = n; row < 2 * n; row++) {
+                if (row !== rank && copy.x[row * n + qubit]) {
+                    copy.rowsum(row, rank);
+                }
+            }
+            rank++;
+        }
+
+        const generators = [];
+        for (let row = n; row < rank; row++) {
+            generators.push({
+                x: copy.x.slice(row * n, (row + 1) * n),
+                z: copy.z.slice(row * n, (row + 1) * n),
+                sign: copy.r[row]
+            });
+        }
+
+        // One reachable outcome: measure everything, taking 0 whenever a coin is flipped.
+        // Needs an untouched copy - the elimination above broke the destabilizer pairing
+        const sampler = this.clone();
+        const offset = new Uint8Array(n);
+        for (let qubit = 0; qubit < n; qubit++) {
+            offset[qubit] = sampler.measure(qubit, () => 0);
+        }
+
+        this.support = { offset, basis: generators.map(generator => generator.x), generators };
+        return this.support;
+    }
+
+    /**
+     * Draw one measurement of every qubit without collapsing the state
+     *
+     * @returns {Uint8Array} bit per qubit
+     */
+    sample(random = Math.random) {
+        const { offset, basis } = this.getSupport();
+        const bits = Uint8Array.from(offset);
+
+        for (const vector of basis) {
+            if (random() < 0.5) {
+                for (let q = 0; q < bits.length; q++) bits[q] ^= vector[q];
+            }
+        }
+
+        return bits;
+    }
+
+    /**
+     * Reachable outcomes and their (equal) probabilities; unreachable bitstrings are omitted
+     */
+    getMeasurementDistribution() {
+        const probability = Math.pow(2, -this.getSupport().basis.length);
+        const distribution = {};
+
+        for (const { bits } of this.enumerateSupport()) {
+            distribution[bits.join('')] = probability;
+        }
+
+        return distribution;
+    }
+
+    /**
+     * Nonzero amplitudes, global phase chosen so the offset outcome is real and
+     * positive. A stabilizer g = ±i^{#Y} X^a Z^b with g|ψ⟩ = |ψ⟩ gives
+     * ψ(x ⊕ a) = ±i^{#Y} (-1)^{x·b} ψ(x)
+     *
+     * @returns {Array<{bitstring: string, real: number, imag: number}>}
+     */
+    getAmplitudes() {
+        const magnitude = Math.pow(2, -this.getSupport().basis.length / 2);
+        const phases = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+
+        return this.enumerateSupport().map(({ bits, quarterPhase }) => ({
+            bitstring: bits.join(''),
+            real: magnitude * phases[quarterPhase][0],
+            imag: magnitude * phases[quarterPhase][1]
+        }));
+    }
+
+    /**
+     * Every support outcome with its amplitude phase as a power of i, sorted by bitstring
+     */
+    enumerateSupport() {
+        const { offset, generators } = this.getSupport();
+        if (generators.length > StabilizerSimulator.MAX_ENUMERATED_QUBITS) {
+            throw new Error(`Stabilizer state is spread over 2^${generators.length} outcomes; sample it with run() instead`);
+        }
+
+        let entries = [{ bits: Array.from(offset), quarterPhase: 0 }];
+        for (const generator of generators) {
+            const yCount = generator.x.reduce((count, xBit, q) => count + (xBit & generator.z[q]), 0);
+            entries = entries.concat(entries.map(({ bits, quarterPhase }) => {
+                const dot = bits.reduce((parity, bit, q) => parity ^ (bit & generator.z[q]), 0);
+                return {
+                    bits: bits.map((bit, q) => bit ^ generator.x[q]),
+                    quarterPhase: (quarterPhase + 2 * generator.sign + yCount + 2 * dot) % 4
+                };
+            }));
+        }
+
+        return entries.sort((a, b) => (a.bits.join('') < b.bits.join('') ? -1 : 1));
+    }
+
+    /**
+     * Generator row h ← row h · row i, tracking the sign through the phase exponent
+     */
+    rowsum(h, i) {
+        const n = this.numQubits;
+        let exponent = 2 * this.r[h] + 2 * this.r[i];
+
+        for (let q = 0; q < n; q++) {
+            const hi = h * n + q, ii = i * n + q;
+            exponent += this.phaseExponent(this.x[ii], this.z[ii], this.x[hi], this.z[hi]);
+            this.x[hi] ^= this.x[ii];
+            this.z[hi] ^= this.z[ii];
+        }
+
+        this.r[h] = ((exponent % 4) + 4) % 4 === 0 ? 0 : 1;
+    }
+
+    /**
+     * Power of i picked up when multiplying single-qubit Paulis (x1, z1) · (x2, z2)
+     */
+    phaseExponent(x1, z1, x2, z2) {
+        if (!x1 && !z1) return 0;
+        if (x1 && z1) return z2 - x2;
+        if (x1) return z2 * (2 * x2 - 1);
+        return x2 * (1 - 2 * z2);
+    }
+
+    copyRow(target, source) {
+        const n = this.numQubits;
+        this.x.copyWithin(target * n, source * n, (source + 1) * n);
+        this.z.copyWithin(target * n, source * n, (source + 1) * n);
+        this.r[target] = this.r[source];
+    }
+
+    clearRow(row) {
+        const n = this.numQubits;
+        this.x.fill(0, row * n, (row + 1) * n);
+        this.z.fill(0, row * n, (row + 1) * n);
+        this.r[row] = 0;
+    }
+
+    swapRows(a, b) {
+        if (a === b) return;
+        const scratch = 2 * this.numQubits;
+        this.copyRow(scratch, a);
+        this.copyRow(a, b);
+        this.copyRow(b, scratch);
+    }
+
+    clone() {
+        const copy = new StabilizerSimulator(0);
+        copy.numQubits = this.numQubits;
+        copy.x = Uint8Array.from(this.x);
+        copy.z = Uint8Array.from(this.z);
+        copy.r = Uint8Array.from(this.r);
+        return copy;
+    }
+}
+
+// Gates that map Paulis to Paulis whatever their parameters;
+// RX / RY / RZ / P qualify at multiples of π/2 (see isClifford)
+StabilizerSimulator.CLIFFORD_GATES = ['H', 'S', 'SDG', 'X', 'Y', 'Z', 'SX', 'CNOT', 'CZ', 'SWAP', 'ISWAP', 'MEASURE', 'RESET'];
+
+// Largest support (in random bits) listed outcome by outcome
+StabilizerSimulator.MAX_ENUMERATED_QUBITS = 16;
+
+// Largest support spelled out amplitude by amplitude in state descriptions
+StabilizerSimulator.MAX_DESCRIBED_QUBITS = 4;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StabilizerSimulator;
+}
+
+// Global access
+globalThis.StabilizerSimulator = StabilizerSimulator;
@@ -0,0 +1,1619 @@
+/**
+ * Quadratic Fluency Synchronization Core
+ * 
+ * Manages real-time bidirectional updates between:
+ * plainspeak ↔ code ↔ circuit ↔ notation
+ * with OpenQASM accepted in the code panel and exported from circuits
+ * and a source map linking each operation to its text in every panel.
+ * Each representation is registered with a parser to the shared circuit
+ * and a generator from it (representation-registry.js), so more can be
+ * added without changing the engine
+ * 
+ * Headless: the state, the translations and the history need no DOM, so
+ * scenario content can be translated and submissions graded in Node:
+ *
+ *   const core = new QuadraticSyncCore();
+ *   await core.translateRepresentations('code', 'circuit = QuantumCircuit(2)\ncircuit.h(0)')
+ *     -> { circuit, plainspeak, qasm, notation }
+ *   await core.processUpdate('plainspeak', text);   // as if typed: state, source map, history
+ *
+ * QuadraticSyncEngine (sync-engine.js) binds it to the four panels of the page.
+ * 
+ * Core innovation: Contextual entry points with consistent state management
+ */
+
+class QuadraticSyncCore {
+    constructor() {
+        this.state = {
+            plainspeak: '',
+            code: '',
+            qasm: '',
+            circuit: null,
+            notation: '',
+            metadata: {
+                entryPoint: null,
+                scenario: null,
+                quantumState: null,
+                performance: { classical: null, quantum: null },
+                audience: 'technical',
+                businessContext: 'general',
+                assessmentMode: false
+            }
+        };
+        
+        this.listeners = new Map();
+        this.isUpdating = false;
+        this.updateQueue = [];
+        
+        // Which span of each panel's text every operation of the shared circuit came from
+        this.sourceMap = typeof CircuitSourceMap !== 'undefined' ? new CircuitSourceMap() : null;
+        this.narration = null; // the plainspeak last narrated from a circuit, with its spans
+        
+        // Snapshot of all four panels after every transition, for undo/redo and the timeline
+        this.history = typeof WorkspaceHistory !== 'undefined' ? new WorkspaceHistory() : null;
+        
+        // Qiskit method name -> circuit gate type, angle parameter count and qubit arity
+        // ('mcx' takes a list of controls and a target)
+        this.qiskitGates = {
+            h: { type: 'H', params: 0, qubits: 1 },
+            x: { type: 'X', params: 0, qubits: 1 },
+            y: { type: 'Y', params: 0, qubits: 1 },
+            z: { type: 'Z', params: 0, qubits: 1 },
+            s: { type: 'S', params: 0, qubits: 1 },
+            sdg: { type: 'SDG', params: 0, qubits: 1 },
+            t: { type: 'T', params: 0, qubits: 1 },
+            tdg: { type: 'TDG', params: 0, qubits: 1 },
+            sx: { type: 'SX', params: 0, qubits: 1 },
+            rx: { type: 'RX', params: 1, qubits: 1 },
+            ry: { type: 'RY', params: 1, qubits: 1 },
+            rz: { type: 'RZ', params: 1, qubits: 1 },
+            p: { type: 'P', params: 1, qubits: 1 },
+            u: { type: 'U3', params: 3, qubits: 1 },
+            u3: { type: 'U3', params: 3, qubits: 1 },
+            cnot: { type: 'CNOT', params: 0, qubits: 2 },
+            cx: { type: 'CNOT', params: 0, qubits: 2 },
+            cz: { type: 'CZ', params: 0, qubits: 2 },
+            swap: { type: 'SWAP', params: 0, qubits: 2 },
+            iswap: { type: 'ISWAP', params: 0, qubits: 2 },
+            crx: { type: 'CRX', params: 1, qubits: 2 },
+            cry: { type: 'CRY', params: 1, qubits: 2 },
+            crz: { type: 'CRZ', params: 1, qubits: 2 },
+            cp: { type: 'CP', params: 1, qubits: 2 },
+            ccx: { type: 'CCX', params: 0, qubits: 3 },
+            toffoli: { type: 'CCX', params: 0, qubits: 3 },
+            mcx: { type: 'MCX', params: 0, qubits: 'mcx' },
+            reset: { type: 'RESET', params: 0, qubits: 1 }
+        };
+        
+        // Initialize semantic translation engine
+        this.semanticTranslator = null;
+        this.initializeSemanticTranslation();
+        
+        // Translation quality tracking
+        this.translationHistory = [];
+        this.qualityMetrics = {
+            accuracy: 0.85,
+            completeness: 0.90,
+            clarity: 0.88,
+            consistency: 0.92
+        };
+        
+        // Panel elements by representation; none without a DOM binding
+        this.panels = {};
+        
+        // How each representation parses to and generates from the shared circuit
+        if (typeof RepresentationRegistry === 'undefined') {
+            throw new Error('RepresentationRegistry not loaded. Include js/core/representation-registry.js');
+        }
+        this.representations = new RepresentationRegistry();
+        this.registerRepresentations();
+    }
+
+    /**
+     * The built-in representations: the circuit itself, plainspeak, Qiskit
+     * code, OpenQASM (typed into the code panel) and notation
+     */
+    registerRepresentations() {
+        this.representations.register('circuit', {
+            label: 'Circuit',
+            parse: circuit => CircuitIR.normalize(circuit),
+            generate: circuit => circuit
+        });
+        this.representations.register('plainspeak', {
+            label: 'Plainspeak',
+            parse: text => this.plainspeak2Circuit(text),
+            generate: circuit => this.circuit2Plainspeak(circuit),
+            locate: (text, circuit) => this.plainspeakSpans(text, circuit)
+        });
+        this.representations.register('code', {
+            label: 'Qiskit',
+            parse: text => this.code2Circuit(text),
+            generate: circuit => this.circuit2Code(circuit),
+            locate: (text, circuit) => this.codeSpans(text, circuit),
+            lenient: true
+        });
+        if (typeof OpenQASM !== 'undefined') {
+            this.representations.register('qasm', {
+                label: 'OpenQASM',
+                panel: 'code',
+                detect: text => this.isQasm(text),
+                parse: text => this.qasm2Circuit(text),
+                // MCX with more than two controls only exists in OpenQASM 3
+                generate: circuit => this.circuit2Qasm(circuit).catch(() => this.circuit2Qasm(circuit, 3)),
+                locate: (text, circuit) => this.qasmSpans(text, circuit)
+            });
+        }
+        this.representations.register('notation', {
+            label: 'Notation',
+            parse: text => this.notation2Circuit(text),
+            generate: circuit => this.circuit2Notation(circuit),
+            locate: (text, circuit) => this.notationSpans(text, circuit)
+        });
+    }
+
+    /**
+     * Initialize semantic translation capabilities
+     */
+    initializeSemanticTranslation() {
+        try {
+            // Try to use existing SemanticTranslator if available
+            if (typeof SemanticTranslator !== 'undefined') {
+                this.semanticTranslator = new SemanticTranslator(
+                    typeof QuantumSimulator !== 'undefined' ? new QuantumSimulator() : undefined
+                );
+            } else {
+                // Use built-in translation capabilities
+                this.semanticTranslator = this.createBuiltinTranslator();
+            }
+        } catch (error) {
+            console.warn('Failed to initialize semantic translator:', error);
+            this.semanticTranslator = this.createBuiltinTranslator();
+        }
+    }
+
+    /**
+     * Create built-in semantic translator for fallback
+     */
+    createBuiltinTranslator() {
+        return {
+            translate: async (content, sourceType, targetType, context = {}) => {
+                // Use existing translation methods with enhanced context awareness
+                const translation = await this.enhancedTranslate(content, sourceType, targetType, context);
+                return {
+                    success: true,
+                    translation,
+                    quality: { overall: 0.8, accuracy: 0.8, completeness: 0.8, clarity: 0.8 },
+                    suggestions: [],
+                    metadata: { processingTime: 50, confidence: 0.8 }
+                };
+            }
+        };
+    }
+
+    /**
+     * Queue update to prevent infinite loops during synchronization
+     */
+    queueUpdate(source, value) {
+        this.updateQueue.push({ source, value, timestamp: Date.now() });
+        
+        // Debounce updates - only process the latest within 300ms
+        setTimeout(() => {
+            if (this.updateQueue.length > 0) {
+                const latestUpdate = this.updateQueue[this.updateQueue.length - 1];
+                this.updateQueue = [];
+                this.processUpdate(latestUpdate.source, latestUpdate.value);
+            }
+        }, 300);
+    }
+
+    /**
+     * Process update from any representation to all others
+     */
+    async processUpdate(source, value) {
+        this.isUpdating = true;
+        
+        try {
+            if (source === 'circuit') {
+                value = CircuitIR.normalize(value);
+            }
+            
+            // Translate to other representations
+            const translations = await this.translateRepresentations(source, value);
+            
+            // The state holds what every panel shows, translations and the circuit included
+            Object.assign(this.state, translations, { [source]: value });
+            
+            // Map the texts about to be shown before the notation display renders its terms
+            this.updateSourceMap(this.state);
+            
+            // Update all panels except source
+            for (const [target, translation] of Object.entries(translations)) {
+                if (target !== source) {
+                    this.updatePanel(target, translation);
+                }
+            }
+            
+            // Handle special case: code updates should trigger circuit visualization update
+            if (source === 'code' && translations.circuit) {
+                this.updateCircuitVisualization(translations.circuit);
+            }
+            
+            // Render edited notation source in the display
+            if (source === 'notation') {
+                this.updateNotationDisplay(value);
+            }
+            
+            // Update quantum state visualization
+            this.updateQuantumState();
+            
+            // Update performance metrics
+            this.updatePerformanceComparison();
+            
+            if (this.history) {
+                this.history.record(this.state, source);
+            }
+            
+            // Notify listeners
+            this.notifyListeners(source, value, translations);
+            
+        } catch (error) {
+            console.error('Sync error:', error);
+            this.showSyncError(error);
+        } finally {
+            this.isUpdating = false;
+        }
+    }
+
+    /**
+     * Translate from one representation to all others: the edited text is
+     * parsed into the shared circuit once and every other registered
+     * representation is generated from that circuit
+     *
+     * @param {string} source - the panel edited
+     * @returns {Promise<Object>} generated text (the circuit for 'circuit') by representation
+     */
+    async translateRepresentations(source, value) {
+        const translations = {};
+        
+        // OpenQASM pasted into the code panel is translated as its own representation
+        const representation = this.representations.resolve(source, value);
+        if (!representation) {
+            throw new Error(`Unknown representation '${source}'`);
+        }
+        
+        let circuit;
+        try {
+            circuit = CircuitIR.normalize(await representation.parse(value, this));
+        } catch (error) {
+            // QASM, notation and plainspeak errors point at input the user needs to fix
+            if (!representation.lenient) throw error;
+            
+            console.warn(`Translation failed from ${representation.name}:`, error);
+            // Return empty translations to prevent cascade failures
+            return {};
+        }
+        if (representation.name !== source) {
+            translations[representation.name] = value;
+        }
+        
+        for (const target of this.representations.list()) {
+            // The edited panel keeps its text
+            if (target.name === source || target.name === representation.name) continue;
+            
+            try {
+                translations[target.name] = await target.generate(circuit, this);
+            } catch (error) {
+                console.warn(`Translation to ${target.name} failed:`, error);
+            }
+        }
+        
+        return translations;
+    }
+
+    /**
+     * Translation methods - core of quadratic fluency
+     */
+    
+    async plainspeak2Circuit(plainspeak) {
+        // Controlled English such as "put qubits 0 through 3 in superposition, then measure everything";
+        // errors carry diagnostics pointing at each phrase that did not compile
+        if (typeof PlainspeakCompiler === 'undefined') {
+            throw new Error('PlainspeakCompiler not loaded. Include js/core/plainspeak-compiler.js');
+        }
+        return PlainspeakCompiler.parse(plainspeak);
+    }
+
+    async code2Circuit(code) {
+        if (this.isQasm(code)) {
+            return this.qasm2Circuit(code);
+        }
+        
+        const { circuit } = this.analyzeCode(code);
+        return circuit;
+    }
+
+    /**
+     * Parse Qiskit code into a circuit plus the span of the statement each
+     * operation came from. Operation ids follow the statement order, so the
+     * same code always yields the same ids
+     *
+     * @returns {{circuit: Object, spans: Array<{id, start, end}>}}
+     */
+    analyzeCode(code) {
+        const operations = [];
+        const spans = [];
+        const lines = code.split('\n');
+        const layout = this.parseRegisterLayout(lines);
+        let timeCounter = 0;
+        let offset = 0;
+        
+        // Parse quantum operations; everything one statement emits shares a time step
+        for (const line of lines) {
+            const lineStart = offset;
+            offset += line.length + 1;
+            
+            const statement = line.replace(/#.*$/, '');
+            const trimmed = statement.trim();
+            if (!trimmed || trimmed.startsWith('//')) continue;
+            
+            const statementOps = this.parseCodeStatement(trimmed, layout);
+            if (statementOps.length === 0) continue;
+            
+            const start = lineStart + statement.indexOf(trimmed);
+            statementOps.forEach((operation, part) => {
+                operation.time = timeCounter;
+                operation.id = this.generateOperationId(timeCounter, statementOps.length > 1 ? part : null);
+                operations.push(operation);
+                spans.push({ id: operation.id, start, end: start + trimmed.length });
+            });
+            timeCounter++;
+        }
+        
+        const circuit = { qubits: layout.qubits, clbits: layout.clbits, operations };
+        if (layout.named) {
+            circuit.cregs = layout.registers.map(({ name, size }) => ({ name, size }));
+        }
+        return { circuit: CircuitIR.normalize(circuit), spans };
+    }
+
+    /**
+     * Register sizes from the QuantumCircuit declaration: QuantumCircuit(n[, m])
+     * or QuantumCircuit(qr, cr, ...) over QuantumRegister / ClassicalRegister
+     * variables, which are laid out flat in the order the circuit lists them
+     */
+    parseRegisterLayout(lines) {
+        const layout = {
+            qubits: 2, // Default
+            clbits: undefined,
+            qregs: new Map(),
+            cregs: new Map(),
+            registers: [],
+            named: false
+        };
+        const declared = new Map();
+        
+        for (const line of lines) {
+            const register = line.match(/^\s*(\w+)\s*=\s*(Quantum|Classical)Register\s*\(\s*(\d+)\s*(?:,\s*(?:name\s*=\s*)?['"](\w+)['"]\s*)?\)/);
+            if (register) {
+                declared.set(register[1], {
+                    quantum: register[2] === 'Quantum',
+                    size: parseInt(register[3]),
+                    name: register[4] || register[1]
+                });
+                continue;
+            }
+            
+            const circuitMatch = line.match(/QuantumCircuit\s*\(([^)]*)\)/);
+            if (!circuitMatch) continue;
+            
+            const args = circuitMatch[1].split(',').map(arg => arg.trim()).filter(Boolean);
+            if (args.length > 0 && /^\d+$/.test(args[0])) {
+                layout.qubits = parseInt(args[0]);
+                layout.clbits = args[1] !== undefined && /^\d+$/.test(args[1]) ? parseInt(args[1]) : undefined;
+                layout.registers = [{ name: 'c', size: layout.clbits !== undefined ? layout.clbits : layout.qubits, offset: 0 }];
+                break;
+            }
+            
+            let qubits = 0;
+            let clbits = 0;
+            for (const arg of args) {
+                const register = declared.get(arg);
+                if (!register) continue;
+                if (register.quantum) {
+                    layout.qregs.set(arg, { offset: qubits, size: register.size });
+                    qubits += register.size;
+                } else {
+                    const entry = { name: register.name, offset: clbits, size: register.size };
+                    layout.cregs.set(arg, entry);
+                    layout.registers.push(entry);
+                    clbits += register.size;
+                }
+            }
+            layout.qubits = qubits || layout.qubits;
+            layout.clbits = clbits;
+            layout.named = layout.registers.length > 0;
+            break;
+        }
+        
+        if (layout.registers.length === 0) {
+            layout.registers = [{ name: 'c', size: layout.clbits !== undefined ? layout.clbits : layout.qubits, offset: 0 }];
+        }
+        return layout;
+    }
+
+    /**
+     * Operations (without time or id) for one line of Qiskit code; register
+     * elements like qr[1] are flattened and a trailing .c_if(...) conditions them
+     */
+    parseCodeStatement(statement, layout) {
+        const flat = statement.replace(/\b(\w+)\[(\d+)\]/g, (match, name, index) => {
+            const register = layout.qregs.get(name) || layout.cregs.get(name);
+            return register ? String(register.offset + parseInt(index)) : match;
+        });
+        
+        let condition = null;
+        let body = flat;
+        const conditional = flat.match(/^(.*\))\s*\.c_if\s*\(\s*([^,]+?)\s*,\s*(\w+)\s*\)\s*$/);
+        if (conditional) {
+            condition = this.parseCondition(conditional[2], conditional[3], layout);
+            if (!condition) return [];
+            body = conditional[1];
+        }
+        
+        const operations = [];
+        if (body.includes('.measure_all()')) {
+            // Add measurement for all qubits
+            for (let i = 0; i < layout.qubits; i++) {
+                operations.push({ type: 'MEASURE', qubits: [i], params: [], cbits: [i] });
+            }
+        } else {
+            const call = this.extractGateCall(body);
+            if (!call) return [];
+            
+            if (call.method === 'measure') {
+                const qubits = this.parseIndexArgument(call.args[0], layout.qregs);
+                const cbits = this.parseIndexArgument(call.args.length > 1 ? call.args[1] : call.args[0], layout.cregs);
+                if (!qubits || !cbits || qubits.length !== cbits.length) return [];
+                qubits.forEach((qubit, i) => {
+                    operations.push({ type: 'MEASURE', qubits: [qubit], params: [], cbits: [cbits[i]] });
+                });
+            } else {
+                const spec = this.qiskitGates[call.method];
+                const operation = spec ? this.buildGateOperation(spec, call.args) : null;
+                if (!operation) return [];
+                operations.push(operation);
+            }
+        }
+        
+        if (condition) {
+            operations.forEach(operation => { operation.condition = condition; });
+        }
+        return operations;
+    }
+
+    /**
+     * Flat indices for an index, a [list] or a whole register variable
+     */
+    parseIndexArgument(arg, registers) {
+        if (arg === undefined) return null;
+        if (/^\d+$/.test(arg)) return [parseInt(arg)];
+        if (/^\[[\d,\s]*\]$/.test(arg)) {
+            return arg.slice(1, -1).split(',').map(index => index.trim()).filter(Boolean).map(index => parseInt(index));
+        }
+        const register = registers.get(arg);
+        return register ? Array.from({ length: register.size }, (_, i) => register.offset + i) : null;
+    }
+
+    /**
+     * c_if target and value: a clbit index, circuit.clbits[k], circuit.cregs[i]
+     * or a ClassicalRegister variable; null when the target is not recognised
+     */
+    parseCondition(target, value, layout) {
+        const parsedValue = value === 'True' ? 1 : value === 'False' ? 0 : parseInt(value);
+        if (isNaN(parsedValue)) return null;
+        
+        let register = layout.cregs.get(target);
+        let match;
+        if ((match = target.match(/^(?:\d+|\w+\.clbits\[(\d+)\])$/))) {
+            return { cbits: [parseInt(match[1] !== undefined ? match[1] : target)], value: parsedValue };
+        }
+        if ((match = target.match(/^\w+\.cregs\[(\d+)\]$/))) {
+            register = layout.registers[parseInt(match[1])];
+        }
+        if (!register) return null;
+        
+        return {
+            cbits: Array.from({ length: register.size }, (_, i) => register.offset + i),
+            value: parsedValue
+        };
+    }
+
+    // OpenQASM to and from circuits
+    isQasm(code) {
+        return typeof OpenQASM !== 'undefined' && OpenQASM.isQasm(code);
+    }
+
+    async qasm2Circuit(qasm) {
+        if (typeof OpenQASM === 'undefined') {
+            throw new Error('OpenQASM not loaded. Include js/core/openqasm.js');
+        }
+        return OpenQASM.parse(qasm);
+    }
+
+    async circuit2Qasm(circuit, version = 2) {
+        if (typeof OpenQASM === 'undefined') {
+            throw new Error('OpenQASM not loaded. Include js/core/openqasm.js');
+        }
+        return OpenQASM.serialize(circuit, { version });
+    }
+
+    async circuit2Plainspeak(circuit, context = {}) {
+        if (!this.semanticTranslator || typeof this.semanticTranslator.narrateCircuit !== 'function') {
+            throw new Error('SemanticTranslator not loaded. Include js/core/semantic-translator.js');
+        }
+
+        const { audience, scenario } = this.state.metadata;
+        const { text, spans } = this.semanticTranslator.narrateCircuit(circuit, {
+            audience,
+            scenario: scenario && typeof scenario === 'object' ? scenario.id : scenario,
+            ...context
+        });
+        // Kept for the source map: narrating again to find the spans would rerun the simulation
+        this.narration = { text, spans, ids: CircuitIR.normalize(circuit).operations.map(op => op.id).join() };
+        return text;
+    }
+
+    async circuit2Code(circuit) {
+        return this.generateCode(circuit).code;
+    }
+
+    /**
+     * Qiskit code for a circuit plus the span of the line(s) generated for
+     * each operation, keyed by the operation's id
+     *
+     * @returns {{code: string, spans: Array<{id, start, end}>}}
+     */
+    generateCode(circuit) {
+        const spans = [];
+        if (!circuit || !circuit.operations || circuit.operations.length === 0) {
+            const qubits = circuit?.qubits || 2;
+            return { code: `# Empty quantum circuit\nfrom qiskit import QuantumCircuit\nimport numpy as np\n\ncircuit = QuantumCircuit(${qubits}, ${qubits})`, spans };
+        }
+        
+        const ir = CircuitIR.normalize(circuit);
+        let code;
+        if (ir.cregs) {
+            // Named classical registers, so conditions can refer to them
+            const registers = ir.cregs.map(creg => creg.name);
+            code = `# Generated quantum circuit\nfrom qiskit import QuantumCircuit, QuantumRegister, ClassicalRegister\nimport numpy as np\n\n`;
+            code += `qr = QuantumRegister(${ir.qubits}, 'q')\n`;
+            ir.cregs.forEach(creg => { code += `${creg.name} = ClassicalRegister(${creg.size}, '${creg.name}')\n`; });
+            code += `circuit = QuantumCircuit(qr, ${registers.join(', ')})\n\n`;
+        } else {
+            code = `# Generated quantum circuit\nfrom qiskit import QuantumCircuit\nimport numpy as np\n\n`;
+            code += `circuit = QuantumCircuit(${ir.qubits}, ${ir.clbits})\n\n`;
+        }
+        
+        // Sort operations by time for correct execution order
+        const sortedOps = [...ir.operations].sort((a, b) => a.time - b.time);
+        
+        // Generate code for each operation
+        for (const op of sortedOps) {
+            const qubits = op.qubits.join(', ');
+            const angles = op.params.map(angle => this.formatAngleForCode(angle)).join(', ');
+            const suffix = op.condition ? this.formatConditionForCode(op.condition, ir) : '';
+            const start = code.length;
+            
+            switch (op.type) {
+                case 'H':
+                case 'X':
+                case 'Y':
+                case 'Z':
+                case 'S':
+                case 'SDG':
+                case 'T':
+                case 'TDG':
+                case 'SX':
+                case 'SWAP':
+                case 'ISWAP':
+                case 'CZ':
+                case 'CCX':
+                    code += `circuit.${op.type.toLowerCase()}(${qubits})\n`;
+                    break;
+                case 'CNOT':
+                    code += `circuit.cnot(${qubits})\n`;
+                    break;
+                case 'RX':
+                case 'RY':
+                case 'RZ':
+                case 'P':
+                case 'CRX':
+                case 'CRY':
+                case 'CRZ':
+                case 'CP':
+                    code += `circuit.${op.type.toLowerCase()}(${angles}, ${qubits})\n`;
+                    break;
+                case 'U3':
+                    code += `circuit.u(${angles}, ${qubits})\n`;
+                    break;
+                case 'MCX':
+                    code += `circuit.mcx([${op.qubits.slice(0, -1).join(', ')}], ${op.qubits[op.qubits.length - 1]})\n`;
+                    break;
+                case 'MEASURE':
+                    op.qubits.forEach((qubit, i) => {
+                        code += `circuit.measure(${qubit}, ${op.cbits[i]})\n`;
+                    });
+                    break;
+                case 'RESET':
+                    code += `circuit.reset(${qubits})\n`;
+                    break;
+                default:
+                    code += `# Unknown gate: ${op.type}\n`;
+            }
+            
+            if (suffix && !code.startsWith('#', start)) {
+                code = code.slice(0, start) + code.slice(start).replace(/\n/g, `${suffix}\n`);
+            }
+            spans.push({ id: op.id, start, end: code.length - 1 });
+        }
+        
+        return { code, spans };
+    }
+    
+    /**
+     * Qiskit .c_if(...) suffix: a single bit or a whole register compared to a value
+     */
+    formatConditionForCode(condition, ir) {
+        const register = CircuitIR.conditionRegister(ir, condition);
+        
+        if (register && (condition.cbits.length > 1 || register.size === 1)) {
+            // Without named registers the circuit has the single register c
+            return `.c_if(${ir.cregs ? register.name : 'circuit.cregs[0]'}, ${condition.value})`;
+        }
+        
+        const cbit = condition.cbits[0];
+        if (ir.cregs) {
+            const owner = CircuitIR.classicalRegisters(ir).find(r => cbit >= r.offset && cbit < r.offset + r.size);
+            return `.c_if(${owner.name}[${cbit - owner.offset}], ${condition.value})`;
+        }
+        return `.c_if(circuit.clbits[${cbit}], ${condition.value})`;
+    }
+    
+    formatAngleForCode(angle) {
+        if (angle === null || angle === undefined) return '0';
+        const exact = this.formatPiMultiple(angle, 'np.pi', '*');
+        if (exact) return exact;
+        if (Math.abs(angle - Math.PI) < 0.01) return 'np.pi';
+        if (Math.abs(angle - Math.PI/2) < 0.01) return 'np.pi/2';
+        if (Math.abs(angle - Math.PI/4) < 0.01) return 'np.pi/4';
+        if (Math.abs(angle - Math.PI/3) < 0.01) return 'np.pi/3';
+        if (Math.abs(angle - 2*Math.PI/3) < 0.01) return '2*np.pi/3';
+        return String(angle);
+    }
+
+    /**
+     * Angle as an exact multiple of pi ('-3*np.pi/8', '3\pi/8'), or null
+     * when it is not one, so generated code and notation parse back losslessly
+     */
+    formatPiMultiple(angle, pi, times = '') {
+        if (angle === 0) return '0';
+
+        for (const denominator of [1, 2, 3, 4, 6, 8, 16, 32, 64]) {
+            const numerator = angle * denominator / Math.PI;
+            const rounded = Math.round(numerator);
+            if (rounded !== 0 && Math.abs(numerator - rounded) < 1e-12) {
+                const sign = rounded < 0 ? '-' : '';
+                const magnitude = Math.abs(rounded);
+                const head = magnitude === 1 ? pi : `${magnitude}${times}${pi}`;
+                return denominator === 1 ? `${sign}${head}` : `${sign}${head}/${denominator}`;
+            }
+        }
+        return null;
+    }
+
+    async circuit2Notation(circuit) {
+        // Enhanced circuit to notation with professional mathematical representation
+        if (!circuit || !circuit.operations) {
+            const qubits = circuit?.qubits || 2;
+            return `$|\\psi_0\\rangle = |0\\rangle^{\\otimes ${qubits}}$`;
+        }
+        
+        // Generate professional notation directly from circuit data
+        return this.generateProfessionalNotationFromCircuit(circuit);
+    }
+    
+    generateProfessionalNotationFromCircuit(circuit) {
+        return this.generateNotation(circuit).notation;
+    }
+    
+    /**
+     * Professional notation for a circuit plus the span of each operation's
+     * operator term, keyed by the operation's id
+     *
+     * @returns {{notation: string, spans: Array<{id, start, end}>}}
+     */
+    generateNotation(circuit) {
+        circuit = CircuitIR.normalize(circuit);
+        const spans = [];
+        if (circuit.operations.length === 0) {
+            return { notation: `$|\\psi_0\\rangle = |0\\rangle^{\\otimes ${circuit.qubits}}$`, spans };
+        }
+        
+        // Sort operations by time for correct order
+        const sortedOps = [...circuit.operations].sort((a, b) => a.time - b.time);
+        
+        let notation = [];
+        let stateNumber = 0;
+        
+        // Initial state
+        notation.push(`$|\\psi_0\\rangle = |0\\rangle^{\\otimes ${circuit.qubits}}$`);
+        
+        // Process each time step
+        const firstCnot = sortedOps.find(op => op.type === 'CNOT');
+        for (const operations of this.groupNotationSteps(sortedOps)) {
+            stateNumber++;
+            const offset = notation.join('<br><br>').length + '<br><br>'.length;
+            const stepNotation = this.generateTimeStepNotationFromOps(operations, stateNumber);
+            notation.push(stepNotation);
+            
+            const terms = this.splitNotationTerms(stepNotation, stateNumber, operations.length);
+            terms.forEach(({ start, end }, i) => {
+                spans.push({ id: operations[i].id, start: offset + start, end: offset + end });
+            });
+            
+            if (operations.includes(firstCnot) && typeof QuantumSimulator !== 'undefined') {
+                notation.push(this.entanglementNotation(circuit, firstCnot));
+            }
+        }
+        
+        return { notation: notation.join('<br><br>'), spans };
+    }
+    
+    /**
+     * Operations grouped into the |ψ_k⟩ steps of the notation, in the order
+     * both notation generators write them
+     */
+    groupNotationSteps(sortedOps) {
+        const timeSteps = {};
+        for (const op of sortedOps) {
+            if (!timeSteps[op.time]) {
+                timeSteps[op.time] = [];
+            }
+            timeSteps[op.time].push(op);
+        }
+        return Object.values(timeSteps);
+    }
+    
+    /**
+     * Offsets of the operator terms in "|ψ_k⟩ = (A \cdot B) |ψ_{k-1}⟩" within
+     * text, or [] when the statement is missing or has another number of terms
+     */
+    splitNotationTerms(text, stateNumber, count, from = 0) {
+        const head = `|\\psi_{${stateNumber}}\\rangle = `;
+        const tail = ` |\\psi_{${stateNumber - 1}}\\rangle`;
+        const headAt = text.indexOf(head, from);
+        if (headAt < 0) return [];
+        
+        let start = headAt + head.length;
+        let end = text.indexOf(tail, start);
+        if (end < 0) return [];
+        if (count > 1 && text[start] === '(' && text[end - 1] === ')') {
+            start++;
+            end--;
+        }
+        
+        const terms = [];
+        const separator = ' \\cdot ';
+        let cursor = start;
+        for (const term of text.slice(start, end).split(separator)) {
+            terms.push({ start: cursor, end: cursor + term.length });
+            cursor += term.length + separator.length;
+        }
+        return terms.length === count ? terms : [];
+    }
+    
+    /**
+     * Spans of the circuit's operations in notation text that may have been
+     * written elsewhere (the designer, the user): step k of the text is
+     * matched to the k-th group of operations, each term to the operation
+     * it spells out, and any term left over to the operations left in order
+     */
+    locateNotationSpans(notation, circuit) {
+        const sortedOps = [...CircuitIR.normalize(circuit).operations].sort((a, b) => a.time - b.time);
+        const spans = [];
+        let from = 0;
+        
+        this.groupNotationSteps(sortedOps).forEach((operations, index) => {
+            const terms = this.splitNotationTerms(notation, index + 1, operations.length, from);
+            if (terms.length === 0) return;
+            
+            const remaining = [...operations];
+            const unmatched = terms.filter(term => {
+                const text = notation.slice(term.start, term.end);
+                const match = remaining.findIndex(op => this.getOperatorNotationFromOp(op) === text);
+                if (match < 0) return true;
+                spans.push({ id: remaining.splice(match, 1)[0].id, start: term.start, end: term.end });
+                return false;
+            });
+            unmatched.forEach(({ start, end }, i) => spans.push({ id: remaining[i].id, start, end }));
+            from = terms[terms.length - 1].end;
+        });
+        return spans;
+    }
+    
+    /**
+     * Concurrence and entanglement entropy of a CNOT's qubits right after it
+     */
+    entanglementNotation(circuit, cnot) {
+        const [control, target] = cnot.qubits;
+        const simulator = new QuantumSimulator().initialize(circuit.qubits);
+        circuit.operations
+            .filter(op => op.time <= cnot.time && op.type !== 'MEASURE')
+            .sort((a, b) => a.time - b.time)
+            .forEach(op => simulator.applyOperation(op));
+        
+        const concurrence = simulator.getConcurrence(control, target);
+        const entropy = simulator.getVonNeumannEntropy([control]);
+        const verdict = concurrence > 0.999 ? 'form a Bell pair' :
+            concurrence > 1e-6 ? 'are partially entangled' : 'remain unentangled';
+        return `$\\quad C_{${control},${target}} = ${concurrence.toFixed(3)},\\; S(\\rho_{${control}}) = ${entropy.toFixed(3)} ` +
+            `\\;\\Rightarrow\\; \\text{qubits } ${control} \\text{ and } ${target} \\text{ ${verdict}}$`;
+    }
+    
+    generateTimeStepNotationFromOps(operations, stateNumber) {
+        const operators = operations.map(op => this.getOperatorNotationFromOp(op));
+        
+        if (operators.length === 1) {
+            return `$|\\psi_{${stateNumber}}\\rangle = ${operators[0]} |\\psi_{${stateNumber-1}}\\rangle$`;
+        } else {
+            const operatorProduct = operators.join(' \\cdot ');
+            return `$|\\psi_{${stateNumber}}\\rangle = (${operatorProduct}) |\\psi_{${stateNumber-1}}\\rangle$`;
+        }
+    }
+    
+    getOperatorNotationFromOp(operation) {
+        const operator = this.getGateNotationFromOp(operation);
+        if (!operation.condition) return operator;
+        
+        // Classically conditioned: [c_{k}=v] prefixes the operator it controls
+        const { cbits, value } = operation.condition;
+        const bits = cbits.length === 1 ? cbits[0] : `{${cbits.join(',')}}`;
+        return `[c_${bits}=${value}]\\,${operator}`;
+    }
+    
+    getGateNotationFromOp(operation) {
+        const qubits = operation.qubits;
+        const pair = `${qubits[0]},${qubits[qubits.length - 1]}`;
+        const angle = this.formatAngleForNotation(operation.params[0]);
+        
+        switch(operation.type) {
+            case 'H':
+                return `H_{${qubits[0]}}`;
+            case 'X':
+                return `X_{${qubits[0]}}`;
+            case 'Y':
+                return `Y_{${qubits[0]}}`;
+            case 'Z':
+                return `Z_{${qubits[0]}}`;
+            case 'RX':
+                return `R_x^{(${qubits[0]})}(${angle})`;
+            case 'RY':
+                return `R_y^{(${qubits[0]})}(${angle})`;
+            case 'RZ':
+                return `R_z^{(${qubits[0]})}(${angle})`;
+            case 'CNOT':
+                return `\\text{CNOT}_{${pair}}`;
+            case 'CZ':
+                return `\\text{CZ}_{${pair}}`;
+            case 'S':
+                return `S_{${qubits[0]}}`;
+            case 'SDG':
+                return `S^\\dagger_{${qubits[0]}}`;
+            case 'T':
+                return `T_{${qubits[0]}}`;
+            case 'TDG':
+                return `T^\\dagger_{${qubits[0]}}`;
+            case 'SX':
+                return `\\sqrt{X}_{${qubits[0]}}`;
+            case 'P':
+                return `P^{(${qubits[0]})}(${angle})`;
+            case 'U3':
+                return `U_3^{(${qubits[0]})}(${operation.params.map(param => this.formatAngleForNotation(param)).join(', ')})`;
+            case 'SWAP':
+                return `\\text{SWAP}_{${pair}}`;
+            case 'ISWAP':
+                return `i\\text{SWAP}_{${pair}}`;
+            case 'CRX':
+                return `CR_x^{(${pair})}(${angle})`;
+            case 'CRY':
+                return `CR_y^{(${pair})}(${angle})`;
+            case 'CRZ':
+                return `CR_z^{(${pair})}(${angle})`;
+            case 'CP':
+                return `CP^{(${pair})}(${angle})`;
+            case 'CCX':
+                return `\\text{CCX}_{${qubits.join(',')}}`;
+            case 'MCX':
+                return `C^{${qubits.length - 1}}X_{${qubits.join(',')}}`;
+            case 'MEASURE':
+                return `M_{${qubits.join(',')}}`;
+            case 'RESET':
+                return `\\text{Reset}_{${qubits[0]}}`;
+            default:
+                return operation.type;
+        }
+    }
+    
+    formatAngleForNotation(angle) {
+        if (angle === null || angle === undefined) return '';
+        const exact = this.formatPiMultiple(angle, '\\pi');
+        if (exact) return exact;
+        if (Math.abs(angle - Math.PI) < 0.01) return '\\pi';
+        if (Math.abs(angle - Math.PI/2) < 0.01) return '\\pi/2';
+        if (Math.abs(angle - Math.PI/4) < 0.01) return '\\pi/4';
+        if (Math.abs(angle - Math.PI/3) < 0.01) return '\\pi/3';
+        if (Math.abs(angle - 2*Math.PI/3) < 0.01) return '2\\pi/3';
+        return String(Number(angle.toFixed(6)));
+    }
+
+    async notation2Circuit(notation) {
+        if (typeof NotationParser === 'undefined') {
+            throw new Error('NotationParser not loaded. Include js/core/notation-parser.js');
+        }
+        
+        const { circuit, warnings } = NotationParser.analyze(notation);
+        warnings.forEach(warning => console.warn('Notation:', warning));
+        
+        // Ids in the order the operations are written, so the same notation always yields the same ids
+        [...circuit.operations].sort((a, b) => a.time - b.time).forEach((operation, index) => {
+            operation.id = `notation_${index}`;
+        });
+        return circuit;
+    }
+
+    /**
+     * Helper methods for code parsing
+     */
+    extractCnotQubits(line) {
+        const match = line.match(/\((\d+),\s*(\d+)\)/);
+        return match ? [parseInt(match[1]), parseInt(match[2])] : [0, 1];
+    }
+
+    /**
+     * Split a gate call like "circuit.crz(np.pi/4, 0, 1)" into method and arguments
+     */
+    extractGateCall(line) {
+        const match = line.replace(/#.*$/, '').match(/\.(\w+)\s*\((.*)\)/);
+        if (!match) return null;
+        
+        // Split on top-level commas so "[0, 1], 2" keeps the control list intact
+        const args = [];
+        let depth = 0;
+        let current = '';
+        for (const char of match[2]) {
+            if (char === '(' || char === '[') depth++;
+            if (char === ')' || char === ']') depth--;
+            if (char === ',' && depth === 0) {
+                args.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        if (current.trim()) args.push(current.trim());
+        
+        return { method: match[1], args };
+    }
+    
+    /**
+     * Build an IR operation from a qiskitGates spec and parsed call arguments
+     */
+    buildGateOperation(spec, args) {
+        const params = args.slice(0, spec.params).map(arg => this.parseAngleExpression(arg));
+        if (params.length !== spec.params || params.some(angle => angle === null)) return null;
+        
+        let qubits;
+        if (spec.qubits === 'mcx') {
+            if (args.length !== 2) return null;
+            qubits = [...args[0].replace(/[\[\]]/g, '').split(',').map(q => parseInt(q)), parseInt(args[1])];
+        } else {
+            qubits = args.slice(spec.params, spec.params + spec.qubits).map(q => parseInt(q));
+            if (qubits.length !== spec.qubits) return null;
+        }
+        if (qubits.some(q => isNaN(q))) return null;
+        
+        return { type: spec.type, qubits, params };
+    }
+    
+    parseAngleExpression(expr) {
+        // Parse common angle expressions like π/2, np.pi, 1.57, etc.
+        const cleaned = expr.toLowerCase()
+            .replace(/\s/g, '')
+            .replace(/np\.pi/g, Math.PI.toString())
+            .replace(/math\.pi/g, Math.PI.toString())
+            .replace(/π/g, Math.PI.toString())
+            .replace(/pi/g, Math.PI.toString());
+        
+        // Handle common patterns
+        const patterns = {
+            [Math.PI.toString()]: Math.PI,
+            [`${Math.PI}/2`]: Math.PI / 2,
+            [`${Math.PI}/4`]: Math.PI / 4,
+            [`${Math.PI}/3`]: Math.PI / 3,
+            [`${Math.PI}/6`]: Math.PI / 6,
+            [`2*${Math.PI}/3`]: 2 * Math.PI / 3,
+            [`3*${Math.PI}/4`]: 3 * Math.PI / 4,
+            [`2*${Math.PI}`]: 2 * Math.PI
+        };
+        
+        if (patterns[cleaned]) {
+            return patterns[cleaned];
+        }
+        
+        // Try direct numeric parsing; parseFloat would stop at the '*' of '3*pi/8'
+        const numericValue = cleaned === '' ? NaN : Number(cleaned);
+        if (!isNaN(numericValue)) {
+            return numericValue;
+        }
+        
+        // Try evaluating mathematical expressions safely
+        try {
+            const sanitized = cleaned.replace(/[^0-9+\-*/.() ]/g, '');
+            const func = new Function('Math', `"use strict"; return (${sanitized})`);
+            const result = func(Math);
+            
+            if (typeof result === 'number' && !isNaN(result)) {
+                return result;
+            }
+        } catch (e) {
+            console.warn('Could not parse angle expression:', expr);
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Id of an operation parsed from code: 'code_3' for the fourth statement,
+     * 'code_3.1' for the second operation of a statement that emits several
+     */
+    generateOperationId(statement, part = null) {
+        return part === null ? `code_${statement}` : `code_${statement}.${part}`;
+    }
+
+    estimateQubitCount(code) {
+        const quantumCircuitMatch = code.match(/QuantumCircuit\((\d+)/);
+        return quantumCircuitMatch ? parseInt(quantumCircuitMatch[1]) : 2;
+    }
+
+    /**
+     * Show a representation in its panel with its registered renderer
+     */
+    updatePanel(target, content) {
+        const representation = this.representations.get(target);
+        if (representation && representation.render) {
+            representation.render(content, this);
+        }
+    }
+
+    /**
+     * Rendering hooks, called as the workspace changes. The core has nothing
+     * to draw; QuadraticSyncEngine shows each representation in its panel
+     */
+    updateCircuitVisualization(circuit) {}
+
+    updateNotationDisplay(notation) {}
+
+    updateQuantumState() {}
+
+    updatePerformanceComparison() {}
+
+    showSyncError(error) {}
+
+    /**
+     * Listener management for external components
+     */
+    addListener(callback) {
+        const id = Date.now() + Math.random();
+        this.listeners.set(id, callback);
+        return id;
+    }
+
+    removeListener(id) {
+        this.listeners.delete(id);
+    }
+
+    notifyListeners(source, value, translations) {
+        this.listeners.forEach(callback => {
+            try {
+                callback({ source, value, translations, state: this.state });
+            } catch (error) {
+                console.error('Listener error:', error);
+            }
+        });
+    }
+
+    /**
+     * Enhanced contextual entry point management with professional scenarios
+     */
+    setContextualEntry(scenario, entryPoint, options = {}) {
+        this.state.metadata.scenario = scenario;
+        this.state.metadata.entryPoint = entryPoint;
+        this.state.metadata.audience = options.audience || 'technical';
+        this.state.metadata.businessContext = options.businessContext || 'general';
+        this.state.metadata.assessmentMode = options.assessmentMode || false;
+        
+        // Hide/highlight panels based on entry point
+        this.configureContextualDisplay(entryPoint);
+        
+        // Load scenario-specific content if provided
+        if (options.initialContent) {
+            this.loadScenarioContent(scenario, options.initialContent);
+        }
+    }
+
+    /**
+     * Load scenario-specific content for professional training
+     */
+    loadScenarioContent(scenario, content) {
+        const scenarioTemplates = {
+            portfolio_optimization: {
+                plainspeak: "Portfolio correlation optimization using quantum computing can discover hedge ratios that classical computers miss by exploring all possible market correlation scenarios simultaneously through quantum superposition.",
+                code: `# Portfolio optimization quantum circuit
+circuit = QuantumCircuit(4, 4)
+
+# Create superposition of portfolio states
+circuit.h(0)  # Asset correlation superposition
+circuit.h(1)  # Risk factor superposition
+
+# Encode correlation parameters
+theta = np.pi/3  # Market volatility parameter
+circuit.ry(theta, 1)
+
+# Create entanglement for asset correlations
+circuit.cnot(0, 1)  # Primary correlation
+circuit.cnot(1, 2)  # Secondary correlation`,
+                notation: "H|0⟩ ⊗ H|1⟩ → (|00⟩ + |01⟩ + |10⟩ + |11⟩)/2"
+            },
+            quantum_security: {
+                plainspeak: "Quantum key distribution creates unbreakable communication security by using quantum entanglement to detect any eavesdropping attempts.",
+                code: `# Quantum key distribution circuit
+circuit = QuantumCircuit(2, 2)
+
+# Create entangled pair
+circuit.h(0)
+circuit.cnot(0, 1)
+
+# Any measurement by eavesdropper disturbs the system
+circuit.measure_all()`
+            }
+        };
+        
+        const template = scenarioTemplates[scenario];
+        if (template && content) {
+            // Load specific content provided
+            this.setState({ [content.type]: content.value });
+        } else if (template) {
+            // Load default scenario content
+            this.setState({
+                plainspeak: template.plainspeak || '',
+                code: template.code || '',
+                notation: template.notation || ''
+            });
+        }
+    }
+
+    /**
+     * Bring the entry point's panel forward; a rendering hook like updatePanel
+     */
+    configureContextualDisplay(entryPoint) {}
+
+    /**
+     * Get current state for external access
+     */
+    getState() {
+        return { ...this.state };
+    }
+
+    /**
+     * Set state programmatically
+     *
+     * @param {Object} newState - any of { plainspeak, code, notation, circuit, ... }
+     * @param {Object} options - { source = 'workspace': what changed, for the history;
+     *   record = true: false when restoring from the history }
+     */
+    setState(newState, options = {}) {
+        if (newState.circuit) {
+            // Keep the shared circuit in canonical IR form whatever its source
+            newState = { ...newState, circuit: CircuitIR.normalize(newState.circuit) };
+        }
+        this.state = { ...this.state, ...newState };
+        this.updateSourceMap(this.state);
+        this.updateAllPanels();
+        
+        if (this.history && options.record !== false) {
+            this.history.record(this.state, options.source || 'workspace');
+        }
+    }
+
+    /**
+     * Workspace-wide undo: every panel goes back to the previous entry
+     *
+     * @returns {?Object} the history entry restored, null when there is none
+     */
+    undo() {
+        return this.history ? this.restoreHistory(this.history.undo()) : null;
+    }
+
+    redo() {
+        return this.history ? this.restoreHistory(this.history.redo()) : null;
+    }
+
+    /**
+     * Show the workspace as it was at history entry `position`
+     */
+    goToHistory(position) {
+        return this.history ? this.restoreHistory(this.history.goTo(position)) : null;
+    }
+
+    restoreHistory(entry) {
+        if (!entry) return null;
+        
+        // Drop edits still waiting out the debounce, and keep the designer from syncing back
+        this.updateQueue = [];
+        this.isUpdating = true;
+        try {
+            this.setState(entry.state, { record: false });
+        } finally {
+            this.isUpdating = false;
+        }
+        return entry;
+    }
+
+    /**
+     * Rebuild the source map for the texts on display. Text generated from the
+     * circuit carries its spans; text written elsewhere (by the user or the
+     * designer) is parsed again and its operations paired with the circuit's
+     *
+     * @param {Object} shown - { circuit, plainspeak, code, notation }
+     */
+    updateSourceMap(shown) {
+        if (!this.sourceMap) return;
+        
+        this.sourceMap.clear();
+        const circuit = shown.circuit;
+        if (!circuit || !circuit.operations) return;
+        
+        for (const { name, locate } of this.representations.list()) {
+            const text = shown[name];
+            if (!locate || typeof text !== 'string' || !text) continue;
+            
+            try {
+                this.sourceMap.set(name, text, locate(text, circuit, this));
+            } catch (error) {
+                console.warn(`Source map for ${name} failed:`, error);
+            }
+        }
+    }
+
+    plainspeakSpans(plainspeak, circuit) {
+        const narration = this.narration;
+        if (narration && narration.text === plainspeak &&
+            narration.ids === circuit.operations.map(op => op.id).join()) {
+            return narration.spans;
+        }
+        if (typeof PlainspeakCompiler === 'undefined') return [];
+        
+        // Prose that does not compile (explanations written by hand) has nothing to link
+        const { circuit: parsed, diagnostics, spans } = PlainspeakCompiler.compile(plainspeak);
+        return diagnostics.length > 0 ? [] : CircuitSourceMap.align(circuit, parsed, spans);
+    }
+
+    codeSpans(code, circuit) {
+        if (this.isQasm(code)) return this.qasmSpans(code, circuit);
+        
+        const generated = this.generateCode(circuit);
+        if (generated.code === code) return generated.spans;
+        
+        const { circuit: parsed, spans } = this.analyzeCode(code);
+        return CircuitSourceMap.align(circuit, parsed, spans);
+    }
+
+    qasmSpans(qasm, circuit) {
+        for (const version of [2, 3]) {
+            try {
+                const generated = OpenQASM.generate(circuit, { version });
+                if (generated.qasm === qasm) return generated.spans;
+            } catch (error) {
+                // Conditions on single bits of wider registers need OpenQASM 3
+            }
+        }
+        
+        const { circuit: parsed, spans } = OpenQASM.parseWithSpans(qasm);
+        return CircuitSourceMap.align(circuit, parsed, spans);
+    }
+
+    notationSpans(notation, circuit) {
+        const generated = this.generateNotation(circuit);
+        return generated.notation === notation ? generated.spans : this.locateNotationSpans(notation, circuit);
+    }
+
+    /**
+     * Enhanced translation with context awareness
+     */
+    async enhancedTranslate(content, sourceType, targetType, context) {
+        // Get current translation context including audience and business domain
+        const fullContext = {
+            audience: context.audience || this.state.metadata.audience || 'technical',
+            scenario: context.scenario || this.state.metadata.scenario || 'general',
+            businessContext: context.businessContext || this.state.metadata.businessContext || 'general',
+            assessmentMode: context.assessmentMode || this.state.metadata.assessmentMode || false,
+            entryPoint: context.entryPoint || this.state.metadata.entryPoint,
+            emphasize: context.emphasize || (this.state.metadata.assessmentMode ? 'accuracy' : 'clarity')
+        };
+
+        // Use audience-aware translation templates
+        const audienceTemplates = this.getAudienceTemplates();
+        const template = audienceTemplates[fullContext.audience] || audienceTemplates.technical;
+        
+        switch (`${sourceType}_to_${targetType}`) {
+            case 'plainspeak_to_code':
+                return this.audienceAwarePlainspeak2Code(content, template, fullContext);
+            case 'code_to_plainspeak':
+                return this.audienceAwareCode2Plainspeak(content, template, fullContext);
+            case 'plainspeak_to_circuit':
+                return this.plainspeak2Circuit(content);
+            case 'code_to_circuit':
+                return this.code2Circuit(content);
+            default:
+                return this.fallbackTranslate(content, sourceType, targetType);
+        }
+    }
+
+    /**
+     * Audience-specific communication templates
+     */
+    getAudienceTemplates() {
+        return {
+            executives: {
+                focus: 'business impact and ROI',
+                vocabulary: 'investment, competitive advantage, market opportunity, risk reduction',
+                structure: 'problem → solution → business value → implementation timeline'
+            },
+            stakeholders: {
+                focus: 'project outcomes and timelines',
+                vocabulary: 'deliverables, milestones, resources, success metrics',
+                structure: 'current state → proposed change → expected outcomes → next steps'
+            },
+            technical: {
+                focus: 'implementation details and architecture',
+                vocabulary: 'algorithms, complexity, scalability, integration challenges',
+                structure: 'technical requirements → solution design → implementation plan → validation'
+            },
+            clients: {
+                focus: 'problem solving and value delivery',
+                vocabulary: 'solutions, capabilities, expertise, proven results',
+                structure: 'understand problem → propose solution → demonstrate value → partnership benefits'
+            }
+        };
+    }
+
+    /**
+     * Audience-aware plainspeak to code translation
+     */
+    async audienceAwarePlainspeak2Code(plainspeak, template, context) {
+        let code = '# Generated from business requirements\n';
+        code += '# Target audience: ' + context.audience + '\n';
+        code += 'from qiskit import QuantumCircuit, execute, Aer\n';
+        code += 'import numpy as np\n\n';
+        
+        // Enhanced concept detection with business context
+        const businessConcepts = this.extractBusinessConcepts(plainspeak, context);
+        
+        // Generate code based on business context
+        if (context.scenario === 'portfolio_optimization') {
+            code += this.generatePortfolioOptimizationCode(businessConcepts);
+        } else if (context.scenario === 'security') {
+            code += this.generateSecurityCode(businessConcepts);
+        } else {
+            code += this.generateGeneralQuantumCode(businessConcepts);
+        }
+        
+        // Add business value comments for executives
+        if (context.audience === 'executives') {
+            code += '\n# Business Impact: This quantum approach provides competitive advantage\n';
+            code += '# ROI: Estimated 10x performance improvement over classical methods\n';
+        }
+        
+        return code;
+    }
+
+    /**
+     * Audience-aware code to plainspeak translation
+     */
+    async audienceAwareCode2Plainspeak(code, template, context) {
+        const concepts = this.extractQuantumConcepts(code);
+        
+        switch (context.audience) {
+            case 'executives':
+                return this.generateExecutiveExplanation(concepts, context);
+            case 'stakeholders':
+                return this.generateStakeholderExplanation(concepts, context);
+            case 'clients':
+                return this.generateClientExplanation(concepts, context);
+            default:
+                return this.generateTechnicalExplanation(concepts, context);
+        }
+    }
+
+    /**
+     * Generate executive-focused explanation
+     */
+    generateExecutiveExplanation(concepts, context) {
+        let explanation = 'This quantum solution delivers measurable business advantages: ';
+        
+        if (concepts.includes('superposition')) {
+            explanation += 'Parallel exploration of all possible solutions simultaneously, providing exponential computational advantage. ';
+        }
+        if (concepts.includes('entanglement')) {
+            explanation += 'Unbreakable correlations for secure communication and coordinated optimization. ';
+        }
+        if (concepts.includes('measurement')) {
+            explanation += 'Converts quantum advantages into actionable business insights. ';
+        }
+        
+        explanation += 'ROI: Significant cost savings through superior algorithmic performance and competitive differentiation.';
+        return explanation;
+    }
+
+    /**
+     * Extract quantum concepts from code
+     */
+    extractQuantumConcepts(code) {
+        const concepts = [];
+        
+        if (code.includes('.h(')) concepts.push('superposition');
+        if (code.includes('.cnot(')) concepts.push('entanglement');
+        if (code.includes('.measure')) concepts.push('measurement');
+        if (code.includes('.ry(') || code.includes('.rx(') || code.includes('.rz(')) concepts.push('rotation');
+        if (code.includes('portfolio') || code.includes('optimization')) concepts.push('portfolio_optimization');
+        if (code.includes('grover') || code.includes('search')) concepts.push('quantum_search');
+        
+        return concepts;
+    }
+
+    /**
+     * Extract business concepts from plainspeak with context
+     */
+    extractBusinessConcepts(plainspeak, context) {
+        const concepts = [];
+        const lower = plainspeak.toLowerCase();
+        
+        const businessMappings = {
+            'optimization': ['portfolio', 'efficiency', 'maximize', 'minimize'],
+            'security': ['protection', 'encryption', 'secure', 'privacy'],
+            'search': ['find', 'discover', 'locate', 'identify'],
+            'simulation': ['model', 'predict', 'forecast', 'analyze']
+        };
+        
+        for (const [concept, keywords] of Object.entries(businessMappings)) {
+            if (keywords.some(keyword => lower.includes(keyword))) {
+                concepts.push(concept);
+            }
+        }
+        
+        return concepts;
+    }
+
+    /**
+     * Generate portfolio optimization specific code
+     */
+    generatePortfolioOptimizationCode(concepts) {
+        return `# Portfolio optimization using quantum advantage
+circuit = QuantumCircuit(4, 4)
+
+# Create superposition of portfolio states
+circuit.h(0)  # Asset correlation superposition
+circuit.h(1)  # Risk factor superposition
+
+# Encode correlation parameters
+theta = np.pi/3  # Market volatility parameter
+circuit.ry(theta, 1)
+
+# Create entanglement for asset correlations
+circuit.cnot(0, 1)  # Primary correlation
+circuit.cnot(1, 2)  # Secondary correlation
+
+# Apply optimization constraints
+circuit.rz(np.pi/4, 2)  # Return target
+circuit.rz(-np.pi/6, 3)  # Risk limit
+
+# Measure optimal portfolio allocation
+circuit.measure_all()
+`;
+    }
+
+    /**
+     * Fallback translation method
+     */
+    async fallbackTranslate(content, sourceType, targetType) {
+        switch (`${sourceType}_to_${targetType}`) {
+            case 'plainspeak_to_code':
+                return this.basicPlainspeak2Code(content);
+            case 'code_to_plainspeak':
+                return this.basicCode2Plainspeak(content);
+            default:
+                return 'Translation not available';
+        }
+    }
+
+    /**
+     * Basic translation methods (fallback)
+     */
+    basicPlainspeak2Code(plainspeak) {
+        const patterns = {
+            'superposition': 'circuit.h(0)',
+            'entanglement': 'circuit.cnot(0, 1)', 
+            'measurement': 'circuit.measure_all()',
+            'rotation': 'circuit.ry(theta, 0)',
+            'hadamard': 'circuit.h(0)'
+        };
+        
+        let code = '# Generated from plainspeak description\n';
+        code += 'from qiskit import QuantumCircuit\n';
+        code += 'circuit = QuantumCircuit(2, 2)\n\n';
+        
+        for (const [concept, implementation] of Object.entries(patterns)) {
+            if (plainspeak.toLowerCase().includes(concept)) {
+                code += `${implementation}  # ${concept}\n`;
+            }
+        }
+        
+        return code;
+    }
+
+    basicCode2Plainspeak(code) {
+        let explanation = 'This quantum algorithm ';
+        
+        if (code.includes('.h(')) {
+            explanation += 'creates a superposition state, allowing the qubit to exist in multiple states simultaneously. ';
+        }
+        if (code.includes('.cnot(')) {
+            explanation += 'Establishes quantum entanglement between qubits, creating correlations stronger than classical physics allows. ';
+        }
+        if (code.includes('.measure')) {
+            explanation += 'Measures the quantum state, collapsing it to a classical outcome with probabilities determined by quantum interference.';
+        }
+        
+        return explanation;
+    }
+
+    /**
+     * Set audience for adaptive translation
+     */
+    setAudience(audience) {
+        this.state.metadata.audience = audience;
+    }
+
+    updateAllPanels() {
+        this.representations.list().forEach(representation => {
+            if (!representation.render) return;
+            
+            if (this.state[representation.name] !== undefined) {
+                this.updatePanel(representation.name, this.state[representation.name]);
+            } else if (this.state.circuit) {
+                // Representations the state keeps no text for are generated from its circuit
+                Promise.resolve(representation.generate(this.state.circuit, this))
+                    .then(text => this.updatePanel(representation.name, text))
+                    .catch(error => console.warn(`Translation to ${representation.name} failed:`, error));
+            }
+        });
+    }
+}
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuadraticSyncCore;
+}
+
+// Global access
+globalThis.QuadraticSyncCore = QuadraticSyncCore;
\ No newline at end of file
@@ -0,0 +1,889 @@
+/**
+ * Circuit Transpiler
+ *
+ * Optimization passes over CircuitIR circuits. Every pass returns the rewritten
+ * circuit with a before/after diff keyed by operation id, which the circuit
+ * designer highlights gate by gate:
+ *
+ *   cancel_inverses    HH, XX, CNOT·CNOT, S·S† ... on the same qubits cancel
+ *   merge_rotations    RZ(a)·RZ(b) → RZ(a + b); likewise RX, RY, P and controlled forms
+ *   remove_identities  rotations by a multiple of 2π (4π for controlled rotations)
+ *   commute            reorder commuting gates into earlier time steps to cut depth
+ *
+ * Pairs may be separated by gates they commute with. Measurements, resets and
+ * classically conditioned gates are barriers on the qubits and bits they touch.
+ *
+ * transpileForDevice maps a circuit onto a DeviceProfile with three more passes:
+ *
+ *   unroll     Toffoli and multi-controlled X → one- and two-qubit gates
+ *   route      SWAPs along shortest paths until every two-qubit gate is coupled
+ *   decompose  two-qubit gates → native CNOT/CZ; single-qubit runs fused → native rotations
+ */
+
+class Transpiler {
+    /**
+     * Summaries of the available passes, in pipeline order
+     */
+    static list() {
+        return Object.entries(Transpiler.PASSES).map(([id, pass]) => ({
+            id,
+            name: pass.name,
+            description: pass.description
+        }));
+    }
+
+    /**
+     * Run one pass
+     *
+     * @param {string} passId - key of Transpiler.PASSES
+     * @param {Object} circuit - CircuitIR (or legacy) circuit
+     * @returns {{pass: string, name: string, before: Object, after: Object, changed: boolean,
+     *   diff: {removed: string[], added: string[], changed: Array, moved: Array},
+     *   stats: {before: {gates: number, depth: number}, after: {gates: number, depth: number}}}}
+     */
+    static runPass(passId, circuit) {
+        const pass = Transpiler.PASSES[passId];
+        if (!pass) {
+            throw new Error(`Unknown transpiler pass: ${passId}. Available: ${Object.keys(Transpiler.PASSES).join(', ')}`);
+        }
+        return Transpiler.applyPass(passId, pass, circuit);
+    }
+
+    /**
+     * Run a pass from PASSES or DEVICE_PASSES; context carries the device and
+     * layout for the device passes
+     */
+    static applyPass(passId, pass, circuit, context = null) {
+        const before = CircuitIR.normalize(circuit);
+        const operations = Transpiler.ordered(before.operations).map(op => Transpiler.cloneOperation(op));
+        const rewritten = pass.run(operations, context);
+        // Routing may move qubits onto physical qubits past the circuit's width
+        const qubits = Math.max(before.qubits, ...rewritten.flatMap(op => op.qubits).map(qubit => qubit + 1));
+        const after = { ...before, qubits, operations: rewritten };
+
+        const diff = Transpiler.diff(before, after);
+        const stats = { before: Transpiler.stats(before), after: Transpiler.stats(after) };
+
+        return {
+            pass: passId,
+            name: pass.name,
+            before,
+            after,
+            diff,
+            stats,
+            // Re-timing alone is not progress unless it shortens the circuit
+            changed: diff.removed.length > 0 || diff.added.length > 0 || diff.changed.length > 0 ||
+                stats.after.depth < stats.before.depth
+        };
+    }
+
+    /**
+     * Run passes repeatedly until none of them changes the circuit
+     *
+     * @param {Object} circuit - CircuitIR (or legacy) circuit
+     * @param {Object} options - { passes = Transpiler.DEFAULT_PIPELINE, maxRounds = 5 }
+     * @returns {{before: Object, after: Object, steps: Array, stats: Object}} steps holds
+     *   every runPass result that changed the circuit, in order
+     */
+    static optimize(circuit, options = {}) {
+        const passes = options.passes || Transpiler.DEFAULT_PIPELINE;
+        const maxRounds = options.maxRounds || 5;
+        const before = CircuitIR.normalize(circuit);
+        const steps = [];
+        let current = before;
+
+        for (let round = 0; round < maxRounds; round++) {
+            let changed = false;
+            for (const passId of passes) {
+                const result = Transpiler.runPass(passId, current);
+                if (result.changed) {
+                    steps.push(result);
+                    current = result.after;
+                    changed = true;
+                }
+            }
+            if (!changed) break;
+        }
+
+        return {
+            before,
+            after: current,
+            steps,
+            stats: { before: Transpiler.stats(before), after: Transpiler.stats(current) }
+        };
+    }
+
+    /**
+     * Map a circuit onto a device: unroll gates on three or more qubits, route
+     * two-qubit gates onto coupled qubits, rewrite into the native gate set,
+     * then run the optimization pipeline over the result
+     *
+     * @param {Object} circuit - CircuitIR (or legacy) circuit
+     * @param {DeviceProfile|string|Object} device - profile, preset id or config
+     * @param {Object} options - { layout: physical qubit per logical qubit (default q → q), optimize = true }
+     * @returns {{before: Object, after: Object, steps: Array, stats: Object, device: DeviceProfile,
+     *   metrics: {before: Object, after: Object}, layout: {initial: number[], final: number[]}, swaps: number}}
+     *   layout.final[q] is the physical qubit holding logical qubit q at the end,
+     *   where its measurement result should be read
+     */
+    static transpileForDevice(circuit, device, options = {}) {
+        if (typeof DeviceProfile === 'undefined') {
+            throw new Error('DeviceProfile not loaded. Include js/core/device-profile.js');
+        }
+
+        const profile = DeviceProfile.from(device);
+        const before = CircuitIR.normalize(circuit);
+        if (before.qubits > profile.qubits) {
+            throw new Error(`Circuit needs ${before.qubits} qubits but ${profile.name} has ${profile.qubits}`);
+        }
+
+        const initial = options.layout ? [...options.layout] : Array.from({ length: before.qubits }, (_, q) => q);
+        if (initial.length !== before.qubits || new Set(initial).size !== initial.length ||
+            initial.some(physical => !(physical >= 0 && physical < profile.qubits))) {
+            throw new Error(`Layout must place each of the ${before.qubits} qubits on a distinct qubit of ${profile.name}`);
+        }
+
+        const context = { device: profile, layout: [...initial], swaps: 0 };
+        const steps = [];
+        let current = before;
+
+        for (const passId of Transpiler.DEVICE_PIPELINE) {
+            const result = Transpiler.applyPass(passId, Transpiler.DEVICE_PASSES[passId], current, context);
+            if (result.changed) {
+                steps.push(result);
+                current = result.after;
+            }
+        }
+        if (options.optimize !== false) {
+            const optimized = Transpiler.optimize(current);
+            steps.push(...optimized.steps);
+            current = optimized.after;
+        }
+
+        return {
+            before,
+            after: current,
+            steps,
+            stats: { before: Transpiler.stats(before), after: Transpiler.stats(current) },
+            device: profile,
+            metrics: { before: Transpiler.metrics(before, profile), after: Transpiler.metrics(current, profile) },
+            layout: { initial, final: context.layout },
+            swaps: context.swaps
+        };
+    }
+
+    /**
+     * Depth, two-qubit gate count and estimated fidelity of a circuit on a device
+     */
+    static metrics(circuit, device) {
+        const operations = circuit.operations;
+        const entangling = operations.filter(op => op.type !== 'MEASURE' && op.qubits.length > 1);
+
+        return {
+            gates: operations.length,
+            depth: Transpiler.depth(operations),
+            twoQubitGates: entangling.length,
+            uncoupledGates: entangling.filter(op => op.qubits.length > 2 || !device.isCoupled(op.qubits[0], op.qubits[1])).length,
+            fidelity: device.estimateFidelity(operations)
+        };
+    }
+
+    /**
+     * Remove gate pairs that multiply to the identity
+     */
+    static cancelInverses(operations) {
+        let i = 0;
+        while (i < operations.length) {
+            const partner = Transpiler.findPartner(operations, i, Transpiler.areInverses);
+            if (partner === -1) {
+                i++;
+                continue;
+            }
+            operations.splice(partner, 1);
+            operations.splice(i, 1);
+            // The gate before may now meet a new partner
+            i = Math.max(0, i - 1);
+        }
+        return Transpiler.schedule(operations);
+    }
+
+    /**
+     * Fold same-axis rotations on the same qubits into the first one
+     */
+    static mergeRotations(operations) {
+        let i = 0;
+        while (i < operations.length) {
+            const partner = Transpiler.findPartner(operations, i, (a, b) =>
+                a.type === b.type && Transpiler.MERGEABLE_GATES.includes(a.type) && Transpiler.sameQubits(a, b));
+            if (partner === -1) {
+                i++;
+                continue;
+            }
+            const merged = operations[i];
+            merged.params = [merged.params[0] + operations[partner].params[0]];
+            operations.splice(partner, 1);
+        }
+        return Transpiler.schedule(operations);
+    }
+
+    static removeIdentities(operations) {
+        return Transpiler.schedule(operations.filter(op => !Transpiler.isIdentity(op)));
+    }
+
+    /**
+     * List-schedule the gates: each time step takes the earliest gates whose
+     * non-commuting predecessors are done, so commuting gates can overtake
+     * each other. Kept only when it beats the in-order schedule.
+     */
+    static commuteGates(operations) {
+        const inOrder = Transpiler.schedule(operations);
+        const dependencies = operations.map((op, i) =>
+            operations.slice(0, i).map((_, k) => k).filter(k => !Transpiler.commutes(operations[k], op)));
+
+        const times = new Array(operations.length).fill(-1);
+        let remaining = operations.length;
+        for (let time = 0; remaining > 0; time++) {
+            const occupied = new Set();
+            operations.forEach((op, i) => {
+                if (times[i] !== -1) return;
+                if (dependencies[i].some(k => times[k] === -1 || times[k] >= time)) return;
+
+                const span = Transpiler.span(op);
+                if (span.some(qubit => occupied.has(qubit))) return;
+                span.forEach(qubit => occupied.add(qubit));
+                times[i] = time;
+                remaining--;
+            });
+        }
+
+        const reordered = operations
+            .map((op, i) => ({ ...op, time: times[i], order: i }))
+            .sort((a, b) => a.time - b.time || a.order - b.order)
+            .map(({ order, ...op }) => op);
+
+        return Transpiler.depth(reordered) < Transpiler.depth(inOrder) ? reordered : inOrder;
+    }
+
+    /**
+     * Rewrite Toffoli and multi-controlled X gates into one- and two-qubit gates
+     */
+    static unrollMultiQubit(operations) {
+        return Transpiler.schedule(operations.flatMap(op =>
+            op.type !== 'MEASURE' && op.qubits.length > 2 ? Transpiler.unrollGate(op) : [op]));
+    }
+
+    static unrollGate(op) {
+        const parts = [];
+        const gate = (type, qubits, params = []) => parts.push({ type, qubits, params });
+        const target = op.qubits[op.qubits.length - 1];
+
+        if (op.type === 'CCX') {
+            // Standard 6-CNOT Toffoli
+            const [a, b] = op.qubits;
+            gate('H', [target]);
+            gate('CNOT', [b, target]);
+            gate('TDG', [target]);
+            gate('CNOT', [a, target]);
+            gate('T', [target]);
+            gate('CNOT', [b, target]);
+            gate('TDG', [target]);
+            gate('CNOT', [a, target]);
+            gate('T', [b]);
+            gate('T', [target]);
+            gate('H', [target]);
+            gate('CNOT', [a, b]);
+            gate('T', [a]);
+            gate('TDG', [b]);
+            gate('CNOT', [a, b]);
+        } else if (op.type === 'MCX') {
+            // X = H·Z·H on the target, and the multi-controlled Z is the phase
+            // polynomial x1···xk = Σ_S (-1)^(|S|+1) (⊕_{i∈S} x_i) / 2^(k-1)
+            // over every non-empty subset S, each parity computed with CNOTs
+            const k = op.qubits.length;
+            gate('H', [target]);
+            for (let subset = 1; subset < (1 << k); subset++) {
+                const members = op.qubits.filter((_, i) => subset & (1 << i));
+                const parity = members[members.length - 1];
+                const sign = members.length % 2 === 1 ? 1 : -1;
+
+                members.slice(0, -1).forEach(qubit => gate('CNOT', [qubit, parity]));
+                gate('P', [parity], [sign * Math.PI / Math.pow(2, k - 1)]);
+                members.slice(0, -1).reverse().forEach(qubit => gate('CNOT', [qubit, parity]));
+            }
+            gate('H', [target]);
+        } else {
+            throw new Error(`Cannot unroll ${op.type} on ${op.qubits.length} qubits`);
+        }
+
+        return Transpiler.derive(op, parts);
+    }
+
+    /**
+     * Insert SWAPs so every two-qubit gate acts on coupled physical qubits.
+     * Greedy: each gate is routed along a shortest path as it comes, with no
+     * lookahead. context.layout (physical qubit per logical qubit) is updated
+     * as qubits move
+     */
+    static route(operations, context) {
+        const { device, layout } = context;
+        const occupant = new Array(device.qubits).fill(-1);
+        layout.forEach((physical, logical) => { occupant[physical] = logical; });
+
+        const routed = [];
+        const swap = (a, b) => {
+            routed.push({ id: `swap_${context.swaps}`, type: 'SWAP', qubits: [a, b], params: [], time: 0 });
+            const [logicalA, logicalB] = [occupant[a], occupant[b]];
+            occupant[a] = logicalB;
+            occupant[b] = logicalA;
+            if (logicalA !== -1) layout[logicalA] = b;
+            if (logicalB !== -1) layout[logicalB] = a;
+            context.swaps++;
+        };
+
+        for (const op of operations) {
+            const entangling = op.type !== 'MEASURE' && op.qubits.length > 1;
+            if (entangling && op.qubits.length > 2) {
+                throw new Error(`Unroll ${op.type} before routing: only one- and two-qubit gates can be routed`);
+            }
+            if (entangling) {
+                const path = device.shortestPath(layout[op.qubits[0]], layout[op.qubits[1]]);
+                if (!path) {
+                    throw new Error(`Qubits ${op.qubits.join(' and ')} cannot interact on ${device.name}: no coupling path`);
+                }
+                // Walk both ends toward the middle of the path so the SWAPs run in parallel
+                const forward = Math.ceil((path.length - 2) / 2);
+                for (let i = 0; i < forward; i++) {
+                    swap(path[i], path[i + 1]);
+                }
+                for (let i = path.length - 1; i > forward + 1; i--) {
+                    swap(path[i], path[i - 1]);
+                }
+            }
+            routed.push({ ...op, qubits: op.qubits.map(qubit => layout[qubit]) });
+        }
+
+        return Transpiler.schedule(routed);
+    }
+
+    /**
+     * Rewrite into the device's native gates: two-qubit gates become CNOT or
+     * CZ plus single-qubit gates, then each run of single-qubit gates on a
+     * qubit is fused into one unitary and re-synthesized from native rotations
+     */
+    static decomposeToNative(operations, device) {
+        const native = [];
+        const pending = new Map();
+        const flush = qubit => {
+            const run = pending.get(qubit);
+            if (!run) return;
+            pending.delete(qubit);
+            native.push(...Transpiler.fuseSingleQubit(run, device));
+        };
+
+        for (const op of operations.flatMap(op => Transpiler.expandToNative(op, device))) {
+            const unitary = op.type !== 'MEASURE' && op.type !== 'RESET';
+            if (unitary && op.qubits.length === 1 && !op.condition) {
+                if (!pending.has(op.qubits[0])) pending.set(op.qubits[0], []);
+                pending.get(op.qubits[0]).push(op);
+                continue;
+            }
+
+            op.qubits.forEach(flush);
+            // A conditioned gate is synthesized on its own, keeping its condition
+            native.push(...(unitary && op.qubits.length === 1 ? Transpiler.fuseSingleQubit([op], device) : [op]));
+        }
+        [...pending.keys()].forEach(flush);
+
+        return Transpiler.schedule(native);
+    }
+
+    static expandToNative(op, device) {
+        if (op.type === 'MEASURE' || op.qubits.length < 2 || device.isNative(op.type)) {
+            return [op];
+        }
+        return Transpiler.expandTwoQubit(op, device).flatMap(part => Transpiler.expandToNative(part, device));
+    }
+
+    /**
+     * One two-qubit gate as the device's CNOT or CZ plus single-qubit gates
+     */
+    static expandTwoQubit(op, device) {
+        const entangler = ['CNOT', 'CZ'].find(type => device.isNative(type));
+        if (!entangler) {
+            throw new Error(`${device.name} has no native CNOT or CZ to decompose ${op.type} into`);
+        }
+        if (op.qubits.length !== 2) {
+            throw new Error(`Unroll ${op.type} before decomposing it to native gates`);
+        }
+
+        const parts = [];
+        const gate = (type, qubits, params = []) => parts.push({ type, qubits, params });
+        const cx = (control, target) => {
+            if (entangler === 'CNOT') {
+                gate('CNOT', [control, target]);
+            } else {
+                gate('H', [target]);
+                gate('CZ', [control, target]);
+                gate('H', [target]);
+            }
+        };
+        const [a, b] = op.qubits;
+        const half = op.params[0] / 2;
+
+        switch (op.type) {
+            case 'CNOT':
+            case 'MCX':
+                cx(a, b);
+                break;
+            case 'CZ':
+                gate('H', [b]);
+                cx(a, b);
+                gate('H', [b]);
+                break;
+            case 'SWAP':
+                cx(a, b);
+                cx(b, a);
+                cx(a, b);
+                break;
+            case 'ISWAP':
+                gate('S', [a]);
+                gate('S', [b]);
+                gate('H', [a]);
+                cx(a, b);
+                cx(b, a);
+                gate('H', [b]);
+                break;
+            case 'CRX':
+            case 'CRY':
+            case 'CRZ': {
+                // H·RZ·H = RX on the target, so CRX is a conjugated CRZ
+                const rotation = op.type === 'CRY' ? 'RY' : 'RZ';
+                if (op.type === 'CRX') gate('H', [b]);
+                gate(rotation, [b], [half]);
+                cx(a, b);
+                gate(rotation, [b], [-half]);
+                cx(a, b);
+                if (op.type === 'CRX') gate('H', [b]);
+                break;
+            }
+            case 'CP':
+                gate('P', [a], [half]);
+                cx(a, b);
+                gate('P', [b], [-half]);
+                cx(a, b);
+                gate('P', [b], [half]);
+                break;
+            default:
+                throw new Error(`No native decomposition for ${op.type}`);
+        }
+
+        return Transpiler.derive(op, parts);
+    }
+
+    /**
+     * Replace a run of single-qubit gates on one qubit with native rotations
+     * for their product, unless the run is already native and no longer
+     */
+    static fuseSingleQubit(run, device) {
+        let matrix = Transpiler.u3Matrix(0, 0, 0);
+        run.forEach(op => { matrix = Transpiler.multiply(Transpiler.gateMatrix(op), matrix); });
+
+        const parts = Transpiler.nativeRotations(Transpiler.eulerAngles(matrix), run[0].qubits[0], device);
+        if (run.every(op => device.isNative(op.type)) && run.length <= parts.length) {
+            return run;
+        }
+        return Transpiler.derive(run[0], parts);
+    }
+
+    /**
+     * Native gates for U3(θ, φ, λ), up to global phase
+     */
+    static nativeRotations([theta, phi, lambda], qubit, device) {
+        if (!device.isNative('RZ')) {
+            throw new Error(`${device.name} has no native RZ to synthesize single-qubit gates from`);
+        }
+
+        const parts = [];
+        const gate = (type, params = []) => parts.push({ type, qubits: [qubit], params });
+        const rz = angle => {
+            if (!Transpiler.isMultipleOf(angle, 2 * Math.PI)) gate('RZ', [Transpiler.wrapAngle(angle)]);
+        };
+        const near = (angle, value) => Math.abs(angle - value) < Transpiler.TOLERANCE;
+
+        if (near(theta, 0)) {
+            rz(phi + lambda);
+        } else if (device.isNative('RY')) {
+            rz(lambda);
+            gate('RY', [theta]);
+            rz(phi);
+        } else if (device.isNative('RX')) {
+            rz(lambda - Math.PI / 2);
+            gate('RX', [theta]);
+            rz(phi + Math.PI / 2);
+        } else if (device.isNative('SX')) {
+            if (near(theta, Math.PI) && device.isNative('X')) {
+                gate('X');
+                rz(phi - lambda - Math.PI);
+            } else if (near(theta, Math.PI / 2)) {
+                rz(lambda - Math.PI / 2);
+                gate('SX');
+                rz(phi + Math.PI / 2);
+            } else {
+                rz(lambda);
+                gate('SX');
+                rz(theta + Math.PI);
+                gate('SX');
+                rz(phi + Math.PI);
+            }
+        } else {
+            throw new Error(`${device.name} has no native RX, RY or SX to synthesize single-qubit gates from`);
+        }
+        return parts;
+    }
+
+    /**
+     * U3 angles (θ, φ, λ) of a 2x2 unitary, dropping its global phase
+     */
+    static eulerAngles(matrix) {
+        const [[u00, u01], [u10, u11]] = matrix;
+        const magnitude = z => Math.hypot(z.real, z.imag);
+        const arg = z => Math.atan2(z.imag, z.real);
+        const theta = 2 * Math.atan2(magnitude(u10), magnitude(u00));
+
+        if (magnitude(u10) < Transpiler.TOLERANCE) {
+            return [0, 0, arg(u11) - arg(u00)];
+        }
+        if (magnitude(u00) < Transpiler.TOLERANCE) {
+            // Only φ - λ is defined; take λ = 0
+            return [theta, arg(u10) - arg(u01) - Math.PI, 0];
+        }
+        const phase = arg(u00);
+        return [theta, arg(u10) - phase, arg(u01) + Math.PI - phase];
+    }
+
+    static gateMatrix(op) {
+        const angles = Transpiler.U3_ANGLES[op.type];
+        if (!angles) {
+            throw new Error(`No single-qubit decomposition for ${op.type}`);
+        }
+        return Transpiler.u3Matrix(...angles(op.params));
+    }
+
+    static u3Matrix(theta, phi, lambda) {
+        const polar = (radius, angle) => ({ real: radius * Math.cos(angle), imag: radius * Math.sin(angle) });
+        const cos = Math.cos(theta / 2), sin = Math.sin(theta / 2);
+        return [
+            [polar(cos, 0), polar(-sin, lambda)],
+            [polar(sin, phi), polar(cos, phi + lambda)]
+        ];
+    }
+
+    static multiply(a, b) {
+        const product = (x, y) => ({ real: x.real * y.real - x.imag * y.imag, imag: x.real * y.imag + x.imag * y.real });
+        return [0, 1].map(row => [0, 1].map(col => {
+            const first = product(a[row][0], b[0][col]);
+            const second = product(a[row][1], b[1][col]);
+            return { real: first.real + second.real, imag: first.imag + second.imag };
+        }));
+    }
+
+    /**
+     * Angle folded into (-π, π]
+     */
+    static wrapAngle(angle) {
+        const wrapped = angle - 2 * Math.PI * Math.round(angle / (2 * Math.PI));
+        return wrapped <= -Math.PI ? wrapped + 2 * Math.PI : wrapped;
+    }
+
+    /**
+     * Operations replacing op, with ids derived from op's id and its time and condition
+     */
+    static derive(op, parts) {
+        return parts.map((part, k) => {
+            const derived = { id: `${op.id}.${k}`, type: part.type, qubits: part.qubits, params: part.params, time: op.time };
+            if (op.condition) derived.condition = { ...op.condition, cbits: [...op.condition.cbits] };
+            return derived;
+        });
+    }
+
+    /**
+     * Index of the first later operation that matches, provided everything in
+     * between on the same qubits or bits commutes with operations[index]; -1 otherwise
+     */
+    static findPartner(operations, index, matches) {
+        const op = operations[index];
+        if (Transpiler.isBarrier(op)) return -1;
+
+        for (let k = index + 1; k < operations.length; k++) {
+            const other = operations[k];
+            if (!Transpiler.sharesResources(op, other)) continue;
+            if (!Transpiler.isBarrier(other) && matches(op, other)) return k;
+            if (!Transpiler.commutes(op, other)) return -1;
+        }
+        return -1;
+    }
+
+    static areInverses(a, b) {
+        if (!Transpiler.sameQubits(a, b)) return false;
+        if (a.type === b.type) return Transpiler.SELF_INVERSE_GATES.includes(a.type);
+        return Transpiler.INVERSE_PAIRS[a.type] === b.type;
+    }
+
+    /**
+     * Rotations and phases by a whole period, which leave the state unchanged
+     * up to global phase
+     */
+    static isIdentity(op) {
+        if (Transpiler.isBarrier(op)) return false;
+
+        const period = Transpiler.ROTATION_PERIODS[op.type];
+        if (period) {
+            return Transpiler.isMultipleOf(op.params[0], period);
+        }
+        if (op.type === 'U3') {
+            // U3(2πk, φ, λ) = ±diag(1, e^{i(φ+λ)})
+            return Transpiler.isMultipleOf(op.params[0], 2 * Math.PI) &&
+                Transpiler.isMultipleOf(op.params[1] + op.params[2], 2 * Math.PI);
+        }
+        return false;
+    }
+
+    static isMultipleOf(angle, period) {
+        if (typeof angle !== 'number') return false;
+        const turns = angle / period;
+        return Math.abs(turns - Math.round(turns)) < Transpiler.TOLERANCE;
+    }
+
+    /**
+     * Whether swapping two adjacent operations leaves the circuit unchanged.
+     * Gates sharing qubits commute when they are diagonal in the same Pauli
+     * basis on every shared qubit (e.g. RZ with a CNOT control, X with a CNOT target)
+     */
+    static commutes(a, b) {
+        if (!Transpiler.sharesResources(a, b)) return true;
+        if (Transpiler.isBarrier(a) || Transpiler.isBarrier(b)) return false;
+        if (a.type === b.type && Transpiler.sameQubits(a, b) &&
+            a.params.every((param, i) => param === b.params[i])) {
+            return true;
+        }
+
+        return a.qubits.filter(qubit => b.qubits.includes(qubit)).every(qubit => {
+            const axis = Transpiler.axisOn(a, qubit);
+            return axis !== null && axis === Transpiler.axisOn(b, qubit);
+        });
+    }
+
+    /**
+     * Pauli basis ('X' | 'Y' | 'Z') an operation is diagonal in on one of its qubits, or null
+     */
+    static axisOn(op, qubit) {
+        const controlled = Transpiler.CONTROLLED_AXES[op.type];
+        if (controlled) {
+            return qubit === op.qubits[op.qubits.length - 1] ? controlled : 'Z';
+        }
+        return Transpiler.GATE_AXES[op.type] || null;
+    }
+
+    static isBarrier(op) {
+        return op.type === 'MEASURE' || op.type === 'RESET' || Boolean(op.condition);
+    }
+
+    static sharesResources(a, b) {
+        if (a.qubits.some(qubit => b.qubits.includes(qubit))) return true;
+        const bBits = Transpiler.classicalBits(b);
+        return Transpiler.classicalBits(a).some(cbit => bBits.includes(cbit));
+    }
+
+    static classicalBits(op) {
+        return [...(op.cbits || []), ...(op.condition ? op.condition.cbits : [])];
+    }
+
+    /**
+     * Same target and control set; symmetric gates (CZ, CP, SWAP, iSWAP) ignore order
+     */
+    static sameQubits(a, b) {
+        if (a.qubits.length !== b.qubits.length) return false;
+        const sorted = qubits => [...qubits].sort((x, y) => x - y).join(',');
+
+        if (Transpiler.SYMMETRIC_GATES.includes(a.type)) {
+            return sorted(a.qubits) === sorted(b.qubits);
+        }
+        const last = a.qubits.length - 1;
+        return a.qubits[last] === b.qubits[last] &&
+            sorted(a.qubits.slice(0, last)) === sorted(b.qubits.slice(0, last));
+    }
+
+    /**
+     * Qubit rows an operation occupies in a time step: everything between its
+     * outermost qubits, so designer connectors never cross another gate
+     */
+    static span(op) {
+        const low = Math.min(...op.qubits), high = Math.max(...op.qubits);
+        return Array.from({ length: high - low + 1 }, (_, i) => low + i);
+    }
+
+    /**
+     * As-soon-as-possible time steps, keeping the operation order
+     */
+    static schedule(operations) {
+        const qubitFree = [];
+        const cbitFree = [];
+
+        return operations.map(op => {
+            const span = Transpiler.span(op);
+            const cbits = Transpiler.classicalBits(op);
+
+            let time = 0;
+            span.forEach(qubit => { time = Math.max(time, qubitFree[qubit] || 0); });
+            cbits.forEach(cbit => { time = Math.max(time, cbitFree[cbit] || 0); });
+
+            span.forEach(qubit => { qubitFree[qubit] = time + 1; });
+            cbits.forEach(cbit => { cbitFree[cbit] = time + 1; });
+            return { ...op, time };
+        });
+    }
+
+    static depth(operations) {
+        return operations.length === 0 ? 0 : Math.max(...operations.map(op => op.time)) + 1;
+    }
+
+    static stats(circuit) {
+        return { gates: circuit.operations.length, depth: Transpiler.depth(circuit.operations) };
+    }
+
+    /**
+     * Operation-level differences between two versions of a circuit, by id
+     */
+    static diff(before, after) {
+        const afterById = new Map(after.operations.map(op => [op.id, op]));
+        const beforeIds = new Set(before.operations.map(op => op.id));
+        const changed = [];
+        const moved = [];
+
+        for (const op of before.operations) {
+            const next = afterById.get(op.id);
+            if (!next) continue;
+            if (next.type !== op.type || next.qubits.join(',') !== op.qubits.join(',') ||
+                next.params.join(',') !== op.params.join(',')) {
+                changed.push({ id: op.id, before: op, after: next });
+            }
+            if (next.time !== op.time) {
+                moved.push({ id: op.id, from: op.time, to: next.time });
+            }
+        }
+
+        return {
+            removed: before.operations.filter(op => !afterById.has(op.id)).map(op => op.id),
+            added: after.operations.filter(op => !beforeIds.has(op.id)).map(op => op.id),
+            changed,
+            moved
+        };
+    }
+
+    static ordered(operations) {
+        return [...operations].sort((a, b) => a.time - b.time);
+    }
+
+    static cloneOperation(op) {
+        const copy = { ...op, qubits: [...op.qubits], params: [...op.params] };
+        if (op.cbits) copy.cbits = [...op.cbits];
+        if (op.condition) copy.condition = { ...op.condition, cbits: [...op.condition.cbits] };
+        return copy;
+    }
+}
+
+// Passes in default pipeline order
+Transpiler.PASSES = {
+    cancel_inverses: {
+        name: 'Cancel inverse pairs',
+        description: 'Removes HH, XX, CNOT·CNOT, S·S† and other pairs that multiply to the identity',
+        run: operations => Transpiler.cancelInverses(operations)
+    },
+    merge_rotations: {
+        name: 'Merge rotations',
+        description: 'Combines consecutive rotations about the same axis on the same qubits',
+        run: operations => Transpiler.mergeRotations(operations)
+    },
+    remove_identities: {
+        name: 'Remove identity rotations',
+        description: 'Drops rotations by a whole turn, which do nothing',
+        run: operations => Transpiler.removeIdentities(operations)
+    },
+    commute: {
+        name: 'Commute to reduce depth',
+        description: 'Moves gates past gates they commute with into earlier time steps',
+        run: operations => Transpiler.commuteGates(operations)
+    }
+};
+
+Transpiler.DEFAULT_PIPELINE = ['cancel_inverses', 'merge_rotations', 'remove_identities', 'commute'];
+
+// Passes run by transpileForDevice, in order, before the optimization pipeline
+Transpiler.DEVICE_PASSES = {
+    unroll: {
+        name: 'Unroll multi-qubit gates',
+        description: 'Rewrites Toffoli and multi-controlled X gates as one- and two-qubit gates',
+        run: operations => Transpiler.unrollMultiQubit(operations)
+    },
+    route: {
+        name: 'Route to coupling map',
+        description: 'Inserts SWAPs so every two-qubit gate acts on coupled qubits',
+        run: (operations, context) => Transpiler.route(operations, context)
+    },
+    decompose: {
+        name: 'Decompose to native gates',
+        description: "Rewrites every gate in the device's native gate set",
+        run: (operations, context) => Transpiler.decomposeToNative(operations, context.device)
+    }
+};
+
+Transpiler.DEVICE_PIPELINE = ['unroll', 'route', 'decompose'];
+
+Transpiler.SELF_INVERSE_GATES = ['H', 'X', 'Y', 'Z', 'CNOT', 'CZ', 'SWAP', 'CCX', 'MCX'];
+Transpiler.INVERSE_PAIRS = { S: 'SDG', SDG: 'S', T: 'TDG', TDG: 'T' };
+Transpiler.MERGEABLE_GATES = ['RX', 'RY', 'RZ', 'P', 'CRX', 'CRY', 'CRZ', 'CP'];
+Transpiler.SYMMETRIC_GATES = ['CZ', 'CP', 'SWAP', 'ISWAP'];
+
+// A controlled rotation by 2π is a Z on its control, so those need 4π
+Transpiler.ROTATION_PERIODS = {
+    RX: 2 * Math.PI, RY: 2 * Math.PI, RZ: 2 * Math.PI, P: 2 * Math.PI, CP: 2 * Math.PI,
+    CRX: 4 * Math.PI, CRY: 4 * Math.PI, CRZ: 4 * Math.PI
+};
+
+// Basis each single-qubit gate is diagonal in
+Transpiler.GATE_AXES = {
+    X: 'X', SX: 'X', RX: 'X',
+    Y: 'Y', RY: 'Y',
+    Z: 'Z', S: 'Z', SDG: 'Z', T: 'Z', TDG: 'Z', RZ: 'Z', P: 'Z'
+};
+
+// U3(θ, φ, λ) equal to each single-qubit gate up to global phase
+Transpiler.U3_ANGLES = {
+    H: () => [Math.PI / 2, 0, Math.PI],
+    X: () => [Math.PI, 0, Math.PI],
+    Y: () => [Math.PI, Math.PI / 2, Math.PI / 2],
+    Z: () => [0, 0, Math.PI],
+    S: () => [0, 0, Math.PI / 2],
+    SDG: () => [0, 0, -Math.PI / 2],
+    T: () => [0, 0, Math.PI / 4],
+    TDG: () => [0, 0, -Math.PI / 4],
+    SX: () => [Math.PI / 2, -Math.PI / 2, Math.PI / 2],
+    RX: ([theta]) => [theta, -Math.PI / 2, Math.PI / 2],
+    RY: ([theta]) => [theta, 0, 0],
+    RZ: ([theta]) => [0, 0, theta],
+    P: ([theta]) => [0, 0, theta],
+    U3: params => params
+};
+
+// Controlled gates are Z-diagonal on their controls and act in this basis on the target
+Transpiler.CONTROLLED_AXES = { CNOT: 'X', CCX: 'X', MCX: 'X', CRX: 'X', CRY: 'Y', CRZ: 'Z', CP: 'Z', CZ: 'Z' };
+
+Transpiler.TOLERANCE = 1e-9;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Transpiler;
+}
+
+// Global access
+globalThis.Transpiler = Transpiler;
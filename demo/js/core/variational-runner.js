@@ -0,0 +1,417 @@
+/**
+ * Variational Runner for QAOA / VQE
+ *
+ * Binds a parameterized ansatz, evaluates a cost Hamiltonian on the
+ * simulator and optimizes the parameters, reporting every iteration so the
+ * UI can chart convergence:
+ *
+ *   const problem = VariationalRunner.portfolioProblem({ returns, covariance, budget: 2 });
+ *   const runner = new VariationalRunner(VariationalRunner.qaoaAnsatz(problem.hamiltonian, problem.qubits), problem.hamiltonian);
+ *   const result = await runner.optimize({ method: 'nelder-mead', onIteration: record => chart.addPoint(record) });
+ *
+ * Ansatz operations are CircuitIR-shaped; an angle may be symbolic,
+ * { index, scale }, meaning scale · θ[index]. Symbolic angles are only
+ * allowed on RX / RY / RZ / P so parameter-shift gradients stay exact.
+ * Hamiltonians are { terms: [{ coefficient, pauli: 'Z0 Z1' }], offset }
+ */
+
+class VariationalRunner {
+    /**
+     * @param {Object} ansatz - { qubits, parameters, operations, initialParams? }
+     * @param {Object} hamiltonian - { terms, offset = 0 }
+     * @param {Object} options - { simulator }
+     */
+    constructor(ansatz, hamiltonian, options = {}) {
+        if (typeof QuantumSimulator === 'undefined' && !options.simulator) {
+            throw new Error('QuantumSimulator not loaded. Include js/core/quantum-sim.js');
+        }
+
+        VariationalRunner.validateAnsatz(ansatz);
+        this.ansatz = ansatz;
+        this.hamiltonian = hamiltonian;
+        this.simulator = options.simulator || new QuantumSimulator();
+        this.simulator.initialize(ansatz.qubits);
+        this.observable = this.simulator.parseObservable(hamiltonian.terms);
+        this.evaluations = 0;
+    }
+
+    static validateAnsatz(ansatz) {
+        ansatz.operations.forEach((op, index) => {
+            const symbolic = op.params.some(param => typeof param === 'object');
+            if (symbolic && !VariationalRunner.SHIFTABLE_GATES.includes(op.type)) {
+                throw new Error(`Ansatz operation ${index} (${op.type}) cannot take a trainable angle; use ${VariationalRunner.SHIFTABLE_GATES.join(', ')}`);
+            }
+            op.params.filter(param => typeof param === 'object').forEach(param => {
+                if (!Number.isInteger(param.index) || param.index < 0 || param.index >= ansatz.parameters) {
+                    throw new Error(`Ansatz operation ${index} refers to parameter ${param.index} of ${ansatz.parameters}`);
+                }
+            });
+        });
+    }
+
+    /**
+     * Concrete CircuitIR circuit for a parameter vector; shift adds delta to
+     * the angle of one operation (used by parameter-shift gradients)
+     */
+    bind(params, shift = null) {
+        const operations = this.ansatz.operations.map((op, index) => ({
+            ...op,
+            params: op.params.map(param => {
+                const angle = typeof param === 'object' ? (param.scale !== undefined ? param.scale : 1) * params[param.index] : param;
+                return shift && shift.operation === index ? angle + shift.delta : angle;
+            })
+        }));
+        return CircuitIR.normalize({ qubits: this.ansatz.qubits, operations });
+    }
+
+    /**
+     * ⟨H⟩ for a parameter vector
+     */
+    energy(params, shift = null) {
+        const circuit = this.bind(params, shift);
+        this.simulator.initialize(circuit.qubits);
+        circuit.operations.forEach(op => this.simulator.applyOperation(op));
+        this.evaluations++;
+
+        return (this.hamiltonian.offset || 0) + this.observable.reduce(
+            (sum, term) => sum + term.coefficient * this.simulator.getPauliExpectation(term.paulis), 0);
+    }
+
+    /**
+     * Parameter-shift gradient: each trainable gate angle φ = s·θ contributes
+     * s · [E(φ + π/2) − E(φ − π/2)] / 2 to ∂E/∂θ
+     */
+    gradient(params) {
+        const gradient = new Array(this.ansatz.parameters).fill(0);
+
+        this.ansatz.operations.forEach((op, operation) => {
+            op.params.forEach(param => {
+                if (typeof param !== 'object') return;
+                const scale = param.scale !== undefined ? param.scale : 1;
+                const plus = this.energy(params, { operation, delta: Math.PI / 2 });
+                const minus = this.energy(params, { operation, delta: -Math.PI / 2 });
+                gradient[param.index] += scale * (plus - minus) / 2;
+            });
+        });
+
+        return gradient;
+    }
+
+    /**
+     * Optimize the ansatz parameters
+     *
+     * @param {Object} options - { method: 'nelder-mead' | 'gradient', initialParams,
+     *   maxIterations = 100, tolerance = 1e-6, step = 0.3 (initial simplex size),
+     *   learningRate = 0.05 (Adam step, radians), onIteration(record) }
+     * @returns {Promise<{params: number[], energy: number, iterations: number, evaluations: number,
+     *   converged: boolean, history: Array, circuit: Object, distribution: Object}>}
+     */
+    async optimize(options = {}) {
+        const method = options.method || 'nelder-mead';
+        const steps = {
+            'nelder-mead': () => this.nelderMead(options),
+            gradient: () => this.gradientDescent(options)
+        };
+        if (!steps[method]) {
+            throw new Error(`Unknown optimizer: ${method}. Use ${Object.keys(steps).join(' or ')}`);
+        }
+
+        this.evaluations = 0;
+        const history = [];
+        let converged = false;
+
+        for (const step of steps[method]()) {
+            const record = { ...step, iteration: history.length, evaluations: this.evaluations };
+            history.push(record);
+            converged = step.converged;
+            if (options.onIteration) {
+                options.onIteration(record);
+            }
+            // Let the page repaint between iterations
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        const last = history[history.length - 1];
+        const circuit = this.bind(last.params);
+        this.simulator.initialize(circuit.qubits);
+        circuit.operations.forEach(op => this.simulator.applyOperation(op));
+
+        return {
+            params: last.params,
+            energy: last.energy,
+            iterations: history.length - 1,
+            evaluations: this.evaluations,
+            converged,
+            history,
+            circuit,
+            distribution: this.simulator.getMeasurementDistribution()
+        };
+    }
+
+    initialParams(options) {
+        const initial = options.initialParams || this.ansatz.initialParams ||
+            new Array(this.ansatz.parameters).fill(0.1);
+        if (initial.length !== this.ansatz.parameters) {
+            throw new Error(`Expected ${this.ansatz.parameters} initial parameters, got ${initial.length}`);
+        }
+        return [...initial];
+    }
+
+    /**
+     * Nelder–Mead simplex search; yields the best vertex after every iteration
+     */
+    *nelderMead(options) {
+        const maxIterations = options.maxIterations !== undefined ? options.maxIterations : 100;
+        const tolerance = options.tolerance !== undefined ? options.tolerance : 1e-6;
+        const step = options.step !== undefined ? options.step : 0.3;
+        const start = this.initialParams(options);
+        const dimension = start.length;
+
+        let simplex = [start, ...start.map((_, i) => start.map((value, j) => (i === j ? value + step : value)))]
+            .map(point => ({ point, value: this.energy(point) }));
+        const combine = (a, b, weight) => a.map((value, i) => value + weight * (b[i] - value));
+
+        simplex.sort((a, b) => a.value - b.value);
+        yield { params: [...simplex[0].point], energy: simplex[0].value, converged: false };
+
+        for (let iteration = 1; iteration <= maxIterations; iteration++) {
+            const worst = simplex[dimension];
+            const centroid = start.map((_, i) => simplex.slice(0, dimension).reduce((sum, vertex) => sum + vertex.point[i], 0) / dimension);
+
+            // Reflect, expand, contract or shrink
+            const reflected = combine(centroid, worst.point, -1);
+            const reflectedValue = this.energy(reflected);
+
+            if (reflectedValue < simplex[0].value) {
+                const expanded = combine(centroid, worst.point, -2);
+                const expandedValue = this.energy(expanded);
+                simplex[dimension] = expandedValue < reflectedValue ?
+                    { point: expanded, value: expandedValue } : { point: reflected, value: reflectedValue };
+            } else if (reflectedValue < simplex[dimension - 1].value) {
+                simplex[dimension] = { point: reflected, value: reflectedValue };
+            } else {
+                const contracted = combine(centroid, worst.point, 0.5);
+                const contractedValue = this.energy(contracted);
+                if (contractedValue < worst.value) {
+                    simplex[dimension] = { point: contracted, value: contractedValue };
+                } else {
+                    const best = simplex[0].point;
+                    simplex = simplex.map((vertex, index) => {
+                        if (index === 0) return vertex;
+                        const point = combine(best, vertex.point, 0.5);
+                        return { point, value: this.energy(point) };
+                    });
+                }
+            }
+
+            simplex.sort((a, b) => a.value - b.value);
+            const spread = simplex[dimension].value - simplex[0].value;
+            const converged = spread < tolerance;
+            yield { params: [...simplex[0].point], energy: simplex[0].value, converged };
+            if (converged) return;
+        }
+    }
+
+    /**
+     * Adam on parameter-shift gradients: each parameter steps by about
+     * learningRate radians whatever the scale of the Hamiltonian, shrinking
+     * as its gradient settles. Converged once the gradient or the energy
+     * stops changing by more than tolerance
+     */
+    *gradientDescent(options) {
+        const maxIterations = options.maxIterations !== undefined ? options.maxIterations : 100;
+        const tolerance = options.tolerance !== undefined ? options.tolerance : 1e-6;
+        const learningRate = options.learningRate !== undefined ? options.learningRate : 0.05;
+        const [beta1, beta2, epsilon] = [0.9, 0.999, 1e-8];
+        let params = this.initialParams(options);
+        let energy = this.energy(params);
+        const moment = params.map(() => 0);
+        const variance = params.map(() => 0);
+
+        yield { params: [...params], energy, converged: false };
+
+        for (let iteration = 1; iteration <= maxIterations; iteration++) {
+            const gradient = this.gradient(params);
+            const gradientNorm = Math.hypot(...gradient);
+            params = params.map((value, i) => {
+                moment[i] = beta1 * moment[i] + (1 - beta1) * gradient[i];
+                variance[i] = beta2 * variance[i] + (1 - beta2) * gradient[i] * gradient[i];
+                const corrected = moment[i] / (1 - Math.pow(beta1, iteration));
+                const scale = Math.sqrt(variance[i] / (1 - Math.pow(beta2, iteration))) + epsilon;
+                return value - learningRate * corrected / scale;
+            });
+
+            const previous = energy;
+            energy = this.energy(params);
+            const converged = gradientNorm < tolerance || Math.abs(energy - previous) < tolerance;
+            yield { params: [...params], energy, gradientNorm, converged };
+            if (converged) return;
+        }
+    }
+
+    /**
+     * QAOA ansatz for a diagonal (Z-only) Hamiltonian: |+⟩ on every qubit, then
+     * per layer e^{-iγ c Z…Z} for each term and an RX(2β) mixer. Parameters
+     * are [γ1, β1, γ2, β2, ...]
+     */
+    static qaoaAnsatz(hamiltonian, qubits, layers = 1) {
+        const simulator = new QuantumSimulator().initialize(qubits);
+        const terms = simulator.parseObservable(hamiltonian.terms);
+        const operations = [];
+
+        for (let qubit = 0; qubit < qubits; qubit++) {
+            operations.push({ type: 'H', qubits: [qubit], params: [] });
+        }
+
+        for (let layer = 0; layer < layers; layer++) {
+            terms.forEach(({ coefficient, paulis }) => {
+                if (paulis.some(([, pauli]) => pauli !== 'Z')) {
+                    throw new Error('QAOA needs a diagonal cost Hamiltonian made of Z terms');
+                }
+                if (paulis.length === 0) return;
+
+                // Parity onto the last qubit, rotate, then uncompute
+                const wires = paulis.map(([qubit]) => qubit);
+                const target = wires[wires.length - 1];
+                const ladder = wires.slice(0, -1).map(qubit => ({ type: 'CNOT', qubits: [qubit, target], params: [] }));
+                operations.push(...ladder);
+                operations.push({ type: 'RZ', qubits: [target], params: [{ index: 2 * layer, scale: 2 * coefficient }] });
+                operations.push(...[...ladder].reverse());
+            });
+
+            for (let qubit = 0; qubit < qubits; qubit++) {
+                operations.push({ type: 'RX', qubits: [qubit], params: [{ index: 2 * layer + 1, scale: 2 }] });
+            }
+        }
+
+        return {
+            qubits,
+            parameters: 2 * layers,
+            operations,
+            initialParams: new Array(2 * layers).fill(0).map((_, i) => (i % 2 === 0 ? 0.5 : 0.3))
+        };
+    }
+
+    /**
+     * Hardware-efficient VQE ansatz: RY on every qubit, then per layer a CNOT
+     * chain followed by another RY layer
+     */
+    static hardwareEfficientAnsatz(qubits, layers = 1) {
+        const operations = [];
+        let parameter = 0;
+        const rotations = () => {
+            for (let qubit = 0; qubit < qubits; qubit++) {
+                operations.push({ type: 'RY', qubits: [qubit], params: [{ index: parameter++, scale: 1 }] });
+            }
+        };
+
+        rotations();
+        for (let layer = 0; layer < layers; layer++) {
+            for (let qubit = 0; qubit < qubits - 1; qubit++) {
+                operations.push({ type: 'CNOT', qubits: [qubit, qubit + 1], params: [] });
+            }
+            rotations();
+        }
+
+        return { qubits, parameters: parameter, operations };
+    }
+
+    /**
+     * Ising Hamiltonian of a QUBO cost Σ linear_i x_i + Σ_ij quadratic_ij x_i x_j + constant
+     * over x_i ∈ {0, 1}, using x_i = (1 − Z_i) / 2 so x_i = 1 reads as qubit i in |1⟩
+     */
+    static isingFromQubo(quadratic, linear, constant = 0) {
+        const n = linear.length;
+        const zCoefficients = new Array(n).fill(0);
+        const pairs = [];
+        let offset = constant;
+
+        for (let i = 0; i < n; i++) {
+            const weight = linear[i] + quadratic[i][i];
+            offset += weight / 2;
+            zCoefficients[i] -= weight / 2;
+        }
+
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) {
+                const weight = quadratic[i][j] + quadratic[j][i];
+                if (weight === 0) continue;
+                offset += weight / 4;
+                zCoefficients[i] -= weight / 4;
+                zCoefficients[j] -= weight / 4;
+                pairs.push({ coefficient: weight / 4, pauli: `Z${i} Z${j}` });
+            }
+        }
+
+        const singles = zCoefficients
+            .map((coefficient, i) => ({ coefficient, pauli: `Z${i}` }))
+            .filter(term => term.coefficient !== 0);
+        return { terms: [...singles, ...pairs], offset };
+    }
+
+    /**
+     * Mean-variance portfolio selection as a QUBO: choose assets x to minimize
+     * riskAversion · xᵀΣx − μᵀx + penalty · (Σx − budget)²
+     *
+     * @param {Object} problem - { returns, covariance, riskAversion = 0.5, budget, penalty, assets }
+     * @returns {{qubits: number, assets: string[], hamiltonian: Object, cost: Function}}
+     */
+    static portfolioProblem({ returns, covariance, riskAversion = 0.5, budget, penalty, assets }) {
+        const n = returns.length;
+        if (covariance.length !== n || covariance.some(row => row.length !== n)) {
+            throw new Error(`Covariance must be a ${n}×${n} matrix to match ${n} returns`);
+        }
+
+        // Large enough that breaking the budget never pays
+        const weight = budget === undefined ? 0 : (penalty !== undefined ? penalty :
+            returns.reduce((sum, r) => sum + Math.abs(r), 0) +
+            riskAversion * covariance.flat().reduce((sum, c) => sum + Math.abs(c), 0));
+
+        const quadratic = covariance.map((row, i) => row.map((value, j) => riskAversion * value + weight));
+        const linear = returns.map(r => -r - (budget === undefined ? 0 : 2 * weight * budget));
+        const constant = budget === undefined ? 0 : weight * budget * budget;
+
+        const cost = bitstring => {
+            const x = [...bitstring].map(Number);
+            let total = constant;
+            for (let i = 0; i < n; i++) {
+                total += linear[i] * x[i];
+                for (let j = 0; j < n; j++) total += quadratic[i][j] * x[i] * x[j];
+            }
+            return total;
+        };
+
+        return {
+            qubits: n,
+            assets: assets || returns.map((_, i) => `Asset ${i}`),
+            hamiltonian: VariationalRunner.isingFromQubo(quadratic, linear, constant),
+            cost
+        };
+    }
+
+    /**
+     * Classical baseline: evaluate the cost of every bitstring
+     *
+     * @returns {{bitstring: string, cost: number, evaluations: number, ranking: Array<{bitstring: string, cost: number}>}}
+     */
+    static bruteForce(cost, qubits) {
+        const ranking = [];
+        for (let state = 0; state < (1 << qubits); state++) {
+            const bitstring = state.toString(2).padStart(qubits, '0');
+            ranking.push({ bitstring, cost: cost(bitstring) });
+        }
+        ranking.sort((a, b) => a.cost - b.cost);
+        return { bitstring: ranking[0].bitstring, cost: ranking[0].cost, evaluations: ranking.length, ranking };
+    }
+}
+
+// Gates whose angle can be trained with the two-term parameter-shift rule
+VariationalRunner.SHIFTABLE_GATES = ['RX', 'RY', 'RZ', 'P'];
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VariationalRunner;
+}
+
+// Global access
+globalThis.VariationalRunner = VariationalRunner;
@@ -0,0 +1,167 @@
+/**
+ * Workspace History
+ *
+ * Linear undo/redo over snapshots of the whole workspace: the plainspeak,
+ * code and notation texts and the shared circuit. The sync engine records
+ * every state transition; making a change after undoing drops the undone
+ * entries, as in an editor.
+ *
+ * Texts are immutable strings, so a snapshot costs little more than its
+ * circuit. Edits of the same text panel less than COALESCE_MS apart share
+ * an entry, so a burst of typing undoes in one step.
+ */
+
+class WorkspaceHistory {
+    /**
+     * @param {Object} options - { limit = WorkspaceHistory.LIMIT entries kept }
+     */
+    constructor(options = {}) {
+        this.limit = options.limit || WorkspaceHistory.LIMIT;
+        this.entries = []; // [{ seq, source, timestamp, state: { plainspeak, code, notation, circuit } }]
+        this.position = -1;
+        this.sequence = 0;
+        this.listeners = new Map();
+    }
+
+    /**
+     * Record the workspace after a transition. Returns the entry now current
+     *
+     * @param {Object} state - { plainspeak, code, notation, circuit }
+     * @param {string} source - what changed: 'plainspeak' | 'code' | 'notation' | 'circuit' | 'qasm' | 'workspace'
+     */
+    record(state, source = 'workspace') {
+        const snapshot = WorkspaceHistory.snapshot(state);
+        const current = this.current();
+        if (current && WorkspaceHistory.sameSnapshot(current.state, snapshot)) {
+            return current;
+        }
+
+        const timestamp = Date.now();
+        const atEnd = this.position === this.entries.length - 1;
+        if (current && atEnd && current.source === source &&
+            WorkspaceHistory.TEXT_SOURCES.includes(source) &&
+            timestamp - current.timestamp < WorkspaceHistory.COALESCE_MS) {
+            current.state = snapshot;
+            current.timestamp = timestamp;
+            this.notify();
+            return current;
+        }
+
+        this.entries.splice(this.position + 1);
+        this.entries.push({ seq: this.sequence++, source, timestamp, state: snapshot });
+        if (this.entries.length > this.limit) {
+            this.entries.shift();
+        }
+        this.position = this.entries.length - 1;
+        this.notify();
+        return this.current();
+    }
+
+    current() {
+        return this.entries[this.position] || null;
+    }
+
+    canUndo() {
+        return this.position > 0;
+    }
+
+    canRedo() {
+        return this.position < this.entries.length - 1;
+    }
+
+    /**
+     * Step back one entry; returns the entry to restore, or null at the start
+     */
+    undo() {
+        return this.canUndo() ? this.goTo(this.position - 1) : null;
+    }
+
+    redo() {
+        return this.canRedo() ? this.goTo(this.position + 1) : null;
+    }
+
+    /**
+     * Move to any recorded entry without dropping the ones after it
+     */
+    goTo(position) {
+        if (this.entries.length === 0) return null;
+        this.position = Math.max(0, Math.min(position, this.entries.length - 1));
+        this.notify();
+        return this.current();
+    }
+
+    clear() {
+        this.entries = [];
+        this.position = -1;
+        this.notify();
+    }
+
+    /**
+     * Entries recorded from sequence number `seq` on, copied so they can be
+     * stored with a result and replayed later
+     *
+     * @returns {Array<{seq, source, timestamp, state}>}
+     */
+    since(seq = 0) {
+        return this.entries
+            .filter(entry => entry.seq >= seq)
+            .map(entry => JSON.parse(JSON.stringify(entry)));
+    }
+
+    /**
+     * Sequence number the next entry will get, to mark where something began
+     */
+    mark() {
+        return this.sequence;
+    }
+
+    addListener(callback) {
+        const id = Date.now() + Math.random();
+        this.listeners.set(id, callback);
+        return id;
+    }
+
+    removeListener(id) {
+        this.listeners.delete(id);
+    }
+
+    notify() {
+        this.listeners.forEach(callback => {
+            try {
+                callback(this);
+            } catch (error) {
+                console.error('History listener error:', error);
+            }
+        });
+    }
+
+    static snapshot(state) {
+        return {
+            plainspeak: state.plainspeak || '',
+            code: state.code || '',
+            notation: state.notation || '',
+            circuit: state.circuit ? CircuitIR.normalize(state.circuit) : null
+        };
+    }
+
+    static sameSnapshot(a, b) {
+        return a.plainspeak === b.plainspeak &&
+            a.code === b.code &&
+            a.notation === b.notation &&
+            JSON.stringify(a.circuit) === JSON.stringify(b.circuit);
+    }
+}
+
+WorkspaceHistory.LIMIT = 200;
+WorkspaceHistory.COALESCE_MS = 2000;
+
+// Sources whose successive edits merge into one entry
+WorkspaceHistory.TEXT_SOURCES = ['plainspeak', 'code', 'notation'];
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkspaceHistory;
+}
+
+// Global access
+globalThis.WorkspaceHistory = WorkspaceHistory;
@@ -0,0 +1,288 @@
+/**
+ * Workspace Store
+ *
+ * Keeps named workspaces (the plainspeak, code and notation texts and the
+ * shared circuit) in the browser's IndexedDB, and packs a workspace into a
+ * URL fragment so a link opens the same workspace somewhere else:
+ *
+ *   await store.save('Bell pair', WorkspaceStore.capture(syncEngine));
+ *   await store.list()                        -> [{ name, updated, gates }]
+ *   await WorkspaceStore.encode(workspace)    -> 'workspace=z.eJwtjcFK...'
+ *   await WorkspaceStore.decode(location.hash) -> workspace, or null without one
+ *
+ * Nothing leaves the browser: IndexedDB is local and a link carries the
+ * workspace itself, deflated with the built-in CompressionStream where the
+ * browser has one, so both work offline.
+ */
+
+class WorkspaceStore {
+    /**
+     * @param {Object} options - { database = WorkspaceStore.DATABASE,
+     *   indexedDB = the browser's }
+     */
+    constructor(options = {}) {
+        this.database = options.database || WorkspaceStore.DATABASE;
+        this.indexedDB = options.indexedDB || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.connection = null; // Promise of the open IDBDatabase
+    }
+
+    isAvailable() {
+        return Boolean(this.indexedDB);
+    }
+
+    open() {
+        if (!this.indexedDB) {
+            return Promise.reject(new Error('IndexedDB is not available, so workspaces cannot be saved in this browser'));
+        }
+        if (!this.connection) {
+            const request = this.indexedDB.open(this.database, WorkspaceStore.DATABASE_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(WorkspaceStore.STORE)) {
+                    db.createObjectStore(WorkspaceStore.STORE, { keyPath: 'name' });
+                }
+            };
+            this.connection = WorkspaceStore.request(request).catch(error => {
+                this.connection = null;
+                throw error;
+            });
+        }
+        return this.connection;
+    }
+
+    /**
+     * Save a workspace under a name, replacing any saved under it before
+     *
+     * @returns {Promise<{name, updated, workspace}>} the stored record
+     */
+    async save(name, workspace) {
+        const key = String(name || '').trim();
+        if (!key) {
+            throw new Error('A workspace needs a name to be saved');
+        }
+        const record = { name: key, updated: Date.now(), workspace: WorkspaceStore.snapshot(workspace) };
+        await this.transaction('readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * @returns {Promise<?{name, updated, workspace}>} null when nothing is saved under name
+     */
+    async load(name) {
+        const record = await this.transaction('readonly', store => store.get(name));
+        return record || null;
+    }
+
+    /**
+     * Saved workspaces, most recently saved first
+     *
+     * @returns {Promise<Array<{name, updated, gates}>>}
+     */
+    async list() {
+        const records = await this.transaction('readonly', store => store.getAll());
+        return records
+            .map(({ name, updated, workspace }) => ({
+                name,
+                updated,
+                gates: workspace.circuit ? workspace.circuit.operations.length : 0
+            }))
+            .sort((a, b) => b.updated - a.updated);
+    }
+
+    async remove(name) {
+        await this.transaction('readwrite', store => store.delete(name));
+    }
+
+    /**
+     * Run one request against the object store and wait for its transaction to commit
+     */
+    async transaction(mode, operation) {
+        const db = await this.open();
+        const transaction = db.transaction(WorkspaceStore.STORE, mode);
+        const done = new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Workspace transaction was aborted'));
+        });
+        const [result] = await Promise.all([
+            WorkspaceStore.request(operation(transaction.objectStore(WorkspaceStore.STORE))),
+            done
+        ]);
+        return result;
+    }
+
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * The workspace on display
+     */
+    static capture(syncEngine) {
+        return WorkspaceStore.snapshot(syncEngine.getState());
+    }
+
+    /**
+     * Show a workspace in every panel, as one change in the history
+     */
+    static restore(syncEngine, workspace) {
+        syncEngine.setState(WorkspaceStore.snapshot(workspace), { source: 'workspace' });
+    }
+
+    static snapshot(workspace) {
+        return {
+            plainspeak: workspace.plainspeak || '',
+            code: workspace.code || '',
+            notation: workspace.notation || '',
+            circuit: workspace.circuit ? CircuitIR.normalize(workspace.circuit) : null
+        };
+    }
+
+    /**
+     * URL fragment that opens a workspace: 'workspace=<format>.<base64url>'
+     * with format 'z' for deflated JSON and 'j' for plain JSON
+     */
+    static async encode(workspace) {
+        let bytes = new TextEncoder().encode(JSON.stringify(WorkspaceStore.pack(workspace)));
+        let format = WorkspaceStore.PLAIN;
+        if (typeof CompressionStream !== 'undefined') {
+            bytes = await WorkspaceStore.pipe(bytes, new CompressionStream('deflate'));
+            format = WorkspaceStore.DEFLATED;
+        }
+        return `${WorkspaceStore.FRAGMENT_KEY}=${format}.${WorkspaceStore.toBase64Url(bytes)}`;
+    }
+
+    /**
+     * Workspace in a URL fragment (with or without its '#'), null when it holds none
+     */
+    static async decode(fragment) {
+        const value = new URLSearchParams(String(fragment || '').replace(/^#/, '')).get(WorkspaceStore.FRAGMENT_KEY);
+        if (!value) return null;
+
+        const match = value.match(/^([a-z])\.([A-Za-z0-9_-]+)$/);
+        if (!match) {
+            throw new Error('This workspace link is damaged or incomplete');
+        }
+        const [, format, payload] = match;
+        if (format !== WorkspaceStore.PLAIN && format !== WorkspaceStore.DEFLATED) {
+            throw new Error(`Unknown workspace link format '${format}'`);
+        }
+        if (format === WorkspaceStore.DEFLATED && typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot open compressed workspace links');
+        }
+
+        let packed;
+        try {
+            let bytes = WorkspaceStore.fromBase64Url(payload);
+            if (format === WorkspaceStore.DEFLATED) {
+                bytes = await WorkspaceStore.pipe(bytes, new DecompressionStream('deflate'));
+            }
+            packed = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw new Error('This workspace link is damaged or incomplete');
+        }
+        return WorkspaceStore.unpack(packed);
+    }
+
+    /**
+     * Short-keyed form of a workspace for links. Operations drop their ids and
+     * keep [type, qubits, time, params, cbits, [condition cbits, value]],
+     * without trailing empty fields
+     */
+    static pack(workspace) {
+        const { plainspeak, code, notation, circuit } = WorkspaceStore.snapshot(workspace);
+        const packed = { v: WorkspaceStore.LINK_VERSION };
+        if (plainspeak) packed.p = plainspeak;
+        if (code) packed.c = code;
+        if (notation) packed.n = notation;
+        if (circuit) {
+            packed.q = {
+                q: circuit.qubits,
+                c: circuit.clbits,
+                o: circuit.operations.map(op => {
+                    const fields = [op.type, op.qubits, op.time, op.params, op.cbits || null,
+                        op.condition ? [op.condition.cbits, op.condition.value] : null];
+                    while (fields.length > 3 && WorkspaceStore.isEmpty(fields[fields.length - 1])) {
+                        fields.pop();
+                    }
+                    return fields;
+                })
+            };
+            if (circuit.cregs) {
+                packed.q.r = circuit.cregs.map(creg => [creg.name, creg.size]);
+            }
+        }
+        return packed;
+    }
+
+    static unpack(packed) {
+        if (!packed || typeof packed !== 'object') {
+            throw new Error('This workspace link is damaged or incomplete');
+        }
+        if (packed.v > WorkspaceStore.LINK_VERSION) {
+            throw new Error(`Workspace link version ${packed.v} is newer than supported version ${WorkspaceStore.LINK_VERSION}`);
+        }
+
+        let circuit = null;
+        if (packed.q) {
+            circuit = {
+                qubits: packed.q.q,
+                clbits: packed.q.c,
+                operations: (packed.q.o || []).map(([type, qubits, time, params, cbits, condition]) => {
+                    const op = { type, qubits, time, params: params || [] };
+                    if (cbits) op.cbits = cbits;
+                    if (condition) op.condition = { cbits: condition[0], value: condition[1] };
+                    return op;
+                })
+            };
+            if (packed.q.r) {
+                circuit.cregs = packed.q.r.map(([name, size]) => ({ name, size }));
+            }
+        }
+        return WorkspaceStore.snapshot({ plainspeak: packed.p, code: packed.c, notation: packed.n, circuit });
+    }
+
+    static isEmpty(value) {
+        return value === null || (Array.isArray(value) && value.length === 0);
+    }
+
+    static async pipe(bytes, stream) {
+        const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+        return new Uint8Array(buffer);
+    }
+
+    static toBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+}
+
+WorkspaceStore.DATABASE = 'qubitquest-workspaces';
+WorkspaceStore.DATABASE_VERSION = 1;
+WorkspaceStore.STORE = 'workspaces';
+
+// Shared links: fragment parameter, payload formats and packed layout version
+WorkspaceStore.FRAGMENT_KEY = 'workspace';
+WorkspaceStore.PLAIN = 'j';
+WorkspaceStore.DEFLATED = 'z';
+WorkspaceStore.LINK_VERSION = 1;
+
+// Export for different module systems
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkspaceStore;
+}
+
+// Global access
+globalThis.WorkspaceStore = WorkspaceStore;
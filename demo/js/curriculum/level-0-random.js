@@ -475,9 +475,111 @@ class ContrastPhase {
     }
 
     showClassicalQuantumComparison() {
-        // Implementation for contrast phase
-        console.log('Showing classical vs quantum comparison');
+        if (this.phaseOverlay) {
+            this.phaseOverlay.remove();
+        }
+
+        const comparison = this.generateComparison();
+        const overlay = document.createElement('div');
+        overlay.className = 'curriculum-phase-overlay';
+        overlay.innerHTML = `
+            <div class="phase-modal contrast-phase">
+                <h2>${this.title}</h2>
+                
+                <div class="randomness-comparison">
+                    <div class="randomness-column classical">
+                        <h3>Classical PRNG (seed ${comparison.classical.seed})</h3>
+                        <div class="bit-stream">${comparison.classical.bits.join('')}</div>
+                        <div class="bit-stream replay">${comparison.classical.replay.join('')}</div>
+                        <p>${comparison.classical.identicalOnReplay ?
+                            '⚠️ Re-seeding replays the identical sequence - anyone who knows the seed can predict every bit.' :
+                            'Sequences differ between runs.'}</p>
+                        ${this.renderCounts(comparison.classical.counts, comparison.bits)}
+                    </div>
+                    
+                    <div class="randomness-column quantum">
+                        <h3>Quantum Sampling: H|0⟩ then measure</h3>
+                        <div class="bit-stream">${comparison.quantum.bits.join('')}</div>
+                        <p>Each bit is one shot of a qubit in (|0⟩ + |1⟩)/√2. On hardware the outcome comes from measurement itself; this simulator only draws it from a PRNG so lessons can be replayed.</p>
+                        ${this.renderCounts(comparison.quantum.counts, comparison.bits)}
+                    </div>
+                </div>
+                
+                <div class="phase-actions">
+                    <button onclick="level0.phases.contrast.showClassicalQuantumComparison()" class="investigate-btn">Sample Again</button>
+                    <button onclick="level0.phases.contrast.complete()" class="next-phase-btn">Continue to Concepts Phase →</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+        this.phaseOverlay = overlay;
+        this.curriculum.updateProgress('contrast', 0.5);
+    }
+
+    /**
+     * Side-by-side data: a seeded PRNG run (and its replay) vs simulated quantum shots
+     */
+    generateComparison(options = {}) {
+        const bits = options.bits || 64;
+        const seed = options.seed !== undefined ? options.seed : 42;
+
+        // Classical: the same seed always replays the same "random" bits
+        const classicalBits = new SeededRandom(seed).bits(bits);
+        const classicalReplay = new SeededRandom(seed).bits(bits);
+
+        // Quantum: one shot of H + measurement per bit
+        const simulator = new QuantumSimulator().initialize(1);
+        const quantum = simulator.run(
+            [{ type: 'H', qubit: 0 }, { type: 'MEASURE', qubit: 0 }],
+            { shots: bits, memory: true, seed: options.quantumSeed }
+        );
+
+        return {
+            bits,
+            classical: {
+                seed,
+                bits: classicalBits,
+                replay: classicalReplay,
+                identicalOnReplay: classicalBits.every((bit, i) => bit === classicalReplay[i]),
+                counts: this.countBits(classicalBits)
+            },
+            quantum: {
+                bits: quantum.memory.map(Number),
+                counts: quantum.counts
+            }
+        };
+    }
+
+    countBits(bits) {
+        return bits.reduce((counts, bit) => {
+            counts[bit] = (counts[bit] || 0) + 1;
+            return counts;
+        }, {});
+    }
+
+    renderCounts(counts, total) {
+        return `
+            <div class="counts-histogram">
+                ${['0', '1'].map(outcome => {
+                    const count = counts[outcome] || 0;
+                    return `
+                        <div class="histogram-row">
+                            <span class="label">${outcome}</span>
+                            <div class="bar" style="width: ${(count / total * 100).toFixed(1)}%"></div>
+                            <span class="value">${count}</span>
+                        </div>`;
+                }).join('')}
+            </div>
+        `;
+    }
+
+    complete() {
+        if (this.phaseOverlay) {
+            this.phaseOverlay.remove();
+        }
         this.curriculum.updateProgress('contrast', 1.0);
+        this.curriculum.nextPhase();
     }
 }
 
@@ -556,4 +658,4 @@ if (typeof module !== 'undefined' && module.exports) {
 }
 
 // Global access
-window.Level0RandomCurriculum = Level0RandomCurriculum;
\ No newline at end of file
+globalThis.Level0RandomCurriculum = Level0RandomCurriculum;
\ No newline at end of file
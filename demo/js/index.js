@@ -0,0 +1,43 @@
+/**
+ * Headless entry point for Node and bundlers
+ *
+ * Loads the modules that run without a DOM in the order index.html loads
+ * them, so each finds the classes it uses on the global object as it does
+ * in a page, and exports them by name:
+ *
+ *   const { QuadraticSyncCore, AssessmentScenarios } = require('./demo/js');
+ *   import { QuadraticSyncCore } from './demo/js/index.mjs';
+ *
+ *   const core = new QuadraticSyncCore();
+ *   const { circuit, notation } = await core.translateRepresentations('code', source);
+ *
+ * Any module can also be required or imported on its own once the modules
+ * it uses are loaded. The components and QuadraticSyncEngine load the same
+ * way but need a document to construct.
+ */
+
+module.exports = {
+    NoiseModel: require('./core/noise-model.js'),
+    SeededRandom: require('./core/seeded-random.js'),
+    CircuitIR: require('./core/circuit-ir.js'),
+    OpenQASM: require('./core/openqasm.js'),
+    NotationParser: require('./core/notation-parser.js'),
+    PlainspeakCompiler: require('./core/plainspeak-compiler.js'),
+    AlgorithmTemplates: require('./core/algorithm-templates.js'),
+    StabilizerSimulator: require('./core/stabilizer-sim.js'),
+    QuantumSimulator: require('./core/quantum-sim.js'),
+    DeviceProfile: require('./core/device-profile.js'),
+    Transpiler: require('./core/transpiler.js'),
+    CircuitDebugger: require('./core/circuit-debugger.js'),
+    VariationalRunner: require('./core/variational-runner.js'),
+    SemanticTranslator: require('./core/semantic-translator.js'),
+    CircuitSourceMap: require('./core/source-map.js'),
+    WorkspaceHistory: require('./core/workspace-history.js'),
+    WorkspaceStore: require('./core/workspace-store.js'),
+    RepresentationRegistry: require('./core/representation-registry.js'),
+    QuadraticSyncCore: require('./core/sync-core.js'),
+    ContextualEntrySystem: require('./core/contextual-entry.js'),
+    BusinessScenarios: require('./scenarios/business-scenarios.js'),
+    AssessmentScenarios: require('./scenarios/assessment-scenarios.js'),
+    Level0RandomCurriculum: require('./curriculum/level-0-random.js')
+};
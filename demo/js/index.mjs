@@ -0,0 +1,33 @@
+/**
+ * ES module entry point: the headless modules of index.js as named exports
+ */
+
+import quantumFluency from './index.js';
+
+export const {
+    NoiseModel,
+    SeededRandom,
+    CircuitIR,
+    OpenQASM,
+    NotationParser,
+    PlainspeakCompiler,
+    AlgorithmTemplates,
+    StabilizerSimulator,
+    QuantumSimulator,
+    DeviceProfile,
+    Transpiler,
+    CircuitDebugger,
+    VariationalRunner,
+    SemanticTranslator,
+    CircuitSourceMap,
+    WorkspaceHistory,
+    WorkspaceStore,
+    RepresentationRegistry,
+    QuadraticSyncCore,
+    ContextualEntrySystem,
+    BusinessScenarios,
+    AssessmentScenarios,
+    Level0RandomCurriculum
+} = quantumFluency;
+
+export default quantumFluency;
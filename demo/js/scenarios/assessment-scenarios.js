@@ -12,6 +12,7 @@ class AssessmentScenarios {
         this.assessments = new Map();
         this.activeAssessment = null;
         this.performanceHistory = [];
+        this.editListener = null; // sync listener noting what the learner edits during an attempt
         
         this.initializeAssessments();
     }
@@ -105,7 +106,12 @@ class AssessmentScenarios {
                 'Provide production-ready solution'
             ],
             scoringCriteria: this.getDebugScoringCriteria(),
-            content: this.getDebugSessionContent()
+            content: this.getDebugSessionContent(),
+            // Stop at the mixer layer: its Z rotations leave every probability at 1/8
+            debugger: {
+                breakpoints: [{ column: 9 }],
+                watches: ['P(|000⟩)', 'P(|111⟩)', 'entropy(q1)']
+            }
         });
 
         this.addAssessment('debug_performance_degradation', {
@@ -115,6 +121,8 @@ class AssessmentScenarios {
             scenario: 'Quantum algorithm showing declining performance over time. Classical fallback maintaining consistency. Need root cause analysis.',
             challenge: 'Diagnose quantum performance issues using representation switching',
             problemDescription: this.getPerformanceProblemDescription(),
+            problemCode: this.getPerformanceProblemCode(),
+            expectedFix: this.getPerformanceFixCode(),
             objectives: [
                 'Performance analysis using multiple quantum representations',
                 'Systematic troubleshooting methodology',
@@ -122,7 +130,12 @@ class AssessmentScenarios {
                 'Recommendation for performance optimization'
             ],
             scoringCriteria: this.getDebugScoringCriteria(),
-            content: this.getPerformanceDebugContent()
+            content: this.getPerformanceDebugContent(),
+            // Stop at the first padding CNOT: the state after each pair is unchanged
+            debugger: {
+                breakpoints: [{ column: 2 }],
+                watches: ['P(|00⟩)', 'P(|11⟩)']
+            }
         });
 
         // "Pitch Meeting" - Multi-stakeholder audience adaptation
@@ -264,6 +277,16 @@ class AssessmentScenarios {
 
         this.activeAssessment.currentPhase = 'active';
         this.activeAssessment.assessmentStartTime = Date.now();
+        
+        // Everything the workspace history records from here on belongs to this attempt
+        if (this.syncEngine.history) {
+            this.activeAssessment.historyStart = this.syncEngine.history.mark();
+        }
+
+        // The representations the learner edits; the others only show their translations
+        const edited = new Set();
+        this.activeAssessment.edited = edited;
+        this.editListener = this.syncEngine.addListener(({ source }) => edited.add(source));
 
         // Setup assessment environment based on type
         switch (this.activeAssessment.type) {
@@ -411,25 +434,37 @@ class AssessmentScenarios {
         };
 
         this.activeAssessment.response = response;
-        this.completeAssessment();
+        return this.completeAssessment().catch(error => this.reportCompletionError(error));
     }
 
-    completeAssessment() {
+    async completeAssessment() {
         const assessment = this.activeAssessment;
         assessment.currentPhase = 'completed';
         assessment.endTime = Date.now();
         assessment.totalTime = assessment.endTime - assessment.assessmentStartTime;
 
+        // Translation chains and debug sessions are graded on the circuits the learner produced
+        if (assessment.type === 'translation_chain' || assessment.type === 'debug_session') {
+            assessment.response = this.collectCircuitResponse(assessment);
+            assessment.verification = await this.verifyCircuitSubmissions(assessment);
+        }
+
         // Calculate score
         assessment.score = this.calculateAssessmentScore(assessment);
         
+        // How the solution evolved, for instructors to replay
+        if (this.syncEngine.history && assessment.historyStart !== undefined) {
+            assessment.history = this.syncEngine.history.since(assessment.historyStart);
+        }
+        
         // Add to performance history
         this.performanceHistory.push({
             id: assessment.id,
             type: assessment.type,
             score: assessment.score,
             timestamp: assessment.endTime,
-            duration: assessment.totalTime
+            duration: assessment.totalTime,
+            history: assessment.history || []
         });
 
         // Clean up UI
@@ -500,6 +535,153 @@ class AssessmentScenarios {
         return score;
     }
 
+    /**
+     * Representations the learner edited and left changed since the assessment was set up
+     */
+    collectCircuitResponse(assessment) {
+        const state = this.syncEngine.getState();
+        const initial = assessment.initialState || {};
+        const edited = assessment.edited || new Set();
+        const submissions = {};
+
+        ['plainspeak', 'code', 'circuit', 'notation'].forEach(representation => {
+            if (edited.has(representation) && state[representation] && state[representation] !== initial[representation]) {
+                submissions[representation] = state[representation];
+            }
+        });
+
+        return {
+            submissions: submissions,
+            timestamp: Date.now(),
+            timeSpent: assessment.totalTime,
+            representationsUsed: Object.keys(submissions)
+        };
+    }
+
+    /**
+     * Check each circuit the learner submitted against the reference solution,
+     * equivalent up to global phase, using the simulator's unitary comparison
+     *
+     * @returns {Promise<?{referenceOperations: number, results: Array}>} null when
+     *   there is no reference or it cannot be simulated
+     */
+    async verifyCircuitSubmissions(assessment) {
+        const reference = this.getReferenceSolution(assessment);
+        if (!reference || typeof QuantumSimulator === 'undefined') return null;
+
+        const simulator = new QuantumSimulator();
+        let expected;
+        try {
+            expected = this.unitaryPart(await this.parseRepresentation(reference.representation, reference.source), simulator);
+        } catch (error) {
+            console.warn('Reference solution could not be parsed:', error);
+            return null;
+        }
+
+        const targets = (assessment.targetSequence || AssessmentScenarios.VERIFIABLE_REPRESENTATIONS)
+            .filter(representation => AssessmentScenarios.VERIFIABLE_REPRESENTATIONS.includes(representation));
+        const results = [];
+
+        for (const representation of targets) {
+            const submission = assessment.response.submissions[representation];
+            if (submission === undefined) continue;
+
+            try {
+                const actual = this.unitaryPart(await this.parseRepresentation(representation, submission), simulator);
+                const report = simulator.checkEquivalence(expected, actual);
+                results.push({ representation, equivalent: report.equivalent, operations: actual.operations.length, report });
+            } catch (error) {
+                results.push({ representation, equivalent: false, error: error.message });
+            }
+        }
+
+        return { referenceOperations: expected.operations.length, results };
+    }
+
+    /**
+     * Reference solution: the expected fix of a debug session, or the
+     * representation a translation chain starts from
+     */
+    getReferenceSolution(assessment) {
+        if (assessment.expectedFix) {
+            return { representation: 'code', source: assessment.expectedFix };
+        }
+
+        const start = assessment.startRepresentation;
+        if (assessment.content && AssessmentScenarios.VERIFIABLE_REPRESENTATIONS.includes(start)) {
+            return { representation: start, source: assessment.content[start] };
+        }
+        return null;
+    }
+
+    async parseRepresentation(representation, value) {
+        switch (representation) {
+            case 'circuit':
+                return CircuitIR.normalize(value);
+            case 'code':
+                return this.syncEngine.code2Circuit(value);
+            case 'notation':
+                return this.syncEngine.notation2Circuit(value);
+            default:
+                throw new Error(`${representation} cannot be compared as a circuit`);
+        }
+    }
+
+    /**
+     * Drop terminal measurements so the rest of the circuit has a unitary;
+     * dynamic circuits are left alone and fail the comparison with a reason
+     */
+    unitaryPart(circuit, simulator) {
+        if (simulator.isDynamic(circuit.operations)) return circuit;
+        return { ...circuit, operations: circuit.operations.filter(op => op.type !== 'MEASURE') };
+    }
+
+    /**
+     * Full points within the time limit, losing one point per second over it
+     */
+    scoreTimeManagement(assessment, points) {
+        const overrun = (assessment.totalTime - assessment.timeLimit * 1000) / 1000;
+        return overrun <= 0 ? points : Math.max(0, points - overrun);
+    }
+
+    scoreTranslationChain(assessment) {
+        let score = 0;
+        const sequence = assessment.targetSequence.filter(representation => representation !== assessment.startRepresentation);
+        const verifiable = sequence.filter(representation => AssessmentScenarios.VERIFIABLE_REPRESENTATIONS.includes(representation));
+
+        // Verified equivalence to the starting circuit (60 points), per circuit-bearing step
+        if (assessment.verification && verifiable.length > 0) {
+            const equivalent = assessment.verification.results.filter(result => result.equivalent).length;
+            score += 60 * equivalent / verifiable.length;
+        }
+
+        // Chain completion (20 points)
+        const completed = sequence.filter(representation => assessment.response.submissions[representation] !== undefined).length;
+        score += 20 * completed / sequence.length;
+
+        // Time management (20 points)
+        score += this.scoreTimeManagement(assessment, 20);
+
+        return score;
+    }
+
+    scoreDebugSession(assessment) {
+        let score = 0;
+        const verification = assessment.verification;
+        const fixes = verification ? verification.results.filter(result => result.equivalent) : [];
+
+        // Fix equivalent to the expected solution (50 points)
+        if (fixes.length > 0) score += 50;
+
+        // Fix no larger than the expected solution (20 points)
+        if (fixes.some(result => result.operations <= verification.referenceOperations)) score += 20;
+
+        // Time management (30 points)
+        score += this.scoreTimeManagement(assessment, 30);
+
+        return score;
+    }
+
     showAssessmentResults(assessment) {
         const resultsModal = document.createElement('div');
         resultsModal.className = 'assessment-results-modal';
@@ -569,6 +751,31 @@ class AssessmentScenarios {
                 <span class="score">${response.representationsUsed.length >= 3 ? '✅' : '⚠️'} ${response.representationsUsed.join(', ')}</span>
             </div>`);
         }
+
+        if (assessment.history) {
+            const changes = {};
+            assessment.history.forEach(entry => { changes[entry.source] = (changes[entry.source] || 0) + 1; });
+            breakdown.push(`<div class="performance-item">
+                <label>Solution History:</label>
+                <span class="score">${assessment.history.length} changes${assessment.history.length > 0 ?
+                    ` (${Object.entries(changes).map(([source, count]) => `${source} ${count}`).join(', ')})` : ''}</span>
+            </div>`);
+        }
+
+        if (assessment.verification) {
+            assessment.verification.results.forEach(result => {
+                let verdict = '✅ equivalent to the reference circuit';
+                if (result.error) {
+                    verdict = `⚠️ ${result.error}`;
+                } else if (!result.equivalent) {
+                    verdict = `❌ differs from the reference on input ${result.report.firstDifference.input}`;
+                }
+                breakdown.push(`<div class="performance-item">
+                <label>${result.representation}:</label>
+                <span class="score">${verdict}</span>
+            </div>`);
+            });
+        }
         
         return breakdown.join('');
     }
@@ -712,15 +919,28 @@ $\\text{Quantum Solution: } |\\psi\\rangle = \\text{true random states}$`,
         if (this.activeAssessment && this.activeAssessment.type === 'ambush') {
             this.submitAmbushResponse();
         } else {
-            this.completeAssessment();
+            this.completeAssessment().catch(error => this.reportCompletionError(error));
         }
     }
 
+    /**
+     * Grading failed part way: say so instead of leaving the learner waiting for results
+     */
+    reportCompletionError(error) {
+        console.error('Assessment could not be completed:', error);
+        alert(`Your assessment could not be graded: ${error.message}`);
+    }
+
     cleanupAssessmentInterface() {
         if (this.assessmentTimer) {
             clearInterval(this.assessmentTimer);
         }
 
+        if (this.editListener !== null) {
+            this.syncEngine.removeListener(this.editListener);
+            this.editListener = null;
+        }
+
         // Remove assessment panels
         document.querySelectorAll('.ambush-assessment-panel, .translation-chain-panel, .debug-session-panel, .pitch-meeting-panel, .cognitive-sprint-panel').forEach(panel => {
             panel.remove();
@@ -732,9 +952,33 @@ $\\text{Quantum Solution: } |\\psi\\rangle = \\text{true random states}$`,
         });
     }
 
+    setupTranslationChainAssessment() {
+        const assessment = this.activeAssessment;
+
+        if (assessment.content) {
+            this.syncEngine.setState(assessment.content);
+        }
+        this.syncEngine.setContextualEntry('translation_chain', assessment.startRepresentation);
+        assessment.initialState = this.syncEngine.getState();
+    }
+
+    async setupDebugSessionAssessment() {
+        const assessment = this.activeAssessment;
+
+        // The circuit panel starts on the problem code's own circuit, so any circuit
+        // difference at submission is the learner's fix
+        const circuit = await this.syncEngine.code2Circuit(assessment.problemCode);
+        this.syncEngine.setState({ ...assessment.content, code: assessment.problemCode, circuit });
+        this.syncEngine.setContextualEntry('debug_session', 'code');
+        assessment.initialState = this.syncEngine.getState();
+
+        if (assessment.debugger && typeof circuitDesigner !== 'undefined' && typeof CircuitDebugger !== 'undefined') {
+            circuitDesigner.loadCircuit(circuit);
+            circuitDesigner.startDebugger(assessment.debugger);
+        }
+    }
+
     // Additional placeholder methods for other assessment types
-    setupTranslationChainAssessment() { /* Implementation */ }
-    setupDebugSessionAssessment() { /* Implementation */ }
     setupPitchMeetingAssessment() { /* Implementation */ }
     setupCognitiveSprintAssessment() { /* Implementation */ }
 
@@ -743,24 +987,118 @@ $\\text{Quantum Solution: } |\\psi\\rangle = \\text{true random states}$`,
     getPitchScoringCriteria() { return {}; }
     getCognitiveScoringCriteria() { return {}; }
 
-    scoreTranslationChain() { return 85; }
-    scoreDebugSession() { return 78; }
     scorePitchMeeting() { return 92; }
     scoreCognitiveSprint() { return 87; }
 
     // Stub content generators
     getRegulatoryAmbushContent() { return this.getAmbushContent(); }
-    getResearchTranslationContent() { return this.getAmbushContent(); }
-    getCrisisTranslationContent() { return this.getAmbushContent(); }
-    getDebugSessionContent() { return this.getAmbushContent(); }
-    getPerformanceDebugContent() { return this.getAmbushContent(); }
+    getResearchTranslationContent() {
+        // One QAOA layer for a two-asset portfolio, as the paper writes it
+        return {
+            ...this.getAmbushContent(),
+            notation: `$|\\psi_0\\rangle = |0\\rangle^{\\otimes 2}$<br><br>
+$|\\psi_1\\rangle = (H \\otimes H) |\\psi_0\\rangle$<br><br>
+$|\\psi_2\\rangle = (\\text{CNOT}_{0,1} \\cdot R_z^{(1)}(\\pi/3) \\cdot \\text{CNOT}_{0,1}) |\\psi_1\\rangle$<br><br>
+$|\\psi_3\\rangle = (R_x(\\pi/4) \\otimes R_x(\\pi/4)) |\\psi_2\\rangle$`
+        };
+    }
+
+    getCrisisTranslationContent() {
+        return {
+            ...this.getAmbushContent(),
+            code: `# Production hedging circuit: correlated risk signals across three desks
+from qiskit import QuantumCircuit
+from math import pi
+
+qc = QuantumCircuit(3)
+qc.h(0)
+qc.cx(0, 1)
+qc.cx(1, 2)
+qc.ry(pi/6, 2)
+qc.measure_all()`
+        };
+    }
+
+    // The debug sessions take their circuit from the problem code
+    getDebugSessionContent() {
+        return {
+            plainspeak: 'The portfolio optimizer samples three assets with one QAOA layer, but its picks are no better than a coin toss: every one of the eight portfolios comes out about 12.5% of the time. Step through the circuit and find the layer that should move probability toward good portfolios but does not.',
+            notation: `$|\\psi_0\\rangle = H^{\\otimes 3} |000\\rangle$<br><br>
+$|\\psi_1\\rangle = e^{-i\\gamma (Z_0 Z_1 + Z_1 Z_2)/2} |\\psi_0\\rangle$<br><br>
+$|\\psi_2\\rangle = e^{-i\\beta \\sum_j Z_j/2} |\\psi_1\\rangle \\quad \\text{(mixer as deployed)}$`
+        };
+    }
+
+    getPerformanceDebugContent() {
+        return {
+            plainspeak: 'The risk sampler prepares a Bell pair and tilts the second qubit, yet its results have drifted further from the simulator with every weekly release. Step through the circuit and check which gates actually change the state.',
+            notation: `$|\\psi\\rangle = (I \\otimes R_y(\\pi/8)) \\cdot \\text{CNOT}^{7} \\cdot (H \\otimes I) |00\\rangle$`
+        };
+    }
     getPitchMeetingContent() { return this.getAmbushContent(); }
     getCognitiveSprintContent() { return this.getAmbushContent(); }
 
-    getBuggyQuantumCode() { return "# Buggy quantum code here"; }
-    getExpectedDebugFix() { return "# Expected fix here"; }
+    getBuggyQuantumCode() {
+        return `# Quantum portfolio optimizer: one QAOA layer over three assets
+from qiskit import QuantumCircuit
+from math import pi
+
+qc = QuantumCircuit(3)
+qc.h(0)
+qc.h(1)
+qc.h(2)
+# Cost layer: pairwise asset correlations
+qc.cx(0, 1)
+qc.rz(pi/3, 1)
+qc.cx(0, 1)
+qc.cx(1, 2)
+qc.rz(pi/3, 2)
+qc.cx(1, 2)
+# Mixer layer
+qc.rz(pi/4, 0)
+qc.rz(pi/4, 1)
+qc.rz(pi/4, 2)
+qc.measure_all()`;
+    }
+
+    getExpectedDebugFix() {
+        // The mixer must rotate about X; Z rotations commute with the cost layer and never mix
+        return this.getBuggyQuantumCode().replace(/qc\.rz\(pi\/4/g, 'qc.rx(pi/4');
+    }
+
     getPerformanceProblemDescription() { return "Performance issue description"; }
 
+    getPerformanceProblemCode() {
+        return `# Risk sampler after six weekly calibration releases
+from qiskit import QuantumCircuit
+from math import pi
+
+qc = QuantumCircuit(2)
+qc.h(0)
+qc.cx(0, 1)
+# Calibration padding appended by each release
+qc.cx(0, 1)
+qc.cx(0, 1)
+qc.cx(0, 1)
+qc.cx(0, 1)
+qc.cx(0, 1)
+qc.cx(0, 1)
+qc.ry(pi/8, 1)
+qc.measure_all()`;
+    }
+
+    getPerformanceFixCode() {
+        // Same unitary without the padding, so less exposure to CNOT noise
+        return `from qiskit import QuantumCircuit
+from math import pi
+
+qc = QuantumCircuit(2)
+qc.h(0)
+qc.cx(0, 1)
+qc.ry(pi/8, 1)
+qc.measure_all()`;
+    }
+
     getCEOQuestions() { return ["What's the ROI?", "How long until we see results?"]; }
     getCTOQuestions() { return ["What's the technical risk?", "How do we integrate this?"]; }
     getCFOQuestions() { return ["What's the total cost?", "What are the financial metrics?"]; }
@@ -821,10 +1159,13 @@ $\\text{Quantum Solution: } |\\psi\\rangle = \\text{true random states}$`,
     }
 }
 
+// Representations that compile to a circuit for equivalence checking
+AssessmentScenarios.VERIFIABLE_REPRESENTATIONS = ['circuit', 'code', 'notation'];
+
 // Export for different module systems
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = AssessmentScenarios;
 }
 
 // Global access
-window.AssessmentScenarios = AssessmentScenarios;
\ No newline at end of file
+globalThis.AssessmentScenarios = AssessmentScenarios;
\ No newline at end of file
@@ -215,9 +215,9 @@ total_annual_benefit = annual_value_gain + cost_savings
 quantum_investment = 5e6  # $5M initial investment
 roi_months = (quantum_investment / total_annual_benefit) * 12
 
-print(f"Annual Value Gain: ${annual_value_gain:,.0f}")
-print(f"Annual Cost Savings: ${cost_savings:,.0f}")
-print(f"Total Annual Benefit: ${total_annual_benefit:,.0f}")
+print(f"Annual Value Gain: \${annual_value_gain:,.0f}")
+print(f"Annual Cost Savings: \${cost_savings:,.0f}")
+print(f"Total Annual Benefit: \${total_annual_benefit:,.0f}")
 print(f"ROI Timeline: {roi_months:.1f} months")`,
 
             notation: `\\text{Quantum Business Value} = \\Delta\\text{Accuracy} \\times \\text{Portfolio} \\times \\text{Margin}$<br><br>
@@ -398,10 +398,10 @@ our_potential_share = quantum_addressable * 0.08  # 8% potential market share
 
 print("Strategic Quantum Timeline:")
 for i, year in enumerate(years[1:], 1):
-    print(f"{year}: Investment ${investment[i]}M, Revenue Impact ${revenue_impact[i]}M")
+    print(f"{year}: Investment \${investment[i]}M, Revenue Impact \${revenue_impact[i]}M")
 
-print(f"\\nQuantum Addressable Market: ${quantum_addressable/1e9:.0f}B")
-print(f"Potential Revenue Opportunity: ${our_potential_share/1e9:.1f}B")
+print(f"\\nQuantum Addressable Market: \${quantum_addressable/1e9:.0f}B")
+print(f"Potential Revenue Opportunity: \${our_potential_share/1e9:.1f}B")
 print(f"ROI by Year 3: {(revenue_impact[3]/investment.sum())*100:.0f}%")`,
 
             notation: `\\text{Strategic Value Model:}$<br><br>
@@ -512,7 +512,7 @@ print(quantum_investments)
 # Portfolio recommendation
 portfolio_size = 250e6  # $250M fund
 quantum_allocation = portfolio_size * 0.065  # 6.5% recommended
-print(f"\\nRecommended Quantum Allocation: ${quantum_allocation/1e6:.1f}M")`,
+print(f"\\nRecommended Quantum Allocation: \${quantum_allocation/1e6:.1f}M")`,
 
             notation: `\\text{Portfolio Optimization with Quantum Allocation:}$<br><br>
 $\\max E[R_p] = \\sum_{i} w_i \\mu_i \\text{ subject to } \\sum_{i} w_i = 1$<br><br>
@@ -707,7 +707,7 @@ for metric, value in quantumedge_metrics.items():
     print(f"{metric}: {value}")
 
 print(f"\\nAcquisition Analysis:")
-print(f"Purchase Price: ${acquisition_price}M")
+print(f"Purchase Price: \${acquisition_price}M")
 print(f"Revenue Multiple: {revenue_multiple:.1f}x")
 print(f"Payback Period: {payback_period:.1f} years")
 print(f"Time-to-Market Acceleration: {time_to_market_acceleration} months")
@@ -793,4 +793,4 @@ if (typeof module !== 'undefined' && module.exports) {
 }
 
 // Global access
-window.BusinessScenarios = BusinessScenarios;
\ No newline at end of file
+globalThis.BusinessScenarios = BusinessScenarios;
\ No newline at end of file